@@ -0,0 +1,104 @@
+// migrate.js - CLI de migraciones del esquema
+//   node migrate.js status             Lista migraciones aplicadas y pendientes
+//   node migrate.js up [versión]       Aplica las pendientes (hasta la versión indicada)
+//   node migrate.js down [pasos]       Revierte las últimas migraciones (1 por defecto)
+//   node migrate.js create <nombre>    Crea server/migrations/NNN_<nombre>.js
+const fs = require('fs');
+const path = require('path');
+const database = require('./server/config/database');
+const Migrator = require('./server/config/migrator');
+
+const TEMPLATE = (file) => `// server/migrations/${file} -
+module.exports = {
+    async up(db) {
+    },
+
+    async down(db) {
+    }
+};
+`;
+
+function parseNumber(value, label) {
+    if (value === undefined) return null;
+
+    const number = parseInt(value);
+    if (isNaN(number) || number < 1 || String(number) !== value) {
+        throw new Error(`${label} debe ser un número entero positivo`);
+    }
+    return number;
+}
+
+async function printStatus(migrator) {
+    const migrations = await migrator.status();
+
+    console.log('📋 Migraciones:\n');
+    migrations.forEach(migration => {
+        const state = migration.applied_at ? `✅ ${migration.applied_at}` : '⏳ pendiente';
+        console.log(`   ${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+    });
+
+    const pending = migrations.filter(migration => !migration.applied_at).length;
+    console.log(`\n${migrations.length - pending} aplicadas, ${pending} pendientes`);
+}
+
+function createMigration(name) {
+    if (!name || !/^[a-z0-9_]+$/.test(name)) {
+        throw new Error('El nombre debe tener solo minúsculas, números y guiones bajos');
+    }
+
+    const versions = fs.readdirSync(Migrator.MIGRATIONS_DIR)
+        .map(file => parseInt(file))
+        .filter(version => !isNaN(version));
+    const version = String(Math.max(0, ...versions) + 1).padStart(3, '0');
+    const file = `${version}_${name}.js`;
+
+    fs.writeFileSync(path.join(Migrator.MIGRATIONS_DIR, file), TEMPLATE(file));
+    console.log(`✅ Migración creada: server/migrations/${file}`);
+}
+
+async function main() {
+    const [command = 'status', arg] = process.argv.slice(2);
+
+    if (command === 'create') {
+        createMigration(arg);
+        return;
+    }
+
+    // Las migraciones se aplican solo con los comandos del CLI
+    database.autoMigrate = false;
+    await database.ensureConnected();
+    const migrator = new Migrator(database);
+
+    switch (command) {
+        case 'status':
+            await printStatus(migrator);
+            break;
+
+        case 'up': {
+            const applied = await migrator.up(parseNumber(arg, 'La versión'));
+            console.log(applied.length > 0
+                ? `✅ ${applied.length} migraciones aplicadas: ${applied.map(m => m.file).join(', ')}`
+                : '✅ El esquema ya está actualizado');
+            break;
+        }
+
+        case 'down': {
+            const reverted = await migrator.down(parseNumber(arg, 'La cantidad de pasos') || 1);
+            console.log(reverted.length > 0
+                ? `↩️ ${reverted.length} migraciones revertidas: ${reverted.map(m => m.file).join(', ')}`
+                : 'No hay migraciones aplicadas');
+            break;
+        }
+
+        default:
+            throw new Error(`Comando desconocido: ${command}. Use status, up, down o create`);
+    }
+}
+
+main()
+    .then(() => database.close())
+    .catch(async (error) => {
+        console.error(`❌ ${error.message}`);
+        await database.close();
+        process.exitCode = 1;
+    });
\ No newline at end of file
@@ -5,6 +5,11 @@
  * ==========================================
  */
 
+import uuidv4 from '/vendor/uuid/v4.js';
+
+// Methods that change data: each call carries an Idempotency-Key
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
 /**
  * APIClient - Maneja todas las comunicaciones con el backend
  */
@@ -15,6 +20,10 @@ class APIClient {
             'Content-Type': 'application/json'
         };
         
+        // Idempotency-Key of each operation still without a definitive answer,
+        // by method, endpoint and body: retrying the same operation reuses its key
+        this.pendingKeys = new Map();
+        
         // Request interceptors
         this.requestInterceptors = [];
         this.responseInterceptors = [];
@@ -39,6 +48,8 @@ class APIClient {
     
     /**
      * Main request method
+     * options.idempotencyKey: key of the user action (e.g. a sale's client_uuid); without it one is
+     * created per operation and reused by its retries
      */
     async request(endpoint, options = {}) {
         const url = endpoint.startsWith('http') ? endpoint : `${this.baseURL}${endpoint}`;
@@ -58,6 +69,19 @@ class APIClient {
         // Merge headers
         config.headers = { ...config.headers, ...options.headers };
         
+        // The server replays the stored response for a repeated key instead of running it again.
+        // The key is created once per operation and kept until the server answers it, so a retry after
+        // a network error or a 5xx sends the same key; the next operation with the same data gets a new one.
+        const method = (config.method || 'GET').toUpperCase();
+        const operation = `${method} ${url} ${typeof config.body === 'string' ? config.body : ''}`;
+        const tracksKey = MUTATING_METHODS.includes(method) && !config.headers['Idempotency-Key'];
+        if (tracksKey) {
+            const key = options.idempotencyKey || this.pendingKeys.get(operation) || uuidv4();
+            this.pendingKeys.set(operation, key);
+            config.headers['Idempotency-Key'] = key;
+        }
+        delete config.idempotencyKey;
+        
         try {
             console.log(`🌐 ${config.method || 'GET'} ${endpoint}`);
             
@@ -67,6 +91,10 @@ class APIClient {
             // Make request
             const response = await fetch(url, finalConfig);
             
+            if (tracksKey && response.status < 500) {
+                this.pendingKeys.delete(operation);
+            }
+            
             // Handle different response types
             let data;
             const contentType = response.headers.get('Content-Type') || '';
@@ -128,8 +156,9 @@ class APIClient {
     /**
      * POST request
      */
-    async post(endpoint, data = {}) {
+    async post(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'POST',
             body: JSON.stringify(data)
         });
@@ -138,8 +167,9 @@ class APIClient {
     /**
      * PUT request
      */
-    async put(endpoint, data = {}) {
+    async put(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PUT',
             body: JSON.stringify(data)
         });
@@ -148,8 +178,9 @@ class APIClient {
     /**
      * DELETE request
      */
-    async delete(endpoint) {
+    async delete(endpoint, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'DELETE'
         });
     }
@@ -157,8 +188,9 @@ class APIClient {
     /**
      * PATCH request
      */
-    async patch(endpoint, data = {}) {
+    async patch(endpoint, data = {}, options = {}) {
         return this.request(endpoint, {
+            ...options,
             method: 'PATCH',
             body: JSON.stringify(data)
         });
@@ -239,6 +271,100 @@ class APIClient {
         return this.post('/auth/verify-token');
     }
     
+    async refreshSession(refreshToken) {
+        return this.post('/auth/refresh', { refresh_token: refreshToken });
+    }
+    
+    async getProfile() {
+        return this.get('/auth/profile');
+    }
+    
+    async setPin(pin, password) {
+        return this.put('/auth/pin', { pin, password });
+    }
+    
+    // Supervisor approval: a single-use token for the action, sent back as approval_token
+    async requestApproval(username, pin, action, saleId = null) {
+        return this.post('/approvals', { username, pin, action, sale_id: saleId });
+    }
+    
+    async getPasswordPolicy() {
+        return this.get('/auth/password-policy');
+    }
+    
+    // Users endpoints (manage_users)
+    async getUsers(params = {}) {
+        return this.get('/users', params);
+    }
+    
+    async createUser(userData) {
+        return this.post('/users', userData);
+    }
+    
+    async updateUser(id, userData) {
+        return this.put(`/users/${id}`, userData);
+    }
+    
+    async deactivateUser(id) {
+        return this.post(`/users/${id}/deactivate`);
+    }
+    
+    async activateUser(id) {
+        return this.post(`/users/${id}/activate`);
+    }
+    
+    // Without a password the user must change the current one at next login
+    async resetUserPassword(id, password = null) {
+        return this.post(`/users/${id}/reset-password`, { password });
+    }
+    
+    async deleteUser(id) {
+        return this.delete(`/users/${id}`);
+    }
+    
+    // Sessions endpoints (manage_users)
+    async getSessions(userId = null) {
+        return this.get('/sessions', userId ? { user_id: userId } : {});
+    }
+    
+    async revokeSession(sessionId) {
+        return this.delete(`/sessions/${sessionId}`);
+    }
+    
+    async revokeUserSessions(userId) {
+        return this.delete(`/sessions/user/${userId}`);
+    }
+    
+    // Login lockouts and attempt history (manage_users)
+    async getLoginLockouts() {
+        return this.get('/security/lockouts');
+    }
+    
+    async unlockLogin(lockoutId) {
+        return this.delete(`/security/lockouts/${lockoutId}`);
+    }
+    
+    async getLoginAttempts(params = {}) {
+        return this.get('/security/login-attempts', params);
+    }
+    
+    // Roles endpoints (manage_users)
+    async getRoles() {
+        return this.get('/roles');
+    }
+    
+    async createRole(roleData) {
+        return this.post('/roles', roleData);
+    }
+    
+    async updateRole(name, roleData) {
+        return this.put(`/roles/${name}`, roleData);
+    }
+    
+    async deleteRole(name) {
+        return this.delete(`/roles/${name}`);
+    }
+    
     // Products endpoints
     async getProducts() {
         return this.get('/products');
@@ -278,6 +404,15 @@ class APIClient {
         return this.get('/sales/today');
     }
     
+    async voidSale(saleId, reason, approvalToken = null) {
+        return this.post(`/sales/${saleId}/void`, { reason, approval_token: approvalToken });
+    }
+    
+    // method: cash, qr, card or points; without it the server picks cash if the sale had a cash payment
+    async refundSale(saleId, reason, items, approvalToken = null, method = undefined) {
+        return this.post(`/sales/${saleId}/refund`, { reason, items, method, approval_token: approvalToken });
+    }
+    
     // Reports endpoints
     async getDashboard() {
         return this.get('/reports/dashboard');
@@ -287,6 +422,10 @@ class APIClient {
         return this.get('/reports/daily', { date });
     }
     
+    async getSecurityReport(params = {}) {
+        return this.get('/reports/security', params);
+    }
+    
     // Printer endpoints
     async printTest() {
         return this.post('/printer/test');
@@ -299,7 +438,52 @@ class APIClient {
     async getPrinterStatus() {
         return this.get('/printer/status');
     }
-    
+
+    async reprintLastSale() {
+        return this.post('/printer/reprint-last');
+    }
+
+    async reprintSale(saleId) {
+        return this.post(`/printer/sales/${saleId}/reprint`);
+    }
+
+    async getPrintJobs(params = {}) {
+        return this.get('/printer/jobs', params);
+    }
+
+    async retryPrintJob(jobId) {
+        return this.post(`/printer/jobs/${jobId}/retry`);
+    }
+
+    async cancelPrintJob(jobId) {
+        return this.post(`/printer/jobs/${jobId}/cancel`);
+    }
+
+    // Ticket templates endpoints (admin)
+    async getTicketTemplates() {
+        return this.get('/ticket-templates');
+    }
+
+    async saveTicketTemplate(type, content, paperWidth) {
+        return this.put(`/ticket-templates/${type}`, { content, paper_width: paperWidth });
+    }
+
+    async resetTicketTemplate(type) {
+        return this.delete(`/ticket-templates/${type}`);
+    }
+
+    async previewTicketTemplate(type, content, paperWidth) {
+        return this.post(`/ticket-templates/${type}/preview`, { content, paper_width: paperWidth });
+    }
+
+    async updateBusinessSettings(data) {
+        return this.put('/ticket-templates/business', data);
+    }
+
+    async uploadBusinessLogo(dataUrl) {
+        return this.put('/ticket-templates/business/logo', { image: dataUrl });
+    }
+
     /**
      * Utility methods
      */
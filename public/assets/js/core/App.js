@@ -33,6 +33,7 @@ class POSApp {
         this.isInitialized = false;
         this.currentView = null;
         this.user = null;
+        this.redirectAfterLogin = null;
         
         // DOM elements
         this.appContainer = null;
@@ -155,6 +156,9 @@ class POSApp {
     async initializeServices() {
         console.log('🔧 Inicializando servicios...');
         
+        // Restore stored session before routing
+        await this.auth.init();
+        
         // Initialize API client
         await this.api.init();
         
@@ -205,6 +209,7 @@ class POSApp {
         // Protected routes
         this.router.addRoute('/dashboard', () => this.loadProtectedView('dashboard'));
         this.router.addRoute('/pos', () => this.loadProtectedView('pos'));
+        this.router.addRoute('/kitchen', () => this.loadProtectedView('kitchen'));
         this.router.addRoute('/products', () => this.loadProtectedView('products'));
         this.router.addRoute('/categories', () => this.loadProtectedView('categories'));
         this.router.addRoute('/reports', () => this.loadProtectedView('reports'));
@@ -212,6 +217,7 @@ class POSApp {
         
         // Admin-only routes
         this.router.addRoute('/users', () => this.loadAdminView('users'));
+        this.router.addRoute('/sessions', () => this.loadAdminView('sessions'));
         this.router.addRoute('/settings', () => this.loadAdminView('settings'));
         
         // 404 route
@@ -323,6 +329,8 @@ class POSApp {
      */
     async loadProtectedView(viewName, params = {}) {
         if (!this.auth.isAuthenticated()) {
+            // Return here after login
+            this.redirectAfterLogin = this.router.getCurrentPath();
             this.router.navigate('/login');
             return;
         }
@@ -356,11 +364,13 @@ class POSApp {
             'auth': () => import('../views/AuthView.js'),
             'dashboard': () => import('../views/DashboardView.js'),
             'pos': () => import('../views/POSView.js'),
+            'kitchen': () => import('../views/KitchenView.js'),
             'products': () => import('../views/ProductsView.js'),
             'categories': () => import('../views/CategoriesView.js'),
             'reports': () => import('../views/ReportsView.js'),
             'profile': () => import('../views/ProfileView.js'),
             'users': () => import('../views/UsersView.js'),
+            'sessions': () => import('../views/SessionsView.js'),
             'settings': () => import('../views/SettingsView.js')
         };
         
@@ -403,8 +413,8 @@ class POSApp {
     }
     
     isProtectedRoute(route) {
-        const protectedRoutes = ['/dashboard', '/pos', '/products', '/categories', '/reports', '/profile', '/users', '/settings'];
-        return protectedRoutes.some(protected => route.startsWith(protected));
+        const protectedRoutes = ['/dashboard', '/pos', '/kitchen', '/products', '/categories', '/reports', '/profile', '/users', '/sessions', '/settings'];
+        return protectedRoutes.some(protectedRoute => route.startsWith(protectedRoute));
     }
     
     updatePageTitle(route) {
@@ -413,11 +423,13 @@ class POSApp {
             '/login': 'Iniciar Sesión - Sistema POS',
             '/dashboard': 'Dashboard - Sistema POS',
             '/pos': 'Punto de Venta - Sistema POS',
+            '/kitchen': 'Cocina - Sistema POS',
             '/products': 'Productos - Sistema POS',
             '/categories': 'Categorías - Sistema POS',
             '/reports': 'Reportes - Sistema POS',
             '/profile': 'Mi Perfil - Sistema POS',
             '/users': 'Usuarios - Sistema POS',
+            '/sessions': 'Sesiones - Sistema POS',
             '/settings': 'Configuración - Sistema POS'
         };
         
@@ -12,6 +12,7 @@ class AuthManager {
     constructor() {
         this.user = null;
         this.token = null;
+        this.permissions = [];
         this.refreshTimer = null;
         this.listeners = new Map();
         
@@ -79,6 +80,7 @@ class AuthManager {
                     return false;
                 }
                 
+                await this.loadPermissions();
                 return true;
             }
             
@@ -117,7 +119,8 @@ class AuthManager {
             }
             
             // Store authentication data
-            await this.setAuthentication(data.token, data.user);
+            await this.setAuthentication(data.token, data.user, data.refresh_token);
+            await this.loadPermissions();
             
             console.log('✅ Login exitoso:', this.user.full_name);
             
@@ -185,13 +188,16 @@ class AuthManager {
     /**
      * Set authentication data
      */
-    async setAuthentication(token, user) {
+    async setAuthentication(token, user, refreshToken = null) {
         this.token = token;
         this.user = user;
         
         // Store in localStorage
         localStorage.setItem(this.TOKEN_KEY, token);
         localStorage.setItem(this.USER_KEY, JSON.stringify(user));
+        if (refreshToken) {
+            localStorage.setItem(this.REFRESH_KEY, refreshToken);
+        }
         
         // Start token refresh timer
         this.startTokenRefreshTimer();
@@ -206,6 +212,7 @@ class AuthManager {
     async clearAuthentication() {
         this.token = null;
         this.user = null;
+        this.permissions = [];
         
         // Clear from storage
         await this.clearStoredAuth();
@@ -268,11 +275,46 @@ class AuthManager {
         }
     }
     
+    /**
+     * Load the role permissions of the current user from /api/auth/profile
+     */
+    async loadPermissions() {
+        if (!this.token) {
+            return [];
+        }
+        
+        try {
+            const response = await fetch(`${this.API_BASE}/auth/profile`, {
+                headers: {
+                    'Authorization': `Bearer ${this.token}`
+                }
+            });
+            
+            if (!response.ok) {
+                return this.permissions;
+            }
+            
+            const data = await response.json();
+            
+            if (data.success && data.user) {
+                this.permissions = data.user.permissions || [];
+                this.emit('permissionsLoaded', this.permissions);
+            }
+            
+        } catch (error) {
+            console.error('❌ Error cargando permisos:', error);
+        }
+        
+        return this.permissions;
+    }
+    
     /**
      * Refresh authentication token
+     * The refresh token changes on every use; it is read from storage so tabs share the latest one
      */
     async refreshToken() {
-        if (!this.token) {
+        const refreshToken = localStorage.getItem(this.REFRESH_KEY);
+        if (!this.token || !refreshToken) {
             return false;
         }
         
@@ -282,13 +324,18 @@ class AuthManager {
             const response = await fetch(`${this.API_BASE}/auth/refresh`, {
                 method: 'POST',
                 headers: {
-                    'Authorization': `Bearer ${this.token}`,
                     'Content-Type': 'application/json'
-                }
+                },
+                body: JSON.stringify({ refresh_token: refreshToken })
             });
             
+            // Only an invalid session logs out; otherwise keep the current token until it expires
+            if (response.status === 401) {
+                throw new Error('Sesión expirada');
+            }
+            
             if (!response.ok) {
-                throw new Error('Error refrescando token');
+                return false;
             }
             
             const data = await response.json();
@@ -296,6 +343,7 @@ class AuthManager {
             if (data.success && data.token) {
                 this.token = data.token;
                 localStorage.setItem(this.TOKEN_KEY, data.token);
+                localStorage.setItem(this.REFRESH_KEY, data.refresh_token);
                 
                 console.log('✅ Token refrescado');
                 this.emit('tokenRefreshed', data.token);
@@ -362,6 +410,11 @@ class AuthManager {
             this.loadStoredAuth();
         }
         
+        // If another tab refreshed the token
+        if (event.key === this.TOKEN_KEY && event.newValue && this.isAuthenticated()) {
+            this.token = event.newValue;
+        }
+        
         // If user data was updated
         if (event.key === this.USER_KEY && event.newValue) {
             try {
@@ -412,15 +465,10 @@ class AuthManager {
     }
     
     /**
-     * Check if current user has permission
+     * Check if current user has permission (list loaded from /api/auth/profile)
      */
     hasPermission(permission) {
-        if (this.isAdmin()) {
-            return true; // Admins have all permissions
-        }
-        
-        // Add permission checking logic here
-        return this.user?.permissions?.includes(permission) || false;
+        return this.permissions.includes(permission);
     }
     
     /**
@@ -438,7 +486,9 @@ class AuthManager {
             'admin': 'Administrador',
             'user': 'Usuario',
             'cashier': 'Cajero',
-            'manager': 'Gerente'
+            'manager': 'Gerente',
+            'supervisor': 'Supervisor',
+            'kitchen': 'Cocina'
         };
         
         return roleMap[this.user?.role] || this.user?.role || 'Usuario';
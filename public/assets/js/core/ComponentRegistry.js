@@ -248,6 +248,7 @@ class ComponentRegistry {
                     content: '',
                     closable: true,
                     size: 'md',
+                    onClose: null,
                     ...options
                 };
             }
@@ -319,6 +320,10 @@ class ComponentRegistry {
                 
                 this.backdrop.classList.remove('show');
                 
+                if (this.options.onClose) {
+                    this.options.onClose();
+                }
+                
                 setTimeout(() => {
                     if (document.body.contains(this.backdrop)) {
                         document.body.removeChild(this.backdrop);
@@ -344,6 +349,60 @@ class ComponentRegistry {
             }
         });
         
+        // Supervisor PIN prompt, built on Modal
+        const Modal = this.get('Modal');
+        this.register('PinPrompt', class PinPrompt {
+            constructor(options = {}) {
+                this.options = {
+                    title: '🔒 Autorización de supervisor',
+                    message: '',
+                    ...options
+                };
+            }
+            
+            /**
+             * Ask for the supervisor's username and PIN.
+             * Resolves { username, pin }, or null if the modal is closed without authorizing.
+             */
+            prompt() {
+                return new Promise((resolve) => {
+                    let credentials = null;
+                    
+                    const modal = new Modal({
+                        title: this.options.title,
+                        size: 'sm',
+                        content: `
+                            <p class="pin-prompt-message">${this.options.message}</p>
+                            <form class="pin-prompt-form">
+                                <input type="text" class="form-control" name="username" placeholder="Usuario supervisor" autocomplete="off" required>
+                                <input type="password" class="form-control" name="pin" placeholder="PIN" inputmode="numeric" pattern="[0-9]{4,8}" maxlength="8" autocomplete="off" required>
+                                <div class="pin-prompt-actions">
+                                    <button type="button" class="btn btn-secondary" data-action="cancel">Cancelar</button>
+                                    <button type="submit" class="btn btn-success">Autorizar</button>
+                                </div>
+                            </form>
+                        `,
+                        onClose: () => resolve(credentials)
+                    });
+                    
+                    modal.render();
+                    const form = modal.element.querySelector('form');
+                    
+                    form.addEventListener('submit', (e) => {
+                        e.preventDefault();
+                        credentials = {
+                            username: form.elements.username.value.trim(),
+                            pin: form.elements.pin.value
+                        };
+                        modal.close();
+                    });
+                    form.querySelector('[data-action="cancel"]').addEventListener('click', () => modal.close());
+                    
+                    modal.open();
+                });
+            }
+        });
+        
         console.log('🧩 Componentes built-in registrados');
     }
     
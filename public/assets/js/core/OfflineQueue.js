@@ -0,0 +1,192 @@
+/**
+ * ==========================================
+ * OFFLINE QUEUE
+ * Ventas cobradas sin conexión, guardadas en IndexedDB hasta sincronizarlas
+ * ==========================================
+ */
+
+import uuidv4 from '/vendor/uuid/v4.js';
+
+const DB_NAME = 'pos-offline';
+const DB_VERSION = 1;
+const STORE = 'sales';
+
+/**
+ * OfflineQueue - Cola de ventas pendientes de enviar al servidor
+ *
+ * Cada venta lleva un client_uuid generado al cobrar. El servidor lo usa para no
+ * registrarla dos veces: un reenvío responde 409 y la venta se da por sincronizada.
+ */
+class OfflineQueue {
+    constructor() {
+        this.db = null;
+        this.syncing = false;
+        this.listeners = [];
+    }
+
+    /**
+     * Open (or create) the IndexedDB database
+     */
+    async init() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'client_uuid' });
+                store.createIndex('queued_at', 'queued_at');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    /**
+     * Run a request against the sales store
+     */
+    async withStore(mode, action) {
+        const db = await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = action(transaction.objectStore(STORE));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * UUID for a new sale
+     */
+    newId() {
+        return uuidv4();
+    }
+
+    /**
+     * Queue a sale (saleData must include client_uuid)
+     */
+    async add(saleData) {
+        const record = {
+            client_uuid: saleData.client_uuid,
+            sale: { ...saleData, client_created_at: saleData.client_created_at || new Date().toISOString() },
+            queued_at: new Date().toISOString(),
+            status: 'pending',
+            attempts: 0,
+            last_error: null
+        };
+
+        await this.withStore('readwrite', store => store.put(record));
+        this.notify();
+        return record;
+    }
+
+    /**
+     * Queued sales, oldest first
+     */
+    async getAll() {
+        const records = await this.withStore('readonly', store => store.getAll());
+        return records.sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+    }
+
+    async remove(clientUuid) {
+        await this.withStore('readwrite', store => store.delete(clientUuid));
+        this.notify();
+    }
+
+    /**
+     * Counts for the pending-sync indicator
+     */
+    async getStats() {
+        const records = await this.getAll();
+        return {
+            pending: records.filter(r => r.status === 'pending').length,
+            failed: records.filter(r => r.status === 'error').length
+        };
+    }
+
+    /**
+     * Send queued sales to POST /api/sales/sync, oldest first.
+     * - 201 o 409 (ya registrada): se quita de la cola
+     * - Otro error del servidor (4xx): queda marcada con el error para revisarla
+     * - Sin conexión o servidor caído: se detiene y se reintenta más tarde
+     * includeFailed: también reintenta las marcadas con error
+     */
+    async sync(authToken, { includeFailed = false } = {}) {
+        if (this.syncing) return { synced: 0, failed: 0 };
+        this.syncing = true;
+
+        let synced = 0;
+        let failed = 0;
+
+        try {
+            const records = await this.getAll();
+
+            for (const record of records) {
+                if (record.status === 'error' && !includeFailed) continue;
+
+                let response;
+                try {
+                    response = await fetch('/api/sales/sync', {
+                        method: 'POST',
+                        headers: {
+                            'Authorization': `Bearer ${authToken}`,
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify(record.sale)
+                    });
+                } catch (error) {
+                    break;
+                }
+
+                // Sesión vencida o servidor no disponible: se reintenta después
+                if (response.status === 401 || response.status >= 500) break;
+
+                if (response.status === 201 || response.status === 409) {
+                    await this.remove(record.client_uuid);
+                    synced++;
+                    continue;
+                }
+
+                const result = await response.json().catch(() => ({}));
+                await this.withStore('readwrite', store => store.put({
+                    ...record,
+                    status: 'error',
+                    attempts: record.attempts + 1,
+                    last_error: result.message || `HTTP ${response.status}`
+                }));
+                failed++;
+            }
+        } finally {
+            this.syncing = false;
+            this.notify();
+        }
+
+        return { synced, failed };
+    }
+
+    /**
+     * Listen for queue changes
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('❌ Error en listener de la cola offline:', error);
+            }
+        });
+    }
+}
+
+export { OfflineQueue };
\ No newline at end of file
@@ -319,7 +319,8 @@ class AuthView extends BaseView {
                 
                 // Redirect after animation
                 setTimeout(() => {
-                    this.app.router.navigate('/dashboard');
+                    this.app.router.navigate(this.app.redirectAfterLogin || '/dashboard');
+                    this.app.redirectAfterLogin = null;
                 }, 1500);
                 
             } else {
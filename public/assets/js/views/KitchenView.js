@@ -0,0 +1,321 @@
+/**
+ * ==========================================
+ * KITCHEN VIEW - PANTALLA DE COCINA
+ * Comandas en tiempo real por estación (Server-Sent Events)
+ * ==========================================
+ */
+
+import { BaseView } from './BaseView.js';
+
+// Siguiente estado al tocar un item
+const NEXT_STATUS = {
+    pending: 'in_progress',
+    in_progress: 'ready',
+    ready: 'pending'
+};
+
+// Espera antes de pedir un ticket nuevo para reconectar
+const RECONNECT_DELAY = 5000;
+
+const STATUS_LABELS = {
+    pending: 'Pendiente',
+    in_progress: 'En preparación',
+    ready: 'Listo'
+};
+
+/**
+ * KitchenView - Comandas pendientes; los cocineros marcan items en preparación y listos
+ */
+class KitchenView extends BaseView {
+    constructor(options) {
+        super(options);
+
+        this.name = 'kitchen';
+        this.title = 'Cocina';
+
+        // Comandas activas por id
+        this.orders = new Map();
+        this.stations = [];
+        this.stationId = null;
+        this.eventSource = null;
+        // Cada connect() descarta los anteriores que aún esperan su ticket
+        this.connectAttempt = 0;
+
+        // Bind methods
+        this.handleClick = this.handleClick.bind(this);
+        this.handleStationChange = this.handleStationChange.bind(this);
+    }
+
+    /**
+     * Initialize the view
+     */
+    async onInit() {
+        this.stationId = this.getLocalData('station_id');
+
+        try {
+            const response = await this.app.api.get('/kitchen/stations');
+            this.stations = response.stations || [];
+        } catch (error) {
+            this.showError('No se pudieron cargar las estaciones');
+        }
+
+        // La estación guardada pudo haberse eliminado
+        if (this.stationId && !this.stations.some(station => station.id === this.stationId)) {
+            this.stationId = null;
+            this.removeLocalData('station_id');
+        }
+
+        await this.render();
+
+        this.addEventListener(this.container, 'click', this.handleClick);
+        this.addEventListener(this.$('[data-kitchen-station]'), 'change', this.handleStationChange);
+
+        // Refrescar el tiempo de espera de cada comanda
+        this.setInterval(() => this.renderOrders(), 30000);
+
+        this.connect();
+    }
+
+    /**
+     * Render the view
+     */
+    async render() {
+        const options = this.stations.map(station => `
+            <option value="${station.id}" ${station.id === this.stationId ? 'selected' : ''}>
+                ${this.escape(station.name)}
+            </option>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="kitchen-page">
+                <header class="kitchen-header">
+                    <h1>🍳 Cocina</h1>
+                    <select class="kitchen-station" data-kitchen-station>
+                        <option value="">Todas las estaciones</option>
+                        ${options}
+                    </select>
+                    <span class="kitchen-connection" data-kitchen-connection>Conectando...</span>
+                </header>
+                <main class="kitchen-board" data-kitchen-board></main>
+            </div>
+        `;
+
+        this.renderOrders();
+    }
+
+    /**
+     * Server-Sent Events
+     * La URL lleva un ticket de corta duración (POST /kitchen/stream-ticket), no el token de acceso
+     */
+    async connect() {
+        this.disconnect();
+        const attempt = ++this.connectAttempt;
+
+        let ticket;
+        try {
+            ({ ticket } = await this.app.api.post('/kitchen/stream-ticket'));
+        } catch (error) {
+            // Sin sesión la API ya redirige al login; si es la red, se reintenta
+            this.setConnectionStatus(false);
+            this.setTimeout(() => this.connect(), RECONNECT_DELAY);
+            return;
+        }
+
+        if (attempt !== this.connectAttempt || this.isDestroyed) return;
+
+        const params = new URLSearchParams({ ticket });
+        if (this.stationId) {
+            params.set('station_id', this.stationId);
+        }
+
+        this.eventSource = new EventSource(`/api/kitchen/stream?${params.toString()}`);
+
+        this.eventSource.addEventListener('snapshot', (event) => {
+            this.orders = new Map(JSON.parse(event.data).map(order => [order.id, order]));
+            this.renderOrders();
+        });
+
+        this.eventSource.addEventListener('order', (event) => {
+            const order = JSON.parse(event.data);
+            const isNew = !this.orders.has(order.id);
+
+            this.upsertOrder(order);
+
+            if (isNew && this.orders.has(order.id)) {
+                this.showInfo(`Nueva comanda ${this.getOrderNumber(order)} - ${order.station_name}`);
+            }
+        });
+
+        this.eventSource.onopen = () => this.setConnectionStatus(true);
+
+        // EventSource reintenta solo con la misma URL; si el servidor la rechaza (ticket vencido,
+        // sesión cerrada) queda cerrado y se pide un ticket nuevo
+        this.eventSource.onerror = () => {
+            this.setConnectionStatus(false);
+
+            if (this.eventSource && this.eventSource.readyState === EventSource.CLOSED) {
+                this.setTimeout(() => this.connect(), RECONNECT_DELAY);
+            }
+        };
+    }
+
+    disconnect() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    setConnectionStatus(isOnline) {
+        const status = this.$('[data-kitchen-connection]');
+        if (!status) return;
+
+        status.textContent = isOnline ? 'En línea' : 'Reconectando...';
+        status.classList.toggle('is-offline', !isOnline);
+    }
+
+    /**
+     * Comandas listas o canceladas salen de la pantalla
+     */
+    upsertOrder(order) {
+        if (this.stationId && order.station_id !== this.stationId) {
+            return;
+        }
+
+        if (order.status === 'ready' || order.status === 'cancelled') {
+            this.orders.delete(order.id);
+        } else {
+            this.orders.set(order.id, order);
+        }
+
+        this.renderOrders();
+    }
+
+    renderOrders() {
+        const board = this.$('[data-kitchen-board]');
+        if (!board) return;
+
+        const orders = Array.from(this.orders.values())
+            .sort((a, b) => a.id - b.id);
+
+        if (orders.length === 0) {
+            board.innerHTML = '<p class="kitchen-empty">Sin comandas pendientes</p>';
+            return;
+        }
+
+        board.innerHTML = orders.map(order => this.getOrderTemplate(order)).join('');
+    }
+
+    getOrderTemplate(order) {
+        const orderType = order.order_type === 'takeaway'
+            ? 'Para llevar'
+            : `Mesa ${order.table_number || '-'}`;
+        const minutes = this.getElapsedMinutes(order.created_at);
+
+        const items = order.items.map(item => `
+            <li class="kitchen-item is-${item.status}" data-kitchen-item="${item.id}" data-status="${item.status}">
+                <span class="kitchen-item-qty">${item.quantity}x</span>
+                <span class="kitchen-item-name">
+                    ${this.escape(item.product_name)}
+                    ${item.modifiers ? `<small>${this.escape(item.modifiers)}</small>` : ''}
+                </span>
+                <span class="kitchen-item-status">${STATUS_LABELS[item.status]}</span>
+            </li>
+        `).join('');
+
+        return `
+            <article class="kitchen-order is-${order.status} ${minutes >= 15 ? 'is-late' : ''}">
+                <header class="kitchen-order-header">
+                    <strong>${this.getOrderNumber(order)}</strong>
+                    <span>${orderType}</span>
+                    <span class="kitchen-order-time">${minutes} min</span>
+                </header>
+                <div class="kitchen-order-station">${this.escape(order.station_name)}</div>
+                ${order.customer_name ? `<div class="kitchen-order-customer">${this.escape(order.customer_name)}</div>` : ''}
+                <ul class="kitchen-items">${items}</ul>
+                ${order.observations ? `<p class="kitchen-order-notes">📝 ${this.escape(order.observations)}</p>` : ''}
+                <footer class="kitchen-order-actions">
+                    <button class="btn btn-warning btn-sm" data-kitchen-order="${order.id}" data-status="in_progress">Preparar todo</button>
+                    <button class="btn btn-success btn-sm" data-kitchen-order="${order.id}" data-status="ready">Todo listo</button>
+                </footer>
+            </article>
+        `;
+    }
+
+    /**
+     * Event handlers
+     */
+    async handleClick(event) {
+        const item = event.target.closest('[data-kitchen-item]');
+        if (item) {
+            await this.updateStatus(
+                `/kitchen/items/${item.dataset.kitchenItem}`,
+                NEXT_STATUS[item.dataset.status]
+            );
+            return;
+        }
+
+        const button = event.target.closest('[data-kitchen-order]');
+        if (button) {
+            button.disabled = true;
+            await this.updateStatus(`/kitchen/orders/${button.dataset.kitchenOrder}`, button.dataset.status);
+        }
+    }
+
+    handleStationChange(event) {
+        this.stationId = event.target.value ? parseInt(event.target.value) : null;
+
+        if (this.stationId) {
+            this.setLocalData('station_id', this.stationId);
+        } else {
+            this.removeLocalData('station_id');
+        }
+
+        this.orders.clear();
+        this.renderOrders();
+        this.connect();
+    }
+
+    async updateStatus(endpoint, status) {
+        try {
+            const response = await this.app.api.patch(endpoint, { status });
+            this.upsertOrder(response.order);
+        } catch (error) {
+            this.showError(error.message || 'No se pudo actualizar la comanda');
+            this.renderOrders();
+        }
+    }
+
+    /**
+     * Lifecycle hooks
+     */
+    onNetworkRestore() {
+        this.connect();
+    }
+
+    onDestroy() {
+        this.disconnect();
+    }
+
+    /**
+     * Utilities
+     */
+    // Las comandas de mesa aún no tienen venta: se identifican por la cuenta
+    getOrderNumber(order) {
+        return order.sale_id ? `#${order.sale_id}` : `Cuenta ${order.tab_id}`;
+    }
+
+    getElapsedMinutes(createdAt) {
+        // SQLite guarda CURRENT_TIMESTAMP en UTC
+        const created = new Date(`${createdAt.replace(' ', 'T')}Z`);
+        return Math.max(0, Math.floor((Date.now() - created.getTime()) / 60000));
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+}
+
+export default KitchenView;
\ No newline at end of file
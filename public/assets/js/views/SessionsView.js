@@ -0,0 +1,266 @@
+/**
+ * ==========================================
+ * SESSIONS VIEW - SESIONES ACTIVAS
+ * Sesiones abiertas por usuario; el administrador puede cerrarlas
+ * y quitar los bloqueos de login y de PIN por intentos fallidos
+ * ==========================================
+ */
+
+import { BaseView } from './BaseView.js';
+
+// Qué quedó bloqueado en cada alcance de bloqueo
+const LOCKOUT_SCOPES = {
+    username: 'Usuario',
+    ip: 'IP',
+    pin: 'PIN de',
+    requester: 'Autorizaciones pedidas por'
+};
+
+/**
+ * SessionsView - Lists open sessions and revokes one or all of a user's sessions.
+ * Active login and PIN lockouts are listed above the sessions and can be lifted early.
+ */
+class SessionsView extends BaseView {
+    constructor(options) {
+        super(options);
+
+        this.name = 'sessions';
+        this.title = 'Sesiones';
+
+        this.users = [];
+        this.sessions = [];
+        this.lockouts = [];
+        this.userId = null;
+
+        // Bind methods
+        this.handleClick = this.handleClick.bind(this);
+        this.handleUserChange = this.handleUserChange.bind(this);
+    }
+
+    /**
+     * Initialize the view
+     */
+    async onInit() {
+        try {
+            const response = await this.app.api.get('/auth/users');
+            this.users = (response.users || []).filter(user => user.active);
+        } catch (error) {
+            this.showError('No se pudieron cargar los usuarios');
+        }
+
+        await this.render();
+
+        this.addEventListener(this.container, 'click', this.handleClick);
+        this.addEventListener(this.$('[data-sessions-user]'), 'change', this.handleUserChange);
+
+        await Promise.all([this.loadSessions(), this.loadLockouts()]);
+    }
+
+    /**
+     * Render the view
+     */
+    async render() {
+        const options = this.users.map(user => `
+            <option value="${user.id}" ${user.id === this.userId ? 'selected' : ''}>
+                ${this.escape(user.full_name)} (${this.escape(user.username)})
+            </option>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="sessions-page">
+                <header class="sessions-header">
+                    <h1>🔐 Sesiones activas</h1>
+                    <select class="sessions-user" data-sessions-user>
+                        <option value="">Todos los usuarios</option>
+                        ${options}
+                    </select>
+                    <button class="btn btn-error btn-sm" data-sessions-revoke-user hidden>Cerrar todas sus sesiones</button>
+                </header>
+                <section class="sessions-lockouts" data-sessions-lockouts hidden></section>
+                <main class="sessions-list" data-sessions-list></main>
+            </div>
+        `;
+    }
+
+    async loadSessions() {
+        try {
+            const params = this.userId ? { user_id: this.userId } : {};
+            const response = await this.app.api.get('/sessions', params);
+            this.sessions = response.sessions || [];
+        } catch (error) {
+            this.showError(error.message || 'No se pudieron cargar las sesiones');
+            this.sessions = [];
+        }
+
+        this.renderSessions();
+    }
+
+    renderSessions() {
+        const list = this.$('[data-sessions-list]');
+        if (!list) return;
+
+        const revokeUser = this.$('[data-sessions-revoke-user]');
+        revokeUser.hidden = !this.userId || this.sessions.length === 0;
+
+        if (this.sessions.length === 0) {
+            list.innerHTML = '<p class="sessions-empty">No hay sesiones abiertas</p>';
+            return;
+        }
+
+        list.innerHTML = `
+            <table class="sessions-table">
+                <thead>
+                    <tr>
+                        <th>Usuario</th>
+                        <th>Equipo</th>
+                        <th>IP</th>
+                        <th>Inicio</th>
+                        <th>Último uso</th>
+                        <th>Vence</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.sessions.map(session => this.getSessionTemplate(session)).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    getSessionTemplate(session) {
+        const action = session.current
+            ? '<span class="sessions-current">Esta sesión</span>'
+            : `<button class="btn btn-error btn-sm" data-session-revoke="${session.id}">Cerrar</button>`;
+
+        return `
+            <tr>
+                <td>
+                    <strong>${this.escape(session.full_name)}</strong>
+                    <small>${this.escape(session.username)} · ${this.escape(session.role)}</small>
+                </td>
+                <td class="sessions-agent" title="${this.escape(session.user_agent)}">${this.escape(this.getDeviceName(session.user_agent))}</td>
+                <td>${this.escape(session.ip_address || '-')}</td>
+                <td>${this.formatDate(session.created_at)}</td>
+                <td>${this.formatDate(session.last_used_at)}</td>
+                <td>${this.formatDate(session.expires_at)}</td>
+                <td>${action}</td>
+            </tr>
+        `;
+    }
+
+    async loadLockouts() {
+        try {
+            const response = await this.app.api.get('/security/lockouts');
+            this.lockouts = response.lockouts || [];
+        } catch (error) {
+            this.lockouts = [];
+        }
+
+        this.renderLockouts();
+    }
+
+    renderLockouts() {
+        const section = this.$('[data-sessions-lockouts]');
+        if (!section) return;
+
+        section.hidden = this.lockouts.length === 0;
+        section.innerHTML = `
+            <h2>🔒 Bloqueos por intentos fallidos</h2>
+            <ul>
+                ${this.lockouts.map(lockout => `
+                    <li>
+                        <span>
+                            <strong>${LOCKOUT_SCOPES[lockout.scope] || lockout.scope} ${this.escape(lockout.value)}</strong>
+                            <small>${lockout.failed_attempts} intentos fallidos · hasta ${this.formatDate(lockout.locked_until)}</small>
+                        </span>
+                        <button class="btn btn-primary btn-sm" data-lockout-unlock="${lockout.id}">Desbloquear</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Event handlers
+     */
+    async handleClick(event) {
+        const unlock = event.target.closest('[data-lockout-unlock]');
+        if (unlock) {
+            unlock.disabled = true;
+            await this.unlock(unlock.dataset.lockoutUnlock);
+            return;
+        }
+
+        const button = event.target.closest('[data-session-revoke]');
+        if (button) {
+            if (!confirm('¿Cerrar esta sesión? El usuario deberá volver a iniciar sesión en ese equipo.')) return;
+
+            button.disabled = true;
+            await this.revoke(`/sessions/${button.dataset.sessionRevoke}`);
+            return;
+        }
+
+        if (event.target.closest('[data-sessions-revoke-user]')) {
+            if (!confirm('¿Cerrar todas las sesiones de este usuario?')) return;
+
+            await this.revoke(`/sessions/user/${this.userId}`);
+        }
+    }
+
+    async handleUserChange(event) {
+        this.userId = event.target.value ? parseInt(event.target.value) : null;
+        await this.loadSessions();
+    }
+
+    async revoke(endpoint) {
+        try {
+            const response = await this.app.api.delete(endpoint);
+            this.showSuccess(response.message || 'Sesión cerrada');
+        } catch (error) {
+            this.showError(error.message || 'No se pudo cerrar la sesión');
+        }
+
+        await this.loadSessions();
+    }
+
+    async unlock(lockoutId) {
+        try {
+            const response = await this.app.api.delete(`/security/lockouts/${lockoutId}`);
+            this.showSuccess(response.message || 'Bloqueo eliminado');
+        } catch (error) {
+            this.showError(error.message || 'No se pudo desbloquear');
+        }
+
+        await this.loadLockouts();
+    }
+
+    /**
+     * Utilities
+     */
+    getDeviceName(userAgent) {
+        if (!userAgent) return 'Desconocido';
+
+        const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(`${name}/`));
+        const system = ['Windows', 'Android', 'iPhone', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+
+        if (!browser && !system) return userAgent.slice(0, 40);
+        return [browser === 'Edg' ? 'Edge' : browser, system].filter(Boolean).join(' · ');
+    }
+
+    // SQLite guarda CURRENT_TIMESTAMP en UTC
+    formatDate(value) {
+        if (!value) return '-';
+        return new Date(`${value.replace(' ', 'T')}Z`).toLocaleString('es-ES', {
+            dateStyle: 'short',
+            timeStyle: 'short'
+        });
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+}
+
+export default SessionsView;
\ No newline at end of file
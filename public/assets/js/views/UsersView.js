@@ -0,0 +1,337 @@
+/**
+ * ==========================================
+ * USERS VIEW - ADMINISTRACIÓN DE USUARIOS
+ * Crear, editar, desactivar y eliminar usuarios;
+ * obligar a cambiar la contraseña
+ * ==========================================
+ */
+
+import { BaseView } from './BaseView.js';
+
+/**
+ * UsersView - User administration: create/edit form, status filter and per-user actions.
+ * Users with sales can only be deactivated; the server enforces the same rules.
+ */
+class UsersView extends BaseView {
+    constructor(options) {
+        super(options);
+
+        this.name = 'users';
+        this.title = 'Usuarios';
+
+        this.users = [];
+        this.roles = [];
+        this.policy = null;
+        this.filter = 'active';
+        this.editingId = null;
+
+        // Bind methods
+        this.handleClick = this.handleClick.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleFilterChange = this.handleFilterChange.bind(this);
+    }
+
+    /**
+     * Initialize the view
+     */
+    async onInit() {
+        try {
+            const response = await this.app.api.get('/roles');
+            this.roles = response.roles || [];
+        } catch (error) {
+            this.showError('No se pudieron cargar los roles');
+        }
+
+        await this.render();
+
+        this.addEventListener(this.container, 'click', this.handleClick);
+        this.addEventListener(this.$('[data-user-form]'), 'submit', this.handleSubmit);
+        this.addEventListener(this.$('[data-users-filter]'), 'change', this.handleFilterChange);
+
+        await this.loadUsers();
+    }
+
+    /**
+     * Render the view
+     */
+    async render() {
+        const roleOptions = this.roles.map(role => `
+            <option value="${this.escape(role.name)}">${this.escape(role.name)}${role.description ? ` - ${this.escape(role.description)}` : ''}</option>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="users-page">
+                <header class="users-header">
+                    <h1>👥 Usuarios</h1>
+                    <select class="users-filter" data-users-filter>
+                        <option value="active">Activos</option>
+                        <option value="inactive">Desactivados</option>
+                        <option value="all">Todos</option>
+                    </select>
+                    <a class="btn btn-secondary btn-sm" href="/sessions">🔐 Sesiones</a>
+                    <button class="btn btn-primary btn-sm" data-user-new>➕ Nuevo usuario</button>
+                </header>
+
+                <form class="users-form" data-user-form hidden>
+                    <h2 data-user-form-title>Nuevo usuario</h2>
+                    <label data-create-only>
+                        Usuario
+                        <input type="text" name="username" autocomplete="off" spellcheck="false">
+                    </label>
+                    <label>
+                        Nombre completo
+                        <input type="text" name="full_name" required>
+                    </label>
+                    <label>
+                        Rol
+                        <select name="role">${roleOptions}</select>
+                    </label>
+                    <label data-create-only>
+                        Contraseña
+                        <input type="password" name="password" autocomplete="new-password">
+                        <small data-password-rules></small>
+                    </label>
+                    <label class="users-check" data-create-only>
+                        <input type="checkbox" name="must_change_password" checked>
+                        Debe cambiar la contraseña al iniciar sesión
+                    </label>
+                    <div class="users-form-actions">
+                        <button type="button" class="btn btn-secondary btn-sm" data-user-cancel>Cancelar</button>
+                        <button type="submit" class="btn btn-primary btn-sm">Guardar</button>
+                    </div>
+                </form>
+
+                <main class="users-list" data-users-list></main>
+            </div>
+        `;
+    }
+
+    async loadUsers() {
+        try {
+            const params = this.filter === 'all' ? {} : { active: this.filter === 'active' };
+            const response = await this.app.api.get('/users', params);
+            this.users = response.users || [];
+            this.policy = response.password_policy || null;
+        } catch (error) {
+            this.showError(error.message || 'No se pudieron cargar los usuarios');
+            this.users = [];
+        }
+
+        this.renderUsers();
+    }
+
+    renderUsers() {
+        const list = this.$('[data-users-list]');
+        if (!list) return;
+
+        if (this.users.length === 0) {
+            list.innerHTML = '<p class="users-empty">No hay usuarios</p>';
+            return;
+        }
+
+        list.innerHTML = `
+            <table class="users-table">
+                <thead>
+                    <tr>
+                        <th>Usuario</th>
+                        <th>Rol</th>
+                        <th>Estado</th>
+                        <th>Último ingreso</th>
+                        <th>Ventas</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.users.map(user => this.getUserTemplate(user)).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    getUserTemplate(user) {
+        const isSelf = this.app.auth.user && this.app.auth.user.id === user.id;
+
+        const status = user.active
+            ? `<span class="users-badge users-badge-active">Activo</span>`
+            : `<span class="users-badge users-badge-inactive">Desactivado</span>`;
+        const passwordFlag = user.must_change_password
+            ? '<span class="users-badge users-badge-warning">Cambio de contraseña pendiente</span>'
+            : '';
+
+        const actions = [
+            `<button class="btn btn-secondary btn-sm" data-user-edit="${user.id}">Editar</button>`
+        ];
+        if (!isSelf) {
+            actions.push(`<button class="btn btn-secondary btn-sm" data-user-reset="${user.id}">Contraseña</button>`);
+            actions.push(user.active
+                ? `<button class="btn btn-warning btn-sm" data-user-deactivate="${user.id}">Desactivar</button>`
+                : `<button class="btn btn-success btn-sm" data-user-activate="${user.id}">Reactivar</button>`);
+            if (user.sales_count === 0) {
+                actions.push(`<button class="btn btn-error btn-sm" data-user-delete="${user.id}">Eliminar</button>`);
+            }
+        }
+
+        return `
+            <tr class="${user.active ? '' : 'users-row-inactive'}">
+                <td>
+                    <strong>${this.escape(user.full_name)}</strong>
+                    <small>${this.escape(user.username)}${isSelf ? ' · usted' : ''}</small>
+                </td>
+                <td>${this.escape(user.role)}</td>
+                <td>${status} ${passwordFlag}</td>
+                <td>${this.formatDate(user.last_login_at)}</td>
+                <td>${user.sales_count}</td>
+                <td class="users-actions">${actions.join('')}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Form
+     */
+    openForm(user = null) {
+        const form = this.$('[data-user-form]');
+        form.reset();
+        this.editingId = user ? user.id : null;
+
+        this.$('[data-user-form-title]').textContent = user ? `Editar ${user.username}` : 'Nuevo usuario';
+        form.querySelectorAll('[data-create-only]').forEach(field => { field.hidden = Boolean(user); });
+        form.elements.username.required = !user;
+        form.elements.password.required = !user;
+
+        if (user) {
+            form.elements.full_name.value = user.full_name;
+            form.elements.role.value = user.role;
+        } else {
+            form.elements.role.value = 'cashier';
+        }
+
+        this.$('[data-password-rules]').textContent = this.getPolicyText();
+
+        form.hidden = false;
+        this.setFocus(user ? form.elements.full_name : form.elements.username);
+    }
+
+    closeForm() {
+        this.$('[data-user-form]').hidden = true;
+        this.editingId = null;
+    }
+
+    getPolicyText() {
+        if (!this.policy) return '';
+
+        const rules = [`al menos ${this.policy.min_length} caracteres`];
+        if (this.policy.require_uppercase) rules.push('una mayúscula');
+        if (this.policy.require_number) rules.push('un número');
+        if (this.policy.require_symbol) rules.push('un símbolo');
+        return `Debe tener ${rules.join(', ')}`;
+    }
+
+    /**
+     * Event handlers
+     */
+    async handleSubmit(event) {
+        event.preventDefault();
+
+        const form = event.target;
+        const data = this.getFormData(form);
+
+        try {
+            let response;
+            if (this.editingId) {
+                response = await this.app.api.put(`/users/${this.editingId}`, {
+                    full_name: data.full_name,
+                    role: data.role
+                });
+            } else {
+                response = await this.app.api.post('/users', {
+                    username: data.username,
+                    full_name: data.full_name,
+                    role: data.role,
+                    password: data.password,
+                    must_change_password: form.elements.must_change_password.checked
+                });
+            }
+
+            this.showSuccess(response.message || 'Usuario guardado');
+            this.closeForm();
+            await this.loadUsers();
+
+        } catch (error) {
+            this.showError(error.message || 'No se pudo guardar el usuario');
+        }
+    }
+
+    async handleClick(event) {
+        const target = event.target.closest('button');
+        if (!target) return;
+
+        if (target.matches('[data-user-new]')) {
+            this.openForm();
+            return;
+        }
+
+        if (target.matches('[data-user-cancel]')) {
+            this.closeForm();
+            return;
+        }
+
+        const { userEdit, userReset, userDeactivate, userActivate, userDelete } = target.dataset;
+        const user = this.users.find(item => String(item.id) === (userEdit || userReset || userDeactivate || userActivate || userDelete));
+        if (!user) return;
+
+        if (userEdit) {
+            this.openForm(user);
+        } else if (userReset) {
+            const password = prompt(
+                `Contraseña temporal para ${user.username}.\nDéjela vacía para que cambie la actual al iniciar sesión.`
+            );
+            if (password === null) return;
+            await this.runAction(() => this.app.api.post(`/users/${user.id}/reset-password`, { password }));
+        } else if (userDeactivate) {
+            if (!confirm(`¿Desactivar a ${user.full_name}? No podrá iniciar sesión y sus sesiones se cerrarán.`)) return;
+            await this.runAction(() => this.app.api.post(`/users/${user.id}/deactivate`));
+        } else if (userActivate) {
+            await this.runAction(() => this.app.api.post(`/users/${user.id}/activate`));
+        } else if (userDelete) {
+            if (!confirm(`¿Eliminar a ${user.full_name}? Esta acción no se puede deshacer.`)) return;
+            await this.runAction(() => this.app.api.delete(`/users/${user.id}`));
+        }
+    }
+
+    async handleFilterChange(event) {
+        this.filter = event.target.value;
+        await this.loadUsers();
+    }
+
+    async runAction(action) {
+        try {
+            const response = await action();
+            this.showSuccess(response.message || 'Listo');
+        } catch (error) {
+            this.showError(error.message || 'No se pudo completar la acción');
+        }
+
+        await this.loadUsers();
+    }
+
+    /**
+     * Utilities
+     */
+    // SQLite guarda CURRENT_TIMESTAMP en UTC
+    formatDate(value) {
+        if (!value) return '-';
+        return new Date(`${value.replace(' ', 'T')}Z`).toLocaleString('es-ES', {
+            dateStyle: 'short',
+            timeStyle: 'short'
+        });
+    }
+
+    escape(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+}
+
+export default UsersView;
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * ==========================================
+ * SERVICE WORKER
+ * Mantiene el POS disponible sin conexión
+ * ==========================================
+ *
+ * - La pantalla del POS y sus recursos se guardan al instalar.
+ * - Productos, categorías y modificadores: primero la red, y si no responde la última copia.
+ * - Las ventas no pasan por aquí: sin conexión las guarda la cola de IndexedDB (OfflineQueue).
+ */
+
+const CACHE_VERSION = 'pos-v1';
+const SHELL_CACHE = `${CACHE_VERSION}-shell`;
+const DATA_CACHE = `${CACHE_VERSION}-data`;
+
+const SHELL_FILES = [
+    '/pos',
+    '/manifest.json',
+    '/assets/css/base/variables.css',
+    '/assets/css/pos.css',
+    '/assets/css/components/modal.css',
+    '/assets/js/core/OfflineQueue.js',
+    '/assets/js/core/ComponentRegistry.js',
+    // uuid v4 y los módulos que importa
+    '/vendor/uuid/v4.js',
+    '/vendor/uuid/native.js',
+    '/vendor/uuid/rng.js',
+    '/vendor/uuid/stringify.js',
+    '/vendor/uuid/validate.js',
+    '/vendor/uuid/regex.js'
+];
+
+// Catálogo que el POS necesita para vender sin conexión
+const CACHED_API = [
+    /^\/api\/products$/,
+    /^\/api\/categories$/,
+    /^\/api\/products\/\d+\/modifiers$/
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Borrar cachés de versiones anteriores
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => !key.startsWith(CACHE_VERSION))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Red primero; si falla, la copia guardada
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (CACHED_API.some(pattern => pattern.test(url.pathname))) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+        return;
+    }
+
+    // El resto de la API siempre va a la red
+    if (url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate' || SHELL_FILES.includes(url.pathname) || url.pathname.startsWith('/vendor/')) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
\ No newline at end of file
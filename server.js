@@ -1,11 +1,13 @@
 const app = require('./server/app');
-codex/add-logging-utility-with-winston-or-pino
 const config = require('./server/config/config');
 const logger = require('./server/utils/logger');
-main
+const backup = require('./server/utils/backup');
+const printQueue = require('./server/utils/printQueue');
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   logger.info(`🚀 Servidor POS iniciado en http://localhost:${PORT}`);
+  backup.startSchedule();
+  printQueue.start().catch(error => logger.error(`Error iniciando la cola de impresión: ${error}`));
 });
 
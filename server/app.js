@@ -54,8 +54,11 @@ app.use('/server', (req, res) => {
 });
 
 const suspiciousPatterns = [/\.env/, /\.git/, /node_modules/, /package\.json/, /server\//, /\.js$/, /\.sql$/, /\.db$/];
+// Los módulos del frontend (core, vistas, componentes), las librerías del navegador
+// y el service worker sí son públicos
+const publicScripts = /^\/(assets\/js\/|vendor\/|sw\.js$)/;
 app.use((req, res, next) => {
-  if (suspiciousPatterns.some(p => p.test(req.path))) {
+  if (!publicScripts.test(req.path) && suspiciousPatterns.some(p => p.test(req.path))) {
     logger.warn(`🚨 ACCESO SOSPECHOSO: ${req.ip} intentó acceder a ${req.path}`);
     return res.status(404).json({ error: 'Archivo no encontrado' });
   }
@@ -63,6 +66,8 @@ app.use((req, res, next) => {
 });
 
 app.use(express.static(path.join(__dirname, '..', 'public')));
+// uuid para el navegador (ventas sin conexión)
+app.use('/vendor/uuid', express.static(path.join(__dirname, '..', 'node_modules', 'uuid', 'dist', 'esm-browser')));
 
 const viewsPath = path.join(__dirname, '..', 'public', 'views');
 app.get('/', (req, res) => res.redirect('/login'));
@@ -72,14 +77,32 @@ app.get('/pos', (req, res) => res.sendFile(path.join(viewsPath, 'pos.html')));
 app.get('/products', (req, res) => res.sendFile(path.join(viewsPath, 'products.html')));
 app.get('/categories', (req, res) => res.sendFile(path.join(viewsPath, 'categories.html')));
 app.get('/reports', (req, res) => res.sendFile(path.join(viewsPath, 'reports.html')));
-app.get('/create-user', (req, res) => res.sendFile(path.join(viewsPath, 'create-user.html')));
+app.get('/kitchen', (req, res) => res.sendFile(path.join(viewsPath, 'kitchen.html')));
+app.get('/sessions', (req, res) => res.sendFile(path.join(viewsPath, 'sessions.html')));
+app.get('/users', (req, res) => res.sendFile(path.join(viewsPath, 'users.html')));
+app.get('/create-user', (req, res) => res.redirect('/users'));
 
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/users', require('./routes/users'));
 app.use('/api/categories', require('./routes/categories'));
 app.use('/api/products', require('./routes/products'));
+app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/ingredients', require('./routes/ingredients'));
+app.use('/api/modifiers', require('./routes/modifiers'));
+app.use('/api/promotions', require('./routes/promotions'));
+app.use('/api/customers', require('./routes/customers'));
 app.use('/api/sales', require('./routes/sales'));
+app.use('/api/kitchen', require('./routes/kitchen'));
+app.use('/api/tabs', require('./routes/tabs'));
+app.use('/api/cash-sessions', require('./routes/cashSessions'));
 app.use('/api/reports', require('./routes/reports'));
 app.use('/api/printer', require('./routes/printer'));
+app.use('/api/backups', require('./routes/backups'));
+app.use('/api/ticket-templates', require('./routes/ticketTemplates'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/approvals', require('./routes/approvals'));
+app.use('/api/sessions', require('./routes/sessions'));
+app.use('/api/security', require('./routes/security'));
 
 app.use((err, req, res, next) => {
   logger.error(`🚨 Error del servidor: ${err.stack}`);
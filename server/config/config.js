@@ -1,6 +1,14 @@
 require('dotenv').config();
+const path = require('path');
 
-const { JWT_SECRET, PORT, JWT_EXPIRES, PRINTER_NAME, NODE_ENV } = process.env;
+const {
+  JWT_SECRET, PORT, JWT_EXPIRES, PRINTER_NAME, PRINTER_DRIVER, PRINTER_HOST, PRINTER_PORT, PRINTER_FILE_DIR, NODE_ENV, DISCOUNT_APPROVAL_PERCENT,
+  TAX_RATE, PRICES_INCLUDE_TAX, INVOICE_AUTHORIZATION, LOYALTY_POINTS_PER_BS, LOYALTY_POINT_VALUE,
+  BACKUP_DIR, BACKUP_INTERVAL_HOURS, BACKUP_RETENTION, BACKUP_PRE_RESTORE_RETENTION, IDEMPOTENCY_WINDOW_HOURS, PRINT_MAX_ATTEMPTS,
+  APPROVAL_TOKEN_MINUTES, REFRESH_TOKEN_DAYS, LOGIN_MAX_ATTEMPTS, LOGIN_MAX_ATTEMPTS_PER_IP, LOGIN_ATTEMPT_WINDOW_MINUTES,
+  LOGIN_LOCKOUT_MINUTES, LOGIN_DELAY_MS, PASSWORD_MIN_LENGTH, PASSWORD_REQUIRE_UPPERCASE, PASSWORD_REQUIRE_NUMBER,
+  PASSWORD_REQUIRE_SYMBOL, PIN_MAX_ATTEMPTS, PIN_MAX_ATTEMPTS_PER_REQUESTER
+} = process.env;
 
 if (!JWT_SECRET) {
   throw new Error('JWT_SECRET must be set in environment variables');
@@ -10,7 +18,55 @@ module.exports = {
   PORT: PORT || 3000,
   JWT_SECRET,
   JWT_EXPIRES: JWT_EXPIRES || '24h',
+  // Días sin refrescar tras los que la sesión vence (cada refresco los vuelve a contar)
+  REFRESH_TOKEN_DAYS: parseFloat(REFRESH_TOKEN_DAYS) || 7,
+  // Fallos de login seguidos que bloquean a un usuario, y desde una IP (con cualquier usuario)
+  LOGIN_MAX_ATTEMPTS: parseInt(LOGIN_MAX_ATTEMPTS) || 5,
+  LOGIN_MAX_ATTEMPTS_PER_IP: parseInt(LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+  // Minutos en los que se cuentan los fallos, y minutos que dura el bloqueo
+  LOGIN_ATTEMPT_WINDOW_MINUTES: parseFloat(LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+  LOGIN_LOCKOUT_MINUTES: parseFloat(LOGIN_LOCKOUT_MINUTES) || 15,
+  // Demora de la respuesta tras el primer fallo en ms; se duplica con cada fallo seguido (0 = sin demora)
+  LOGIN_DELAY_MS: LOGIN_DELAY_MS !== undefined && LOGIN_DELAY_MS !== '' ? parseInt(LOGIN_DELAY_MS) : 500,
+  // Reglas para contraseñas nuevas: largo mínimo y si deben incluir mayúscula, número o símbolo
+  PASSWORD_MIN_LENGTH: parseInt(PASSWORD_MIN_LENGTH) || 6,
+  PASSWORD_REQUIRE_UPPERCASE: PASSWORD_REQUIRE_UPPERCASE === 'true',
+  PASSWORD_REQUIRE_NUMBER: PASSWORD_REQUIRE_NUMBER === 'true',
+  PASSWORD_REQUIRE_SYMBOL: PASSWORD_REQUIRE_SYMBOL === 'true',
   PRINTER_NAME: PRINTER_NAME || 'EPSON TM-T20III Receipt',
-  ENVIRONMENT: NODE_ENV || 'development'
+  // Controlador de impresora: windows, escpos-tcp (red, puerto 9100), cups (lp) o file (tickets en archivos)
+  PRINTER_DRIVER: PRINTER_DRIVER || (process.platform === 'win32' ? 'windows' : 'cups'),
+  // Impresora de red para escpos-tcp
+  PRINTER_HOST: PRINTER_HOST || null,
+  PRINTER_PORT: parseInt(PRINTER_PORT) || 9100,
+  // Carpeta de la impresora virtual (file)
+  PRINTER_FILE_DIR: PRINTER_FILE_DIR ? path.resolve(PRINTER_FILE_DIR) : path.join(__dirname, '../../temp/tickets'),
+  ENVIRONMENT: NODE_ENV || 'development',
+  // Descuentos manuales por encima de este porcentaje requieren autorización de un supervisor (permiso approve_discount)
+  DISCOUNT_APPROVAL_PERCENT: parseFloat(DISCOUNT_APPROVAL_PERCENT) || 10,
+  // Tasa general de impuesto en % (IVA 13%); productos y categorías pueden tener la suya
+  TAX_RATE: TAX_RATE !== undefined && TAX_RATE !== '' ? parseFloat(TAX_RATE) : 13,
+  // true: los precios del catálogo ya incluyen el impuesto; false: se suma al cobrar
+  PRICES_INCLUDE_TAX: PRICES_INCLUDE_TAX !== 'false',
+  // Número de autorización de facturación vigente (la numeración de facturas es por autorización)
+  INVOICE_AUTHORIZATION: INVOICE_AUTHORIZATION || null,
+  // Programa de fidelidad: puntos ganados por cada Bs pagado y valor en Bs de cada punto al canjear
+  LOYALTY_POINTS_PER_BS: LOYALTY_POINTS_PER_BS !== undefined && LOYALTY_POINTS_PER_BS !== '' ? parseFloat(LOYALTY_POINTS_PER_BS) : 1,
+  LOYALTY_POINT_VALUE: parseFloat(LOYALTY_POINT_VALUE) || 0.05,
+  // Respaldos automáticos de la base: carpeta, cada cuántas horas (0 = desactivados) y cuántas copias conservar
+  BACKUP_DIR: BACKUP_DIR ? path.resolve(BACKUP_DIR) : path.join(__dirname, '../../database/backups'),
+  BACKUP_INTERVAL_HOURS: BACKUP_INTERVAL_HOURS !== undefined && BACKUP_INTERVAL_HOURS !== '' ? parseFloat(BACKUP_INTERVAL_HOURS) : 24,
+  BACKUP_RETENTION: parseInt(BACKUP_RETENTION) || 14,
+  BACKUP_PRE_RESTORE_RETENTION: parseInt(BACKUP_PRE_RESTORE_RETENTION) || 5,
+  // Horas durante las que una Idempotency-Key repetida recibe la respuesta guardada
+  IDEMPOTENCY_WINDOW_HOURS: parseFloat(IDEMPOTENCY_WINDOW_HOURS) || 24,
+  // Intentos de la cola de impresión antes de marcar un trabajo como fallido
+  PRINT_MAX_ATTEMPTS: parseInt(PRINT_MAX_ATTEMPTS) || 5,
+  // Minutos de validez de la autorización que un supervisor da con su PIN (un solo uso)
+  APPROVAL_TOKEN_MINUTES: parseFloat(APPROVAL_TOKEN_MINUTES) || 2,
+  // PIN incorrectos seguidos que bloquean el PIN de un supervisor, y al usuario que pide autorizaciones
+  // (con la misma ventana y duración que el login)
+  PIN_MAX_ATTEMPTS: parseInt(PIN_MAX_ATTEMPTS) || 3,
+  PIN_MAX_ATTEMPTS_PER_REQUESTER: parseInt(PIN_MAX_ATTEMPTS_PER_REQUESTER) || 10
 };
 
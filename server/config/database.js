@@ -3,6 +3,8 @@ const sqlite3 = require('sqlite3').verbose();
 const logger = require('../utils/logger');
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const Migrator = require('./migrator');
 
 class Database {
     constructor() {
@@ -15,42 +17,60 @@ class Database {
         this.dbPath = path.join(dbDir, 'pos.db');
         this.db = null;
         this.isInitialized = false;
+        this.autoMigrate = true;
+        // Conexión en curso: todos los que llaman a connect() esperan la misma
+        this.connecting = null;
+
+        // Transacción en curso: la conexión es única, así que solo hay una a la vez.
+        // El contexto asíncrono identifica qué consultas forman parte de ella.
+        this.activeTransaction = null;
+        this.transactionContext = new AsyncLocalStorage();
     }
 
-    async connect() {
-        return new Promise((resolve, reject) => {
-            this.db = new sqlite3.Database(this.dbPath, (err) => {
-                if (err) {
-                    logger.error(`Error conectando a la base de datos: ${err}`);
-                    reject(err);
-                } else {
-                    logger.info('Conectado a SQLite database');
-                    this.initTables().then(() => {
-                        this.isInitialized = true;
-                        resolve(this.db);
-                    }).catch(reject);
-                }
+    // Abre la conexión y aplica las migraciones una sola vez, aunque varios módulos
+    // (respaldos, cola de impresión, primeras solicitudes) la pidan al mismo tiempo
+    connect() {
+        if (!this.connecting) {
+            this.connecting = new Promise((resolve, reject) => {
+                this.db = new sqlite3.Database(this.dbPath, (err) => {
+                    if (err) {
+                        logger.error(`Error conectando a la base de datos: ${err}`);
+                        reject(err);
+                    } else {
+                        logger.info('Conectado a SQLite database');
+                        this.migrate().then(() => {
+                            this.isInitialized = true;
+                            resolve(this.db);
+                        }).catch(reject);
+                    }
+                });
+            }).catch(error => {
+                // Un fallo permite volver a intentarlo
+                this.connecting = null;
+                throw error;
             });
-        });
+        }
+        return this.connecting;
     }
 
-    async initTables() {
-        logger.info('📋 Creando tablas...');
-        
-        // Habilitar foreign keys
+    // Aplica las migraciones pendientes (server/migrations) al conectar.
+    // El CLI de migraciones desactiva autoMigrate para manejarlas a mano.
+    async migrate() {
         await this.runAsync('PRAGMA foreign_keys = ON');
-        
-        // Crear tablas en orden (respetando dependencias)
-        await this.createUsersTable();
-        await this.createCategoriesTable();
-        await this.createProductsTable();
-        await this.createSalesTable();
-        await this.createSaleDetailsTable();
-        
-        logger.info('✅ Todas las tablas creadas correctamente');
-    }
-
-    runAsync(sql, params = []) {
+
+        if (this.autoMigrate) {
+            const applied = await new Migrator(this).up();
+            if (applied.length > 0) {
+                logger.info(`✅ ${applied.length} migraciones aplicadas`);
+            }
+        }
+    }
+
+    // API de consultas con promesas. Fuera de la transacción en curso, esperan a que termine
+    // para no quedar incluidas en ella (ni perderse en un ROLLBACK).
+    async runAsync(sql, params = []) {
+        await this.waitForTransaction();
+
         return new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
                 if (err) reject(err);
@@ -59,101 +79,163 @@ class Database {
         });
     }
 
-    async createUsersTable() {
-        const sql = `
-            CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                username VARCHAR(50) UNIQUE NOT NULL,
-                password VARCHAR(255) NOT NULL,
-                full_name VARCHAR(100) NOT NULL,
-                role VARCHAR(20) DEFAULT 'user',
-                active BOOLEAN DEFAULT 1,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `;
-        await this.runAsync(sql);
-        logger.info('✅ Tabla users creada');
-    }
-
-    async createCategoriesTable() {
-        const sql = `
-            CREATE TABLE IF NOT EXISTS categories (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name VARCHAR(100) NOT NULL,
-                description TEXT,
-                active BOOLEAN DEFAULT 1,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-        `;
-        await this.runAsync(sql);
-        logger.info('✅ Tabla categories creada');
-    }
-
-    async createProductsTable() {
-        const sql = `
-            CREATE TABLE IF NOT EXISTS products (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name VARCHAR(100) NOT NULL,
-                description TEXT,
-                price DECIMAL(10,2) NOT NULL,
-                category_id INTEGER,
-                image_url VARCHAR(255),
-                active BOOLEAN DEFAULT 1,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (category_id) REFERENCES categories(id)
-            )
-        `;
-        await this.runAsync(sql);
-        logger.info('✅ Tabla products creada (sin stock)');
-    }
-
-    async createSalesTable() {
-        const sql = `
-            CREATE TABLE IF NOT EXISTS sales (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                customer_nit VARCHAR(20),
-                customer_name VARCHAR(100),
-                order_type VARCHAR(20) NOT NULL,
-                table_number VARCHAR(10),
-                observations TEXT,
-                subtotal DECIMAL(10,2) NOT NULL,
-                total DECIMAL(10,2) NOT NULL,
-                paid_amount DECIMAL(10,2) NOT NULL,
-                change_amount DECIMAL(10,2) DEFAULT 0,
-                user_id INTEGER NOT NULL,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id)
-            )
-        `;
-        await this.runAsync(sql);
-        logger.info('✅ Tabla sales creada');
-    }
-
-    async createSaleDetailsTable() {
-        const sql = `
-            CREATE TABLE IF NOT EXISTS sale_details (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                sale_id INTEGER NOT NULL,
-                product_id INTEGER NOT NULL,
-                product_name VARCHAR(100) NOT NULL,
-                quantity INTEGER NOT NULL,
-                unit_price DECIMAL(10,2) NOT NULL,
-                subtotal DECIMAL(10,2) NOT NULL,
-                FOREIGN KEY (sale_id) REFERENCES sales(id),
-                FOREIGN KEY (product_id) REFERENCES products(id)
-            )
-        `;
-        await this.runAsync(sql);
-        logger.info('✅ Tabla sale_details creada');
+    async getAsync(sql, params = []) {
+        await this.waitForTransaction();
+
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
     }
 
+    async allAsync(sql, params = []) {
+        await this.waitForTransaction();
+
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    async waitForTransaction() {
+        while (this.activeTransaction && this.transactionContext.getStore() !== this.activeTransaction) {
+            await this.activeTransaction.done;
+        }
+    }
+
+    async begin() {
+        await this.runAsync('BEGIN IMMEDIATE TRANSACTION');
+    }
+
+    async commit() {
+        await this.runAsync('COMMIT');
+    }
+
+    async rollback() {
+        await this.runAsync('ROLLBACK');
+    }
+
+    // Ejecuta work() en una transacción: COMMIT si termina bien, ROLLBACK si lanza un error.
+    // Dentro de otra transacción usa un SAVEPOINT: un error revierte solo la parte de work().
+    async transaction(work) {
+        const current = this.transactionContext.getStore();
+        if (current && current === this.activeTransaction) {
+            const savepoint = `sp_${++current.savepoints}`;
+            await this.runAsync(`SAVEPOINT ${savepoint}`);
+            try {
+                const result = await work();
+                await this.runAsync(`RELEASE ${savepoint}`);
+                return result;
+            } catch (error) {
+                await this.runAsync(`ROLLBACK TO ${savepoint}`);
+                await this.runAsync(`RELEASE ${savepoint}`);
+                throw error;
+            }
+        }
+
+        return this.exclusive(async () => {
+            await this.begin();
+            try {
+                const result = await work();
+                await this.commit();
+                return result;
+            } catch (error) {
+                await this.rollback();
+                throw error;
+            }
+        });
+    }
+
+    // Ejecuta work() con la conexión reservada: las consultas de fuera esperan a que termine
+    async exclusive(work) {
+        // Esperar y tomar el turno sin ceder el control entre la comprobación y la asignación
+        while (this.activeTransaction) {
+            await this.activeTransaction.done;
+        }
+
+        let finish;
+        const transaction = { savepoints: 0, done: new Promise(resolve => { finish = resolve; }) };
+        this.activeTransaction = transaction;
+
+        try {
+            return await this.transactionContext.run(transaction, work);
+        } finally {
+            this.activeTransaction = null;
+            finish();
+        }
+    }
+
+    // Copia en línea con la API de backup de SQLite (la base sigue en uso mientras tanto).
+    // toFile = true: copia la base a filename; false: reemplaza la base con el contenido de filename.
+    async copyDatabase(filename, toFile) {
+        await this.ensureConnected();
+
+        return this.exclusive(() => new Promise((resolve, reject) => {
+            const backup = this.db.backup(filename, 'main', 'main', toFile, (err) => {
+                if (err) return reject(err);
+
+                backup.step(-1, (stepErr) => {
+                    backup.finish(() => {
+                        if (stepErr) reject(stepErr);
+                        else if (!backup.completed) reject(new Error('La copia de la base de datos no se completó'));
+                        else resolve();
+                    });
+                });
+            });
+        }));
+    }
+
+    async backupTo(filename) {
+        await this.copyDatabase(filename, true);
+    }
+
+    // Las copias antiguas pueden tener un esquema anterior: se aplican las migraciones pendientes
+    async restoreFrom(filename) {
+        await this.copyDatabase(filename, false);
+        await this.migrate();
+    }
+
+    // Agrega una columna solo si la tabla aún no la tiene (instalaciones existentes)
+    async addColumnIfMissing(table, column, definition) {
+        const columns = await this.allAsync(`PRAGMA table_info(${table})`);
+        if (!columns.some(col => col.name === column)) {
+            await this.runAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            logger.info(`✅ Columna ${table}.${column} agregada`);
+        }
+    }
+
+    // SQLite no permite quitar columnas con restricciones ni un NOT NULL: se crea la tabla nueva,
+    // se copian las columnas que ambas tienen y se reemplaza.
+    // createTable(name) debe crear la tabla con el nombre recibido.
+    // Se usa dentro de una migración (transacción abierta y foreign_keys desactivadas por el Migrator).
+    async rebuildTable(table, createTable) {
+        const oldColumns = (await this.allAsync(`PRAGMA table_info(${table})`)).map(col => col.name);
+
+        await createTable(`${table}_new`);
+
+        const newColumns = (await this.allAsync(`PRAGMA table_info(${table}_new)`)).map(col => col.name);
+        const columns = newColumns.filter(column => oldColumns.includes(column)).join(', ');
+
+        await this.runAsync(`INSERT INTO ${table}_new (${columns}) SELECT ${columns} FROM ${table}`);
+        await this.runAsync(`DROP TABLE ${table}`);
+        await this.runAsync(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+
+        logger.info(`✅ Tabla ${table} reconstruida`);
+    }
+
+    // Acceso directo a la conexión: se salta la espera de transacciones, así que solo
+    // se entrega fuera de una transacción o desde dentro de ella. Los modelos usan runAsync/getAsync/allAsync.
     getDB() {
         if (!this.db) {
             throw new Error('Base de datos no inicializada. Llama a connect() primero.');
         }
+        if (this.activeTransaction && this.transactionContext.getStore() !== this.activeTransaction) {
+            throw new Error('Hay una transacción en curso: usa runAsync/getAsync/allAsync en lugar de getDB()');
+        }
         return this.db;
     }
 
@@ -167,6 +249,8 @@ class Database {
     close() {
         return new Promise((resolve) => {
             if (this.db) {
+                this.isInitialized = false;
+                this.connecting = null;
                 this.db.close((err) => {
                     if (err) logger.error(`Error cerrando la base de datos: ${err}`);
                     else logger.info('Base de datos cerrada');
@@ -0,0 +1,150 @@
+// server/config/migrator.js - Migraciones versionadas del esquema
+// Cada archivo de server/migrations se llama NNN_descripcion.js y exporta { up(db), down(db) }.
+// Las migraciones aplicadas se registran en schema_migrations.
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+class Migrator {
+    // database: instancia de Database (runAsync, allAsync, addColumnIfMissing, rebuildTable)
+    constructor(database, directory = MIGRATIONS_DIR) {
+        this.database = database;
+        this.directory = directory;
+    }
+
+    // Migraciones disponibles ordenadas por versión
+    load() {
+        const migrations = fs.readdirSync(this.directory)
+            .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => ({
+                version: parseInt(match[1]),
+                name: match[2],
+                file,
+                ...require(path.join(this.directory, file))
+            }))
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (index > 0 && migrations[index - 1].version === migration.version) {
+                throw new Error(`Versión de migración duplicada: ${migration.version}`);
+            }
+            if (typeof migration.up !== 'function') {
+                throw new Error(`La migración ${migration.file} no exporta up()`);
+            }
+        });
+
+        return migrations;
+    }
+
+    async ensureTable() {
+        await this.database.runAsync(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    async getApplied() {
+        await this.ensureTable();
+        return this.database.allAsync('SELECT * FROM schema_migrations ORDER BY version');
+    }
+
+    // Estado de cada migración: aplicada (con fecha) o pendiente
+    async status() {
+        const applied = await this.getApplied();
+
+        return this.load().map(migration => {
+            const row = applied.find(a => a.version === migration.version);
+            return {
+                version: migration.version,
+                name: migration.name,
+                applied_at: row ? row.applied_at : null
+            };
+        });
+    }
+
+    // Aplicar las pendientes hasta targetVersion (todas si no se indica)
+    async up(targetVersion = null) {
+        const applied = await this.getApplied();
+        const pending = this.load().filter(migration =>
+            !applied.some(a => a.version === migration.version) &&
+            (targetVersion === null || migration.version <= targetVersion)
+        );
+
+        for (const migration of pending) {
+            await this.run(migration, 'up');
+        }
+
+        return pending;
+    }
+
+    // Revertir las últimas `steps` migraciones aplicadas
+    async down(steps = 1) {
+        const applied = await this.getApplied();
+        const migrations = this.load();
+
+        const toRevert = applied.slice(-steps).reverse().map(row => {
+            const migration = migrations.find(m => m.version === row.version);
+            if (!migration) {
+                throw new Error(`No se encontró el archivo de la migración ${row.version}_${row.name}`);
+            }
+            if (typeof migration.down !== 'function') {
+                throw new Error(`La migración ${migration.file} no se puede revertir (no exporta down())`);
+            }
+            return migration;
+        });
+
+        for (const migration of toRevert) {
+            await this.run(migration, 'down');
+        }
+
+        return toRevert;
+    }
+
+    // Cada migración corre en su propia transacción junto con su registro en schema_migrations.
+    // Las claves foráneas se desactivan mientras tanto (SQLite no permite cambiarlas dentro de una
+    // transacción y reconstruir tablas las rompería momentáneamente).
+    async run(migration, direction) {
+        const db = this.database;
+        const label = migration.file.replace(/\.js$/, '');
+
+        logger.info(`🔄 Migración ${label} (${direction})`);
+
+        await db.runAsync('PRAGMA foreign_keys = OFF');
+        try {
+            await db.transaction(async () => {
+                await migration[direction](db);
+
+                if (direction === 'up') {
+                    await db.runAsync(
+                        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                        [migration.version, migration.name]
+                    );
+                } else {
+                    await db.runAsync('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+                }
+
+                const violations = await db.allAsync('PRAGMA foreign_key_check');
+                if (violations.length > 0) {
+                    logger.warn(`⚠️ Migración ${label}: ${violations.length} referencias inválidas en ${[...new Set(violations.map(v => v.table))].join(', ')}`);
+                }
+            });
+        } catch (error) {
+            throw new Error(`Migración ${label} falló: ${error.message}`);
+        } finally {
+            await db.runAsync('PRAGMA foreign_keys = ON');
+        }
+
+        logger.info(`✅ Migración ${label} (${direction}) aplicada`);
+    }
+}
+
+Migrator.MIGRATIONS_DIR = MIGRATIONS_DIR;
+
+module.exports = Migrator;
\ No newline at end of file
@@ -0,0 +1,127 @@
+// server/controllers/approvalController.js - Autorizaciones de supervisor con PIN
+// El supervisor escribe su usuario y PIN en el POS del cajero; la respuesta es un token de un solo uso
+// para esa acción (y esa venta, si se indica) que el cajero envía como approval_token.
+// Los PIN incorrectos se cuentan como los fallos de login (loginGuard): demasiados bloquean el PIN del
+// supervisor y, aparte, al usuario que pide las autorizaciones.
+const Approval = require('../models/Approval');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Sale = require('../models/Sale');
+const loginGuard = require('../utils/loginGuard');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class ApprovalController {
+    // 429 con Retry-After mientras dure el bloqueo
+    static lockedResponse(res, lockout) {
+        const minutes = Math.max(1, Math.ceil(lockout.seconds_left / 60));
+
+        res.set('Retry-After', String(lockout.seconds_left));
+        return res.status(429).json({
+            success: false,
+            message: `Demasiados PIN incorrectos. Intente de nuevo en ${minutes} minuto${minutes === 1 ? '' : 's'}`,
+            locked_until: lockout.locked_until
+        });
+    }
+
+    static async create(req, res) {
+        try {
+            const { username, pin, action, sale_id } = req.body;
+
+            if (!Approval.ACTIONS.includes(action)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Acción inválida. Use: ${Approval.ACTIONS.join(', ')}`
+                });
+            }
+
+            if (!username || !pin) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Usuario y PIN son requeridos'
+                });
+            }
+
+            if (sale_id !== undefined && sale_id !== null && !(await Sale.findById(sale_id))) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Venta no encontrada'
+                });
+            }
+
+            const attempt = {
+                username: String(username),
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent'),
+                requested_by: req.user.username
+            };
+
+            // PIN del supervisor o solicitante bloqueados: no se comprueba el PIN
+            const lockout = await loginGuard.findPinLockout(attempt.username, attempt.requested_by);
+            if (lockout) {
+                await loginGuard.recordPinLocked(attempt);
+                return ApprovalController.lockedResponse(res, lockout);
+            }
+
+            // 403 y no 401: la sesión del cajero sigue siendo válida
+            const approver = await User.findByUsername(attempt.username);
+            if (!(await User.verifyPin(pin, approver ? approver.pin_hash : null))) {
+                logger.warn(`PIN inválido para ${username} (solicitado por ${req.user.username})`);
+                const failure = await loginGuard.recordPinFailure({
+                    ...attempt,
+                    user_id: approver ? approver.id : null,
+                    reason: approver ? 'bad_pin' : 'unknown_user'
+                });
+                await loginGuard.wait(failure.delay);
+
+                if (failure.lockout) {
+                    return ApprovalController.lockedResponse(res, failure.lockout);
+                }
+                return res.status(403).json({
+                    success: false,
+                    message: 'Usuario o PIN incorrectos'
+                });
+            }
+
+            await loginGuard.recordPinSuccess({ ...attempt, user_id: approver.id });
+
+            if (!(await Role.hasPermission(approver.role, action))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'El usuario no tiene permiso para autorizar esta acción'
+                });
+            }
+
+            const approval = await Approval.create({
+                action,
+                approved_by: approver.id,
+                requested_by: req.user.id,
+                sale_id: sale_id || null,
+                minutes: config.APPROVAL_TOKEN_MINUTES
+            });
+
+            logger.info(`🔓 ${approver.username} autorizó ${action} a ${req.user.username}${approval.sale_id ? ` (venta #${approval.sale_id})` : ''}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Acción autorizada',
+                approval: {
+                    token: approval.token,
+                    action,
+                    sale_id: approval.sale_id,
+                    expires_at: approval.expires_at,
+                    approved_by: { id: approver.id, full_name: approver.full_name }
+                }
+            });
+
+        } catch (error) {
+            logger.error(`Error autorizando acción: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = ApprovalController;
\ No newline at end of file
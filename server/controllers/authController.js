@@ -1,10 +1,52 @@
 // server/controllers/authController.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const { userFromToken } = require('../middleware/auth');
+const loginGuard = require('../utils/loginGuard');
+const passwordPolicy = require('../utils/passwordPolicy');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 
 class AuthController {
+    // Usuario sin la contraseña ni el PIN, con los permisos de su rol
+    static async publicUser(user) {
+        const { password: _, pin_hash: pinHash, ...userWithoutPassword } = user;
+        return {
+            ...userWithoutPassword,
+            has_pin: Boolean(pinHash),
+            must_change_password: Boolean(user.must_change_password),
+            permissions: await Role.permissionsFor(user.role)
+        };
+    }
+
+    // Token de acceso (JWT) ligado a la sesión: cerrar la sesión lo invalida
+    static accessToken(user, session) {
+        return jwt.sign(
+            {
+                id: user.id,
+                username: user.username,
+                role: user.role,
+                sid: session.id
+            },
+            config.JWT_SECRET,
+            { expiresIn: config.JWT_EXPIRES }
+        );
+    }
+
+    // Login bloqueado por demasiados intentos fallidos (429 con Retry-After)
+    static lockedResponse(res, lockout) {
+        const minutes = Math.max(1, Math.ceil(lockout.seconds_left / 60));
+
+        res.set('Retry-After', String(lockout.seconds_left));
+        return res.status(429).json({
+            success: false,
+            message: `Demasiados intentos fallidos. Intente de nuevo en ${minutes} minuto${minutes === 1 ? '' : 's'}`,
+            locked_until: lockout.locked_until
+        });
+    }
+
     // Iniciar sesión
     static async login(req, res) {
         try {
@@ -18,43 +60,58 @@ class AuthController {
                 });
             }
 
-            // Buscar usuario
-            const user = await User.findByUsername(username);
-            if (!user) {
-                return res.status(401).json({
-                    success: false,
-                    message: 'Credenciales inválidas'
-                });
+            const attempt = {
+                username: String(username),
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent')
+            };
+
+            // Usuario o IP bloqueados (o intentos simultáneos que ya llegan al límite): no se comprueba la
+            // contraseña. El intento queda reservado antes de la comprobación, que es lenta
+            const reservation = await loginGuard.reserveAttempt(attempt);
+            if (reservation.lockout) {
+                return AuthController.lockedResponse(res, reservation.lockout);
             }
 
-            // Verificar contraseña
-            const isValidPassword = await User.verifyPassword(password, user.password);
+            // Buscar usuario y verificar contraseña (también si no existe, para que tarde lo mismo)
+            const user = await User.findByUsername(attempt.username);
+            const isValidPassword = await User.verifyPassword(password, user ? user.password : null);
             if (!isValidPassword) {
+                const failure = await loginGuard.recordFailure({
+                    ...attempt,
+                    attempt_id: reservation.attempt_id,
+                    user_id: user ? user.id : null,
+                    reason: user ? 'bad_password' : 'unknown_user'
+                });
+                await loginGuard.wait(failure.delay);
+
+                if (failure.lockout) {
+                    return AuthController.lockedResponse(res, failure.lockout);
+                }
                 return res.status(401).json({
                     success: false,
                     message: 'Credenciales inválidas'
                 });
             }
 
-            // Generar token JWT
-            const token = jwt.sign(
-                { 
-                    id: user.id, 
-                    username: user.username, 
-                    role: user.role 
-                },
-                config.JWT_SECRET,
-                { expiresIn: config.JWT_EXPIRES }
-            );
+            await loginGuard.recordSuccess({ attempt_id: reservation.attempt_id, user_id: user.id });
+
+            // Abrir sesión: token de acceso y refresh token
+            const { session, refresh_token } = await Session.create({
+                user_id: user.id,
+                user_agent: req.get('User-Agent'),
+                ip_address: req.ip,
+                days: config.REFRESH_TOKEN_DAYS
+            });
 
             // Respuesta exitosa (sin incluir la contraseña)
-            const { password: _, ...userWithoutPassword } = user;
-            
             res.json({
                 success: true,
                 message: 'Login exitoso',
-                token,
-                user: userWithoutPassword
+                token: AuthController.accessToken(user, session),
+                refresh_token,
+                session_id: session.id,
+                user: await AuthController.publicUser(user)
             });
 
         } catch (error) {
@@ -66,88 +123,104 @@ class AuthController {
         }
     }
 
-    // Registrar nuevo usuario (solo administradores)
-    static async register(req, res) {
+    // Verificar token
+    static async verifyToken(req, res) {
         try {
-            const { username, password, full_name, role } = req.body;
-
-            // Validar datos requeridos
-            if (!username || !password || !full_name) {
-                return res.status(400).json({
+            const token = req.headers.authorization?.split(' ')[1];
+            
+            if (!token) {
+                return res.status(401).json({
                     success: false,
-                    message: 'Username, password y full_name son requeridos'
+                    message: 'Token no proporcionado'
                 });
             }
 
-            // Verificar que el usuario no exista
-            const existingUser = await User.findByUsername(username);
-            if (existingUser) {
-                return res.status(400).json({
+            const current = await userFromToken(token);
+            const user = current && await User.findById(current.id);
+            
+            if (!user) {
+                return res.status(401).json({
                     success: false,
-                    message: 'El usuario ya existe'
+                    message: 'Sesión cerrada o usuario no válido'
                 });
             }
 
-            // Crear usuario
-            const newUser = await User.create({
-                username,
-                password,
-                full_name,
-                role: role || 'user'
-            });
-
-            // Respuesta exitosa
-            const { password: _, ...userWithoutPassword } = newUser;
-            
-            res.status(201).json({
+            res.json({
                 success: true,
-                message: 'Usuario creado exitosamente',
-                user: userWithoutPassword
+                user: await AuthController.publicUser(user)
             });
 
         } catch (error) {
-            logger.error(`Error en registro: ${error}`);
-            res.status(500).json({
+            logger.error(`Error verificando token: ${error}`);
+            res.status(401).json({
                 success: false,
-                message: 'Error interno del servidor'
+                message: 'Token inválido'
             });
         }
     }
 
-    // Verificar token
-    static async verifyToken(req, res) {
+    // Nuevo token de acceso con el refresh token; el refresh token se reemplaza en cada uso
+    static async refresh(req, res) {
         try {
-            const token = req.headers.authorization?.split(' ')[1];
-            
-            if (!token) {
-                return res.status(401).json({
+            const { refresh_token } = req.body;
+
+            if (!refresh_token) {
+                return res.status(400).json({
                     success: false,
-                    message: 'Token no proporcionado'
+                    message: 'refresh_token es requerido'
                 });
             }
 
-            const decoded = jwt.verify(token, config.JWT_SECRET);
-            const user = await User.findById(decoded.id);
-            
+            const rotated = await Session.rotate(refresh_token, config.REFRESH_TOKEN_DAYS);
+
+            if (rotated && rotated.reused) {
+                logger.warn(`Refresh token reutilizado: sesión #${rotated.reused.id} cerrada`);
+            }
+
+            const user = rotated && rotated.session && await User.findById(rotated.session.user_id);
             if (!user) {
+                if (rotated && rotated.session) {
+                    await Session.revoke(rotated.session.id, 'user_disabled');
+                }
                 return res.status(401).json({
                     success: false,
-                    message: 'Usuario no encontrado'
+                    message: 'Sesión cerrada o vencida'
                 });
             }
 
-            const { password: _, ...userWithoutPassword } = user;
-            
             res.json({
                 success: true,
-                user: userWithoutPassword
+                token: AuthController.accessToken(user, rotated.session),
+                refresh_token: rotated.refresh_token,
+                expires_at: rotated.session.expires_at
             });
 
         } catch (error) {
-            logger.error(`Error verificando token: ${error}`);
-            res.status(401).json({
+            logger.error(`Error refrescando token: ${error}`);
+            res.status(500).json({
                 success: false,
-                message: 'Token inválido'
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Cerrar la sesión actual: su token de acceso y su refresh token dejan de valer
+    static async logout(req, res) {
+        try {
+            await Session.revoke(req.user.session_id, 'logout');
+
+            logger.info(`🚪 Sesión #${req.user.session_id} cerrada por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Sesión cerrada'
+            });
+
+        } catch (error) {
+            logger.error(`Error cerrando sesión: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
             });
         }
     }
@@ -165,18 +238,24 @@ class AuthController {
                 });
             }
 
-            if (newPassword.length < 6) {
+            const passwordError = passwordPolicy.validate(newPassword, { username: req.user.username });
+            if (passwordError) {
                 return res.status(400).json({
                     success: false,
-                    message: 'La nueva contraseña debe tener al menos 6 caracteres'
+                    message: passwordError
                 });
             }
 
-            await User.changePassword(userId, oldPassword, newPassword);
+            // Las demás sesiones se cierran: quien tuviera la contraseña anterior pierde el acceso
+            const { revokedSessions } = await User.changePassword(userId, oldPassword, newPassword, req.user.session_id);
+            if (revokedSessions > 0) {
+                logger.info(`🔑 ${req.user.username} cambió su contraseña: ${revokedSessions} sesiones cerradas`);
+            }
 
             res.json({
                 success: true,
-                message: 'Contraseña cambiada exitosamente'
+                message: 'Contraseña cambiada exitosamente',
+                revoked_sessions: revokedSessions
             });
 
         } catch (error) {
@@ -196,6 +275,59 @@ class AuthController {
         }
     }
 
+    // Definir o cambiar el PIN propio (autoriza acciones de otros usuarios en el POS)
+    static async setPin(req, res) {
+        try {
+            const { pin, password } = req.body;
+
+            if (!password) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La contraseña actual es requerida'
+                });
+            }
+
+            if (pin !== null && !/^\d{4,8}$/.test(String(pin))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El PIN debe tener entre 4 y 8 dígitos'
+                });
+            }
+
+            const user = await User.findById(req.user.id);
+            if (!user || !(await User.verifyPassword(password, user.password))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Contraseña actual incorrecta'
+                });
+            }
+
+            await User.setPin(user.id, pin);
+
+            logger.info(`🔢 PIN ${pin === null ? 'eliminado' : 'actualizado'} por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: pin === null ? 'PIN eliminado exitosamente' : 'PIN guardado exitosamente'
+            });
+
+        } catch (error) {
+            logger.error(`Error guardando PIN: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Reglas de contraseña vigentes (para mostrarlas al elegir una)
+    static getPasswordPolicy(req, res) {
+        res.json({
+            success: true,
+            policy: passwordPolicy.rules()
+        });
+    }
+
     // Obtener perfil del usuario actual
     static async getProfile(req, res) {
         try {
@@ -208,11 +340,9 @@ class AuthController {
                 });
             }
 
-            const { password: _, ...userWithoutPassword } = user;
-            
             res.json({
                 success: true,
-                user: userWithoutPassword
+                user: await AuthController.publicUser(user)
             });
 
         } catch (error) {
@@ -0,0 +1,142 @@
+// server/controllers/backupController.js - Respaldos de la base de datos
+const backup = require('../utils/backup');
+const logger = require('../utils/logger');
+
+class BackupController {
+    // Listar respaldos (del más nuevo al más antiguo)
+    static async getAll(req, res) {
+        try {
+            res.json({
+                success: true,
+                backups: backup.listBackups()
+            });
+
+        } catch (error) {
+            logger.error(`Error listando respaldos: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Crear un respaldo manual ahora
+    static async create(req, res) {
+        try {
+            const created = await backup.createBackup('manual');
+
+            logger.info(`💾 Respaldo manual ${created.file} creado por ${req.user.username}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Respaldo creado exitosamente',
+                backup: created
+            });
+
+        } catch (error) {
+            logger.error(`Error creando respaldo: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Descargar el archivo de un respaldo
+    static async download(req, res) {
+        try {
+            const fullPath = backup.resolveBackup(req.params.file);
+
+            if (!fullPath) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Respaldo no encontrado'
+                });
+            }
+
+            res.download(fullPath, req.params.file);
+
+        } catch (error) {
+            logger.error(`Error descargando respaldo: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Comprobar suma de verificación e integridad de un respaldo
+    static async verify(req, res) {
+        try {
+            if (!backup.resolveBackup(req.params.file)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Respaldo no encontrado'
+                });
+            }
+
+            const result = await backup.verifyBackup(req.params.file);
+
+            res.json({
+                success: true,
+                file: req.params.file,
+                ...result
+            });
+
+        } catch (error) {
+            logger.error(`Error verificando respaldo: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Restaurar la base desde un respaldo (antes se guarda una copia del estado actual)
+    static async restore(req, res) {
+        try {
+            const { file } = req.params;
+
+            if (!backup.resolveBackup(file)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Respaldo no encontrado'
+                });
+            }
+
+            if (req.body.confirm !== true) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Confirme la restauración: los datos posteriores al respaldo se reemplazarán'
+                });
+            }
+
+            const result = await backup.restoreBackup(file);
+
+            logger.warn(`♻️ Restauración desde ${file} realizada por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: `Base de datos restaurada. El estado anterior quedó en ${result.snapshot}`,
+                ...result
+            });
+
+        } catch (error) {
+            logger.error(`Error restaurando respaldo: ${error}`);
+
+            if (error.code === 'BACKUP_INVALID') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = BackupController;
\ No newline at end of file
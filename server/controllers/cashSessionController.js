@@ -0,0 +1,372 @@
+// server/controllers/cashSessionController.js
+const CashSession = require('../models/CashSession');
+const SalePayment = require('../models/SalePayment');
+const printer = require('../utils/printer');
+const printQueue = require('../utils/printQueue');
+const logger = require('../utils/logger');
+
+class CashSessionController {
+    // Arqueo: monto esperado en caja vs. monto contado.
+    // Solo el efectivo queda en caja: se restan solo las devoluciones en efectivo hechas en esta caja
+    // y el efectivo devuelto al anular aquí ventas cobradas en otras cajas.
+    static async buildReport(session) {
+        const totals = await CashSession.getTotals(session.id);
+        const movements = await CashSession.findMovements(session.id);
+        const paymentMethods = SalePayment.summarizeByMethod(
+            await SalePayment.getTotalsBySession(session.id)
+        );
+
+        const expectedAmount = session.opening_amount + totals.cash_sales - totals.cash_refunds
+            - totals.cash_voids + totals.cash_in - totals.cash_out;
+        const countedAmount = session.counted_amount;
+
+        return {
+            session,
+            totals: {
+                opening_amount: session.opening_amount,
+                sales_count: totals.sales_count,
+                sales_amount: totals.sales_amount,
+                cash_sales: totals.cash_sales,
+                refunded_amount: totals.refunded_amount,
+                cash_refunds: totals.cash_refunds,
+                payment_methods: paymentMethods,
+                voided_count: totals.voided_count,
+                cash_voids: totals.cash_voids,
+                cash_in: totals.cash_in,
+                cash_out: totals.cash_out
+            },
+            movements,
+            reconciliation: {
+                expected_amount: Math.round(expectedAmount * 100) / 100,
+                counted_amount: countedAmount,
+                difference: countedAmount !== null && countedAmount !== undefined
+                    ? Math.round((countedAmount - expectedAmount) * 100) / 100
+                    : null
+            }
+        };
+    }
+
+    // Solo el dueño de la caja o quien tenga el permiso view_cash_sessions pueden operar sobre ella
+    static canManage(user, session) {
+        return session.user_id === user.id || user.permissions.includes('view_cash_sessions');
+    }
+
+    // Abrir caja con monto inicial
+    static async open(req, res) {
+        try {
+            const { opening_amount, notes } = req.body;
+            const openingAmount = parseFloat(opening_amount);
+
+            if (opening_amount === undefined || isNaN(openingAmount) || openingAmount < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El monto inicial debe ser un número mayor o igual a 0'
+                });
+            }
+
+            const existing = await CashSession.findOpenByUser(req.user.id);
+            if (existing) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya tiene una caja abierta',
+                    session: existing
+                });
+            }
+
+            const session = await CashSession.open({
+                user_id: req.user.id,
+                opening_amount: openingAmount,
+                opening_notes: notes ? notes.trim() : null
+            });
+
+            logger.info(`💰 Caja #${session.id} abierta por ${req.user.username} con Bs ${openingAmount.toFixed(2)}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Caja abierta exitosamente',
+                session: await CashSession.findById(session.id)
+            });
+
+        } catch (error) {
+            // Dos aperturas simultáneas: la segunda choca con el índice único de cajas abiertas
+            if (error.message.includes('UNIQUE constraint failed: cash_sessions.user_id')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya tiene una caja abierta',
+                    session: await CashSession.findOpenByUser(req.user.id)
+                });
+            }
+
+            logger.error(`Error abriendo caja: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Caja abierta del usuario actual
+    static async getCurrent(req, res) {
+        try {
+            const session = await CashSession.findOpenByUser(req.user.id);
+
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No tiene una caja abierta'
+                });
+            }
+
+            res.json({
+                success: true,
+                ...(await CashSessionController.buildReport(session))
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo caja actual: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Registrar ingreso o retiro de efectivo
+    static async addMovement(req, res) {
+        try {
+            const { id } = req.params;
+            const { type, amount, reason } = req.body;
+            const movementAmount = parseFloat(amount);
+
+            if (!['in', 'out'].includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El tipo de movimiento debe ser "in" o "out"'
+                });
+            }
+
+            if (isNaN(movementAmount) || movementAmount <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El monto debe ser un número mayor a 0'
+                });
+            }
+
+            if (!reason || !reason.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El motivo del movimiento es requerido'
+                });
+            }
+
+            const session = await CashSession.findById(id);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Caja no encontrada'
+                });
+            }
+
+            if (!CashSessionController.canManage(req.user, session)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No tiene permisos sobre esta caja'
+                });
+            }
+
+            if (session.status !== 'open') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La caja ya está cerrada'
+                });
+            }
+
+            const movement = await CashSession.addMovement({
+                session_id: session.id,
+                type,
+                amount: movementAmount,
+                reason: reason.trim(),
+                user_id: req.user.id
+            });
+
+            res.status(201).json({
+                success: true,
+                message: type === 'in' ? 'Ingreso registrado' : 'Retiro registrado',
+                movement
+            });
+
+        } catch (error) {
+            logger.error(`Error registrando movimiento de caja: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Cerrar caja con el monto contado
+    static async close(req, res) {
+        try {
+            const { id } = req.params;
+            const { counted_amount, notes } = req.body;
+            const countedAmount = parseFloat(counted_amount);
+
+            if (counted_amount === undefined || isNaN(countedAmount) || countedAmount < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El monto contado debe ser un número mayor o igual a 0'
+                });
+            }
+
+            const session = await CashSession.findById(id);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Caja no encontrada'
+                });
+            }
+
+            if (!CashSessionController.canManage(req.user, session)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No tiene permisos sobre esta caja'
+                });
+            }
+
+            if (session.status !== 'open') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La caja ya está cerrada'
+                });
+            }
+
+            const { reconciliation } = await CashSessionController.buildReport(session);
+            const difference = Math.round((countedAmount - reconciliation.expected_amount) * 100) / 100;
+
+            await CashSession.close(session.id, {
+                expected_amount: reconciliation.expected_amount,
+                counted_amount: countedAmount,
+                difference,
+                closing_notes: notes ? notes.trim() : null,
+                closed_by: req.user.id
+            });
+
+            logger.info(`🔒 Caja #${session.id} cerrada por ${req.user.username} - diferencia Bs ${difference.toFixed(2)}`);
+
+            const closedSession = await CashSession.findById(session.id);
+
+            res.json({
+                success: true,
+                message: 'Caja cerrada exitosamente',
+                ...(await CashSessionController.buildReport(closedSession))
+            });
+
+        } catch (error) {
+            logger.error(`Error cerrando caja: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Obtener arqueo de una caja
+    static async getById(req, res) {
+        try {
+            const session = await CashSession.findById(req.params.id);
+
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Caja no encontrada'
+                });
+            }
+
+            if (!CashSessionController.canManage(req.user, session)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No tiene permisos sobre esta caja'
+                });
+            }
+
+            res.json({
+                success: true,
+                ...(await CashSessionController.buildReport(session))
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo caja: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Listar cajas (solo administradores)
+    static async getAll(req, res) {
+        try {
+            const { limit = 50 } = req.query;
+            const sessions = await CashSession.findAll(parseInt(limit));
+
+            res.json({
+                success: true,
+                sessions
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo cajas: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Imprimir reporte Z de una caja cerrada
+    static async printZReport(req, res) {
+        try {
+            const session = await CashSession.findById(req.params.id);
+
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Caja no encontrada'
+                });
+            }
+
+            if (!CashSessionController.canManage(req.user, session)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No tiene permisos sobre esta caja'
+                });
+            }
+
+            if (session.status !== 'closed') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El reporte Z solo se imprime con la caja cerrada'
+                });
+            }
+
+            const report = await CashSessionController.buildReport(session);
+            const job = await printQueue.enqueueAndWait({
+                type: 'z_report',
+                reference_id: session.id,
+                content: printer.createZReport(report),
+                user_id: req.user.id
+            });
+
+            printQueue.sendJobResult(res, job, 'Reporte Z impreso correctamente', { report_data: report });
+
+        } catch (error) {
+            logger.error(`Error imprimiendo reporte Z: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = CashSessionController;
\ No newline at end of file
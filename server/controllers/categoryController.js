@@ -1,8 +1,22 @@
 // server/controllers/categoryController.js
 const Category = require('../models/Category');
+const Station = require('../models/Station');
+const { parseTaxRate } = require('../utils/tax');
 const logger = require('../utils/logger');
 
 class CategoryController {
+    // La estación es opcional: sin estación los productos no generan comanda
+    static async validateStation(stationId) {
+        if (!stationId) return null;
+
+        const station = await Station.findById(stationId);
+        if (!station) {
+            return { error: 'La estación de preparación no existe' };
+        }
+
+        return { station_id: station.id };
+    }
+
     // Obtener todas las categorías
     static async getAll(req, res) {
         try {
@@ -52,7 +66,7 @@ class CategoryController {
     // Crear nueva categoría
     static async create(req, res) {
         try {
-            const { name, description } = req.body;
+            const { name, description, station_id, tax_rate } = req.body;
 
             // Validar datos requeridos
             if (!name) {
@@ -70,9 +84,28 @@ class CategoryController {
                 });
             }
 
+            const station = await CategoryController.validateStation(station_id);
+            if (station && station.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: station.error
+                });
+            }
+
+            // Sin tasa propia se usa la tasa general de impuesto
+            const tax = parseTaxRate(tax_rate);
+            if (tax.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: tax.error
+                });
+            }
+
             const newCategory = await Category.create({
                 name: name.trim(),
-                description: description ? description.trim() : null
+                description: description ? description.trim() : null,
+                station_id: station ? station.station_id : null,
+                tax_rate: tax.tax_rate
             });
 
             res.status(201).json({
@@ -103,7 +136,7 @@ class CategoryController {
     static async update(req, res) {
         try {
             const { id } = req.params;
-            const { name, description } = req.body;
+            const { name, description, station_id, tax_rate } = req.body;
 
             // Verificar que la categoría existe
             const existingCategory = await Category.findById(id);
@@ -129,9 +162,31 @@ class CategoryController {
                 });
             }
 
+            // Sin station_id en el body se conserva la estación actual
+            const station = station_id !== undefined
+                ? await CategoryController.validateStation(station_id)
+                : { station_id: existingCategory.station_id };
+            if (station && station.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: station.error
+                });
+            }
+
+            // Sin tax_rate en el body se conserva la tasa actual
+            const tax = tax_rate !== undefined ? parseTaxRate(tax_rate) : { tax_rate: existingCategory.tax_rate };
+            if (tax.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: tax.error
+                });
+            }
+
             const updatedCategory = await Category.update(id, {
                 name: name.trim(),
-                description: description ? description.trim() : null
+                description: description ? description.trim() : null,
+                station_id: station ? station.station_id : null,
+                tax_rate: tax.tax_rate
             });
 
             res.json({
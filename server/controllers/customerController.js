@@ -0,0 +1,379 @@
+// server/controllers/customerController.js
+const Customer = require('../models/Customer');
+const Sale = require('../models/Sale');
+const LoyaltyMovement = require('../models/LoyaltyMovement');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+class CustomerController {
+    // Validar datos comunes de creación y actualización
+    static validate({ nit, name, email }) {
+        if (!name || !String(name).trim()) {
+            return 'El nombre del cliente es requerido';
+        }
+
+        if (String(name).length > 100) {
+            return 'El nombre no puede exceder 100 caracteres';
+        }
+
+        if (nit && String(nit).trim().length > 20) {
+            return 'El NIT/CI no puede exceder 20 caracteres';
+        }
+
+        if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim())) {
+            return 'El email no es válido';
+        }
+
+        return null;
+    }
+
+    // Normalizar campos opcionales (texto vacío = sin dato)
+    static clean(value) {
+        if (value === undefined || value === null) return null;
+        const text = String(value).trim();
+        return text || null;
+    }
+
+    // Obtener clientes (?search= busca por NIT o nombre, para autocompletar en el POS)
+    static async getAll(req, res) {
+        try {
+            const { search, limit = 100 } = req.query;
+            const customers = await Customer.findAll(
+                search ? String(search).trim() : null,
+                parseInt(limit) || 100
+            );
+
+            res.json({
+                success: true,
+                customers
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo clientes: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Ranking de clientes por monto comprado
+    static async getTop(req, res) {
+        try {
+            const { limit = 10 } = req.query;
+
+            res.json({
+                success: true,
+                customers: await Sale.getTopCustomers(parseInt(limit) || 10)
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo ranking de clientes: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Obtener cliente por ID
+    static async getById(req, res) {
+        try {
+            const customer = await Customer.findById(req.params.id);
+
+            if (!customer) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cliente no encontrado'
+                });
+            }
+
+            res.json({
+                success: true,
+                customer
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo cliente: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Buscar cliente por NIT/CI exacto
+    static async getByNit(req, res) {
+        try {
+            const customer = await Customer.findByNit(req.params.nit.trim());
+
+            if (!customer) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cliente no encontrado'
+                });
+            }
+
+            res.json({
+                success: true,
+                customer
+            });
+
+        } catch (error) {
+            logger.error(`Error buscando cliente por NIT: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Crear cliente
+    static async create(req, res) {
+        try {
+            const validationError = CustomerController.validate(req.body);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+
+            const customer = await Customer.create({
+                nit: CustomerController.clean(req.body.nit),
+                name: req.body.name.trim(),
+                phone: CustomerController.clean(req.body.phone),
+                email: CustomerController.clean(req.body.email),
+                notes: CustomerController.clean(req.body.notes)
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Cliente creado exitosamente',
+                customer
+            });
+
+        } catch (error) {
+            logger.error(`Error creando cliente: ${error}`);
+
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya existe un cliente con ese NIT/CI'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Actualizar cliente (los campos omitidos conservan su valor)
+    static async update(req, res) {
+        try {
+            const { id } = req.params;
+
+            const existingCustomer = await Customer.findById(id);
+            if (!existingCustomer) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cliente no encontrado'
+                });
+            }
+
+            const data = {
+                nit: req.body.nit !== undefined ? CustomerController.clean(req.body.nit) : existingCustomer.nit,
+                name: req.body.name !== undefined ? req.body.name : existingCustomer.name,
+                phone: req.body.phone !== undefined ? CustomerController.clean(req.body.phone) : existingCustomer.phone,
+                email: req.body.email !== undefined ? CustomerController.clean(req.body.email) : existingCustomer.email,
+                notes: req.body.notes !== undefined ? CustomerController.clean(req.body.notes) : existingCustomer.notes
+            };
+
+            const validationError = CustomerController.validate(data);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+
+            const customer = await Customer.update(id, { ...data, name: String(data.name).trim() });
+
+            res.json({
+                success: true,
+                message: 'Cliente actualizado exitosamente',
+                customer
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando cliente: ${error}`);
+
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya existe un cliente con ese NIT/CI'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Eliminar cliente (soft delete; sus ventas y puntos se conservan)
+    static async delete(req, res) {
+        try {
+            const { id } = req.params;
+
+            const existingCustomer = await Customer.findById(id);
+            if (!existingCustomer) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cliente no encontrado'
+                });
+            }
+
+            await Customer.delete(id);
+
+            res.json({
+                success: true,
+                message: 'Cliente eliminado exitosamente'
+            });
+
+        } catch (error) {
+            logger.error(`Error eliminando cliente: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Historial de compras del cliente
+    static async getSales(req, res) {
+        try {
+            const customer = await Customer.findById(req.params.id);
+            if (!customer) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cliente no encontrado'
+                });
+            }
+
+            const { limit = 50 } = req.query;
+
+            res.json({
+                success: true,
+                customer,
+                sales: await Sale.findByCustomer(customer.id, parseInt(limit) || 50)
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo compras del cliente: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Estado de cuenta de puntos
+    static async getPoints(req, res) {
+        try {
+            const customer = await Customer.findById(req.params.id);
+            if (!customer) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cliente no encontrado'
+                });
+            }
+
+            const { limit = 100 } = req.query;
+            const balance = await LoyaltyMovement.getBalance(customer.id);
+
+            res.json({
+                success: true,
+                customer,
+                points: {
+                    balance,
+                    value: Math.round(balance * config.LOYALTY_POINT_VALUE * 100) / 100,
+                    movements: await LoyaltyMovement.findByCustomer(customer.id, parseInt(limit) || 100)
+                }
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo puntos del cliente: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Ajuste manual de puntos (positivo suma, negativo resta)
+    static async adjustPoints(req, res) {
+        try {
+            const { points, notes } = req.body;
+            const amount = parseInt(points);
+
+            if (isNaN(amount) || amount === 0 || String(amount) !== String(points).trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Los puntos deben ser un número entero distinto de 0'
+                });
+            }
+
+            if (!notes || !String(notes).trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El motivo del ajuste es requerido'
+                });
+            }
+
+            const customer = await Customer.findById(req.params.id);
+            if (!customer) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cliente no encontrado'
+                });
+            }
+
+            const balance = await LoyaltyMovement.getBalance(customer.id);
+            if (balance + amount < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El cliente solo tiene ${balance} puntos`
+                });
+            }
+
+            const movement = await LoyaltyMovement.create({
+                customer_id: customer.id,
+                type: 'adjustment',
+                points: amount,
+                notes: String(notes).trim(),
+                user_id: req.user.id
+            });
+
+            logger.info(`⭐ Ajuste de ${amount} puntos al cliente #${customer.id} por ${req.user.username}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Puntos ajustados exitosamente',
+                movement
+            });
+
+        } catch (error) {
+            logger.error(`Error ajustando puntos: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = CustomerController;
\ No newline at end of file
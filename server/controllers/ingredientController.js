@@ -0,0 +1,327 @@
+// server/controllers/ingredientController.js
+const Ingredient = require('../models/Ingredient');
+const IngredientMovement = require('../models/IngredientMovement');
+const logger = require('../utils/logger');
+
+class IngredientController {
+    // Validar datos comunes de creación y actualización
+    static validate({ name, unit, cost, reorder_level }) {
+        if (!name || !name.trim() || !unit || !unit.trim()) {
+            return 'Nombre y unidad son requeridos';
+        }
+
+        if (name.length > 100) {
+            return 'El nombre no puede exceder 100 caracteres';
+        }
+
+        if (cost !== undefined && (isNaN(cost) || cost < 0)) {
+            return 'El costo debe ser un número mayor o igual a 0';
+        }
+
+        if (reorder_level !== undefined && (isNaN(reorder_level) || reorder_level < 0)) {
+            return 'El nivel de reposición debe ser un número mayor o igual a 0';
+        }
+
+        return null;
+    }
+
+    // Obtener todos los insumos con su stock
+    static async getAll(req, res) {
+        try {
+            const ingredients = await Ingredient.findAll();
+
+            res.json({
+                success: true,
+                ingredients: ingredients.map(ingredient => ({
+                    ...ingredient,
+                    low_stock: ingredient.stock <= ingredient.reorder_level
+                }))
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo insumos: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Obtener insumo por ID con los productos que lo usan
+    static async getById(req, res) {
+        try {
+            const ingredient = await Ingredient.findById(req.params.id);
+
+            if (!ingredient) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Insumo no encontrado'
+                });
+            }
+
+            res.json({
+                success: true,
+                ingredient: {
+                    ...ingredient,
+                    used_in: await Ingredient.findProductsUsing(ingredient.id)
+                }
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo insumo: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Crear nuevo insumo
+    static async create(req, res) {
+        try {
+            const { name, unit, cost, reorder_level } = req.body;
+
+            const validationError = IngredientController.validate(req.body);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+
+            const newIngredient = await Ingredient.create({
+                name: name.trim(),
+                unit: unit.trim(),
+                cost: cost !== undefined ? parseFloat(cost) : 0,
+                reorder_level: reorder_level !== undefined ? parseFloat(reorder_level) : 0
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Insumo creado exitosamente',
+                ingredient: await Ingredient.findById(newIngredient.id)
+            });
+
+        } catch (error) {
+            logger.error(`Error creando insumo: ${error}`);
+
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya existe un insumo con ese nombre'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Actualizar insumo
+    static async update(req, res) {
+        try {
+            const { id } = req.params;
+            const { name, unit, cost, reorder_level } = req.body;
+
+            const existingIngredient = await Ingredient.findById(id);
+            if (!existingIngredient) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Insumo no encontrado'
+                });
+            }
+
+            const validationError = IngredientController.validate(req.body);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+
+            await Ingredient.update(id, {
+                name: name.trim(),
+                unit: unit.trim(),
+                cost: cost !== undefined ? parseFloat(cost) : existingIngredient.cost,
+                reorder_level: reorder_level !== undefined ? parseFloat(reorder_level) : existingIngredient.reorder_level
+            });
+
+            res.json({
+                success: true,
+                message: 'Insumo actualizado exitosamente',
+                ingredient: await Ingredient.findById(id)
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando insumo: ${error}`);
+
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya existe un insumo con ese nombre'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Eliminar insumo (soft delete). No se permite si alguna receta lo usa.
+    static async delete(req, res) {
+        try {
+            const { id } = req.params;
+
+            const existingIngredient = await Ingredient.findById(id);
+            if (!existingIngredient) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Insumo no encontrado'
+                });
+            }
+
+            const products = await Ingredient.findProductsUsing(id);
+            if (products.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `No se puede eliminar el insumo porque se usa en ${products.length} receta(s)`
+                });
+            }
+
+            await Ingredient.delete(id);
+
+            res.json({
+                success: true,
+                message: 'Insumo eliminado exitosamente'
+            });
+
+        } catch (error) {
+            logger.error(`Error eliminando insumo: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Kardex de un insumo
+    static async getMovements(req, res) {
+        try {
+            const { id } = req.params;
+            const { limit = 100 } = req.query;
+
+            const ingredient = await Ingredient.findById(id);
+            if (!ingredient) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Insumo no encontrado'
+                });
+            }
+
+            const movements = await IngredientMovement.findByIngredient(ingredient.id, parseInt(limit));
+
+            res.json({
+                success: true,
+                ingredient,
+                movements
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo movimientos de insumo: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Registrar compra, ajuste, merma o conteo físico (solo administradores).
+    // El consumo se registra automáticamente al vender productos con receta.
+    static async createMovement(req, res) {
+        try {
+            const { id } = req.params;
+            const { type, quantity, notes } = req.body;
+            const amount = parseFloat(quantity);
+            const manualTypes = IngredientMovement.TYPES.filter(t => t !== 'consumption');
+
+            if (!manualTypes.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Tipo de movimiento inválido. Use ${manualTypes.join(', ')}`
+                });
+            }
+
+            if (isNaN(amount)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad debe ser un número'
+                });
+            }
+
+            if (type === 'adjustment' && amount === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad del ajuste debe ser distinta de 0'
+                });
+            }
+
+            if (type === 'count' && amount < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad contada debe ser mayor o igual a 0'
+                });
+            }
+
+            if (['purchase', 'waste'].includes(type) && amount <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad debe ser mayor a 0'
+                });
+            }
+
+            const ingredient = await Ingredient.findById(id);
+            if (!ingredient) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Insumo no encontrado'
+                });
+            }
+
+            const movementData = {
+                ingredient_id: ingredient.id,
+                notes: notes ? notes.trim() : null,
+                user_id: req.user.id
+            };
+
+            // Compras suman, mermas restan, ajustes llevan su signo y el conteo fija el saldo
+            const movement = type === 'count'
+                ? await IngredientMovement.createCount({ ...movementData, counted_quantity: amount })
+                : await IngredientMovement.create({
+                    ...movementData,
+                    type,
+                    quantity: type === 'waste' ? -amount : amount
+                });
+
+            logger.info(`🧂 Movimiento de insumo (${type}) en ${ingredient.name}: ${movement.quantity} → ${movement.stock_after}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Movimiento de insumo registrado',
+                movement
+            });
+
+        } catch (error) {
+            logger.error(`Error registrando movimiento de insumo: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = IngredientController;
\ No newline at end of file
@@ -0,0 +1,171 @@
+// server/controllers/inventoryController.js
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const logger = require('../utils/logger');
+
+class InventoryController {
+    // Stock actual de los productos con control de inventario
+    static async getStock(req, res) {
+        try {
+            const products = await Product.findTracked();
+
+            res.json({
+                success: true,
+                products: products.map(product => ({
+                    ...product,
+                    low_stock: product.stock <= product.reorder_level
+                }))
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo inventario: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Productos en o por debajo del nivel de reposición
+    static async getLowStock(req, res) {
+        try {
+            const products = await Product.findLowStock();
+
+            res.json({
+                success: true,
+                count: products.length,
+                products
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo productos con stock bajo: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Kardex de un producto
+    static async getMovements(req, res) {
+        try {
+            const { id } = req.params;
+            const { limit = 100 } = req.query;
+
+            const product = await Product.findById(id);
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Producto no encontrado'
+                });
+            }
+
+            const movements = await StockMovement.findByProduct(product.id, parseInt(limit));
+
+            res.json({
+                success: true,
+                product,
+                movements
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo movimientos de stock: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Registrar compra, ajuste, merma o conteo físico (solo administradores).
+    // Las ventas se descuentan automáticamente al registrar la venta.
+    static async createMovement(req, res) {
+        try {
+            const { product_id, type, quantity, notes } = req.body;
+            const amount = parseFloat(quantity);
+            const manualTypes = StockMovement.TYPES.filter(t => t !== 'sale');
+
+            if (!manualTypes.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Tipo de movimiento inválido. Use ${manualTypes.join(', ')}`
+                });
+            }
+
+            if (isNaN(amount)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad debe ser un número'
+                });
+            }
+
+            if (type === 'adjustment' && amount === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad del ajuste debe ser distinta de 0'
+                });
+            }
+
+            if (type === 'count' && amount < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad contada debe ser mayor o igual a 0'
+                });
+            }
+
+            if (['purchase', 'waste'].includes(type) && amount <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad debe ser mayor a 0'
+                });
+            }
+
+            const product = await Product.findById(product_id);
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Producto no encontrado'
+                });
+            }
+
+            if (!product.track_stock) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El producto no tiene control de stock activado'
+                });
+            }
+
+            const movementData = {
+                product_id: product.id,
+                notes: notes ? notes.trim() : null,
+                user_id: req.user.id
+            };
+
+            // Compras suman, mermas restan, ajustes llevan su signo y el conteo fija el saldo
+            const movement = type === 'count'
+                ? await StockMovement.createCount({ ...movementData, counted_quantity: amount })
+                : await StockMovement.create({
+                    ...movementData,
+                    type,
+                    quantity: type === 'waste' ? -amount : amount
+                });
+
+            logger.info(`📦 Movimiento de stock (${type}) en ${product.name}: ${movement.quantity} → ${movement.stock_after}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Movimiento de stock registrado',
+                movement
+            });
+
+        } catch (error) {
+            logger.error(`Error registrando movimiento de stock: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = InventoryController;
\ No newline at end of file
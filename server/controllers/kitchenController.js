@@ -0,0 +1,369 @@
+// server/controllers/kitchenController.js - Estaciones, comandas y pantalla de cocina
+const Station = require('../models/Station');
+const KitchenOrder = require('../models/KitchenOrder');
+const kitchenEvents = require('../utils/kitchenEvents');
+const printer = require('../utils/printer');
+const printQueue = require('../utils/printQueue');
+const logger = require('../utils/logger');
+const { userFromSession, createStreamTicket } = require('../middleware/auth');
+
+// Comentario SSE cada 25s para que proxies y navegadores no cierren la conexión.
+// En cada uno se vuelve a comprobar la sesión: si se cerró, se cierra el stream.
+const HEARTBEAT_INTERVAL = 25000;
+
+class KitchenController {
+    // Normalizar y validar datos de la estación
+    static parseStation({ name, printer_name }) {
+        if (!name || !name.trim()) {
+            return { error: 'El nombre de la estación es requerido' };
+        }
+
+        if (name.trim().length > 100) {
+            return { error: 'El nombre no puede exceder 100 caracteres' };
+        }
+
+        return {
+            station: {
+                name: name.trim(),
+                printer_name: printer_name && printer_name.trim() ? printer_name.trim() : null
+            }
+        };
+    }
+
+    // Obtener estaciones activas
+    static async getStations(req, res) {
+        try {
+            const stations = await Station.findAll();
+
+            res.json({
+                success: true,
+                stations
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo estaciones: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Crear estación
+    static async createStation(req, res) {
+        try {
+            const parsed = KitchenController.parseStation(req.body);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            const station = await Station.create(parsed.station);
+
+            res.status(201).json({
+                success: true,
+                message: 'Estación creada exitosamente',
+                station
+            });
+
+        } catch (error) {
+            logger.error(`Error creando estación: ${error}`);
+
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya existe una estación con ese nombre'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Actualizar estación
+    static async updateStation(req, res) {
+        try {
+            const { id } = req.params;
+
+            const existingStation = await Station.findById(id);
+            if (!existingStation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Estación no encontrada'
+                });
+            }
+
+            const parsed = KitchenController.parseStation(req.body);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            const station = await Station.update(id, parsed.station);
+
+            res.json({
+                success: true,
+                message: 'Estación actualizada exitosamente',
+                station
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando estación: ${error}`);
+
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya existe una estación con ese nombre'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Eliminar estación (soft delete)
+    static async deleteStation(req, res) {
+        try {
+            const { id } = req.params;
+
+            const existingStation = await Station.findById(id);
+            if (!existingStation) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Estación no encontrada'
+                });
+            }
+
+            await Station.delete(id);
+
+            res.json({
+                success: true,
+                message: 'Estación eliminada exitosamente'
+            });
+
+        } catch (error) {
+            logger.error(`Error eliminando estación: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Comandas pendientes o en preparación (opcionalmente de una estación)
+    static async getOrders(req, res) {
+        try {
+            const orders = await KitchenOrder.findActive(req.query.station_id || null);
+
+            res.json({
+                success: true,
+                orders
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo comandas: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Ticket para abrir el stream: dura poco y no sirve como token de acceso
+    static streamTicket(req, res) {
+        res.json({
+            success: true,
+            ticket: createStreamTicket(req.user)
+        });
+    }
+
+    // Pantalla de cocina: Server-Sent Events
+    // Envía primero las comandas activas (snapshot) y luego cada comanda nueva o actualizada (order)
+    static async stream(req, res) {
+        try {
+            const stationId = req.query.station_id ? parseInt(req.query.station_id) : null;
+            const orders = await KitchenOrder.findActive(stationId);
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+
+            const send = (event, data) => {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            };
+
+            const onOrder = (order) => {
+                if (!stationId || order.station_id === stationId) {
+                    send('order', order);
+                }
+            };
+
+            send('snapshot', orders);
+            kitchenEvents.on('order', onOrder);
+
+            const heartbeat = setInterval(async () => {
+                try {
+                    const user = await userFromSession(req.user.id, req.user.session_id);
+                    if (!user || !user.permissions.includes('kitchen_display')) {
+                        logger.info(`🔒 Pantalla de cocina de ${req.user.username} cerrada: sesión cerrada o sin permiso`);
+                        res.end();
+                        return;
+                    }
+                    res.write(': ping\n\n');
+                } catch (error) {
+                    logger.error(`Error comprobando sesión de la pantalla de cocina: ${error}`);
+                }
+            }, HEARTBEAT_INTERVAL);
+
+            res.on('close', () => {
+                clearInterval(heartbeat);
+                kitchenEvents.off('order', onOrder);
+            });
+
+        } catch (error) {
+            logger.error(`Error abriendo pantalla de cocina: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Cambiar estado de un item (pending, in_progress, ready)
+    static async updateItemStatus(req, res) {
+        try {
+            const { id } = req.params;
+            const { status } = req.body;
+
+            if (!KitchenOrder.ITEM_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Estado inválido. Use: ${KitchenOrder.ITEM_STATUSES.join(', ')}`
+                });
+            }
+
+            const item = await KitchenOrder.findItemById(id);
+            if (!item) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Item de comanda no encontrado'
+                });
+            }
+
+            const currentOrder = await KitchenOrder.findById(item.order_id);
+            if (currentOrder.status === 'cancelled') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La comanda fue cancelada'
+                });
+            }
+
+            const order = await KitchenOrder.updateItemStatus(id, status);
+            kitchenEvents.emit('order', order);
+
+            res.json({
+                success: true,
+                message: 'Estado actualizado',
+                order
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando item de comanda: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Cambiar estado de toda la comanda
+    static async updateOrderStatus(req, res) {
+        try {
+            const { id } = req.params;
+            const { status } = req.body;
+
+            if (!KitchenOrder.ITEM_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Estado inválido. Use: ${KitchenOrder.ITEM_STATUSES.join(', ')}`
+                });
+            }
+
+            const currentOrder = await KitchenOrder.findById(id);
+            if (!currentOrder) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Comanda no encontrada'
+                });
+            }
+
+            if (currentOrder.status === 'cancelled') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La comanda fue cancelada'
+                });
+            }
+
+            const order = await KitchenOrder.updateStatus(id, status);
+            kitchenEvents.emit('order', order);
+
+            res.json({
+                success: true,
+                message: 'Estado actualizado',
+                order
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando comanda: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Reimprimir comanda en la impresora de su estación
+    static async printOrder(req, res) {
+        try {
+            const order = await KitchenOrder.findById(req.params.id);
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Comanda no encontrada'
+                });
+            }
+
+            const job = await printQueue.enqueueAndWait({
+                type: 'kitchen',
+                reference_id: order.id,
+                printer_name: order.printer_name,
+                content: await printer.createKitchenTicket(order),
+                user_id: req.user.id
+            });
+
+            printQueue.sendJobResult(res, job, 'Comanda impresa correctamente', { order_id: order.id });
+
+        } catch (error) {
+            logger.error(`Error imprimiendo comanda: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = KitchenController;
\ No newline at end of file
@@ -0,0 +1,304 @@
+// server/controllers/modifierController.js
+const ModifierGroup = require('../models/ModifierGroup');
+const logger = require('../utils/logger');
+
+class ModifierController {
+    // Normalizar y validar datos del grupo
+    static parseGroup({ name, required, min_select, max_select }) {
+        const minSelect = min_select !== undefined ? parseInt(min_select) : 0;
+        const maxSelect = max_select !== undefined ? parseInt(max_select) : 1;
+
+        if (!name || !name.trim()) {
+            return { error: 'El nombre del grupo es requerido' };
+        }
+
+        if (isNaN(minSelect) || minSelect < 0 || isNaN(maxSelect) || maxSelect < 0) {
+            return { error: 'Mínimo y máximo de selecciones deben ser números mayores o iguales a 0' };
+        }
+
+        if (maxSelect > 0 && minSelect > maxSelect) {
+            return { error: 'El mínimo de selecciones no puede superar al máximo' };
+        }
+
+        return {
+            group: {
+                name: name.trim(),
+                required: Boolean(required),
+                min_select: minSelect,
+                max_select: maxSelect
+            }
+        };
+    }
+
+    // Normalizar y validar una opción
+    static parseOption({ name, price_delta }) {
+        const priceDelta = price_delta !== undefined ? parseFloat(price_delta) : 0;
+
+        if (!name || !name.trim()) {
+            return { error: 'El nombre de la opción es requerido' };
+        }
+
+        if (isNaN(priceDelta)) {
+            return { error: 'El precio adicional debe ser un número' };
+        }
+
+        return { option: { name: name.trim(), price_delta: priceDelta } };
+    }
+
+    // Obtener todos los grupos con sus opciones
+    static async getAll(req, res) {
+        try {
+            const groups = await ModifierGroup.findAll();
+
+            res.json({
+                success: true,
+                groups
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo modificadores: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Obtener grupo por ID
+    static async getById(req, res) {
+        try {
+            const group = await ModifierGroup.findById(req.params.id);
+
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Grupo de modificadores no encontrado'
+                });
+            }
+
+            res.json({
+                success: true,
+                group
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo grupo de modificadores: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Crear grupo con sus opciones
+    static async create(req, res) {
+        try {
+            const parsed = ModifierController.parseGroup(req.body);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            const options = [];
+            for (const optionData of req.body.options || []) {
+                const parsedOption = ModifierController.parseOption(optionData);
+                if (parsedOption.error) {
+                    return res.status(400).json({
+                        success: false,
+                        message: parsedOption.error
+                    });
+                }
+                options.push(parsedOption.option);
+            }
+
+            const group = await ModifierGroup.create({ ...parsed.group, options });
+
+            res.status(201).json({
+                success: true,
+                message: 'Grupo de modificadores creado exitosamente',
+                group
+            });
+
+        } catch (error) {
+            logger.error(`Error creando grupo de modificadores: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Actualizar datos del grupo (las opciones se manejan por separado)
+    static async update(req, res) {
+        try {
+            const { id } = req.params;
+
+            const existingGroup = await ModifierGroup.findById(id);
+            if (!existingGroup) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Grupo de modificadores no encontrado'
+                });
+            }
+
+            const parsed = ModifierController.parseGroup(req.body);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            await ModifierGroup.update(id, parsed.group);
+
+            res.json({
+                success: true,
+                message: 'Grupo de modificadores actualizado exitosamente',
+                group: await ModifierGroup.findById(id)
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando grupo de modificadores: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Eliminar grupo (soft delete)
+    static async delete(req, res) {
+        try {
+            const { id } = req.params;
+
+            const existingGroup = await ModifierGroup.findById(id);
+            if (!existingGroup) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Grupo de modificadores no encontrado'
+                });
+            }
+
+            await ModifierGroup.delete(id);
+
+            res.json({
+                success: true,
+                message: 'Grupo de modificadores eliminado exitosamente'
+            });
+
+        } catch (error) {
+            logger.error(`Error eliminando grupo de modificadores: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Agregar opción a un grupo
+    static async addOption(req, res) {
+        try {
+            const group = await ModifierGroup.findById(req.params.id);
+            if (!group) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Grupo de modificadores no encontrado'
+                });
+            }
+
+            const parsed = ModifierController.parseOption(req.body);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            const option = await ModifierGroup.addOption(group.id, parsed.option);
+
+            res.status(201).json({
+                success: true,
+                message: 'Opción creada exitosamente',
+                option
+            });
+
+        } catch (error) {
+            logger.error(`Error creando opción de modificador: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Actualizar opción
+    static async updateOption(req, res) {
+        try {
+            const { optionId } = req.params;
+
+            const existingOption = await ModifierGroup.findOptionById(optionId);
+            if (!existingOption) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Opción no encontrada'
+                });
+            }
+
+            const parsed = ModifierController.parseOption(req.body);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            const option = await ModifierGroup.updateOption(optionId, parsed.option);
+
+            res.json({
+                success: true,
+                message: 'Opción actualizada exitosamente',
+                option
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando opción de modificador: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Eliminar opción (soft delete)
+    static async deleteOption(req, res) {
+        try {
+            const { optionId } = req.params;
+
+            const existingOption = await ModifierGroup.findOptionById(optionId);
+            if (!existingOption) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Opción no encontrada'
+                });
+            }
+
+            await ModifierGroup.deleteOption(optionId);
+
+            res.json({
+                success: true,
+                message: 'Opción eliminada exitosamente'
+            });
+
+        } catch (error) {
+            logger.error(`Error eliminando opción de modificador: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = ModifierController;
\ No newline at end of file
@@ -3,6 +3,7 @@ const printer = require('../utils/printer');
 const logger = require('../utils/logger');
 const Sale = require('../models/Sale');
 const SaleDetail = require('../models/SaleDetail');
+const SalePayment = require('../models/SalePayment');
 
 class PrintController {
     // Imprimir ticket de venta
@@ -21,11 +22,13 @@ class PrintController {
             
             // Obtener detalles de la venta
             const details = await SaleDetail.findBySaleId(saleId);
+            const payments = await SalePayment.findBySaleId(saleId);
             
             // Preparar datos para impresión
             const saleData = {
                 ...sale,
-                details
+                details,
+                payments
             };
             
             // Imprimir ticket
@@ -53,9 +56,13 @@ class PrintController {
             const targetDate = date || new Date().toISOString().split('T')[0];
             
             // Obtener datos del reporte
-            const sales = await Sale.findByDateRange(targetDate, targetDate);
-            const totalAmount = sales.reduce((sum, sale) => sum + sale.total, 0);
+            const sales = await Sale.findCompletedByDateRange(targetDate, targetDate);
+            const totalAmount = sales.reduce((sum, sale) => sum + sale.net_total, 0);
             const averageSale = sales.length > 0 ? totalAmount / sales.length : 0;
+            const totalRefunded = sales.reduce((sum, sale) => sum + sale.refunded_amount, 0);
+            const paymentMethods = SalePayment.summarizeByMethod(
+                await SalePayment.getTotalsByMethod(targetDate, targetDate)
+            );
             
             // Productos más vendidos del día
             const productSales = {};
@@ -68,7 +75,7 @@ class PrintController {
                             quantity: 0
                         };
                     }
-                    productSales[detail.product_name].quantity += detail.quantity;
+                    productSales[detail.product_name].quantity += detail.quantity - detail.refunded_quantity;
                 });
             }
             
@@ -84,7 +91,7 @@ class PrintController {
                     salesByUser[userName] = { count: 0, amount: 0 };
                 }
                 salesByUser[userName].count += 1;
-                salesByUser[userName].amount += sale.total;
+                salesByUser[userName].amount += sale.net_total;
             });
             
             const reportData = {
@@ -92,6 +99,8 @@ class PrintController {
                 total_sales: sales.length,
                 total_amount: totalAmount,
                 average_sale: averageSale,
+                total_refunded: totalRefunded,
+                payment_methods: paymentMethods,
                 top_products: topProducts,
                 sales_by_user: salesByUser
             };
@@ -237,8 +246,8 @@ class PrintController {
                 });
             }
 
-            const sales = await Sale.findByDateRange(startDate, endDate);
-            const totalAmount = sales.reduce((sum, sale) => sum + sale.total, 0);
+            const sales = await Sale.findCompletedByDateRange(startDate, endDate);
+            const totalAmount = sales.reduce((sum, sale) => sum + sale.net_total, 0);
             
             let reportData = {
                 startDate,
@@ -261,8 +270,8 @@ class PrintController {
                                 revenue: 0
                             };
                         }
-                        productSales[detail.product_name].quantity += detail.quantity;
-                        productSales[detail.product_name].revenue += detail.subtotal;
+                        productSales[detail.product_name].quantity += detail.quantity - detail.refunded_quantity;
+                        productSales[detail.product_name].revenue += detail.subtotal - detail.refunded_amount;
                     });
                 }
                 
@@ -326,7 +335,7 @@ class PrintController {
             const { date } = req.query;
             const targetDate = date || new Date().toISOString().split('T')[0];
             
-            const sales = await Sale.findByDateRange(targetDate, targetDate);
+            const sales = await Sale.findCompletedByDateRange(targetDate, targetDate);
             
             if (sales.length === 0) {
                 return res.status(404).json({
@@ -348,7 +357,7 @@ class PrintController {
             const backupData = {
                 date: targetDate,
                 total_sales: sales.length,
-                total_amount: sales.reduce((sum, sale) => sum + sale.total, 0),
+                total_amount: sales.reduce((sum, sale) => sum + sale.net_total, 0),
                 detailed_sales: detailedSales
             };
 
@@ -2,6 +2,11 @@
 const Product = require('../models/Product');
 const logger = require('../utils/logger');
 const Category = require('../models/Category');
+const StockMovement = require('../models/StockMovement');
+const ProductRecipe = require('../models/ProductRecipe');
+const Ingredient = require('../models/Ingredient');
+const ModifierGroup = require('../models/ModifierGroup');
+const { parseTaxRate } = require('../utils/tax');
 
 class ProductController {
     // Obtener todos los productos
@@ -84,7 +89,7 @@ class ProductController {
     // Crear nuevo producto
     static async create(req, res) {
         try {
-            const { name, description, price, category_id, stock, image_url } = req.body;
+            const { name, description, price, category_id, stock, track_stock, reorder_level, image_url, tax_rate } = req.body;
 
             // Validar datos requeridos
             if (!name || !price || !category_id) {
@@ -110,6 +115,22 @@ class ProductController {
                 });
             }
 
+            if (reorder_level !== undefined && (isNaN(reorder_level) || reorder_level < 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El nivel de reposición debe ser un número mayor o igual a 0'
+                });
+            }
+
+            // Sin tasa propia se usa la de la categoría
+            const tax = parseTaxRate(tax_rate);
+            if (tax.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: tax.error
+                });
+            }
+
             // Verificar que la categoría existe
             const category = await Category.findById(category_id);
             if (!category) {
@@ -124,14 +145,26 @@ class ProductController {
                 description: description ? description.trim() : null,
                 price: parseFloat(price),
                 category_id: parseInt(category_id),
-                stock: stock ? parseInt(stock) : 0,
-                image_url: image_url ? image_url.trim() : null
+                track_stock: Boolean(track_stock),
+                reorder_level: reorder_level !== undefined ? parseFloat(reorder_level) : 0,
+                image_url: image_url ? image_url.trim() : null,
+                tax_rate: tax.tax_rate
             });
 
+            // Stock inicial como conteo en el kardex
+            if (track_stock && stock !== undefined && parseFloat(stock) > 0) {
+                await StockMovement.createCount({
+                    product_id: newProduct.id,
+                    counted_quantity: parseFloat(stock),
+                    notes: 'Stock inicial',
+                    user_id: req.user.id
+                });
+            }
+
             res.status(201).json({
                 success: true,
                 message: 'Producto creado exitosamente',
-                product: newProduct
+                product: await Product.findById(newProduct.id)
             });
 
         } catch (error) {
@@ -147,7 +180,7 @@ class ProductController {
     static async update(req, res) {
         try {
             const { id } = req.params;
-            const { name, description, price, category_id, stock, image_url } = req.body;
+            const { name, description, price, category_id, stock, track_stock, reorder_level, image_url, tax_rate } = req.body;
 
             // Verificar que el producto existe
             const existingProduct = await Product.findById(id);
@@ -180,6 +213,22 @@ class ProductController {
                 });
             }
 
+            if (reorder_level !== undefined && (isNaN(reorder_level) || reorder_level < 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El nivel de reposición debe ser un número mayor o igual a 0'
+                });
+            }
+
+            // Sin tax_rate en el body se conserva la tasa actual
+            const tax = tax_rate !== undefined ? parseTaxRate(tax_rate) : { tax_rate: existingProduct.tax_rate };
+            if (tax.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: tax.error
+                });
+            }
+
             // Verificar que la categoría existe
             const category = await Category.findById(category_id);
             if (!category) {
@@ -194,14 +243,26 @@ class ProductController {
                 description: description ? description.trim() : null,
                 price: parseFloat(price),
                 category_id: parseInt(category_id),
-                stock: stock !== undefined ? parseInt(stock) : existingProduct.stock,
-                image_url: image_url ? image_url.trim() : null
+                track_stock: track_stock !== undefined ? Boolean(track_stock) : Boolean(existingProduct.track_stock),
+                reorder_level: reorder_level !== undefined ? parseFloat(reorder_level) : existingProduct.reorder_level,
+                image_url: image_url ? image_url.trim() : null,
+                tax_rate: tax.tax_rate
             });
 
+            // Un stock distinto al del kardex se registra como conteo físico
+            if (updatedProduct.track_stock && stock !== undefined && parseFloat(stock) !== existingProduct.stock) {
+                await StockMovement.createCount({
+                    product_id: existingProduct.id,
+                    counted_quantity: parseFloat(stock),
+                    notes: 'Ajuste desde edición del producto',
+                    user_id: req.user.id
+                });
+            }
+
             res.json({
                 success: true,
                 message: 'Producto actualizado exitosamente',
-                product: updatedProduct
+                product: await Product.findById(id)
             });
 
         } catch (error) {
@@ -280,6 +341,182 @@ class ProductController {
             });
         }
     }
+
+    // Obtener receta (insumos por unidad) y costo del producto
+    static async getRecipe(req, res) {
+        try {
+            const product = await Product.findById(req.params.id);
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Producto no encontrado'
+                });
+            }
+
+            const recipe = await ProductRecipe.findByProduct(product.id);
+            const cost = recipe.reduce((sum, line) => sum + line.line_cost, 0);
+
+            res.json({
+                success: true,
+                product_id: product.id,
+                product_name: product.name,
+                recipe,
+                cost,
+                margin: product.price - cost
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo receta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Reemplazar la receta del producto
+    static async updateRecipe(req, res) {
+        try {
+            const { items } = req.body; // [{ ingredient_id, quantity }]
+
+            const product = await Product.findById(req.params.id);
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Producto no encontrado'
+                });
+            }
+
+            if (!Array.isArray(items)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Debe enviar la lista de insumos de la receta'
+                });
+            }
+
+            const recipeItems = [];
+            for (const item of items) {
+                const quantity = parseFloat(item.quantity);
+
+                if (isNaN(quantity) || quantity <= 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'La cantidad de cada insumo debe ser mayor a 0'
+                    });
+                }
+
+                const ingredient = await Ingredient.findById(item.ingredient_id);
+                if (!ingredient) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Insumo con ID ${item.ingredient_id} no encontrado`
+                    });
+                }
+
+                if (recipeItems.some(r => r.ingredient_id === ingredient.id)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `El insumo ${ingredient.name} está repetido en la receta`
+                    });
+                }
+
+                recipeItems.push({ ingredient_id: ingredient.id, quantity });
+            }
+
+            const recipe = await ProductRecipe.replace(product.id, recipeItems);
+            const cost = recipe.reduce((sum, line) => sum + line.line_cost, 0);
+
+            res.json({
+                success: true,
+                message: 'Receta actualizada exitosamente',
+                product_id: product.id,
+                recipe,
+                cost,
+                margin: product.price - cost
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando receta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Obtener grupos de modificadores del producto
+    static async getModifiers(req, res) {
+        try {
+            const product = await Product.findById(req.params.id);
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Producto no encontrado'
+                });
+            }
+
+            res.json({
+                success: true,
+                product_id: product.id,
+                groups: await ModifierGroup.findByProduct(product.id)
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo modificadores del producto: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Asignar grupos de modificadores al producto (reemplaza los anteriores)
+    static async updateModifiers(req, res) {
+        try {
+            const { group_ids } = req.body;
+
+            const product = await Product.findById(req.params.id);
+            if (!product) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Producto no encontrado'
+                });
+            }
+
+            if (!Array.isArray(group_ids)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Debe enviar la lista de grupos de modificadores'
+                });
+            }
+
+            const groupIds = [...new Set(group_ids.map(id => parseInt(id)))];
+            for (const groupId of groupIds) {
+                if (!(await ModifierGroup.findById(groupId))) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Grupo de modificadores con ID ${groupId} no encontrado`
+                    });
+                }
+            }
+
+            const groups = await ModifierGroup.setProductGroups(product.id, groupIds);
+
+            res.json({
+                success: true,
+                message: 'Modificadores del producto actualizados',
+                product_id: product.id,
+                groups
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando modificadores del producto: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
 }
 
 module.exports = ProductController;
\ No newline at end of file
@@ -0,0 +1,391 @@
+// server/controllers/promotionController.js - Promociones y cupones
+const Promotion = require('../models/Promotion');
+const Coupon = require('../models/Coupon');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const logger = require('../utils/logger');
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+class PromotionController {
+    // Normalizar y validar datos de la promoción según su tipo
+    static async parsePromotion(body) {
+        const { name, type, product_id, category_id, days_of_week, start_time, end_time, starts_on, ends_on } = body;
+
+        if (!name || !name.trim()) {
+            return { error: 'El nombre de la promoción es requerido' };
+        }
+
+        if (!Promotion.TYPES.includes(type)) {
+            return { error: `Tipo de promoción inválido. Use: ${Promotion.TYPES.join(', ')}` };
+        }
+
+        const promotion = { name: name.trim(), type, products: [] };
+
+        if (type === 'combo') {
+            const comboPrice = parseFloat(body.combo_price);
+            if (isNaN(comboPrice) || comboPrice < 0) {
+                return { error: 'El precio del combo es requerido' };
+            }
+
+            if (!Array.isArray(body.products) || body.products.length === 0) {
+                return { error: 'El combo debe tener productos' };
+            }
+
+            for (const item of body.products) {
+                const product = await Product.findById(item.product_id);
+                const quantity = item.quantity !== undefined ? parseInt(item.quantity) : 1;
+
+                if (!product) {
+                    return { error: `Producto con ID ${item.product_id} no encontrado` };
+                }
+
+                if (isNaN(quantity) || quantity <= 0) {
+                    return { error: `Cantidad inválida para ${product.name}` };
+                }
+
+                if (promotion.products.some(p => p.product_id === product.id)) {
+                    return { error: `${product.name} está repetido en el combo` };
+                }
+
+                promotion.products.push({ product_id: product.id, quantity });
+            }
+
+            promotion.combo_price = comboPrice;
+        } else {
+            // 2x1 y porcentaje se aplican a un producto o a toda una categoría
+            if (Boolean(product_id) === Boolean(category_id)) {
+                return { error: 'Indique un producto o una categoría (solo uno)' };
+            }
+
+            if (product_id && !(await Product.findById(product_id))) {
+                return { error: `Producto con ID ${product_id} no encontrado` };
+            }
+
+            if (category_id && !(await Category.findById(category_id))) {
+                return { error: `Categoría con ID ${category_id} no encontrada` };
+            }
+
+            promotion.product_id = product_id ? parseInt(product_id) : null;
+            promotion.category_id = category_id ? parseInt(category_id) : null;
+        }
+
+        if (type === 'buy_x_pay_y') {
+            const buy = parseInt(body.buy_quantity);
+            const pay = parseInt(body.pay_quantity);
+
+            if (isNaN(buy) || isNaN(pay) || pay < 0 || buy <= pay) {
+                return { error: 'Cantidades inválidas: lleve debe ser mayor que pague (ej. lleve 2, pague 1)' };
+            }
+
+            promotion.buy_quantity = buy;
+            promotion.pay_quantity = pay;
+        }
+
+        if (type === 'percentage') {
+            const percentage = parseFloat(body.percentage);
+            if (isNaN(percentage) || percentage <= 0 || percentage > 100) {
+                return { error: 'El porcentaje debe estar entre 0 y 100' };
+            }
+
+            promotion.percentage = percentage;
+        }
+
+        // Vigencia y happy hour (opcionales)
+        if (days_of_week !== undefined && days_of_week !== null && days_of_week !== '') {
+            const days = Array.isArray(days_of_week) ? days_of_week : String(days_of_week).split(',');
+            const parsedDays = days.map(day => parseInt(day));
+
+            if (parsedDays.some(day => isNaN(day) || day < 0 || day > 6)) {
+                return { error: 'Días inválidos: use números de 0 (domingo) a 6 (sábado)' };
+            }
+
+            promotion.days_of_week = [...new Set(parsedDays)].sort().join(',');
+        }
+
+        if (start_time || end_time) {
+            if (!TIME_FORMAT.test(start_time || '') || !TIME_FORMAT.test(end_time || '')) {
+                return { error: 'Horario inválido: use HH:MM para inicio y fin' };
+            }
+
+            promotion.start_time = start_time;
+            promotion.end_time = end_time;
+        }
+
+        if ((starts_on && !DATE_FORMAT.test(starts_on)) || (ends_on && !DATE_FORMAT.test(ends_on))) {
+            return { error: 'Fechas inválidas: use AAAA-MM-DD' };
+        }
+
+        if (starts_on && ends_on && starts_on > ends_on) {
+            return { error: 'La fecha de inicio no puede ser posterior a la de fin' };
+        }
+
+        promotion.starts_on = starts_on || null;
+        promotion.ends_on = ends_on || null;
+
+        return { promotion };
+    }
+
+    // Obtener promociones (vigentes = aplicables en este momento)
+    static async getAll(req, res) {
+        try {
+            const promotions = await Promotion.findAll();
+
+            res.json({
+                success: true,
+                promotions: promotions.map(promotion => ({
+                    ...promotion,
+                    is_active_now: Promotion.isActiveAt(promotion)
+                }))
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo promociones: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    static async getById(req, res) {
+        try {
+            const promotion = await Promotion.findById(req.params.id);
+            if (!promotion) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Promoción no encontrada'
+                });
+            }
+
+            res.json({
+                success: true,
+                promotion
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo promoción: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Crear promoción
+    static async create(req, res) {
+        try {
+            const parsed = await PromotionController.parsePromotion(req.body);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            const promotion = await Promotion.create(parsed.promotion);
+
+            res.status(201).json({
+                success: true,
+                message: 'Promoción creada exitosamente',
+                promotion
+            });
+
+        } catch (error) {
+            logger.error(`Error creando promoción: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Actualizar promoción
+    static async update(req, res) {
+        try {
+            const { id } = req.params;
+
+            const existingPromotion = await Promotion.findById(id);
+            if (!existingPromotion) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Promoción no encontrada'
+                });
+            }
+
+            const parsed = await PromotionController.parsePromotion(req.body);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            const promotion = await Promotion.update(id, parsed.promotion);
+
+            res.json({
+                success: true,
+                message: 'Promoción actualizada exitosamente',
+                promotion
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando promoción: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Eliminar promoción (soft delete)
+    static async delete(req, res) {
+        try {
+            const { id } = req.params;
+
+            const existingPromotion = await Promotion.findById(id);
+            if (!existingPromotion) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Promoción no encontrada'
+                });
+            }
+
+            await Promotion.delete(id);
+
+            res.json({
+                success: true,
+                message: 'Promoción eliminada exitosamente'
+            });
+
+        } catch (error) {
+            logger.error(`Error eliminando promoción: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Obtener cupones
+    static async getCoupons(req, res) {
+        try {
+            const coupons = await Coupon.findAll();
+
+            res.json({
+                success: true,
+                coupons
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo cupones: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Crear cupón
+    static async createCoupon(req, res) {
+        try {
+            const { code, discount_type, expires_on } = req.body;
+            const value = parseFloat(req.body.value);
+            const maxUses = req.body.max_uses ? parseInt(req.body.max_uses) : null;
+
+            if (!code || !String(code).trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El código del cupón es requerido'
+                });
+            }
+
+            if (!Coupon.DISCOUNT_TYPES.includes(discount_type)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Tipo de descuento inválido. Use: ${Coupon.DISCOUNT_TYPES.join(', ')}`
+                });
+            }
+
+            if (isNaN(value) || value <= 0 || (discount_type === 'percentage' && value > 100)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El valor del descuento es inválido'
+                });
+            }
+
+            if (maxUses !== null && (isNaN(maxUses) || maxUses <= 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad de usos debe ser mayor a 0'
+                });
+            }
+
+            if (expires_on && !DATE_FORMAT.test(expires_on)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Fecha de vencimiento inválida: use AAAA-MM-DD'
+                });
+            }
+
+            const coupon = await Coupon.create({
+                code: String(code).trim().toUpperCase(),
+                discount_type,
+                value,
+                max_uses: maxUses,
+                expires_on: expires_on || null
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Cupón creado exitosamente',
+                coupon
+            });
+
+        } catch (error) {
+            logger.error(`Error creando cupón: ${error}`);
+
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya existe un cupón con ese código'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Desactivar cupón
+    static async deleteCoupon(req, res) {
+        try {
+            const coupon = await Coupon.findById(req.params.id);
+            if (!coupon) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cupón no encontrado'
+                });
+            }
+
+            await Coupon.delete(coupon.id);
+
+            res.json({
+                success: true,
+                message: 'Cupón desactivado exitosamente'
+            });
+
+        } catch (error) {
+            logger.error(`Error desactivando cupón: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = PromotionController;
\ No newline at end of file
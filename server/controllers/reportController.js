@@ -3,27 +3,68 @@ const Sale = require('../models/Sale');
 const SaleDetail = require('../models/SaleDetail');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const SalePayment = require('../models/SalePayment');
+const SaleDiscount = require('../models/SaleDiscount');
+const IngredientMovement = require('../models/IngredientMovement');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginLockout = require('../models/LoginLockout');
 const logger = require('../utils/logger');
 
 class ReportController {
+    // Totales por forma de pago agrupados por nombre de usuario
+    static paymentMethodTotalsByUser(rows) {
+        const byUser = {};
+        rows.forEach(row => {
+            const userName = row.user_name || 'Usuario Desconocido';
+            if (!byUser[userName]) byUser[userName] = [];
+            byUser[userName].push(row);
+        });
+
+        Object.keys(byUser).forEach(userName => {
+            byUser[userName] = SalePayment.summarizeByMethod(byUser[userName]);
+        });
+
+        return byUser;
+    }
+
     // Reporte de ventas diarias
     static async dailyReport(req, res) {
         try {
             const { date } = req.query;
             const targetDate = date || new Date().toISOString().split('T')[0];
             
-            const sales = await Sale.findByDateRange(targetDate, targetDate);
-            const totalAmount = sales.reduce((sum, sale) => sum + sale.total, 0);
+            const sales = await Sale.findCompletedByDateRange(targetDate, targetDate);
+            const totalAmount = sales.reduce((sum, sale) => sum + sale.net_total, 0);
+            const totalRefunded = sales.reduce((sum, sale) => sum + sale.refunded_amount, 0);
+            // Impuestos facturados (antes de devoluciones)
+            const totalTaxableBase = sales.reduce((sum, sale) => sum + sale.taxable_base, 0);
+            const totalTax = sales.reduce((sum, sale) => sum + sale.tax_amount, 0);
+
+            // Totales por forma de pago (montos cobrados, antes de devoluciones)
+            const paymentMethods = SalePayment.summarizeByMethod(
+                await SalePayment.getTotalsByMethod(targetDate, targetDate)
+            );
+            const userPaymentMethods = ReportController.paymentMethodTotalsByUser(
+                await SalePayment.getTotalsByUserAndMethod(targetDate, targetDate)
+            );
+
+            // Descuentos por promoción, manuales y cupones
+            const discounts = await SaleDiscount.getTotalsByDateRange(targetDate, targetDate);
+            const totalDiscounts = discounts.reduce((sum, discount) => sum + discount.total_amount, 0);
             
             // Agrupar por usuario
             const salesByUser = {};
             sales.forEach(sale => {
                 const userName = sale.user_name || 'Usuario Desconocido';
                 if (!salesByUser[userName]) {
-                    salesByUser[userName] = { count: 0, amount: 0 };
+                    salesByUser[userName] = {
+                        count: 0,
+                        amount: 0,
+                        payment_methods: userPaymentMethods[userName] || SalePayment.summarizeByMethod([])
+                    };
                 }
                 salesByUser[userName].count += 1;
-                salesByUser[userName].amount += sale.total;
+                salesByUser[userName].amount += sale.net_total;
             });
 
             // Productos más vendidos del día
@@ -37,8 +78,8 @@ class ReportController {
                             revenue: 0
                         };
                     }
-                    productSales[detail.product_name].quantity += detail.quantity;
-                    productSales[detail.product_name].revenue += detail.subtotal;
+                    productSales[detail.product_name].quantity += detail.quantity - detail.refunded_quantity;
+                    productSales[detail.product_name].revenue += detail.subtotal - detail.refunded_amount;
                 });
             }
 
@@ -54,8 +95,14 @@ class ReportController {
                     summary: {
                         total_sales: sales.length,
                         total_amount: totalAmount,
+                        total_refunded: totalRefunded,
+                        total_discounts: totalDiscounts,
+                        total_taxable_base: totalTaxableBase,
+                        total_tax: totalTax,
                         average_sale: sales.length > 0 ? totalAmount / sales.length : 0
                     },
+                    payment_methods: paymentMethods,
+                    discounts,
                     sales_by_user: salesByUser,
                     top_products: topProducts,
                     detailed_sales: sales
@@ -82,8 +129,8 @@ class ReportController {
             const startDate = `${targetYear}-${targetMonth.toString().padStart(2, '0')}-01`;
             const endDate = new Date(targetYear, targetMonth, 0).toISOString().split('T')[0];
             
-            const sales = await Sale.findByDateRange(startDate, endDate);
-            const totalAmount = sales.reduce((sum, sale) => sum + sale.total, 0);
+            const sales = await Sale.findCompletedByDateRange(startDate, endDate);
+            const totalAmount = sales.reduce((sum, sale) => sum + sale.net_total, 0);
             
             // Ventas por día del mes
             const dailySales = {};
@@ -93,7 +140,7 @@ class ReportController {
                     dailySales[day] = { count: 0, amount: 0 };
                 }
                 dailySales[day].count += 1;
-                dailySales[day].amount += sale.total;
+                dailySales[day].amount += sale.net_total;
             });
 
             // Productos más vendidos del mes
@@ -107,8 +154,8 @@ class ReportController {
                             revenue: 0
                         };
                     }
-                    productSales[detail.product_name].quantity += detail.quantity;
-                    productSales[detail.product_name].revenue += detail.subtotal;
+                    productSales[detail.product_name].quantity += detail.quantity - detail.refunded_quantity;
+                    productSales[detail.product_name].revenue += detail.subtotal - detail.refunded_amount;
                 });
             }
 
@@ -148,7 +195,7 @@ class ReportController {
             const topProducts = await SaleDetail.getTopProducts(20);
             
             // Productos con stock bajo
-            const lowStockProducts = products.filter(p => p.stock <= 10);
+            const lowStockProducts = await Product.findLowStock();
             
             // Productos por categoría
             const productsByCategory = {};
@@ -183,6 +230,60 @@ class ReportController {
         }
     }
 
+    // Uso de insumos: teórico (recetas x ventas) vs. real (inventario inicial + compras - inventario final)
+    static async ingredientUsageReport(req, res) {
+        try {
+            const { startDate, endDate } = req.query;
+            const start = startDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+            const end = endDate || new Date().toISOString().split('T')[0];
+
+            const rows = await IngredientMovement.getUsage(start, end);
+            const round = (value) => Math.round(value * 1000) / 1000;
+
+            const ingredients = rows.map(row => {
+                const actualUsage = row.opening_stock + row.purchases - row.closing_stock;
+                const variance = actualUsage - row.theoretical_usage;
+
+                return {
+                    id: row.id,
+                    name: row.name,
+                    unit: row.unit,
+                    opening_stock: round(row.opening_stock),
+                    purchases: round(row.purchases),
+                    closing_stock: round(row.closing_stock),
+                    theoretical_usage: round(row.theoretical_usage),
+                    actual_usage: round(actualUsage),
+                    waste: round(row.waste),
+                    variance: round(variance),
+                    variance_percent: row.theoretical_usage > 0
+                        ? Math.round((variance / row.theoretical_usage) * 10000) / 100
+                        : null,
+                    variance_cost: Math.round(variance * row.cost * 100) / 100
+                };
+            });
+
+            res.json({
+                success: true,
+                report: {
+                    period: { start_date: start, end_date: end },
+                    summary: {
+                        total_ingredients: ingredients.length,
+                        theoretical_cost: Math.round(rows.reduce((sum, row) => sum + row.theoretical_usage * row.cost, 0) * 100) / 100,
+                        variance_cost: Math.round(ingredients.reduce((sum, item) => sum + item.variance_cost, 0) * 100) / 100
+                    },
+                    ingredients: ingredients.sort((a, b) => Math.abs(b.variance_cost) - Math.abs(a.variance_cost))
+                }
+            });
+
+        } catch (error) {
+            logger.error(`Error generando reporte de insumos: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
     // Reporte de ventas por usuario
     static async userReport(req, res) {
         try {
@@ -190,7 +291,10 @@ class ReportController {
             const start = startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
             const end = endDate || new Date().toISOString().split('T')[0];
             
-            const sales = await Sale.findByDateRange(start, end);
+            const sales = await Sale.findCompletedByDateRange(start, end);
+            const userPaymentMethods = ReportController.paymentMethodTotalsByUser(
+                await SalePayment.getTotalsByUserAndMethod(start, end)
+            );
             
             // Agrupar por usuario
             const userStats = {};
@@ -200,11 +304,12 @@ class ReportController {
                     userStats[userName] = {
                         sales_count: 0,
                         total_amount: 0,
-                        average_sale: 0
+                        average_sale: 0,
+                        payment_methods: userPaymentMethods[userName] || SalePayment.summarizeByMethod([])
                     };
                 }
                 userStats[userName].sales_count += 1;
-                userStats[userName].total_amount += sale.total;
+                userStats[userName].total_amount += sale.net_total;
             });
 
             // Calcular promedios
@@ -226,8 +331,11 @@ class ReportController {
                     summary: {
                         total_users: sortedUsers.length,
                         total_sales: sales.length,
-                        total_amount: sales.reduce((sum, sale) => sum + sale.total, 0)
-                    }
+                        total_amount: sales.reduce((sum, sale) => sum + sale.net_total, 0)
+                    },
+                    payment_methods: SalePayment.summarizeByMethod(
+                        await SalePayment.getTotalsByMethod(start, end)
+                    )
                 }
             });
 
@@ -240,18 +348,54 @@ class ReportController {
         }
     }
 
+    // Reporte de seguridad: intentos de login, bloqueos y quién acumula más fallos
+    static async securityReport(req, res) {
+        try {
+            const { startDate, endDate } = req.query;
+            const start = startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+            const end = endDate || new Date().toISOString().split('T')[0];
+
+            const totals = await LoginAttempt.getTotals(start, end);
+            const lockouts = await LoginLockout.findByDateRange(start, end);
+
+            res.json({
+                success: true,
+                report: {
+                    period: { start_date: start, end_date: end },
+                    summary: {
+                        ...totals,
+                        lockouts: lockouts.length,
+                        active_lockouts: lockouts.filter(lockout => lockout.active).length
+                    },
+                    lockouts,
+                    top_failed_usernames: await LoginAttempt.getTopFailures('username', start, end),
+                    top_failed_ips: await LoginAttempt.getTopFailures('ip', start, end),
+                    top_failed_pins: await LoginAttempt.getTopFailures('pin', start, end)
+                }
+            });
+
+        } catch (error) {
+            logger.error(`Error generando reporte de seguridad: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
     // Dashboard principal con métricas clave
     static async dashboard(req, res) {
         try {
             // Obtener datos del día actual
             const todayTotals = await Sale.getTodayTotals();
+            const today = new Date().toISOString().split('T')[0];
+            const todayDiscounts = await SaleDiscount.getTotalsByDateRange(today, today);
             const monthlyTotals = await Sale.getMonthlyTotals();
             const topProductsToday = await SaleDetail.getTodayTopProducts(5);
             const topProductsOverall = await SaleDetail.getTopProducts(5);
             
             // Productos con stock bajo
-            const allProducts = await Product.findAll();
-            const lowStockProducts = allProducts.filter(p => p.stock <= 10);
+            const lowStockProducts = await Product.findLowStock();
             
             // Ventas recientes
             const recentSales = await Sale.findAll(10);
@@ -262,7 +406,8 @@ class ReportController {
                     today: {
                         sales: todayTotals.total_sales || 0,
                         amount: todayTotals.total_amount || 0,
-                        average: todayTotals.average_sale || 0
+                        average: todayTotals.average_sale || 0,
+                        discounts: todayDiscounts.reduce((sum, discount) => sum + discount.total_amount, 0)
                     },
                     this_month: {
                         sales: monthlyTotals.total_sales || 0,
@@ -0,0 +1,215 @@
+// server/controllers/roleController.js - Roles y permisos configurables
+const Role = require('../models/Role');
+const logger = require('../utils/logger');
+
+const ROLE_NAME = /^[a-z][a-z0-9_]{1,19}$/;
+
+class RoleController {
+    // Valida la lista de permisos. Devuelve el mensaje de error o null
+    static validatePermissions(permissions) {
+        if (!Array.isArray(permissions)) {
+            return 'permissions debe ser una lista';
+        }
+
+        const unknown = permissions.filter(permission => !Role.PERMISSIONS[permission]);
+        if (unknown.length > 0) {
+            return `Permisos desconocidos: ${unknown.join(', ')}`;
+        }
+        return null;
+    }
+
+    // Permisos de la lista que quien hace la solicitud no tiene: nadie otorga (ni quita)
+    // más acceso del que tiene, como al asignar roles a usuarios
+    static missingPermissions(req, permissions) {
+        return permissions.filter(permission => !req.user.permissions.includes(permission));
+    }
+
+    static permissionsDenied(res, missing) {
+        return res.status(403).json({
+            success: false,
+            message: `No puede otorgar ni quitar permisos que usted no tiene: ${missing.join(', ')}`,
+            missing_permissions: missing
+        });
+    }
+
+    // Listar roles con sus permisos y el catálogo de permisos disponibles
+    static async getAll(req, res) {
+        try {
+            res.json({
+                success: true,
+                roles: await Role.findAll(),
+                permissions: Object.entries(Role.PERMISSIONS)
+                    .map(([key, description]) => ({ key, description }))
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo roles: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    static async create(req, res) {
+        try {
+            const { name, description, permissions = [] } = req.body;
+
+            if (!name || !ROLE_NAME.test(name)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El nombre del rol debe tener de 2 a 20 caracteres: minúsculas, números o _'
+                });
+            }
+
+            const validationError = RoleController.validatePermissions(permissions);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+
+            const missing = RoleController.missingPermissions(req, permissions);
+            if (missing.length > 0) {
+                return RoleController.permissionsDenied(res, missing);
+            }
+
+            if (await Role.findByName(name)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El rol ya existe'
+                });
+            }
+
+            const role = await Role.create({ name, description, permissions });
+
+            logger.info(`🔑 Rol ${name} creado por ${req.user.username}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Rol creado',
+                role
+            });
+
+        } catch (error) {
+            logger.error(`Error creando rol: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Cambiar descripción y/o reemplazar la lista de permisos
+    static async update(req, res) {
+        try {
+            const { name } = req.params;
+            const { description, permissions } = req.body;
+
+            const role = await Role.findByName(name);
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Rol no encontrado'
+                });
+            }
+
+            if (role.is_system) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El rol ${name} es del sistema y no se puede modificar`
+                });
+            }
+
+            // Con su propio rol podría darse cualquier permiso
+            if (name === req.user.role) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'No puede modificar su propio rol'
+                });
+            }
+
+            if (permissions !== undefined) {
+                const validationError = RoleController.validatePermissions(permissions);
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: validationError
+                    });
+                }
+
+                // Los permisos que el rol tiene y los que tendrá
+                const missing = RoleController.missingPermissions(req, [...new Set([...role.permissions, ...permissions])]);
+                if (missing.length > 0) {
+                    return RoleController.permissionsDenied(res, missing);
+                }
+            }
+
+            const updated = await Role.update(name, { description, permissions });
+
+            logger.info(`🔑 Rol ${name} actualizado por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Rol actualizado',
+                role: updated
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando rol: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Eliminar un rol sin usuarios activos
+    static async delete(req, res) {
+        try {
+            const { name } = req.params;
+
+            const role = await Role.findByName(name);
+            if (!role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Rol no encontrado'
+                });
+            }
+
+            if (role.is_system) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El rol ${name} es del sistema y no se puede eliminar`
+                });
+            }
+
+            const userCount = await Role.countUsers(name);
+            if (userCount > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El rol tiene ${userCount} usuario(s) activo(s); asígneles otro rol antes de eliminarlo`
+                });
+            }
+
+            await Role.delete(name);
+
+            logger.info(`🔑 Rol ${name} eliminado por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Rol eliminado'
+            });
+
+        } catch (error) {
+            logger.error(`Error eliminando rol: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = RoleController;
\ No newline at end of file
@@ -1,12 +1,476 @@
 // server/controllers/saleController.js
 const Sale = require('../models/Sale');
 const SaleDetail = require('../models/SaleDetail');
+const SaleRefund = require('../models/SaleRefund');
 const Product = require('../models/Product');
+const CashSession = require('../models/CashSession');
+const SalePayment = require('../models/SalePayment');
+const StockMovement = require('../models/StockMovement');
+const IngredientMovement = require('../models/IngredientMovement');
+const ModifierGroup = require('../models/ModifierGroup');
+const KitchenOrder = require('../models/KitchenOrder');
+const Promotion = require('../models/Promotion');
+const Coupon = require('../models/Coupon');
+const SaleDiscount = require('../models/SaleDiscount');
+const Approval = require('../models/Approval');
+const Customer = require('../models/Customer');
+const LoyaltyMovement = require('../models/LoyaltyMovement');
+const database = require('../config/database');
+const config = require('../config/config');
+const { validate: isUuid } = require('uuid');
+const kitchenEvents = require('../utils/kitchenEvents');
+const { resolveTaxRate, applyTaxes } = require('../utils/tax');
+const printer = require('../utils/printer');
+const printQueue = require('../utils/printQueue');
 const logger = require('../utils/logger');
 
+const round = (value) => Math.round(value * 100) / 100;
+
+// Margen para el reloj del POS: una venta sin conexión no puede venir con una hora más adelantada
+const OFFLINE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Mensaje cuando la venta necesita la autorización de un supervisor para la acción
+const APPROVAL_MESSAGES = {
+    approve_discount: () => `Descuentos mayores al ${config.DISCOUNT_APPROVAL_PERCENT}% requieren autorización de un supervisor`,
+    override_price: () => 'Los cambios de precio requieren autorización de un supervisor'
+};
+
 class SaleController {
+    // Normalizar formas de pago. Sin "payments" se asume un único pago con paid_amount/payment_type.
+    // Solo la parte en efectivo genera cambio; QR y tarjeta no pueden superar el total.
+    static buildPayments({ payments, paid_amount, payment_type }, total) {
+        const legacyMethods = { efectivo: 'cash', qr: 'qr', tarjeta: 'card' };
+        const tenders = Array.isArray(payments) && payments.length > 0
+            ? payments
+            : [{ method: legacyMethods[payment_type] || payment_type || 'cash', amount: paid_amount }];
+
+        let cashTendered = 0;
+        let nonCashAmount = 0;
+        const nonCashPayments = [];
+
+        for (const tender of tenders) {
+            const amount = parseFloat(tender.amount);
+
+            if (!SalePayment.METHODS.includes(tender.method)) {
+                return { error: `Forma de pago inválida: ${tender.method}. Use ${SalePayment.METHODS.join(', ')}` };
+            }
+
+            if (isNaN(amount) || amount <= 0) {
+                return { error: 'Monto pagado debe ser mayor a 0' };
+            }
+
+            if (tender.method === 'cash') {
+                cashTendered += amount;
+            } else {
+                nonCashAmount += amount;
+                nonCashPayments.push({
+                    method: tender.method,
+                    amount,
+                    tendered: amount,
+                    reference: tender.reference ? String(tender.reference).trim() : null
+                });
+            }
+        }
+
+        if (round(nonCashAmount) > round(total)) {
+            return { error: 'Los pagos con QR, tarjeta o puntos no pueden superar el total' };
+        }
+
+        const cashDue = round(total - nonCashAmount);
+        const change_amount = round(cashTendered - cashDue);
+
+        if (change_amount < 0) {
+            return { error: 'Monto pagado insuficiente' };
+        }
+
+        const salePayments = [...nonCashPayments];
+        if (cashTendered > 0) {
+            salePayments.unshift({ method: 'cash', amount: cashDue, tendered: round(cashTendered), reference: null });
+        }
+
+        return {
+            payments: salePayments,
+            paid_amount: round(cashTendered + nonCashAmount),
+            change_amount
+        };
+    }
+
+    // Validar y cotizar los modificadores elegidos para un producto.
+    // selected: ids de modifier_options (o { option_id })
+    static async priceModifiers(product, selected = []) {
+        const optionIds = selected.map(s => parseInt(typeof s === 'object' ? s.option_id : s));
+        const groups = await ModifierGroup.findByProduct(product.id);
+
+        if (new Set(optionIds).size !== optionIds.length) {
+            return { error: `Modificador repetido en ${product.name}` };
+        }
+
+        const modifiers = [];
+        for (const optionId of optionIds) {
+            const group = groups.find(g => g.options.some(o => o.id === optionId));
+            if (!group) {
+                return { error: `Modificador ${optionId} no disponible para ${product.name}` };
+            }
+
+            const option = group.options.find(o => o.id === optionId);
+            modifiers.push({
+                option_id: option.id,
+                group_id: group.id,
+                group_name: group.name,
+                option_name: option.name,
+                price_delta: option.price_delta
+            });
+        }
+
+        for (const group of groups) {
+            const count = modifiers.filter(m => m.group_id === group.id).length;
+            const min = group.required ? Math.max(1, group.min_select) : group.min_select;
+
+            if (count < min) {
+                return { error: `${group.name}: elija al menos ${min} opción(es) para ${product.name}` };
+            }
+
+            if (group.max_select > 0 && count > group.max_select) {
+                return { error: `${group.name}: máximo ${group.max_select} opción(es) para ${product.name}` };
+            }
+        }
+
+        return {
+            modifiers: modifiers.map(({ group_id, ...modifier }) => modifier),
+            price_delta: modifiers.reduce((sum, m) => sum + m.price_delta, 0)
+        };
+    }
+
+    // Validar productos y cotizar cada línea (precio base + modificadores).
+    // Con allowPriceOverride, item.price_override reemplaza el precio unitario (la venta lo autoriza aparte).
+    static async validateItems(items, { allowPriceOverride = false } = {}) {
+        let subtotal = 0;
+        const validatedItems = [];
+
+        for (const item of items) {
+            if (!item.product_id || !item.quantity || item.quantity <= 0) {
+                return { error: 'Cada item debe tener product_id y quantity válidos' };
+            }
+
+            // Verificar que el producto existe
+            const product = await Product.findById(item.product_id);
+            if (!product) {
+                return { error: `Producto con ID ${item.product_id} no encontrado` };
+            }
+
+            // Modificadores: el precio se calcula en el servidor
+            const pricing = await SaleController.priceModifiers(
+                product,
+                Array.isArray(item.modifiers) ? item.modifiers : []
+            );
+            if (pricing.error) {
+                return { error: pricing.error };
+            }
+
+            let unitPrice = product.price + pricing.price_delta;
+            const overridden = allowPriceOverride && item.price_override !== undefined && item.price_override !== null;
+            if (overridden) {
+                unitPrice = round(parseFloat(item.price_override));
+                if (isNaN(unitPrice) || unitPrice < 0) {
+                    return { error: `El precio de ${product.name} no es válido` };
+                }
+            }
+
+            const itemSubtotal = unitPrice * item.quantity;
+            subtotal += itemSubtotal;
+
+            validatedItems.push({
+                product_id: product.id,
+                category_id: product.category_id,
+                base_price: product.price,
+                product_name: product.name,
+                quantity: item.quantity,
+                unit_price: unitPrice,
+                subtotal: itemSubtotal,
+                tax_rate: resolveTaxRate(product),
+                modifiers: pricing.modifiers,
+                price_overridden: overridden
+            });
+        }
+
+        return { items: validatedItems, subtotal };
+    }
+
+    // Descuento manual { type: 'percentage' | 'fixed', value } sobre un importe
+    static parseDiscount(discount, base, label) {
+        const value = parseFloat(discount.value);
+
+        if (!['percentage', 'fixed'].includes(discount.type)) {
+            return { error: `Tipo de descuento inválido en ${label}. Use percentage o fixed` };
+        }
+
+        if (isNaN(value) || value <= 0) {
+            return { error: `El descuento de ${label} debe ser mayor a 0` };
+        }
+
+        const amount = discount.type === 'percentage' ? round(base * value / 100) : round(value);
+        if (amount > base) {
+            return { error: `El descuento de ${label} no puede superar su importe` };
+        }
+
+        return {
+            amount,
+            percent: base > 0 ? amount / base * 100 : 0,
+            description: discount.type === 'percentage' ? `Descuento ${value}%` : 'Descuento'
+        };
+    }
+
+    // Cotizar la venta: precios, promociones vigentes, descuentos manuales y cupón.
+    // Orden: descuento manual de línea (excluye promociones en esa línea), promociones,
+    // descuento manual del ticket y por último el cupón sobre lo que queda.
+    // El descuento del ticket se reparte entre las líneas para que devoluciones y reportes usen importes netos.
+    // El impuesto se calcula al final, sobre el importe neto de cada línea.
+    // Lo que el usuario no puede hacer con sus permisos lo cubren los approval_tokens de un supervisor
+    // (se buscan aquí y se marcan usados en la transacción que registra la venta); missing_approval es la acción que falta autorizar.
+    // at: momento de la venta para promociones y cupones (una venta sin conexión se cotiza a la hora en que se cobró)
+    static async priceSale({ items, discount, coupon_code, approval_tokens }, user, { at = new Date() } = {}) {
+        const validated = await SaleController.validateItems(items, { allowPriceOverride: true });
+        if (validated.error) return validated;
+
+        // Los descuentos manuales requieren el permiso apply_discount (promociones y cupones no)
+        if ((discount || items.some(item => item.discount)) && !user.permissions.includes('apply_discount')) {
+            return { error: 'No tiene permiso para aplicar descuentos manuales', status: 403 };
+        }
+
+        const lines = validated.items;
+        const discounts = [];
+        const manualLines = new Set();
+        let maxManualPercent = 0;
+
+        for (let index = 0; index < lines.length; index++) {
+            if (!items[index].discount) continue;
+
+            const parsed = SaleController.parseDiscount(items[index].discount, lines[index].subtotal, lines[index].product_name);
+            if (parsed.error) return parsed;
+
+            discounts.push({ line: index, source: 'manual', description: parsed.description, amount: parsed.amount });
+            manualLines.add(index);
+            maxManualPercent = Math.max(maxManualPercent, parsed.percent);
+        }
+
+        const promotions = await Promotion.findActiveAt(at);
+        Promotion.apply(promotions, lines.map((line, index) => ({ ...line, excluded: manualLines.has(index) })))
+            .forEach(promotionDiscount => discounts.push({ ...promotionDiscount, source: 'promotion' }));
+
+        lines.forEach((line, index) => {
+            line.discount_amount = round(discounts
+                .filter(d => d.line === index)
+                .reduce((sum, d) => sum + d.amount, 0));
+            line.subtotal = round(line.subtotal - line.discount_amount);
+        });
+
+        const subtotal = round(lines.reduce((sum, line) => sum + line.subtotal, 0));
+        let ticketDiscount = 0;
+
+        if (discount) {
+            const parsed = SaleController.parseDiscount(discount, subtotal, 'el ticket');
+            if (parsed.error) return parsed;
+
+            discounts.push({ line: null, source: 'manual', description: parsed.description, amount: parsed.amount });
+            ticketDiscount = parsed.amount;
+            maxManualPercent = Math.max(maxManualPercent, parsed.percent);
+        }
+
+        let coupon = null;
+        if (coupon_code) {
+            coupon = await Coupon.findByCode(coupon_code);
+            const invalid = Coupon.validate(coupon, at);
+            if (invalid) return { error: invalid };
+
+            const base = round(subtotal - ticketDiscount);
+            const amount = coupon.discount_type === 'percentage'
+                ? round(base * coupon.value / 100)
+                : Math.min(coupon.value, base);
+
+            discounts.push({ line: null, source: 'coupon', coupon_id: coupon.id, description: `Cupón ${coupon.code}`, amount });
+            ticketDiscount = round(ticketDiscount + amount);
+        }
+
+        let allocated = 0;
+        lines.forEach((line, index) => {
+            const share = index === lines.length - 1
+                ? round(ticketDiscount - allocated)
+                : (subtotal > 0 ? round(ticketDiscount * line.subtotal / subtotal) : 0);
+            allocated = round(allocated + share);
+            line.ticket_discount_amount = share;
+            line.subtotal = round(line.subtotal - share);
+        });
+
+        const taxes = applyTaxes(lines);
+
+        // Descuentos manuales altos: los autoriza quien tenga approve_discount, con su sesión
+        // o con su PIN (approval_tokens)
+        const requiresApproval = maxManualPercent > config.DISCOUNT_APPROVAL_PERCENT;
+        let approvedBy = null;
+        if (requiresApproval && user.permissions.includes('approve_discount')) {
+            approvedBy = user.id;
+        }
+
+        const pending = [];
+        if (requiresApproval && !approvedBy) pending.push('approve_discount');
+        if (lines.some(line => line.price_overridden) && !user.permissions.includes('override_price')) {
+            pending.push('override_price');
+        }
+
+        const tokens = Array.isArray(approval_tokens) ? approval_tokens : [];
+        const approvals = [];
+        let missingApproval = null;
+        for (const action of pending) {
+            let approval = null;
+            for (const token of tokens) {
+                approval = await Approval.findValid(token, action, user.id);
+                if (approval) break;
+            }
+
+            if (!approval) {
+                missingApproval = missingApproval || action;
+                continue;
+            }
+            approvals.push(approval);
+            if (action === 'approve_discount') approvedBy = approval.approved_by;
+        }
+
+        return {
+            items: lines,
+            subtotal,
+            discount_amount: ticketDiscount,
+            taxable_base: taxes.taxable_base,
+            tax_amount: taxes.tax_amount,
+            total: round(subtotal - ticketDiscount + (config.PRICES_INCLUDE_TAX ? 0 : taxes.tax_amount)),
+            discounts: discounts.map(d => ({ ...d, approved_by: d.source === 'manual' ? approvedBy : null })),
+            coupon,
+            requires_approval: requiresApproval,
+            approved_by: approvedBy,
+            approvals,
+            missing_approval: missingApproval
+        };
+    }
+
+    // Registrar la venta con sus detalles, pagos, descuentos, cupón, puntos y movimientos de stock.
+    // Todo se guarda en una sola transacción: si algo falla no queda ninguna parte de la venta.
+    // Las cuentas de mesa ya enviaron sus comandas: se cierran con sendToKitchen = false.
+    // discounts: [{ line, source, ... }] con line = índice del item, o null si es descuento del ticket
+    // approvals: autorizaciones de supervisor vigentes; se marcan usadas y se ligan a la venta en la misma
+    // transacción (si otra solicitud ya usó una, lanza APPROVAL_INVALID y no se registra nada)
+    static async recordSale(saleData, items, payment, { sendToKitchen = true, discounts = [], coupon = null, approvals = [] } = {}) {
+        const { saleId, kitchenOrders, loyalty } = await database.transaction(async () => {
+            const newSale = await Sale.create({
+                ...saleData,
+                paid_amount: payment.paid_amount,
+                change_amount: payment.change_amount
+            });
+
+            await SaleDetail.createMultiple(newSale.id, items);
+            await SalePayment.createMultiple(newSale.id, payment.payments, saleData.cash_session_id);
+
+            if (discounts.length > 0) {
+                const createdDetails = await SaleDetail.findBySaleId(newSale.id);
+                await SaleDiscount.createMultiple(newSale.id, discounts.map(({ line, ...discount }) => ({
+                    ...discount,
+                    sale_detail_id: line === null || line === undefined ? null : createdDetails[line].id
+                })));
+            }
+
+            if (coupon) {
+                await Coupon.registerUse(coupon.id);
+            }
+
+            for (const approval of approvals) {
+                await Approval.consumeOrThrow(approval, newSale.id);
+            }
+
+            await StockMovement.recordSale(newSale.id, items, saleData.user_id);
+
+            // Puntos del cliente: lo pagado con puntos se canjea y no acumula
+            let loyalty = null;
+            if (saleData.customer_id) {
+                const pointsAmount = round(payment.payments
+                    .filter(p => p.method === 'points')
+                    .reduce((sum, p) => sum + p.amount, 0));
+                const redeemed = pointsAmount > 0 ? LoyaltyMovement.pointsToRedeem(pointsAmount) : 0;
+                const earned = LoyaltyMovement.pointsForAmount(saleData.total - pointsAmount);
+
+                await LoyaltyMovement.recordSale(newSale.id, saleData.customer_id, { redeemed, earned }, saleData.user_id);
+
+                loyalty = {
+                    earned,
+                    redeemed,
+                    balance: await LoyaltyMovement.getBalance(saleData.customer_id)
+                };
+            }
+
+            const kitchenOrders = sendToKitchen ? await KitchenOrder.createForSale(newSale.id) : [];
+
+            return { saleId: newSale.id, kitchenOrders, loyalty };
+        });
+
+        // Comandas por estación: se publican en la pantalla de cocina
+        // y se imprimen si la estación tiene impresora (sin bloquear la venta)
+        SaleController.dispatchKitchenOrders(kitchenOrders);
+
+        // Obtener la venta completa con detalles
+        const completeSale = await Sale.findById(saleId);
+        const saleDetails = await SaleDetail.findBySaleId(saleId);
+        const salePayments = await SalePayment.findBySaleId(saleId);
+        const saleDiscounts = await SaleDiscount.findBySaleId(saleId);
+
+        return {
+            ...completeSale,
+            details: saleDetails,
+            payments: salePayments,
+            discounts: saleDiscounts,
+            kitchen_orders: kitchenOrders,
+            loyalty
+        };
+    }
+
+    // Cliente de la venta: por id, o por NIT si ya está registrado (si no, la venta queda sin cliente)
+    static async resolveCustomer({ customer_id, customer_nit }) {
+        if (customer_id) {
+            const customer = await Customer.findById(customer_id);
+            return customer ? { customer } : { error: 'Cliente no encontrado' };
+        }
+
+        if (customer_nit && String(customer_nit).trim()) {
+            return { customer: await Customer.findByNit(String(customer_nit).trim()) || null };
+        }
+
+        return { customer: null };
+    }
+
+    // Publicar comandas nuevas en la pantalla de cocina e imprimirlas en su estación
+    static dispatchKitchenOrders(orders) {
+        orders.forEach(order => {
+            kitchenEvents.emit('order', order);
+
+            if (order.printer_name) {
+                printer.createKitchenTicket(order)
+                    .then(content => printQueue.enqueue({
+                        type: 'kitchen',
+                        reference_id: order.id,
+                        printer_name: order.printer_name,
+                        content
+                    }))
+                    .catch(error => {
+                        logger.warn(`No se pudo encolar la comanda #${order.id}: ${error.message}`);
+                    });
+            }
+        });
+    }
+
     // Crear nueva venta
     static async create(req, res) {
+        return SaleController.register(req, res);
+    }
+
+    // Registrar una venta. offline: venta cobrada sin conexión que se sincroniza después; va a la caja que
+    // estaba abierta a la hora en que se cobró (client_created_at) y se cotiza a esa hora.
+    static async register(req, res, { offline = false } = {}) {
         try {
             const {
                 customer_nit,
@@ -15,21 +479,46 @@ class SaleController {
                 table_number,
                 observations,
                 items, // Array de productos
-                paid_amount
+                client_uuid, // Generado por el POS: la misma venta no se registra dos veces
+                client_created_at // Hora de cobro en el POS (ventas sin conexión)
             } = req.body;
 
-            // Validar datos requeridos
-            if (!order_type || !items || !Array.isArray(items) || items.length === 0) {
+            if (client_uuid !== undefined && client_uuid !== null) {
+                if (!isUuid(String(client_uuid))) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'client_uuid debe ser un UUID válido'
+                    });
+                }
+
+                const existingSale = await Sale.findByClientUuid(client_uuid);
+                if (existingSale) {
+                    return SaleController.rejectDuplicate(res, existingSale);
+                }
+            }
+
+            if (client_created_at && isNaN(Date.parse(client_created_at))) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Tipo de pedido e items son requeridos'
+                    message: 'La fecha de la venta no es válida'
                 });
             }
 
-            if (!paid_amount || paid_amount <= 0) {
+            // Hora de cobro en el formato de la base (UTC)
+            const soldAt = client_created_at ? new Date(client_created_at) : new Date();
+            const soldAtSql = soldAt.toISOString().replace('T', ' ').slice(0, 19);
+            if (offline && soldAt.getTime() > Date.now() + OFFLINE_CLOCK_SKEW_MS) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Monto pagado debe ser mayor a 0'
+                    message: 'La fecha de la venta no puede ser futura'
+                });
+            }
+
+            // Validar datos requeridos
+            if (!order_type || !items || !Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Tipo de pedido e items son requeridos'
                 });
             }
 
@@ -41,85 +530,214 @@ class SaleController {
                 });
             }
 
-            // Calcular totales y validar productos
-            let subtotal = 0;
-            const validatedItems = [];
+            // Toda venta se registra en la caja abierta del usuario. Una venta sin conexión va a la caja abierta
+            // cuando se cobró, aunque ya se haya cerrado; si el reloj del POS no cae en ninguna, a la caja abierta
+            const cashSession = offline
+                ? (await CashSession.findByUserAt(req.user.id, soldAtSql)) || (await CashSession.findOpenByUser(req.user.id))
+                : await CashSession.findOpenByUser(req.user.id);
+            if (!cashSession) {
+                return res.status(400).json({
+                    success: false,
+                    message: offline
+                        ? 'No había una caja abierta cuando se cobró la venta'
+                        : 'Debe abrir caja antes de registrar ventas'
+                });
+            }
+            if (offline && cashSession.status !== 'open') {
+                logger.warn(`Venta ${client_uuid} sincronizada en la caja #${cashSession.id}, ya cerrada`);
+            }
+
+            // Calcular totales, promociones y descuentos
+            const priced = await SaleController.priceSale(req.body, req.user, { at: offline ? soldAt : new Date() });
+            if (priced.error) {
+                return res.status(priced.status || 400).json({
+                    success: false,
+                    message: priced.error
+                });
+            }
+
+            if (priced.missing_approval) {
+                return res.status(403).json({
+                    success: false,
+                    message: APPROVAL_MESSAGES[priced.missing_approval](),
+                    requires_approval: true,
+                    permission: priced.missing_approval
+                });
+            }
+
+            const total = priced.total;
+
+            // Formas de pago: [{ method: 'cash' | 'qr' | 'card' | 'points', amount, reference }]
+            const payment = SaleController.buildPayments(req.body, total);
+            if (payment.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: payment.error
+                });
+            }
+
+            const resolved = await SaleController.resolveCustomer(req.body);
+            if (resolved.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: resolved.error
+                });
+            }
+            const customer = resolved.customer;
 
-            for (const item of items) {
-                if (!item.product_id || !item.quantity || item.quantity <= 0) {
+            // Pago con puntos: el cliente debe tener saldo suficiente
+            const pointsAmount = payment.payments
+                .filter(p => p.method === 'points')
+                .reduce((sum, p) => sum + p.amount, 0);
+            if (pointsAmount > 0) {
+                if (!customer) {
                     return res.status(400).json({
                         success: false,
-                        message: 'Cada item debe tener product_id y quantity válidos'
+                        message: 'Para pagar con puntos la venta debe tener un cliente'
                     });
                 }
 
-                // Verificar que el producto existe
-                const product = await Product.findById(item.product_id);
-                if (!product) {
+                const required = LoyaltyMovement.pointsToRedeem(pointsAmount);
+                const balance = await LoyaltyMovement.getBalance(customer.id);
+                if (required > balance) {
                     return res.status(400).json({
                         success: false,
-                        message: `Producto con ID ${item.product_id} no encontrado`
+                        message: `Puntos insuficientes: se requieren ${required} y el cliente tiene ${balance}`
                     });
                 }
+            }
 
-                const itemSubtotal = product.price * item.quantity;
-                subtotal += itemSubtotal;
+            // Crear la venta con datos para impresión
+            const saleResponse = await SaleController.recordSale({
+                customer_id: customer ? customer.id : null,
+                customer_nit: customer_nit || (customer && customer.nit) || null,
+                customer_name: customer_name || (customer && customer.name) || null,
+                order_type,
+                table_number: table_number || null,
+                observations: observations || null,
+                subtotal: priced.subtotal,
+                discount_amount: priced.discount_amount,
+                discount_approved_by: priced.approved_by,
+                taxable_base: priced.taxable_base,
+                tax_amount: priced.tax_amount,
+                prices_include_tax: config.PRICES_INCLUDE_TAX,
+                invoice_authorization: config.INVOICE_AUTHORIZATION,
+                total,
+                user_id: req.user.id,
+                cash_session_id: cashSession.id,
+                client_uuid: client_uuid || null,
+                client_created_at: client_created_at ? soldAtSql : null
+            }, priced.items, payment, {
+                discounts: priced.discounts,
+                coupon: priced.coupon,
+                approvals: priced.approvals
+            });
 
-                validatedItems.push({
-                    product_id: product.id,
-                    product_name: product.name,
-                    quantity: item.quantity,
-                    unit_price: product.price,
-                    subtotal: itemSubtotal
-                });
+            res.status(201).json({
+                success: true,
+                message: 'Venta creada exitosamente',
+                sale: saleResponse,
+                print_ready: true // Indica que está listo para imprimir
+            });
+
+        } catch (error) {
+            // Dos envíos simultáneos de la misma venta: el segundo choca con el índice único
+            if (error.message.includes('UNIQUE constraint failed: sales.client_uuid')) {
+                logger.warn(`Venta ${req.body.client_uuid} recibida dos veces a la vez`);
+                const existingSale = await Sale.findByClientUuid(req.body.client_uuid);
+                return SaleController.rejectDuplicate(res, existingSale);
             }
 
-            const total = subtotal; // Por ahora sin impuestos
-            const change_amount = paid_amount - total;
+            if (error.code === 'APPROVAL_INVALID') {
+                return SaleController.rejectApproval(res, error);
+            }
 
-            if (change_amount < 0) {
+            if (error.code === 'COUPON_EXHAUSTED' || error.code === 'POINTS_INSUFFICIENT') {
                 return res.status(400).json({
                     success: false,
-                    message: 'Monto pagado insuficiente'
+                    message: error.message
                 });
             }
 
-            // Crear la venta
-            const newSale = await Sale.create({
-                customer_nit: customer_nit || null,
-                customer_name: customer_name || null,
-                order_type,
-                table_number: table_number || null,
-                observations: observations || null,
-                subtotal,
-                total,
-                paid_amount,
-                change_amount,
-                user_id: req.user.id
+            logger.error(`Error creando venta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
             });
+        }
+    }
 
-            // Crear los detalles de la venta
-            await SaleDetail.createMultiple(newSale.id, validatedItems);
+    // Venta ya registrada con ese client_uuid: el POS la da por sincronizada
+    static rejectDuplicate(res, sale) {
+        return res.status(409).json({
+            success: false,
+            duplicate: true,
+            message: `La venta ya fue registrada (venta #${sale.id})`,
+            sale
+        });
+    }
 
-            // Obtener la venta completa con detalles
-            const completeSale = await Sale.findById(newSale.id);
-            const saleDetails = await SaleDetail.findBySaleId(newSale.id);
+    // Otra solicitud usó la autorización (o venció) mientras se procesaba la acción: hay que pedir otra
+    static rejectApproval(res, error) {
+        return res.status(403).json({
+            success: false,
+            message: error.message,
+            requires_approval: true,
+            permission: error.permission
+        });
+    }
 
-            // Preparar respuesta con datos para impresión
-            const saleResponse = {
-                ...completeSale,
-                details: saleDetails
-            };
+    // Sincronizar una venta cobrada sin conexión. Es idempotente: se identifica por client_uuid
+    // y un reenvío responde 409 con la venta ya registrada.
+    static async sync(req, res) {
+        if (!req.body.client_uuid || !req.body.client_created_at) {
+            return res.status(400).json({
+                success: false,
+                message: 'client_uuid y client_created_at son requeridos para sincronizar'
+            });
+        }
 
-            res.status(201).json({
+        return SaleController.register(req, res, { offline: true });
+    }
+
+    // Cotizar venta sin registrarla (el POS muestra promociones y descuentos antes de cobrar)
+    static async quote(req, res) {
+        try {
+            const { items } = req.body;
+
+            if (!items || !Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Items son requeridos'
+                });
+            }
+
+            const priced = await SaleController.priceSale(req.body, req.user);
+            if (priced.error) {
+                return res.status(priced.status || 400).json({
+                    success: false,
+                    message: priced.error
+                });
+            }
+
+            res.json({
                 success: true,
-                message: 'Venta creada exitosamente',
-                sale: saleResponse,
-                print_ready: true // Indica que está listo para imprimir
+                quote: {
+                    items: priced.items,
+                    subtotal: priced.subtotal,
+                    discount_amount: priced.discount_amount,
+                    taxable_base: priced.taxable_base,
+                    tax_amount: priced.tax_amount,
+                    prices_include_tax: config.PRICES_INCLUDE_TAX,
+                    total: priced.total,
+                    discounts: priced.discounts,
+                    requires_approval: Boolean(priced.missing_approval),
+                    approval_action: priced.missing_approval
+                }
             });
 
         } catch (error) {
-            logger.error(`Error creando venta: ${error}`);
+            logger.error(`Error cotizando venta: ${error}`);
             res.status(500).json({
                 success: false,
                 message: 'Error interno del servidor'
@@ -161,12 +779,20 @@ class SaleController {
             }
 
             const details = await SaleDetail.findBySaleId(id);
+            const payments = await SalePayment.findBySaleId(id);
+            const discounts = await SaleDiscount.findBySaleId(id);
+            const refunds = await SaleRefund.findBySaleId(id);
+            const approvals = await Approval.findBySaleId(id);
 
             res.json({
                 success: true,
                 sale: {
                     ...sale,
-                    details
+                    details,
+                    payments,
+                    discounts,
+                    refunds,
+                    approvals
                 }
             });
 
@@ -179,6 +805,266 @@ class SaleController {
         }
     }
 
+    // Anular venta completa
+    static async voidSale(req, res) {
+        try {
+            const { id } = req.params;
+            const { reason } = req.body;
+
+            if (!reason || !reason.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El motivo de la anulación es requerido'
+                });
+            }
+
+            // Estado, anulación y reversiones en una sola transacción: dos anulaciones simultáneas
+            // no pueden reingresar el stock dos veces (la segunda ve voided = false y no hace nada)
+            const result = await database.transaction(async () => {
+                const sale = await Sale.findById(id);
+                if (!sale) {
+                    return { error: 'Venta no encontrada', status: 404 };
+                }
+
+                if (sale.status === 'voided') {
+                    return { error: 'La venta ya fue anulada', status: 400 };
+                }
+
+                // El efectivo se devuelve desde la caja abierta de quien anula (si no tiene, desde la caja
+                // de la venta mientras siga abierta). Lo cobrado en otras cajas sale de esta; las cajas ya
+                // cerradas no cambian
+                let voidSession = await CashSession.findOpenByUser(req.user.id);
+                if (!voidSession && sale.cash_session_id) {
+                    const saleSession = await CashSession.findById(sale.cash_session_id);
+                    voidSession = saleSession && saleSession.status === 'open' ? saleSession : null;
+                }
+                const voidSessionId = voidSession ? voidSession.id : null;
+                const voidCashAmount = await Sale.cashOutsideSession(sale.id, voidSessionId);
+                if (!voidSession && voidCashAmount > 0) {
+                    return { error: 'Debe abrir caja para anular una venta cobrada en efectivo', status: 400 };
+                }
+
+                const { voided } = await Sale.void(id, {
+                    reason: reason.trim(),
+                    voided_by: req.user.id,
+                    cash_session_id: voidSessionId,
+                    void_cash_amount: voidCashAmount
+                });
+                if (!voided) {
+                    return { error: 'La venta ya fue anulada', status: 400 };
+                }
+
+                // La autorización del supervisor se usa junto con la anulación
+                if (req.approval) {
+                    await Approval.consumeOrThrow(req.approval, sale.id);
+                }
+
+                // Reingresar al stock lo que no había sido devuelto
+                const details = await SaleDetail.findBySaleId(id);
+                await StockMovement.returnSale(
+                    sale.id,
+                    details.map(detail => ({
+                        product_id: detail.product_id,
+                        quantity: detail.quantity - detail.refunded_quantity
+                    })),
+                    `Anulación de venta #${sale.id}`,
+                    req.user.id
+                );
+                await IngredientMovement.reverseSale(sale.id, `Anulación de venta #${sale.id}`, req.user.id);
+                await LoyaltyMovement.reverseSale(sale.id, `Anulación de venta #${sale.id}`, req.user.id);
+
+                // Retirar de la pantalla de cocina lo que aún no se preparó
+                return { cancelledOrders: await KitchenOrder.cancelBySale(sale.id) };
+            });
+
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            result.cancelledOrders.forEach(order => kitchenEvents.emit('order', order));
+
+            const authorizedBy = req.approval ? ` (autorizó usuario #${req.approval.approved_by})` : '';
+            logger.info(`🚫 Venta #${id} anulada por ${req.user.username}${authorizedBy}: ${reason.trim()}`);
+
+            const voidedSale = await Sale.findById(id);
+
+            res.json({
+                success: true,
+                message: 'Venta anulada exitosamente',
+                sale: voidedSale
+            });
+
+        } catch (error) {
+            if (error.code === 'APPROVAL_INVALID') {
+                return SaleController.rejectApproval(res, error);
+            }
+
+            logger.error(`Error anulando venta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Devolución parcial de items de una venta. method: forma en que se devuelve el dinero (por defecto
+    // efectivo si la venta tuvo pago en efectivo, si no la forma de su primer pago). La devolución queda
+    // en la caja abierta de quien la hace; en efectivo requiere tener caja abierta.
+    static async refund(req, res) {
+        try {
+            const { id } = req.params;
+            const { reason, items, method } = req.body;
+
+            if (!reason || !reason.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El motivo de la devolución es requerido'
+                });
+            }
+
+            if (!items || !Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Debe indicar los items a devolver'
+                });
+            }
+
+            if (method !== undefined && !SalePayment.METHODS.includes(method)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Forma de devolución inválida. Use: ${SalePayment.METHODS.join(', ')}`
+                });
+            }
+
+            // Validación, devolución y reversiones en una sola transacción: las cantidades pendientes
+            // se leen dentro, así dos devoluciones simultáneas no pueden devolver la misma unidad
+            const result = await database.transaction(async () => {
+                const sale = await Sale.findById(id);
+                if (!sale) {
+                    return { error: 'Venta no encontrada', status: 404 };
+                }
+
+                if (sale.status === 'voided') {
+                    return { error: 'No se puede devolver una venta anulada', status: 400 };
+                }
+
+                const payments = await SalePayment.findBySaleId(id);
+                const refundMethod = method
+                    || (payments.length === 0 || payments.some(p => p.method === 'cash') ? 'cash' : payments[0].method);
+
+                const cashSession = await CashSession.findOpenByUser(req.user.id);
+                if (refundMethod === 'cash' && !cashSession) {
+                    return { error: 'Debe abrir caja para devolver en efectivo', status: 400 };
+                }
+
+                const details = await SaleDetail.findBySaleId(id);
+                const refundItems = [];
+
+                for (const item of items) {
+                    const detail = details.find(d => d.id === parseInt(item.sale_detail_id));
+                    const quantity = parseInt(item.quantity);
+
+                    if (!detail) {
+                        return { error: `El item ${item.sale_detail_id} no pertenece a la venta`, status: 400 };
+                    }
+
+                    if (!quantity || quantity <= 0 || quantity > detail.quantity - detail.refunded_quantity) {
+                        return { error: `Cantidad a devolver inválida para ${detail.product_name}`, status: 400 };
+                    }
+
+                    // Última unidad pendiente: devolver el saldo exacto para evitar errores de redondeo
+                    const remaining = detail.quantity - detail.refunded_quantity;
+                    const amount = quantity === remaining
+                        ? Math.round((detail.subtotal - detail.refunded_amount) * 100) / 100
+                        : Math.round((detail.subtotal / detail.quantity) * quantity * 100) / 100;
+
+                    refundItems.push({
+                        sale_detail_id: detail.id,
+                        product_id: detail.product_id,
+                        quantity,
+                        amount
+                    });
+                }
+
+                // La autorización del supervisor se usa junto con la devolución
+                if (req.approval) {
+                    await Approval.consumeOrThrow(req.approval, sale.id);
+                }
+
+                const refund = await SaleRefund.create({
+                    sale_id: sale.id,
+                    reason: reason.trim(),
+                    approved_by: req.approval ? req.approval.approved_by : req.user.id,
+                    method: refundMethod,
+                    cash_session_id: cashSession ? cashSession.id : null,
+                    items: refundItems
+                });
+
+                await StockMovement.returnSale(
+                    sale.id,
+                    refundItems,
+                    `Devolución #${refund.id} de venta #${sale.id}`,
+                    req.user.id
+                );
+                await IngredientMovement.reverseDetails(
+                    sale.id,
+                    refundItems.map(item => ({
+                        ...item,
+                        detail_quantity: details.find(d => d.id === item.sale_detail_id).quantity
+                    })),
+                    `Devolución #${refund.id} de venta #${sale.id}`,
+                    req.user.id
+                );
+                await LoyaltyMovement.reverseRefund(
+                    sale.id,
+                    refund.amount,
+                    `Devolución #${refund.id} de venta #${sale.id}`,
+                    req.user.id
+                );
+
+                return { refund, refundItems };
+            });
+
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            const { refund, refundItems } = result;
+
+            const authorizedBy = req.approval ? ` (autorizó usuario #${req.approval.approved_by})` : '';
+            logger.info(`↩️ Devolución de Bs ${refund.amount.toFixed(2)} en venta #${id} por ${req.user.username}${authorizedBy}`);
+
+            const updatedSale = await Sale.findById(id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Devolución registrada exitosamente',
+                refund: {
+                    ...refund,
+                    details: refundItems
+                },
+                sale: updatedSale
+            });
+
+        } catch (error) {
+            if (error.code === 'APPROVAL_INVALID') {
+                return SaleController.rejectApproval(res, error);
+            }
+
+            logger.error(`Error registrando devolución: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
     // Obtener ventas de hoy
     static async getTodaySales(req, res) {
         try {
@@ -218,16 +1104,17 @@ class SaleController {
 
             const sales = await Sale.findByDateRange(start_date, end_date);
             
-            // Calcular totales para el rango
-            const totalAmount = sales.reduce((sum, sale) => sum + sale.total, 0);
-            const averageSale = sales.length > 0 ? totalAmount / sales.length : 0;
+            // Calcular totales para el rango (sin ventas anuladas)
+            const completedSales = sales.filter(sale => sale.status !== 'voided');
+            const totalAmount = completedSales.reduce((sum, sale) => sum + sale.net_total, 0);
+            const averageSale = completedSales.length > 0 ? totalAmount / completedSales.length : 0;
 
             res.json({
                 success: true,
                 date_range: { start_date, end_date },
                 sales,
                 totals: {
-                    count: sales.length,
+                    count: completedSales.length,
                     amount: totalAmount,
                     average: averageSale
                 }
@@ -248,8 +1135,8 @@ class SaleController {
             const { userId } = req.params;
             const { limit = 50 } = req.query;
             
-            // Verificar permisos: solo el mismo usuario o admin
-            if (req.user.id !== parseInt(userId) && req.user.role !== 'admin') {
+            // Verificar permisos: solo el mismo usuario o quien puede ver todas las ventas
+            if (req.user.id !== parseInt(userId) && !req.user.permissions.includes('view_sales')) {
                 return res.status(403).json({
                     success: false,
                     message: 'No tiene permisos para ver estas ventas'
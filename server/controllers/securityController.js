@@ -0,0 +1,84 @@
+// server/controllers/securityController.js - Bloqueos de login e historial de intentos (administración)
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginLockout = require('../models/LoginLockout');
+const logger = require('../utils/logger');
+
+class SecurityController {
+    // Bloqueos vigentes
+    static async getLockouts(req, res) {
+        try {
+            const lockouts = await LoginLockout.findAllActive();
+
+            res.json({
+                success: true,
+                lockouts
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo bloqueos de login: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Desbloquear antes de tiempo: el usuario o la IP pueden volver a intentar
+    static async unlock(req, res) {
+        try {
+            const lockout = await LoginLockout.findById(req.params.id);
+            if (!lockout || !(await LoginLockout.unlock(lockout.id, req.user.id))) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Bloqueo no encontrado o ya terminado'
+                });
+            }
+
+            logger.info(`🔓 Bloqueo ${lockout.scope} de ${lockout.value} quitado por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Bloqueo eliminado',
+                lockout: await LoginLockout.findById(lockout.id)
+            });
+
+        } catch (error) {
+            logger.error(`Error desbloqueando login: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Historial de intentos de login y de PIN de supervisor (kind: password o pin)
+    static async getLoginAttempts(req, res) {
+        try {
+            const { kind, username, ip_address, success, startDate, endDate, limit } = req.query;
+
+            const attempts = await LoginAttempt.findAll({
+                kind,
+                username,
+                ip_address,
+                success: success === undefined ? undefined : success === 'true',
+                startDate,
+                endDate,
+                limit
+            });
+
+            res.json({
+                success: true,
+                attempts
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo intentos de login: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = SecurityController;
\ No newline at end of file
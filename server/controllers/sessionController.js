@@ -0,0 +1,80 @@
+// server/controllers/sessionController.js - Sesiones abiertas (administración)
+const Session = require('../models/Session');
+const logger = require('../utils/logger');
+
+class SessionController {
+    // Listar sesiones abiertas; ?user_id= para las de un usuario
+    static async getAll(req, res) {
+        try {
+            const sessions = await Session.findAllActive({ user_id: req.query.user_id });
+
+            res.json({
+                success: true,
+                sessions: sessions.map(session => ({
+                    ...session,
+                    current: session.id === req.user.session_id
+                }))
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo sesiones: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Cerrar una sesión: el usuario debe volver a iniciar sesión en ese equipo
+    static async revoke(req, res) {
+        try {
+            const session = await Session.findActive(req.params.id);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Sesión no encontrada o ya cerrada'
+                });
+            }
+
+            await Session.revoke(session.id, 'admin');
+
+            logger.info(`🚪 Sesión #${session.id} del usuario #${session.user_id} cerrada por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Sesión cerrada'
+            });
+
+        } catch (error) {
+            logger.error(`Error cerrando sesión: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Cerrar todas las sesiones de un usuario
+    static async revokeUser(req, res) {
+        try {
+            const closed = await Session.revokeAllForUser(req.params.userId, 'admin');
+
+            logger.info(`🚪 ${closed} sesiones del usuario #${req.params.userId} cerradas por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: `${closed} sesiones cerradas`,
+                closed
+            });
+
+        } catch (error) {
+            logger.error(`Error cerrando sesiones del usuario: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = SessionController;
\ No newline at end of file
@@ -0,0 +1,821 @@
+// server/controllers/tabController.js - Cuentas abiertas por mesa (pedidos en mesa)
+const OpenTab = require('../models/OpenTab');
+const DiningTable = require('../models/DiningTable');
+const CashSession = require('../models/CashSession');
+const KitchenOrder = require('../models/KitchenOrder');
+const SaleController = require('./saleController');
+const kitchenEvents = require('../utils/kitchenEvents');
+const { applyTaxes, summarizeTaxes } = require('../utils/tax');
+const database = require('../config/database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class TabController {
+    // Normalizar número de mesa
+    static parseTableNumber(value) {
+        const tableNumber = value === undefined || value === null ? '' : String(value).trim();
+
+        if (!tableNumber) {
+            return { error: 'El número de mesa es requerido' };
+        }
+
+        if (tableNumber.length > 10) {
+            return { error: 'El número de mesa no puede exceder 10 caracteres' };
+        }
+
+        return { table_number: tableNumber };
+    }
+
+    // Cuenta existente y todavía abierta
+    static async loadOpenTab(id) {
+        const tab = await OpenTab.findById(id);
+        if (!tab) {
+            return { status: 404, error: 'Cuenta no encontrada' };
+        }
+
+        if (tab.status !== 'open') {
+            return { status: 400, error: 'La cuenta ya no está abierta' };
+        }
+
+        return { tab };
+    }
+
+    // Mapa de mesas: cada mesa con sus cuentas abiertas.
+    // Las cuentas en mesas no registradas también aparecen para no perderlas de vista.
+    static async getTables(req, res) {
+        try {
+            const tables = await DiningTable.findAll();
+            const tabs = await OpenTab.findOpen();
+
+            const map = tables.map(table => ({
+                ...table,
+                tabs: tabs.filter(tab => tab.table_number === table.number)
+            }));
+
+            const unregistered = [...new Set(tabs.map(tab => tab.table_number))]
+                .filter(number => !tables.some(table => table.number === number));
+            unregistered.forEach(number => {
+                map.push({
+                    id: null,
+                    number,
+                    seats: null,
+                    tabs: tabs.filter(tab => tab.table_number === number)
+                });
+            });
+
+            res.json({
+                success: true,
+                tables: map.map(table => ({ ...table, occupied: table.tabs.length > 0 }))
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo mesas: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Registrar mesa
+    static async createTable(req, res) {
+        try {
+            const parsed = TabController.parseTableNumber(req.body.number);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            const seats = req.body.seats ? parseInt(req.body.seats) : null;
+            if (seats !== null && (isNaN(seats) || seats <= 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad de sillas debe ser mayor a 0'
+                });
+            }
+
+            const table = await DiningTable.create({ number: parsed.table_number, seats });
+
+            res.status(201).json({
+                success: true,
+                message: 'Mesa creada exitosamente',
+                table
+            });
+
+        } catch (error) {
+            logger.error(`Error creando mesa: ${error}`);
+
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Ya existe una mesa con ese número'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Eliminar mesa (solo si está libre)
+    static async deleteTable(req, res) {
+        try {
+            const table = await DiningTable.findById(req.params.id);
+            if (!table) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Mesa no encontrada'
+                });
+            }
+
+            const tabs = await OpenTab.findOpen();
+            if (tabs.some(tab => tab.table_number === table.number)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La mesa tiene cuentas abiertas'
+                });
+            }
+
+            await DiningTable.delete(table.id);
+
+            res.json({
+                success: true,
+                message: 'Mesa eliminada exitosamente'
+            });
+
+        } catch (error) {
+            logger.error(`Error eliminando mesa: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Cuentas abiertas
+    static async getAll(req, res) {
+        try {
+            const tabs = await OpenTab.findOpen();
+
+            res.json({
+                success: true,
+                tabs
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo cuentas: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Cuenta con items y pagos
+    static async getById(req, res) {
+        try {
+            const tab = await OpenTab.findById(req.params.id);
+            if (!tab) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cuenta no encontrada'
+                });
+            }
+
+            res.json({
+                success: true,
+                tab
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo cuenta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Validar y guardar los items de la cuenta con sus comandas en una sola transacción, mientras la
+    // cuenta siga abierta. Quien llama envía las comandas a cocina (dispatchKitchenOrders) al confirmar.
+    // Las cuentas usan precios de lista: el impuesto de cada item se calcula al agregarlo.
+    static async addValidatedItems(tabId, items, userId) {
+        const validated = await SaleController.validateItems(items);
+        if (validated.error) return { status: 400, error: validated.error };
+
+        applyTaxes(validated.items);
+
+        return database.transaction(async () => {
+            const loaded = await TabController.loadOpenTab(tabId);
+            if (loaded.error) return loaded;
+
+            const created = await OpenTab.addItems(tabId, validated.items, userId);
+            const kitchenOrders = await KitchenOrder.createForTab(tabId, created);
+
+            return { items: created, kitchen_orders: kitchenOrders };
+        });
+    }
+
+    // Abrir cuenta en una mesa (los items iniciales son opcionales)
+    static async create(req, res) {
+        try {
+            const { customer_nit, customer_name, observations, items = [] } = req.body;
+
+            const parsed = TabController.parseTableNumber(req.body.table_number);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            if (!Array.isArray(items)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Items debe ser una lista'
+                });
+            }
+
+            // Validar antes de abrir para no dejar cuentas vacías por un item inválido
+            const validated = await SaleController.validateItems(items);
+            if (validated.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: validated.error
+                });
+            }
+
+            // La cuenta y sus items iniciales se guardan juntos
+            const { tabId, kitchenOrders } = await database.transaction(async () => {
+                const tabId = await OpenTab.create({
+                    table_number: parsed.table_number,
+                    customer_nit: customer_nit || null,
+                    customer_name: customer_name || null,
+                    observations: observations || null,
+                    user_id: req.user.id
+                });
+
+                if (items.length === 0) {
+                    return { tabId, kitchenOrders: [] };
+                }
+
+                const added = await TabController.addValidatedItems(tabId, items, req.user.id);
+                if (added.error) {
+                    throw new Error(added.error);
+                }
+                return { tabId, kitchenOrders: added.kitchen_orders };
+            });
+
+            SaleController.dispatchKitchenOrders(kitchenOrders);
+
+            const tab = await OpenTab.findById(tabId);
+
+            res.status(201).json({
+                success: true,
+                message: `Cuenta abierta en mesa ${tab.table_number}`,
+                tab,
+                kitchen_orders: kitchenOrders
+            });
+
+        } catch (error) {
+            logger.error(`Error abriendo cuenta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Agregar items a la cuenta; se envían a cocina en una comanda nueva
+    static async addItems(req, res) {
+        try {
+            const { items } = req.body;
+
+            if (!Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Items son requeridos'
+                });
+            }
+
+            const added = await TabController.addValidatedItems(req.params.id, items, req.user.id);
+            if (added.error) {
+                return res.status(added.status).json({
+                    success: false,
+                    message: added.error
+                });
+            }
+
+            SaleController.dispatchKitchenOrders(added.kitchen_orders);
+
+            const tab = await OpenTab.findById(req.params.id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Items agregados a la cuenta',
+                tab,
+                kitchen_orders: added.kitchen_orders
+            });
+
+        } catch (error) {
+            logger.error(`Error agregando items a la cuenta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Quitar item de la cuenta; si cocina aún no lo terminó, sale de la comanda
+    static async removeItem(req, res) {
+        try {
+            const { id, itemId } = req.params;
+
+            // Saldo, comanda e item en una sola transacción: un pago simultáneo no puede quedar
+            // por encima del total
+            const result = await database.transaction(async () => {
+                const loaded = await TabController.loadOpenTab(id);
+                if (loaded.error) {
+                    return loaded;
+                }
+
+                const item = loaded.tab.items.find(i => i.id === parseInt(itemId));
+                if (!item) {
+                    return { status: 404, error: 'Item no encontrado en la cuenta' };
+                }
+
+                if (round(loaded.tab.total - item.subtotal) < round(loaded.tab.paid_amount)) {
+                    return {
+                        status: 400,
+                        error: 'No se puede quitar: la cuenta ya tiene pagos por un monto mayor al que quedaría'
+                    };
+                }
+
+                const kitchenOrders = await KitchenOrder.removeTabItem(item.id);
+                await OpenTab.removeItem(item.id);
+
+                return { tab: await OpenTab.findById(loaded.tab.id), kitchenOrders };
+            });
+
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            result.kitchenOrders.forEach(order => kitchenEvents.emit('order', order));
+            const { tab } = result;
+
+            res.json({
+                success: true,
+                message: 'Item quitado de la cuenta',
+                tab
+            });
+
+        } catch (error) {
+            logger.error(`Error quitando item de la cuenta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Mover la cuenta a otra mesa
+    static async moveTable(req, res) {
+        try {
+            const parsed = TabController.parseTableNumber(req.body.table_number);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: parsed.error
+                });
+            }
+
+            const result = await database.transaction(async () => {
+                const loaded = await TabController.loadOpenTab(req.params.id);
+                if (loaded.error) {
+                    return loaded;
+                }
+
+                const tab = await OpenTab.updateTable(loaded.tab.id, parsed.table_number);
+
+                // La pantalla de cocina muestra el número de mesa de cada comanda
+                return {
+                    tab,
+                    previousTable: loaded.tab.table_number,
+                    kitchenOrders: await KitchenOrder.findActiveByTab(tab.id)
+                };
+            });
+
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            const { tab } = result;
+            result.kitchenOrders.forEach(order => kitchenEvents.emit('order', order));
+
+            logger.info(`🍽️ Cuenta #${tab.id} movida de mesa ${result.previousTable} a ${tab.table_number}`);
+
+            res.json({
+                success: true,
+                message: `Cuenta movida a mesa ${tab.table_number}`,
+                tab
+            });
+
+        } catch (error) {
+            logger.error(`Error moviendo cuenta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Unir esta cuenta a la cuenta de otra mesa
+    static async merge(req, res) {
+        try {
+            const { target_tab_id } = req.body;
+
+            if (!target_tab_id || parseInt(target_tab_id) === parseInt(req.params.id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Seleccione otra cuenta para unir'
+                });
+            }
+
+            // Ambas cuentas deben seguir abiertas hasta que se unen
+            const result = await database.transaction(async () => {
+                const source = await TabController.loadOpenTab(req.params.id);
+                if (source.error) {
+                    return source;
+                }
+
+                const target = await TabController.loadOpenTab(target_tab_id);
+                if (target.error) {
+                    return { status: target.status, error: `Cuenta destino: ${target.error.toLowerCase()}` };
+                }
+
+                const tab = await OpenTab.merge(source.tab.id, target.tab.id);
+
+                return {
+                    tab,
+                    sourceTable: source.tab.table_number,
+                    kitchenOrders: await KitchenOrder.findActiveByTab(tab.id)
+                };
+            });
+
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            const { tab, sourceTable } = result;
+            result.kitchenOrders.forEach(order => kitchenEvents.emit('order', order));
+
+            logger.info(`🍽️ Mesa ${sourceTable} unida a mesa ${tab.table_number}`);
+
+            res.json({
+                success: true,
+                message: `Mesa ${sourceTable} unida a mesa ${tab.table_number}`,
+                tab
+            });
+
+        } catch (error) {
+            logger.error(`Error uniendo cuentas: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Separar items en una cuenta nueva (por defecto en la misma mesa)
+    static async split(req, res) {
+        try {
+            const { items } = req.body;
+
+            if (!Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Seleccione los items a separar'
+                });
+            }
+
+            let tableNumber = null;
+            if (req.body.table_number !== undefined && req.body.table_number !== '') {
+                const parsed = TabController.parseTableNumber(req.body.table_number);
+                if (parsed.error) {
+                    return res.status(400).json({
+                        success: false,
+                        message: parsed.error
+                    });
+                }
+                tableNumber = parsed.table_number;
+            }
+
+            // Items, saldo y cuenta nueva en una sola transacción: la cuenta no puede cambiar ni recibir
+            // pagos entre la validación y la separación
+            const result = await database.transaction(async () => {
+                const loaded = await TabController.loadOpenTab(req.params.id);
+                if (loaded.error) {
+                    return loaded;
+                }
+
+                const tab = loaded.tab;
+                const splits = [];
+                let splitTotal = 0;
+                let splitQuantity = 0;
+
+                for (const entry of items) {
+                    const item = tab.items.find(i => i.id === parseInt(entry.item_id));
+                    if (!item) {
+                        return { status: 400, error: `Item ${entry.item_id} no pertenece a la cuenta` };
+                    }
+
+                    if (splits.some(split => split.item_id === item.id)) {
+                        return { status: 400, error: `Item ${item.product_name} repetido` };
+                    }
+
+                    const quantity = entry.quantity === undefined ? item.quantity : parseInt(entry.quantity);
+                    if (isNaN(quantity) || quantity <= 0 || quantity > item.quantity) {
+                        return { status: 400, error: `Cantidad inválida para ${item.product_name}` };
+                    }
+
+                    splits.push({ item_id: item.id, quantity });
+                    splitTotal += item.subtotal * quantity / item.quantity;
+                    splitQuantity += quantity;
+                }
+
+                const totalQuantity = tab.items.reduce((sum, item) => sum + item.quantity, 0);
+                if (splitQuantity === totalQuantity) {
+                    return { status: 400, error: 'Debe quedar al menos un item en la cuenta original' };
+                }
+
+                if (round(tab.total - splitTotal) < round(tab.paid_amount)) {
+                    return { status: 400, error: 'La cuenta original ya tiene pagos por un monto mayor al que quedaría' };
+                }
+
+                const newTabId = await OpenTab.split(tab.id, splits, {
+                    table_number: tableNumber || tab.table_number,
+                    customer_nit: req.body.customer_nit || null,
+                    customer_name: req.body.customer_name || null,
+                    observations: tab.observations,
+                    user_id: req.user.id
+                });
+
+                return {
+                    tab: await OpenTab.findById(tab.id),
+                    new_tab: await OpenTab.findById(newTabId)
+                };
+            });
+
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                message: `Cuenta #${result.new_tab.id} separada de la cuenta #${result.tab.id}`,
+                tab: result.tab,
+                new_tab: result.new_tab
+            });
+
+        } catch (error) {
+            logger.error(`Error separando cuenta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Dividir el saldo en partes iguales; la última parte absorbe los centavos sobrantes
+    static async splitEqual(req, res) {
+        try {
+            const parts = parseInt(req.query.parts);
+            if (isNaN(parts) || parts < 2 || parts > 50) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La cantidad de partes debe estar entre 2 y 50'
+                });
+            }
+
+            const loaded = await TabController.loadOpenTab(req.params.id);
+            if (loaded.error) {
+                return res.status(loaded.status).json({
+                    success: false,
+                    message: loaded.error
+                });
+            }
+
+            const remainingCents = Math.round((loaded.tab.total - loaded.tab.paid_amount) * 100);
+            const partCents = Math.floor(remainingCents / parts);
+            const amounts = Array.from({ length: parts }, (_, index) => (
+                index === parts - 1
+                    ? (remainingCents - partCents * (parts - 1)) / 100
+                    : partCents / 100
+            ));
+
+            res.json({
+                success: true,
+                tab_id: loaded.tab.id,
+                remaining: remainingCents / 100,
+                parts: amounts
+            });
+
+        } catch (error) {
+            logger.error(`Error dividiendo cuenta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Registrar un pago (parcial o total). Cuando el saldo llega a cero la cuenta se convierte en venta
+    // en la caja de quien la cierra, con todos los pagos parciales como formas de pago de la venta
+    // (cada uno sigue contando en la caja que lo cobró).
+    static async addPayment(req, res) {
+        try {
+            const cashSession = await CashSession.findOpenByUser(req.user.id);
+            if (!cashSession) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Debe abrir caja antes de registrar ventas'
+                });
+            }
+
+            // El saldo, el pago y el cobro de la cuenta se resuelven en una sola transacción:
+            // dos pagos finales simultáneos no pueden generar dos ventas ni pasarse del saldo
+            const result = await database.transaction(async () => {
+                const loaded = await TabController.loadOpenTab(req.params.id);
+                if (loaded.error) {
+                    return loaded;
+                }
+
+                const tab = loaded.tab;
+                if (tab.items.length === 0) {
+                    return { status: 400, error: 'La cuenta no tiene items' };
+                }
+
+                const remaining = round(tab.total - tab.paid_amount);
+
+                // Un pago parcial cubre solo lo entregado; nunca más que el saldo
+                const { payments, paid_amount } = req.body;
+                const tenders = Array.isArray(payments) && payments.length > 0 ? payments : [{ amount: paid_amount }];
+                const tendered = round(tenders.reduce((sum, tender) => sum + (parseFloat(tender.amount) || 0), 0));
+
+                const payment = SaleController.buildPayments(req.body, Math.min(remaining, tendered));
+                if (payment.error) {
+                    return { status: 400, error: payment.error };
+                }
+
+                if (payment.payments.some(p => p.method === 'points')) {
+                    return { status: 400, error: 'Los puntos se canjean solo en ventas directas' };
+                }
+
+                // Cada pago queda en la caja de quien lo cobra, aunque otra caja cierre la cuenta
+                await OpenTab.addPayments(tab.id, payment.payments, req.user.id, cashSession.id);
+
+                const updatedTab = await OpenTab.findById(tab.id);
+                if (round(updatedTab.total - updatedTab.paid_amount) > 0) {
+                    return { tab: updatedTab, change_amount: payment.change_amount, sale: null };
+                }
+
+                const taxes = summarizeTaxes(updatedTab.items);
+                const { customer } = await SaleController.resolveCustomer({ customer_nit: updatedTab.customer_nit });
+
+                const sale = await SaleController.recordSale({
+                    customer_id: customer ? customer.id : null,
+                    customer_nit: updatedTab.customer_nit,
+                    customer_name: updatedTab.customer_name,
+                    order_type: 'dine_in',
+                    table_number: updatedTab.table_number,
+                    observations: updatedTab.observations,
+                    subtotal: round(updatedTab.total - (config.PRICES_INCLUDE_TAX ? 0 : taxes.tax_amount)),
+                    taxable_base: taxes.taxable_base,
+                    tax_amount: taxes.tax_amount,
+                    prices_include_tax: config.PRICES_INCLUDE_TAX,
+                    invoice_authorization: config.INVOICE_AUTHORIZATION,
+                    total: updatedTab.total,
+                    user_id: req.user.id,
+                    cash_session_id: cashSession.id
+                }, updatedTab.items, {
+                    payments: updatedTab.payments,
+                    paid_amount: round(updatedTab.payments.reduce((sum, p) => sum + p.tendered, 0)),
+                    change_amount: round(updatedTab.payments.reduce((sum, p) => sum + p.tendered - p.amount, 0))
+                }, { sendToKitchen: false });
+
+                await KitchenOrder.linkTabToSale(tab.id, sale.id);
+
+                // Solo una solicitud cierra la cuenta: si ya estaba cerrada se revierte todo
+                const { closed } = await OpenTab.close(tab.id, sale.id);
+                if (!closed) {
+                    const error = new Error('La cuenta ya no está abierta');
+                    error.code = 'TAB_CLOSED';
+                    throw error;
+                }
+
+                return { tab: await OpenTab.findById(tab.id), change_amount: payment.change_amount, sale };
+            });
+
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            const { tab, sale } = result;
+            if (sale) {
+                logger.info(`🍽️ Cuenta #${tab.id} (mesa ${tab.table_number}) cobrada en venta #${sale.id}`);
+            }
+
+            res.status(201).json({
+                success: true,
+                message: sale ? 'Cuenta cobrada exitosamente' : 'Pago parcial registrado',
+                tab,
+                change_amount: result.change_amount,
+                sale,
+                print_ready: Boolean(sale)
+            });
+
+        } catch (error) {
+            if (error.code === 'TAB_CLOSED') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            logger.error(`Error registrando pago de cuenta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Anular cuenta sin pagos (solo administradores)
+    static async cancel(req, res) {
+        try {
+            // Un pago simultáneo no puede quedar en una cuenta anulada
+            const result = await database.transaction(async () => {
+                const loaded = await TabController.loadOpenTab(req.params.id);
+                if (loaded.error) {
+                    return loaded;
+                }
+
+                if (loaded.tab.payments.length > 0) {
+                    return { status: 400, error: 'La cuenta tiene pagos registrados y debe cobrarse' };
+                }
+
+                const tab = await OpenTab.cancel(loaded.tab.id);
+                return { tab, kitchenOrders: await KitchenOrder.cancelByTab(tab.id) };
+            });
+
+            if (result.error) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            const { tab } = result;
+            result.kitchenOrders.forEach(order => kitchenEvents.emit('order', order));
+
+            logger.info(`🚫 Cuenta #${tab.id} (mesa ${tab.table_number}) anulada por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Cuenta anulada exitosamente',
+                tab
+            });
+
+        } catch (error) {
+            logger.error(`Error anulando cuenta: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = TabController;
\ No newline at end of file
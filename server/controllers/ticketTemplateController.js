@@ -0,0 +1,343 @@
+// server/controllers/ticketTemplateController.js - Plantillas de tickets y datos del negocio (solo administradores)
+const TicketTemplate = require('../models/TicketTemplate');
+const BusinessSettings = require('../models/BusinessSettings');
+const printer = require('../utils/printer');
+const { PAPER_WIDTHS } = require('../utils/ticketTemplate');
+const { decodePng } = require('../utils/printerDrivers/logo');
+const samples = require('../templates/tickets/samples');
+const logger = require('../utils/logger');
+
+const MAX_TEMPLATE_LENGTH = 20000;
+const MAX_LOGO_BYTES = 512 * 1024;
+const FIELD_LIMITS = { name: 100, address: 200, city: 100, phone: 50, nit: 50, footer: 200, feedback_url: 200 };
+
+class TicketTemplateController {
+    // Datos de ejemplo del tipo, ya preparados como los del ticket real
+    static sampleContext(type) {
+        switch (type) {
+        case 'sale': return printer.saleTicketContext(samples.sale);
+        case 'kitchen': return printer.kitchenTicketContext(samples.kitchen);
+        case 'daily_report': return printer.dailyReportContext(samples.daily_report);
+        default: return printer.testTicketContext();
+        }
+    }
+
+    // Texto del ticket de ejemplo; lanza TEMPLATE_INVALID si la plantilla tiene errores
+    static async preview(type, template) {
+        return printer.renderTicket(type, TicketTemplateController.sampleContext(type), template);
+    }
+
+    // Valida tipo, contenido y ancho de papel. Devuelve el mensaje de error o null
+    static validateTemplate({ content, paper_width }) {
+        if (typeof content !== 'string' || !content.trim()) {
+            return 'El contenido de la plantilla es requerido';
+        }
+        if (content.length > MAX_TEMPLATE_LENGTH) {
+            return `La plantilla no puede exceder ${MAX_TEMPLATE_LENGTH} caracteres`;
+        }
+        if (paper_width !== undefined && !PAPER_WIDTHS.includes(paper_width)) {
+            return `Ancho de papel inválido. Use: ${PAPER_WIDTHS.join(', ')}`;
+        }
+        return null;
+    }
+
+    static rejectUnknownType(req, res) {
+        if (TicketTemplate.TYPES.includes(req.params.type)) return false;
+
+        res.status(404).json({
+            success: false,
+            message: `Tipo de ticket no encontrado. Use: ${TicketTemplate.TYPES.join(', ')}`
+        });
+        return true;
+    }
+
+    // Listar las plantillas (guardadas o predeterminadas)
+    static async getAll(req, res) {
+        try {
+            res.json({
+                success: true,
+                templates: await TicketTemplate.findAll(),
+                paper_widths: PAPER_WIDTHS
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo plantillas de tickets: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    static async getByType(req, res) {
+        try {
+            if (TicketTemplateController.rejectUnknownType(req, res)) return;
+
+            res.json({
+                success: true,
+                template: await TicketTemplate.findByType(req.params.type)
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo plantilla de ticket: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Guardar la plantilla; antes se prueba con los datos de ejemplo
+    static async update(req, res) {
+        try {
+            if (TicketTemplateController.rejectUnknownType(req, res)) return;
+
+            const { type } = req.params;
+            const { content, paper_width } = req.body;
+
+            const validationError = TicketTemplateController.validateTemplate({ content, paper_width });
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+
+            const current = await TicketTemplate.findByType(type);
+            const paperWidth = paper_width || current.paper_width;
+            await TicketTemplateController.preview(type, { content, paper_width: paperWidth });
+
+            const template = await TicketTemplate.save(type, { content, paper_width: paperWidth }, req.user.id);
+
+            logger.info(`🧾 Plantilla de ticket "${type}" actualizada por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Plantilla guardada',
+                template
+            });
+
+        } catch (error) {
+            if (error.code === 'TEMPLATE_INVALID') {
+                return res.status(400).json({
+                    success: false,
+                    message: `Plantilla inválida: ${error.message}`
+                });
+            }
+
+            logger.error(`Error guardando plantilla de ticket: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Volver a la plantilla predeterminada
+    static async reset(req, res) {
+        try {
+            if (TicketTemplateController.rejectUnknownType(req, res)) return;
+
+            const template = await TicketTemplate.reset(req.params.type);
+
+            logger.info(`🧾 Plantilla de ticket "${req.params.type}" restablecida por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Plantilla predeterminada restablecida',
+                template
+            });
+
+        } catch (error) {
+            logger.error(`Error restableciendo plantilla de ticket: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Vista previa en texto con datos de ejemplo: la plantilla enviada (sin guardarla) o la actual
+    static async renderPreview(req, res) {
+        try {
+            if (TicketTemplateController.rejectUnknownType(req, res)) return;
+
+            const { type } = req.params;
+            const current = await TicketTemplate.findByType(type);
+            const template = {
+                content: req.body.content !== undefined ? req.body.content : current.content,
+                paper_width: req.body.paper_width || current.paper_width
+            };
+
+            const validationError = TicketTemplateController.validateTemplate(template);
+            if (validationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: validationError
+                });
+            }
+
+            const preview = await TicketTemplateController.preview(type, template);
+
+            res.json({
+                success: true,
+                preview,
+                paper_width: template.paper_width,
+                columns: printer.columnsFor(template.paper_width)
+            });
+
+        } catch (error) {
+            if (error.code === 'TEMPLATE_INVALID') {
+                return res.status(400).json({
+                    success: false,
+                    message: `Plantilla inválida: ${error.message}`
+                });
+            }
+
+            logger.error(`Error generando vista previa de ticket: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Datos del negocio que se imprimen en los tickets
+    static async getBusiness(req, res) {
+        try {
+            res.json({
+                success: true,
+                business: await BusinessSettings.get()
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo datos del negocio: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    static async updateBusiness(req, res) {
+        try {
+            for (const [field, limit] of Object.entries(FIELD_LIMITS)) {
+                const value = req.body[field];
+                if (value !== undefined && value !== null && String(value).length > limit) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `El campo ${field} no puede exceder ${limit} caracteres`
+                    });
+                }
+            }
+
+            const business = await BusinessSettings.update(req.body, req.user.id);
+
+            logger.info(`🏪 Datos del negocio actualizados por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Datos del negocio actualizados',
+                business
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando datos del negocio: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Descargar el logo
+    static async getLogo(req, res) {
+        try {
+            const logo = await BusinessSettings.getLogo();
+            if (!logo) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No hay logo configurado'
+                });
+            }
+
+            res.type(logo.mime).send(logo.data);
+
+        } catch (error) {
+            logger.error(`Error obteniendo logo: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Logo PNG en base64 (o data URL): { image: "data:image/png;base64,..." }
+    static async uploadLogo(req, res) {
+        try {
+            const { image } = req.body;
+            if (typeof image !== 'string' || !image) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'La imagen del logo es requerida (PNG en base64)'
+                });
+            }
+
+            const data = Buffer.from(image.replace(/^data:image\/png;base64,/, ''), 'base64');
+            if (data.length > MAX_LOGO_BYTES) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El logo no puede exceder ${MAX_LOGO_BYTES / 1024} KB`
+                });
+            }
+
+            const { width, height } = decodePng(data);
+            const business = await BusinessSettings.setLogo(data, 'image/png', req.user.id);
+
+            logger.info(`🏪 Logo actualizado por ${req.user.username} (${width}x${height})`);
+
+            res.json({
+                success: true,
+                message: 'Logo actualizado',
+                business
+            });
+
+        } catch (error) {
+            if (error.code === 'LOGO_INVALID') {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            logger.error(`Error guardando logo: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    static async deleteLogo(req, res) {
+        try {
+            const business = await BusinessSettings.clearLogo(req.user.id);
+
+            logger.info(`🏪 Logo eliminado por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Logo eliminado',
+                business
+            });
+
+        } catch (error) {
+            logger.error(`Error eliminando logo: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = TicketTemplateController;
\ No newline at end of file
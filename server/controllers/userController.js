@@ -0,0 +1,444 @@
+// server/controllers/userController.js - Administración de usuarios
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const passwordPolicy = require('../utils/passwordPolicy');
+const logger = require('../utils/logger');
+
+const USERNAME = /^[a-zA-Z0-9_.-]{3,30}$/;
+const MANAGE_USERS = 'manage_users';
+
+class UserController {
+    // Usuario sin la contraseña ni el PIN
+    static publicUser(user) {
+        const { password: _, pin_hash: pinHash, ...userWithoutPassword } = user;
+        return {
+            ...userWithoutPassword,
+            active: Boolean(user.active),
+            must_change_password: Boolean(user.must_change_password),
+            has_pin: Boolean(pinHash)
+        };
+    }
+
+    // Usuario del parámetro :id (activo o no); responde 404 y devuelve null si no existe
+    static async findUser(req, res) {
+        const user = await User.findAnyById(req.params.id);
+        if (!user) {
+            res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado'
+            });
+            return null;
+        }
+        return user;
+    }
+
+    // Permisos del rol que quien hace la solicitud no tiene: solo se asignan (o quitan) roles
+    // con permisos que uno mismo tiene, para no dar ni quitar más acceso del propio
+    static async missingPermissions(req, role) {
+        const permissions = await Role.permissionsFor(role);
+        return permissions.filter(permission => !req.user.permissions.includes(permission));
+    }
+
+    static roleDenied(res, role, missing) {
+        return res.status(403).json({
+            success: false,
+            message: `No puede asignar ni quitar el rol ${role}: tiene permisos que usted no tiene`,
+            missing_permissions: missing
+        });
+    }
+
+    // Como findUser, para acciones sobre otro usuario (desactivar, reactivar, restablecer la contraseña,
+    // eliminar): su rol no puede tener permisos que quien hace la solicitud no tiene; si no, responde 403
+    static async findManagedUser(req, res) {
+        const user = await UserController.findUser(req, res);
+        if (!user) return null;
+
+        const missing = await UserController.missingPermissions(req, user.role);
+        if (missing.length > 0) {
+            res.status(403).json({
+                success: false,
+                message: `No puede administrar a un usuario con el rol ${user.role}: tiene permisos que usted no tiene`,
+                missing_permissions: missing
+            });
+            return null;
+        }
+        return user;
+    }
+
+    // Siempre debe quedar un usuario activo que pueda administrar usuarios
+    static async isLastManager(user) {
+        return Boolean(user.active)
+            && await Role.hasPermission(user.role, MANAGE_USERS)
+            && await User.countActiveWithPermission(MANAGE_USERS, user.id) === 0;
+    }
+
+    // Listar usuarios; ?active=true|false para filtrar
+    static async getAll(req, res) {
+        try {
+            const { active } = req.query;
+            let users = await User.findAll();
+
+            if (active !== undefined) {
+                users = users.filter(user => Boolean(user.active) === (active === 'true'));
+            }
+
+            res.json({
+                success: true,
+                users: users.map(user => UserController.publicUser(user)),
+                password_policy: passwordPolicy.rules()
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo usuarios: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Usuario con sus ventas registradas y sesiones abiertas
+    static async getById(req, res) {
+        try {
+            const user = await UserController.findUser(req, res);
+            if (!user) return;
+
+            res.json({
+                success: true,
+                user: {
+                    ...UserController.publicUser(user),
+                    sales_count: await User.countSales(user.id),
+                    sessions: await Session.findAllActive({ user_id: user.id })
+                }
+            });
+
+        } catch (error) {
+            logger.error(`Error obteniendo usuario: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    static async create(req, res) {
+        try {
+            const { username, password, full_name, role = 'cashier', must_change_password = false } = req.body;
+
+            if (!username || !USERNAME.test(username)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El usuario debe tener de 3 a 30 caracteres: letras, números, punto, guion o guion bajo'
+                });
+            }
+
+            if (!full_name || !String(full_name).trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El nombre completo es requerido'
+                });
+            }
+
+            const passwordError = passwordPolicy.validate(password, { username });
+            if (passwordError) {
+                return res.status(400).json({
+                    success: false,
+                    message: passwordError
+                });
+            }
+
+            if (!(await Role.findByName(role))) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El rol ${role} no existe`
+                });
+            }
+
+            const missing = await UserController.missingPermissions(req, role);
+            if (missing.length > 0) {
+                return UserController.roleDenied(res, role, missing);
+            }
+
+            if (await User.usernameExists(username)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El usuario ya existe'
+                });
+            }
+
+            const created = await User.create({ username, password, full_name: String(full_name).trim(), role });
+            if (must_change_password) {
+                await User.resetPassword(created.id);
+            }
+
+            logger.info(`👤 Usuario ${username} (${role}) creado por ${req.user.username}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Usuario creado exitosamente',
+                user: UserController.publicUser(await User.findAnyById(created.id))
+            });
+
+        } catch (error) {
+            logger.error(`Error creando usuario: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Editar nombre y rol. El cambio de rol vale desde la siguiente solicitud del usuario
+    static async update(req, res) {
+        try {
+            const user = await UserController.findUser(req, res);
+            if (!user) return;
+
+            const { full_name, role } = req.body;
+
+            if (full_name === undefined && role === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Indique full_name o role'
+                });
+            }
+
+            if (full_name !== undefined && !String(full_name).trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El nombre completo no puede estar vacío'
+                });
+            }
+
+            if (role !== undefined && role !== user.role) {
+                if (user.id === req.user.id) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'No puede cambiar su propio rol'
+                    });
+                }
+
+                if (!(await Role.findByName(role))) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `El rol ${role} no existe`
+                    });
+                }
+
+                for (const assigned of [user.role, role]) {
+                    const missing = await UserController.missingPermissions(req, assigned);
+                    if (missing.length > 0) {
+                        return UserController.roleDenied(res, assigned, missing);
+                    }
+                }
+
+                if (!(await Role.hasPermission(role, MANAGE_USERS)) && await UserController.isLastManager(user)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Es el último usuario activo que puede administrar usuarios; no se le puede quitar ese permiso'
+                    });
+                }
+            }
+
+            await User.update(user.id, {
+                username: user.username,
+                full_name: full_name !== undefined ? String(full_name).trim() : user.full_name,
+                role: role !== undefined ? role : user.role
+            });
+
+            logger.info(`👤 Usuario ${user.username} actualizado por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Usuario actualizado',
+                user: UserController.publicUser(await User.findAnyById(user.id))
+            });
+
+        } catch (error) {
+            logger.error(`Error actualizando usuario: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Desactivar: no puede iniciar sesión y sus sesiones se cierran
+    static async deactivate(req, res) {
+        try {
+            const user = await UserController.findManagedUser(req, res);
+            if (!user) return;
+
+            if (user.id === req.user.id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No puede desactivar su propio usuario'
+                });
+            }
+
+            if (!user.active) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El usuario ya está desactivado'
+                });
+            }
+
+            if (await UserController.isLastManager(user)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Es el último usuario activo que puede administrar usuarios'
+                });
+            }
+
+            await User.delete(user.id);
+
+            logger.info(`👤 Usuario ${user.username} desactivado por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Usuario desactivado',
+                user: UserController.publicUser(await User.findAnyById(user.id))
+            });
+
+        } catch (error) {
+            logger.error(`Error desactivando usuario: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    static async activate(req, res) {
+        try {
+            const user = await UserController.findManagedUser(req, res);
+            if (!user) return;
+
+            if (user.active) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'El usuario ya está activo'
+                });
+            }
+
+            await User.activate(user.id);
+
+            logger.info(`👤 Usuario ${user.username} reactivado por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Usuario reactivado',
+                user: UserController.publicUser(await User.findAnyById(user.id))
+            });
+
+        } catch (error) {
+            logger.error(`Error reactivando usuario: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Obligar a cambiar la contraseña en el próximo login; con password se asigna una temporal.
+    // Las sesiones del usuario se cierran.
+    static async resetPassword(req, res) {
+        try {
+            const user = await UserController.findManagedUser(req, res);
+            if (!user) return;
+
+            if (user.id === req.user.id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Para su propio usuario use el cambio de contraseña del perfil'
+                });
+            }
+
+            const { password } = req.body;
+            if (password !== undefined && password !== null && password !== '') {
+                const passwordError = passwordPolicy.validate(password, { username: user.username });
+                if (passwordError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: passwordError
+                    });
+                }
+            }
+
+            await User.resetPassword(user.id, password || null);
+
+            logger.info(`🔑 Cambio de contraseña obligatorio para ${user.username}${password ? ' (contraseña temporal)' : ''}, pedido por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: password
+                    ? 'Contraseña temporal asignada; deberá cambiarla al iniciar sesión'
+                    : 'El usuario deberá cambiar su contraseña al iniciar sesión'
+            });
+
+        } catch (error) {
+            logger.error(`Error restableciendo contraseña: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+
+    // Eliminar definitivamente: solo usuarios sin ventas ni otros registros; los demás se desactivan
+    static async delete(req, res) {
+        try {
+            const user = await UserController.findManagedUser(req, res);
+            if (!user) return;
+
+            if (user.id === req.user.id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No puede eliminar su propio usuario'
+                });
+            }
+
+            const salesCount = await User.countSales(user.id);
+            if (salesCount > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `El usuario tiene ${salesCount} ventas registradas; desactívelo en su lugar`
+                });
+            }
+
+            if (await UserController.isLastManager(user)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Es el último usuario activo que puede administrar usuarios'
+                });
+            }
+
+            try {
+                await User.destroy(user.id);
+            } catch (error) {
+                if (error.code !== 'SQLITE_CONSTRAINT') throw error;
+                return res.status(400).json({
+                    success: false,
+                    message: 'El usuario tiene registros asociados (cajas, movimientos o autorizaciones); desactívelo en su lugar'
+                });
+            }
+
+            logger.info(`🗑️ Usuario ${user.username} eliminado por ${req.user.username}`);
+
+            res.json({
+                success: true,
+                message: 'Usuario eliminado'
+            });
+
+        } catch (error) {
+            logger.error(`Error eliminando usuario: ${error}`);
+            res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    }
+}
+
+module.exports = UserController;
\ No newline at end of file
@@ -3,6 +3,89 @@ const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const Approval = require('../models/Approval');
+const Session = require('../models/Session');
+
+// Usuario de una sesión: debe seguir abierta, ser del usuario y el usuario estar activo.
+// null si la sesión se cerró (logout, administrador, usuario desactivado).
+const userFromSession = async (userId, sessionId) => {
+    const session = sessionId ? await Session.findActive(sessionId) : null;
+    if (!session || session.user_id !== userId) {
+        return null;
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.active) {
+        return null;
+    }
+
+    return {
+        id: user.id,
+        username: user.username,
+        full_name: user.full_name,
+        role: user.role,
+        session_id: session.id,
+        must_change_password: Boolean(user.must_change_password),
+        permissions: await Role.permissionsFor(user.role)
+    };
+};
+
+// Usuario de un token de acceso (ver userFromSession); jwt.verify lanza TokenExpiredError
+// o JsonWebTokenError si el token venció o no es válido. Un ticket de stream no sirve como token de acceso.
+const userFromToken = async (token) => {
+    const decoded = jwt.verify(token, config.JWT_SECRET);
+    if (decoded.purpose) {
+        return null;
+    }
+
+    return userFromSession(decoded.id, decoded.sid);
+};
+
+// EventSource no permite enviar cabeceras y la URL queda en los logs de acceso: en lugar del token
+// de acceso, el stream recibe un ticket de corta duración que solo sirve para abrir streams
+const STREAM_TICKET_EXPIRES = '60s';
+
+const createStreamTicket = (user) => jwt.sign(
+    { id: user.id, sid: user.session_id, purpose: 'stream' },
+    config.JWT_SECRET,
+    { expiresIn: STREAM_TICKET_EXPIRES }
+);
+
+// Middleware para streams (Server-Sent Events): autentica con ?ticket=
+const authenticateStreamTicket = async (req, res, next) => {
+    try {
+        const decoded = req.query.ticket ? jwt.verify(String(req.query.ticket), config.JWT_SECRET) : null;
+        const user = decoded && decoded.purpose === 'stream' ? await userFromSession(decoded.id, decoded.sid) : null;
+
+        if (!user || user.must_change_password) {
+            return res.status(401).json({
+                success: false,
+                message: 'Ticket de conexión inválido o vencido'
+            });
+        }
+
+        req.user = user;
+        next();
+
+    } catch (error) {
+        if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Ticket de conexión inválido o vencido'
+            });
+        }
+
+        logger.error(`Error en autenticación de stream: ${error}`);
+        return res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+};
+
+// Lo único que puede hacer un usuario que debe cambiar su contraseña
+const PASSWORD_CHANGE_ROUTES = ['/api/auth/change-password', '/api/auth/profile', '/api/auth/logout'];
 
 // Middleware para verificar token JWT
 const authenticateToken = async (req, res, next) => {
@@ -17,25 +100,25 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
-        // Verificar el token
-        const decoded = jwt.verify(token, config.JWT_SECRET);
-        
-        // Buscar el usuario para asegurar que aún existe y está activo
-        const user = await User.findById(decoded.id);
+        // Verificar el token, la sesión y que el usuario siga activo
+        const user = await userFromToken(token);
         if (!user) {
             return res.status(401).json({
                 success: false,
-                message: 'Usuario no válido'
+                message: 'Sesión cerrada o usuario no válido'
+            });
+        }
+
+        if (user.must_change_password && !PASSWORD_CHANGE_ROUTES.includes(req.originalUrl.split('?')[0])) {
+            return res.status(403).json({
+                success: false,
+                message: 'Debe cambiar su contraseña antes de continuar',
+                password_change_required: true
             });
         }
 
         // Agregar información del usuario a la request
-        req.user = {
-            id: user.id,
-            username: user.username,
-            full_name: user.full_name,
-            role: user.role
-        };
+        req.user = user;
 
         next();
         
@@ -90,6 +173,80 @@ const requireRole = (allowedRoles) => {
 // Middleware para verificar que el usuario sea administrador
 const requireAdmin = requireRole('admin');
 
+// Middleware para verificar que el rol del usuario tenga el permiso (ver Role.PERMISSIONS)
+const requirePermission = (permission) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Usuario no autenticado'
+            });
+        }
+
+        if (!req.user.permissions.includes(permission)) {
+            return res.status(403).json({
+                success: false,
+                message: 'No tiene permisos para realizar esta acción',
+                permission
+            });
+        }
+
+        next();
+    };
+};
+
+// Como requirePermission, pero sin el permiso vale la autorización de un supervisor para esa acción
+// (body.approval_token de POST /api/approvals). Aquí solo se comprueba: el controlador la marca usada
+// (Approval.consumeOrThrow) dentro de la transacción de la acción; quien autorizó queda en req.approval.approved_by.
+const requirePermissionOrApproval = (permission) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Usuario no autenticado'
+            });
+        }
+
+        if (req.user.permissions.includes(permission)) {
+            return next();
+        }
+
+        const token = req.body && req.body.approval_token;
+        if (!token) {
+            return res.status(403).json({
+                success: false,
+                message: 'Esta acción requiere autorización de un supervisor',
+                permission,
+                requires_approval: true
+            });
+        }
+
+        try {
+            const saleId = parseInt(req.params.id) || null;
+            const approval = await Approval.findValid(token, permission, req.user.id, saleId);
+
+            if (!approval) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'La autorización no es válida, ya se usó o venció',
+                    permission,
+                    requires_approval: true
+                });
+            }
+
+            req.approval = approval;
+            next();
+
+        } catch (error) {
+            logger.error(`Error verificando autorización: ${error}`);
+            return res.status(500).json({
+                success: false,
+                message: 'Error interno del servidor'
+            });
+        }
+    };
+};
+
 // Middleware para verificar que el usuario sea el mismo o administrador
 const requireOwnerOrAdmin = (req, res, next) => {
     if (!req.user) {
@@ -120,16 +277,10 @@ const optionalAuth = async (req, res, next) => {
         const token = authHeader && authHeader.split(' ')[1];
         
         if (token) {
-            const decoded = jwt.verify(token, config.JWT_SECRET);
-            const user = await User.findById(decoded.id);
+            const user = await userFromToken(token);
             
             if (user) {
-                req.user = {
-                    id: user.id,
-                    username: user.username,
-                    full_name: user.full_name,
-                    role: user.role
-                };
+                req.user = user;
             }
         }
         
@@ -143,9 +294,15 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+    userFromSession,
+    userFromToken,
+    createStreamTicket,
     authenticateToken,
+    authenticateStreamTicket,
     requireRole,
     requireAdmin,
+    requirePermission,
+    requirePermissionOrApproval,
     requireOwnerOrAdmin,
     optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,124 @@
+// server/middleware/idempotency.js - Soporte de la cabecera Idempotency-Key
+// Si la solicitud trae Idempotency-Key y el mismo usuario ya la envió dentro de la ventana
+// (IDEMPOTENCY_WINDOW_HOURS), se responde lo guardado sin ejecutarla otra vez.
+// Solo se guardan las respuestas exitosas (2xx): tras un error la misma clave puede reintentarse.
+// La clave identifica una operación: con otro método, ruta o cuerpo se rechaza (422).
+// Va después de authenticateToken (la clave es por usuario).
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 100;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Solicitudes en curso por usuario y clave: un doble clic espera a la primera y recibe su respuesta
+const inFlight = new Map();
+let lastPurge = 0;
+
+// Huella del cuerpo ya interpretado (express.json)
+function requestHash(req) {
+    return crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+}
+
+function purgeExpired() {
+    if (Date.now() - lastPurge < PURGE_INTERVAL) return;
+    lastPurge = Date.now();
+
+    IdempotencyKey.purgeExpired(config.IDEMPOTENCY_WINDOW_HOURS)
+        .catch(error => logger.error(`Error limpiando claves de idempotencia: ${error}`));
+}
+
+const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Idempotency-Key no puede exceder ${MAX_KEY_LENGTH} caracteres`
+        });
+    }
+
+    const scope = `${req.user.id}:${key}`;
+    const hash = requestHash(req);
+    while (inFlight.has(scope)) {
+        await inFlight.get(scope);
+    }
+
+    // Tomar la clave sin ceder el control entre la comprobación y la asignación
+    let release;
+    inFlight.set(scope, new Promise(resolve => { release = resolve; }));
+    let released = false;
+    const done = () => {
+        if (released) return;
+        released = true;
+        inFlight.delete(scope);
+        release();
+    };
+
+    try {
+        const stored = await IdempotencyKey.find(req.user.id, key, config.IDEMPOTENCY_WINDOW_HOURS);
+
+        if (stored) {
+            done();
+
+            // Las claves guardadas antes de la huella se comparan solo por método y ruta
+            const sameRequest = stored.method === req.method && stored.path === req.originalUrl
+                && (!stored.request_hash || stored.request_hash === hash);
+
+            if (!sameRequest) {
+                return res.status(422).json({
+                    success: false,
+                    message: 'La Idempotency-Key ya se usó en otra operación'
+                });
+            }
+
+            logger.info(`🔁 Respuesta repetida para Idempotency-Key ${key} (${req.method} ${req.originalUrl})`);
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(stored.status_code).json(stored.response);
+        }
+    } catch (error) {
+        done();
+        logger.error(`Error consultando Idempotency-Key: ${error}`);
+        return res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+
+    // Guardar la respuesta exitosa antes de liberar la clave
+    let captured = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        captured = true;
+
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+            IdempotencyKey.create({
+                user_id: req.user.id,
+                idempotency_key: key,
+                method: req.method,
+                path: req.originalUrl,
+                request_hash: hash,
+                status_code: res.statusCode,
+                response: body
+            })
+                .catch(error => logger.error(`Error guardando Idempotency-Key: ${error}`))
+                .finally(done);
+            purgeExpired();
+        } else {
+            done();
+        }
+
+        return originalJson(body);
+    };
+
+    // Respuestas que no pasan por res.json (o conexión cerrada)
+    res.on('close', () => {
+        if (!captured) done();
+    });
+
+    next();
+};
+
+module.exports = { idempotency };
\ No newline at end of file
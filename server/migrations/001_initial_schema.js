@@ -0,0 +1,795 @@
+// server/migrations/001_initial_schema.js - Esquema base del sistema
+// Instalaciones creadas antes de las migraciones versionadas ya tienen estas tablas:
+// todo es idempotente (IF NOT EXISTS, addColumnIfMissing) y solo se agrega lo que falte.
+const logger = require('../utils/logger');
+
+// Orden de creación (respetando dependencias); down las elimina en orden inverso
+const TABLES = [
+    'users',
+    'categories',
+    'products',
+    'sales',
+    'sale_details',
+    'sale_refunds',
+    'sale_refund_details',
+    'cash_sessions',
+    'cash_movements',
+    'sale_payments',
+    'stock_movements',
+    'ingredients',
+    'product_recipes',
+    'ingredient_movements',
+    'modifier_groups',
+    'modifier_options',
+    'product_modifier_groups',
+    'sale_detail_modifiers',
+    'dining_tables',
+    'open_tabs',
+    'open_tab_items',
+    'open_tab_payments',
+    'stations',
+    'kitchen_orders',
+    'kitchen_order_items',
+    'promotions',
+    'promotion_products',
+    'coupons',
+    'sale_discounts',
+    'customers',
+    'loyalty_movements'
+];
+
+async function createUsersTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username VARCHAR(50) UNIQUE NOT NULL,
+            password VARCHAR(255) NOT NULL,
+            full_name VARCHAR(100) NOT NULL,
+            role VARCHAR(20) DEFAULT 'user',
+            active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla users creada');
+}
+
+async function createCategoriesTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS categories (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(100) NOT NULL,
+            description TEXT,
+            active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla categories creada');
+}
+
+async function createProductsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS products (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(100) NOT NULL,
+            description TEXT,
+            price DECIMAL(10,2) NOT NULL,
+            category_id INTEGER,
+            image_url VARCHAR(255),
+            active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (category_id) REFERENCES categories(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla products creada (sin stock)');
+}
+
+async function createSalesTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS sales (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            customer_nit VARCHAR(20),
+            customer_name VARCHAR(100),
+            order_type VARCHAR(20) NOT NULL,
+            table_number VARCHAR(10),
+            observations TEXT,
+            subtotal DECIMAL(10,2) NOT NULL,
+            total DECIMAL(10,2) NOT NULL,
+            paid_amount DECIMAL(10,2) NOT NULL,
+            change_amount DECIMAL(10,2) DEFAULT 0,
+            user_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla sales creada');
+}
+
+async function createSaleDetailsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS sale_details (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            product_name VARCHAR(100) NOT NULL,
+            quantity INTEGER NOT NULL,
+            unit_price DECIMAL(10,2) NOT NULL,
+            subtotal DECIMAL(10,2) NOT NULL,
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla sale_details creada');
+}
+
+async function createSaleRefundsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS sale_refunds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_id INTEGER NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            reason TEXT NOT NULL,
+            approved_by INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (approved_by) REFERENCES users(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla sale_refunds creada');
+}
+
+async function createSaleRefundDetailsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS sale_refund_details (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            refund_id INTEGER NOT NULL,
+            sale_detail_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            FOREIGN KEY (refund_id) REFERENCES sale_refunds(id),
+            FOREIGN KEY (sale_detail_id) REFERENCES sale_details(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla sale_refund_details creada');
+}
+
+async function createCashSessionsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS cash_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'open',
+            opening_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+            expected_amount DECIMAL(10,2),
+            counted_amount DECIMAL(10,2),
+            difference DECIMAL(10,2),
+            opening_notes TEXT,
+            closing_notes TEXT,
+            closed_by INTEGER,
+            opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            closed_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (closed_by) REFERENCES users(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla cash_sessions creada');
+}
+
+async function createCashMovementsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS cash_movements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            session_id INTEGER NOT NULL,
+            type VARCHAR(10) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            reason TEXT NOT NULL,
+            user_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (session_id) REFERENCES cash_sessions(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla cash_movements creada');
+}
+
+// amount: monto aplicado a la venta; tendered: monto recibido (solo efectivo genera cambio)
+async function createSalePaymentsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS sale_payments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_id INTEGER NOT NULL,
+            method VARCHAR(20) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            tendered DECIMAL(10,2) NOT NULL,
+            reference VARCHAR(100),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (sale_id) REFERENCES sales(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla sale_payments creada');
+}
+
+// Kardex de inventario: el stock de un producto es la suma de sus movimientos.
+// type: purchase | sale | adjustment | waste | count; quantity es la variación (+/-)
+async function createStockMovementsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS stock_movements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            type VARCHAR(20) NOT NULL,
+            quantity DECIMAL(10,2) NOT NULL,
+            stock_after DECIMAL(10,2) NOT NULL,
+            sale_id INTEGER,
+            notes TEXT,
+            user_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `;
+    await db.runAsync(sql);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements(product_id)');
+    logger.info('✅ Tabla stock_movements creada');
+}
+
+// Insumos usados en las recetas (pan, carne, salsa...)
+async function createIngredientsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS ingredients (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            unit VARCHAR(20) NOT NULL,
+            cost DECIMAL(10,4) NOT NULL DEFAULT 0,
+            reorder_level DECIMAL(10,3) NOT NULL DEFAULT 0,
+            active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla ingredients creada');
+}
+
+// Receta (BOM): cantidad de cada insumo por unidad vendida del producto
+async function createProductRecipesTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS product_recipes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            ingredient_id INTEGER NOT NULL,
+            quantity DECIMAL(10,3) NOT NULL,
+            UNIQUE (product_id, ingredient_id),
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (ingredient_id) REFERENCES ingredients(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla product_recipes creada');
+}
+
+// Kardex de insumos. type: purchase | consumption | adjustment | waste | count
+async function createIngredientMovementsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS ingredient_movements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ingredient_id INTEGER NOT NULL,
+            type VARCHAR(20) NOT NULL,
+            quantity DECIMAL(10,3) NOT NULL,
+            stock_after DECIMAL(10,3) NOT NULL,
+            sale_id INTEGER,
+            sale_detail_id INTEGER,
+            notes TEXT,
+            user_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (ingredient_id) REFERENCES ingredients(id),
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (sale_detail_id) REFERENCES sale_details(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `;
+    await db.runAsync(sql);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_ingredient_movements_ingredient ON ingredient_movements(ingredient_id)');
+    logger.info('✅ Tabla ingredient_movements creada');
+}
+
+// Grupos de modificadores ("Extras", "Sin ingredientes", "Término de la carne")
+// min_select/max_select limitan las opciones elegidas; max_select = 0 es sin límite
+async function createModifierGroupsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS modifier_groups (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(100) NOT NULL,
+            required BOOLEAN NOT NULL DEFAULT 0,
+            min_select INTEGER NOT NULL DEFAULT 0,
+            max_select INTEGER NOT NULL DEFAULT 1,
+            active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla modifier_groups creada');
+}
+
+async function createModifierOptionsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS modifier_options (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            group_id INTEGER NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            price_delta DECIMAL(10,2) NOT NULL DEFAULT 0,
+            active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (group_id) REFERENCES modifier_groups(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla modifier_options creada');
+}
+
+async function createProductModifierGroupsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS product_modifier_groups (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            group_id INTEGER NOT NULL,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            UNIQUE (product_id, group_id),
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (group_id) REFERENCES modifier_groups(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla product_modifier_groups creada');
+}
+
+// Modificadores elegidos por línea de venta (copia de nombre y precio al vender)
+async function createSaleDetailModifiersTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS sale_detail_modifiers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_detail_id INTEGER NOT NULL,
+            option_id INTEGER,
+            group_name VARCHAR(100) NOT NULL,
+            option_name VARCHAR(100) NOT NULL,
+            price_delta DECIMAL(10,2) NOT NULL DEFAULT 0,
+            FOREIGN KEY (sale_detail_id) REFERENCES sale_details(id),
+            FOREIGN KEY (option_id) REFERENCES modifier_options(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla sale_detail_modifiers creada');
+}
+
+// Promociones evaluadas al vender.
+// type: buy_x_pay_y (2x1, 3x2), combo (precio fijo por conjunto de productos), percentage (producto o categoría)
+// days_of_week ('1,2,3', 0 = domingo) y start_time/end_time ('HH:MM') limitan la promoción (happy hour)
+async function createPromotionsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS promotions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(100) NOT NULL,
+            type VARCHAR(20) NOT NULL,
+            product_id INTEGER,
+            category_id INTEGER,
+            buy_quantity INTEGER,
+            pay_quantity INTEGER,
+            percentage DECIMAL(5,2),
+            combo_price DECIMAL(10,2),
+            days_of_week VARCHAR(20),
+            start_time VARCHAR(5),
+            end_time VARCHAR(5),
+            starts_on DATE,
+            ends_on DATE,
+            active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (category_id) REFERENCES categories(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla promotions creada');
+}
+
+// Productos que forman un combo
+async function createPromotionProductsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS promotion_products (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            promotion_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 1,
+            FOREIGN KEY (promotion_id) REFERENCES promotions(id),
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            UNIQUE (promotion_id, product_id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla promotion_products creada');
+}
+
+// Cupones de descuento sobre el total del ticket
+// discount_type: percentage, fixed; max_uses NULL = ilimitado
+async function createCouponsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS coupons (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            code VARCHAR(30) NOT NULL UNIQUE,
+            discount_type VARCHAR(20) NOT NULL,
+            value DECIMAL(10,2) NOT NULL,
+            max_uses INTEGER,
+            used_count INTEGER NOT NULL DEFAULT 0,
+            expires_on DATE,
+            active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla coupons creada');
+}
+
+// Directorio de clientes; el NIT/CI identifica al cliente en el POS
+async function createCustomersTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS customers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            nit VARCHAR(20) UNIQUE,
+            name VARCHAR(100) NOT NULL,
+            phone VARCHAR(30),
+            email VARCHAR(100),
+            notes TEXT,
+            active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla customers creada');
+}
+
+// Libro de puntos de fidelidad: points positivo = acumula, negativo = canje o reversión
+// type: earn, redeem, adjustment, reversal
+async function createLoyaltyMovementsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS loyalty_movements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            customer_id INTEGER NOT NULL,
+            type VARCHAR(20) NOT NULL,
+            points INTEGER NOT NULL,
+            balance_after INTEGER NOT NULL,
+            sale_id INTEGER,
+            notes TEXT,
+            user_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (customer_id) REFERENCES customers(id),
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `;
+    await db.runAsync(sql);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_loyalty_movements_customer ON loyalty_movements(customer_id)');
+    logger.info('✅ Tabla loyalty_movements creada');
+}
+
+// Descuentos aplicados en cada venta; sale_detail_id NULL = descuento sobre el ticket
+// source: promotion, manual, coupon
+async function createSaleDiscountsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS sale_discounts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_id INTEGER NOT NULL,
+            sale_detail_id INTEGER,
+            source VARCHAR(20) NOT NULL,
+            promotion_id INTEGER,
+            coupon_id INTEGER,
+            description VARCHAR(100) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            approved_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (sale_detail_id) REFERENCES sale_details(id),
+            FOREIGN KEY (promotion_id) REFERENCES promotions(id),
+            FOREIGN KEY (coupon_id) REFERENCES coupons(id),
+            FOREIGN KEY (approved_by) REFERENCES users(id)
+        )
+    `;
+    await db.runAsync(sql);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_sale_discounts_sale ON sale_discounts(sale_id)');
+    logger.info('✅ Tabla sale_discounts creada');
+}
+
+// Estaciones de preparación (cocina, bar); printer_name vacío = solo pantalla
+async function createStationsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS stations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            printer_name VARCHAR(100),
+            active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla stations creada');
+}
+
+// Comandas: una por estación, de una venta o de una cuenta abierta (tab_id)
+// status: pending, in_progress, ready, cancelled
+async function createKitchenOrdersTable(db, table = 'kitchen_orders') {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS ${table} (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_id INTEGER,
+            tab_id INTEGER,
+            station_id INTEGER NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME,
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (tab_id) REFERENCES open_tabs(id),
+            FOREIGN KEY (station_id) REFERENCES stations(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info(`✅ Tabla ${table} creada`);
+}
+
+// Items de la comanda con los modificadores ya formateados para cocina
+async function createKitchenOrderItemsTable(db, table = 'kitchen_order_items') {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS ${table} (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            sale_detail_id INTEGER,
+            tab_item_id INTEGER,
+            product_name VARCHAR(100) NOT NULL,
+            quantity INTEGER NOT NULL,
+            modifiers TEXT,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES kitchen_orders(id),
+            FOREIGN KEY (sale_detail_id) REFERENCES sale_details(id),
+            FOREIGN KEY (tab_item_id) REFERENCES open_tab_items(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info(`✅ Tabla ${table} creada`);
+}
+
+// Mesas del salón para el mapa del POS
+async function createDiningTablesTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS dining_tables (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            number VARCHAR(10) NOT NULL UNIQUE,
+            seats INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla dining_tables creada');
+}
+
+// Cuentas abiertas por mesa; se convierten en venta al terminar de pagarse
+// status: open, paid, merged, cancelled
+async function createOpenTabsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS open_tabs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            table_number VARCHAR(10) NOT NULL,
+            customer_nit VARCHAR(20),
+            customer_name VARCHAR(100),
+            observations TEXT,
+            status VARCHAR(20) NOT NULL DEFAULT 'open',
+            sale_id INTEGER,
+            merged_into INTEGER,
+            user_id INTEGER NOT NULL,
+            opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            closed_at DATETIME,
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (merged_into) REFERENCES open_tabs(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `;
+    await db.runAsync(sql);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_open_tabs_status ON open_tabs(status, table_number)');
+    logger.info('✅ Tabla open_tabs creada');
+}
+
+// Items de la cuenta; modifiers guarda los modificadores cotizados (JSON) para pasarlos a la venta
+async function createOpenTabItemsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS open_tab_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tab_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            product_name VARCHAR(100) NOT NULL,
+            quantity INTEGER NOT NULL,
+            unit_price DECIMAL(10,2) NOT NULL,
+            subtotal DECIMAL(10,2) NOT NULL,
+            modifiers TEXT,
+            user_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (tab_id) REFERENCES open_tabs(id),
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla open_tab_items creada');
+}
+
+// Pagos parciales de la cuenta (cuenta dividida en partes iguales, pagos por persona)
+async function createOpenTabPaymentsTable(db) {
+    const sql = `
+        CREATE TABLE IF NOT EXISTS open_tab_payments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tab_id INTEGER NOT NULL,
+            method VARCHAR(20) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            tendered DECIMAL(10,2) NOT NULL,
+            reference VARCHAR(100),
+            user_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (tab_id) REFERENCES open_tabs(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `;
+    await db.runAsync(sql);
+    logger.info('✅ Tabla open_tab_payments creada');
+}
+
+// Ventas anteriores a los pagos múltiples se registran como pago en efectivo
+async function backfillSalePayments(db) {
+    const result = await db.runAsync(`
+        INSERT INTO sale_payments (sale_id, method, amount, tendered, created_at)
+        SELECT s.id, 'cash', s.total, s.paid_amount, s.created_at
+        FROM sales s
+        WHERE NOT EXISTS (SELECT 1 FROM sale_payments sp WHERE sp.sale_id = s.id)
+    `);
+    if (result.changes > 0) {
+        logger.info(`✅ ${result.changes} ventas anteriores registradas como pago en efectivo`);
+    }
+}
+
+// Estado de la venta: completed, partially_refunded, refunded, voided
+async function upgradeSalesTable(db) {
+    await db.addColumnIfMissing('sales', 'status', "VARCHAR(20) NOT NULL DEFAULT 'completed'");
+    await db.addColumnIfMissing('sales', 'refunded_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await db.addColumnIfMissing('sales', 'void_reason', 'TEXT');
+    await db.addColumnIfMissing('sales', 'voided_by', 'INTEGER REFERENCES users(id)');
+    await db.addColumnIfMissing('sales', 'voided_at', 'DATETIME');
+    await db.addColumnIfMissing('sales', 'cash_session_id', 'INTEGER REFERENCES cash_sessions(id)');
+    await db.addColumnIfMissing('sales', 'discount_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await db.addColumnIfMissing('sales', 'discount_approved_by', 'INTEGER REFERENCES users(id)');
+    // Impuestos: total = taxable_base + tax_amount. prices_include_tax guarda cómo se cotizó la venta
+    await db.addColumnIfMissing('sales', 'taxable_base', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await db.addColumnIfMissing('sales', 'tax_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await db.addColumnIfMissing('sales', 'prices_include_tax', 'BOOLEAN NOT NULL DEFAULT 1');
+    // Factura: numeración correlativa por autorización, independiente del número de ticket
+    await db.addColumnIfMissing('sales', 'invoice_number', 'INTEGER');
+    await db.addColumnIfMissing('sales', 'invoice_authorization', 'VARCHAR(50)');
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_invoice ON sales(invoice_authorization, invoice_number)');
+    await db.addColumnIfMissing('sales', 'customer_id', 'INTEGER REFERENCES customers(id)');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_sales_customer ON sales(customer_id)');
+}
+
+async function upgradeSaleDetailsTable(db) {
+    await db.addColumnIfMissing('sale_details', 'refunded_quantity', 'INTEGER NOT NULL DEFAULT 0');
+    await db.addColumnIfMissing('sale_details', 'refunded_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    // subtotal = precio x cantidad - discount_amount (de la línea) - ticket_discount_amount (parte del descuento del ticket)
+    await db.addColumnIfMissing('sale_details', 'discount_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await db.addColumnIfMissing('sale_details', 'ticket_discount_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    // Con precios sin impuesto, el subtotal de la línea ya incluye tax_amount
+    await db.addColumnIfMissing('sale_details', 'tax_rate', 'DECIMAL(5,2) NOT NULL DEFAULT 0');
+    await db.addColumnIfMissing('sale_details', 'tax_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+}
+
+// Control de stock opcional por producto con umbral de reposición
+async function upgradeProductsTable(db) {
+    await db.addColumnIfMissing('products', 'track_stock', 'BOOLEAN NOT NULL DEFAULT 0');
+    await db.addColumnIfMissing('products', 'reorder_level', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    // NULL = usa la tasa de la categoría
+    await db.addColumnIfMissing('products', 'tax_rate', 'DECIMAL(5,2)');
+}
+
+// Estación de preparación a la que se envían los productos de la categoría
+async function upgradeCategoriesTable(db) {
+    await db.addColumnIfMissing('categories', 'station_id', 'INTEGER REFERENCES stations(id)');
+    // NULL = usa la tasa general (TAX_RATE)
+    await db.addColumnIfMissing('categories', 'tax_rate', 'DECIMAL(5,2)');
+}
+
+// Impuesto calculado al agregar el item a la cuenta
+async function upgradeOpenTabItemsTable(db) {
+    await db.addColumnIfMissing('open_tab_items', 'tax_rate', 'DECIMAL(5,2) NOT NULL DEFAULT 0');
+    await db.addColumnIfMissing('open_tab_items', 'tax_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+}
+
+// Comandas de cuentas abiertas: no tienen venta ni detalle de venta hasta que se cobran
+async function upgradeKitchenTables(db) {
+    await db.addColumnIfMissing('kitchen_orders', 'tab_id', 'INTEGER REFERENCES open_tabs(id)');
+    await db.addColumnIfMissing('kitchen_order_items', 'tab_item_id', 'INTEGER REFERENCES open_tab_items(id)');
+
+    const orderColumns = await db.allAsync('PRAGMA table_info(kitchen_orders)');
+    if (orderColumns.find(col => col.name === 'sale_id').notnull) {
+        await db.rebuildTable('kitchen_orders', (table) => createKitchenOrdersTable(db, table));
+    }
+
+    const itemColumns = await db.allAsync('PRAGMA table_info(kitchen_order_items)');
+    if (itemColumns.find(col => col.name === 'sale_detail_id').notnull) {
+        await db.rebuildTable('kitchen_order_items', (table) => createKitchenOrderItemsTable(db, table));
+    }
+
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_kitchen_orders_status ON kitchen_orders(status, station_id)');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_kitchen_orders_tab ON kitchen_orders(tab_id)');
+}
+
+
+module.exports = {
+    async up(db) {
+        await createUsersTable(db);
+        await createCategoriesTable(db);
+        await createProductsTable(db);
+        await createSalesTable(db);
+        await createSaleDetailsTable(db);
+        await createSaleRefundsTable(db);
+        await createSaleRefundDetailsTable(db);
+        await createCashSessionsTable(db);
+        await createCashMovementsTable(db);
+        await createSalePaymentsTable(db);
+        await createStockMovementsTable(db);
+        await createIngredientsTable(db);
+        await createProductRecipesTable(db);
+        await createIngredientMovementsTable(db);
+        await createModifierGroupsTable(db);
+        await createModifierOptionsTable(db);
+        await createProductModifierGroupsTable(db);
+        await createSaleDetailModifiersTable(db);
+        await createDiningTablesTable(db);
+        await createOpenTabsTable(db);
+        await createOpenTabItemsTable(db);
+        await createOpenTabPaymentsTable(db);
+        await createStationsTable(db);
+        await createKitchenOrdersTable(db);
+        await createKitchenOrderItemsTable(db);
+        await createPromotionsTable(db);
+        await createPromotionProductsTable(db);
+        await createCouponsTable(db);
+        await createSaleDiscountsTable(db);
+        await createCustomersTable(db);
+        await createLoyaltyMovementsTable(db);
+
+        // Columnas agregadas después de la versión inicial
+        await upgradeSalesTable(db);
+        await upgradeSaleDetailsTable(db);
+        await upgradeProductsTable(db);
+        await upgradeCategoriesTable(db);
+        await upgradeOpenTabItemsTable(db);
+        await upgradeKitchenTables(db);
+        await backfillSalePayments(db);
+    },
+
+    async down(db) {
+        for (const table of [...TABLES].reverse()) {
+            await db.runAsync(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+// server/migrations/002_remove_products_stock.js - Quita la columna products.stock de instalaciones antiguas
+// El stock ahora es la suma de stock_movements. El saldo que tenía la columna se conserva
+// como conteo inicial del kardex de los productos que aún no tienen movimientos.
+
+// Definición actual de products (columnas de 001 incluidas)
+async function createProductsTable(db, table) {
+    await db.runAsync(`
+        CREATE TABLE ${table} (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name VARCHAR(100) NOT NULL,
+            description TEXT,
+            price DECIMAL(10,2) NOT NULL,
+            category_id INTEGER,
+            image_url VARCHAR(255),
+            active BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            track_stock BOOLEAN NOT NULL DEFAULT 0,
+            reorder_level DECIMAL(10,2) NOT NULL DEFAULT 0,
+            tax_rate DECIMAL(5,2),
+            FOREIGN KEY (category_id) REFERENCES categories(id)
+        )
+    `);
+}
+
+async function hasStockColumn(db) {
+    const columns = await db.allAsync('PRAGMA table_info(products)');
+    return columns.some(col => col.name === 'stock');
+}
+
+module.exports = {
+    async up(db) {
+        if (!(await hasStockColumn(db))) return;
+
+        await db.runAsync(`
+            INSERT INTO stock_movements (product_id, type, quantity, stock_after, notes)
+            SELECT p.id, 'count', p.stock, p.stock, 'Stock inicial (columna products.stock)'
+            FROM products p
+            WHERE p.stock IS NOT NULL AND p.stock != 0
+              AND NOT EXISTS (SELECT 1 FROM stock_movements sm WHERE sm.product_id = p.id)
+        `);
+
+        await db.rebuildTable('products', (table) => createProductsTable(db, table));
+    },
+
+    // Vuelve a agregar la columna con el stock calculado del kardex
+    async down(db) {
+        if (await hasStockColumn(db)) return;
+
+        await db.runAsync('ALTER TABLE products ADD COLUMN stock INTEGER DEFAULT 0');
+        await db.runAsync(`
+            UPDATE products
+            SET stock = (SELECT COALESCE(SUM(quantity), 0) FROM stock_movements WHERE product_id = products.id)
+        `);
+    }
+};
\ No newline at end of file
@@ -0,0 +1,16 @@
+// server/migrations/003_offline_sales.js - Ventas registradas sin conexión en el POS
+// client_uuid lo genera el POS al cobrar; el índice único impide registrar dos veces
+// la misma venta al sincronizar. client_created_at es la hora en que se cobró en el POS.
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('sales', 'client_uuid', 'VARCHAR(36)');
+        await db.addColumnIfMissing('sales', 'client_created_at', 'DATETIME');
+        await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_client_uuid ON sales(client_uuid)');
+    },
+
+    async down(db) {
+        await db.runAsync('DROP INDEX IF EXISTS idx_sales_client_uuid');
+        await db.runAsync('ALTER TABLE sales DROP COLUMN client_created_at');
+        await db.runAsync('ALTER TABLE sales DROP COLUMN client_uuid');
+    }
+};
\ No newline at end of file
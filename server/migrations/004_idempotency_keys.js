@@ -0,0 +1,26 @@
+// server/migrations/004_idempotency_keys.js - Respuestas guardadas por Idempotency-Key
+// Una solicitud repetida con la misma clave (doble clic, reintento) recibe la respuesta
+// guardada en lugar de ejecutarse otra vez. La clave es por usuario.
+module.exports = {
+    async up(db) {
+        await db.runAsync(`
+            CREATE TABLE IF NOT EXISTS idempotency_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                idempotency_key VARCHAR(100) NOT NULL,
+                method VARCHAR(10) NOT NULL,
+                path VARCHAR(255) NOT NULL,
+                status_code INTEGER NOT NULL,
+                response TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, idempotency_key),
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at)');
+    },
+
+    async down(db) {
+        await db.runAsync('DROP TABLE IF EXISTS idempotency_keys');
+    }
+};
\ No newline at end of file
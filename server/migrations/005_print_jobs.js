@@ -0,0 +1,33 @@
+// server/migrations/005_print_jobs.js - Cola persistente de impresión
+// Cada ticket (venta, comanda, reporte) se guarda ya armado y un proceso en segundo plano
+// lo envía a la impresora, reintentando con espera creciente si falla.
+module.exports = {
+    async up(db) {
+        await db.runAsync(`
+            CREATE TABLE IF NOT EXISTS print_jobs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                type VARCHAR(20) NOT NULL CHECK (type IN ('sale', 'kitchen', 'z_report', 'daily_report', 'test')),
+                reference_id INTEGER,
+                printer_name VARCHAR(100),
+                content TEXT NOT NULL,
+                is_copy BOOLEAN DEFAULT 0,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'printing', 'done', 'failed', 'cancelled')),
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL DEFAULT 5,
+                next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_error TEXT,
+                user_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                printed_at DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_print_jobs_status ON print_jobs(status, next_attempt_at)');
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_print_jobs_reference ON print_jobs(type, reference_id)');
+    },
+
+    async down(db) {
+        await db.runAsync('DROP TABLE IF EXISTS print_jobs');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+// server/migrations/006_ticket_templates.js - Plantillas de tickets y datos del negocio
+// Una plantilla por tipo de ticket; sin fila se usa la de server/templates/tickets.
+// business_settings tiene una sola fila (id = 1) con los datos y el logo que se imprimen.
+module.exports = {
+    async up(db) {
+        await db.runAsync(`
+            CREATE TABLE IF NOT EXISTS ticket_templates (
+                type VARCHAR(20) PRIMARY KEY CHECK (type IN ('sale', 'kitchen', 'daily_report', 'test')),
+                content TEXT NOT NULL,
+                paper_width VARCHAR(10) NOT NULL DEFAULT '80mm' CHECK (paper_width IN ('58mm', '80mm')),
+                updated_by INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (updated_by) REFERENCES users(id)
+            )
+        `);
+
+        await db.runAsync(`
+            CREATE TABLE IF NOT EXISTS business_settings (
+                id INTEGER PRIMARY KEY CHECK (id = 1),
+                name VARCHAR(100),
+                address VARCHAR(200),
+                city VARCHAR(100),
+                phone VARCHAR(50),
+                nit VARCHAR(50),
+                footer VARCHAR(200),
+                logo BLOB,
+                logo_mime VARCHAR(50),
+                updated_by INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (updated_by) REFERENCES users(id)
+            )
+        `);
+        await db.runAsync(
+            `INSERT OR IGNORE INTO business_settings (id, footer) VALUES (1, 'GRACIAS POR SU PREFERENCIA...!!!')`
+        );
+    },
+
+    async down(db) {
+        await db.runAsync('DROP TABLE IF EXISTS business_settings');
+        await db.runAsync('DROP TABLE IF EXISTS ticket_templates');
+    }
+};
\ No newline at end of file
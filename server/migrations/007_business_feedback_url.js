@@ -0,0 +1,11 @@
+// server/migrations/007_business_feedback_url.js - Enlace de opinión del negocio
+// Las plantillas pueden imprimirlo como código QR ({{business.feedback_url}}).
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('business_settings', 'feedback_url', 'VARCHAR(200)');
+    },
+
+    async down(db) {
+        await db.runAsync('ALTER TABLE business_settings DROP COLUMN feedback_url');
+    }
+};
\ No newline at end of file
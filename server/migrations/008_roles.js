@@ -0,0 +1,78 @@
+// server/migrations/008_roles.js - Roles con permisos configurables
+// admin tiene siempre todos los permisos; los demás roles guardan su lista en role_permissions.
+// Los usuarios con los roles anteriores ('user', 'cajero') pasan a ser cajeros.
+const DEFAULT_ROLES = {
+    manager: {
+        description: 'Gerente',
+        permissions: [
+            'create_sale', 'view_sales', 'void_sale', 'refund_sale', 'apply_discount', 'approve_discount',
+            'manage_tabs', 'cancel_tab', 'manage_tables', 'open_drawer', 'view_cash_sessions',
+            'view_catalog', 'manage_products', 'manage_inventory', 'manage_promotions',
+            'manage_customers', 'adjust_points', 'delete_customers', 'view_reports', 'view_management_reports',
+            'kitchen_display', 'manage_stations', 'print_tickets', 'manage_print_jobs', 'manage_settings'
+        ]
+    },
+    supervisor: {
+        description: 'Supervisor',
+        permissions: [
+            'create_sale', 'view_sales', 'void_sale', 'refund_sale', 'apply_discount', 'approve_discount',
+            'manage_tabs', 'cancel_tab', 'open_drawer', 'view_cash_sessions', 'view_catalog',
+            'manage_customers', 'adjust_points', 'view_reports', 'kitchen_display', 'print_tickets', 'manage_print_jobs'
+        ]
+    },
+    cashier: {
+        description: 'Cajero',
+        permissions: [
+            'create_sale', 'apply_discount', 'manage_tabs', 'open_drawer', 'view_catalog',
+            'manage_customers', 'view_reports', 'kitchen_display', 'print_tickets', 'manage_print_jobs'
+        ]
+    },
+    kitchen: {
+        description: 'Cocina',
+        permissions: ['view_catalog', 'kitchen_display', 'print_tickets']
+    }
+};
+
+module.exports = {
+    async up(db) {
+        await db.runAsync(`
+            CREATE TABLE IF NOT EXISTS roles (
+                name VARCHAR(20) PRIMARY KEY,
+                description VARCHAR(100),
+                is_system BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.runAsync(`
+            CREATE TABLE IF NOT EXISTS role_permissions (
+                role VARCHAR(20) NOT NULL,
+                permission VARCHAR(50) NOT NULL,
+                PRIMARY KEY (role, permission),
+                FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE
+            )
+        `);
+
+        await db.runAsync(
+            `INSERT OR IGNORE INTO roles (name, description, is_system) VALUES ('admin', 'Administrador', 1)`
+        );
+        for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+            await db.runAsync('INSERT OR IGNORE INTO roles (name, description) VALUES (?, ?)', [name, role.description]);
+            for (const permission of role.permissions) {
+                await db.runAsync(
+                    'INSERT OR IGNORE INTO role_permissions (role, permission) VALUES (?, ?)',
+                    [name, permission]
+                );
+            }
+        }
+
+        await db.runAsync(`UPDATE users SET role = 'cashier' WHERE role IN ('user', 'cajero') OR role IS NULL`);
+    },
+
+    async down(db) {
+        await db.runAsync(`UPDATE users SET role = 'user' WHERE role <> 'admin'`);
+        await db.runAsync('DROP TABLE IF EXISTS role_permissions');
+        await db.runAsync('DROP TABLE IF EXISTS roles');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+// server/migrations/009_supervisor_approvals.js - PIN de usuario y autorizaciones de supervisor
+// Un supervisor autoriza con su PIN una acción restringida en el POS (anular, devolver, descuento alto,
+// cambio de precio) sin cerrar la sesión del cajero. Cada autorización es un token de un solo uso,
+// ligado a la acción, que vence en pocos minutos y queda registrado contra la venta afectada.
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('users', 'pin_hash', 'VARCHAR(100)');
+
+        await db.runAsync(`
+            CREATE TABLE IF NOT EXISTS approvals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                action VARCHAR(50) NOT NULL,
+                approved_by INTEGER NOT NULL,
+                requested_by INTEGER NOT NULL,
+                sale_id INTEGER,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (approved_by) REFERENCES users(id),
+                FOREIGN KEY (requested_by) REFERENCES users(id),
+                FOREIGN KEY (sale_id) REFERENCES sales(id)
+            )
+        `);
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_approvals_sale ON approvals(sale_id)');
+
+        // Nuevo permiso: cambiar el precio de un producto al vender
+        for (const role of ['manager', 'supervisor']) {
+            await db.runAsync(
+                `INSERT OR IGNORE INTO role_permissions (role, permission)
+                 SELECT name, 'override_price' FROM roles WHERE name = ?`,
+                [role]
+            );
+        }
+    },
+
+    async down(db) {
+        await db.runAsync(`DELETE FROM role_permissions WHERE permission = 'override_price'`);
+        await db.runAsync('DROP TABLE IF EXISTS approvals');
+        await db.runAsync('ALTER TABLE users DROP COLUMN pin_hash');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,30 @@
+// server/migrations/010_sessions.js - Sesiones con refresh token
+// Cada login abre una sesión. El token de acceso (JWT) lleva el id de la sesión, así que cerrarla
+// (logout, un administrador o desactivar al usuario) lo invalida al instante. El refresh token
+// cambia en cada uso; se guarda solo su hash y el del anterior para detectar su reutilización.
+module.exports = {
+    async up(db) {
+        await db.runAsync(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+                previous_token_hash VARCHAR(64),
+                user_agent VARCHAR(255),
+                ip_address VARCHAR(64),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME,
+                revoked_reason VARCHAR(20),
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash)');
+    },
+
+    async down(db) {
+        await db.runAsync('DROP TABLE IF EXISTS sessions');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+// server/migrations/011_login_attempts.js - Intentos de inicio de sesión y bloqueos
+// Cada intento de login queda registrado. Demasiados fallos seguidos para un usuario o desde una IP
+// bloquean temporalmente el login para ese usuario o esa IP; un administrador puede desbloquearlo antes.
+module.exports = {
+    async up(db) {
+        await db.runAsync(`
+            CREATE TABLE IF NOT EXISTS login_attempts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username VARCHAR(100) NOT NULL,
+                user_id INTEGER,
+                ip_address VARCHAR(64),
+                user_agent VARCHAR(255),
+                success INTEGER NOT NULL DEFAULT 0,
+                reason VARCHAR(20) NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username, created_at)');
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at)');
+
+        await db.runAsync(`
+            CREATE TABLE IF NOT EXISTS login_lockouts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                scope VARCHAR(10) NOT NULL,
+                value VARCHAR(100) NOT NULL,
+                failed_attempts INTEGER NOT NULL,
+                locked_until DATETIME NOT NULL,
+                unlocked_at DATETIME,
+                unlocked_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (unlocked_by) REFERENCES users(id)
+            )
+        `);
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_login_lockouts_value ON login_lockouts(scope, value)');
+    },
+
+    async down(db) {
+        await db.runAsync('DROP TABLE IF EXISTS login_lockouts');
+        await db.runAsync('DROP TABLE IF EXISTS login_attempts');
+    }
+};
\ No newline at end of file
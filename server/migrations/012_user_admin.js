@@ -0,0 +1,14 @@
+// server/migrations/012_user_admin.js - Cambio de contraseña obligatorio
+// Un administrador puede obligar a un usuario a cambiar su contraseña: mientras tanto su sesión solo
+// sirve para cambiarla. password_changed_at registra el último cambio.
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('users', 'must_change_password', 'INTEGER DEFAULT 0');
+        await db.addColumnIfMissing('users', 'password_changed_at', 'DATETIME');
+    },
+
+    async down(db) {
+        await db.runAsync('ALTER TABLE users DROP COLUMN password_changed_at');
+        await db.runAsync('ALTER TABLE users DROP COLUMN must_change_password');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,18 @@
+// server/migrations/013_pin_attempts.js - Intentos de PIN de supervisor
+// Los PIN de las autorizaciones se registran junto a los intentos de login (kind = 'pin') para bloquear
+// el PIN del supervisor, o al cajero que lo pide, tras demasiados fallos.
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('login_attempts', 'kind', "VARCHAR(10) DEFAULT 'password'");
+        await db.addColumnIfMissing('login_attempts', 'requested_by', 'VARCHAR(100)');
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_login_attempts_requested_by ON login_attempts(requested_by, created_at)');
+    },
+
+    async down(db) {
+        await db.runAsync('DROP INDEX IF EXISTS idx_login_attempts_requested_by');
+        await db.runAsync("DELETE FROM login_attempts WHERE kind = 'pin'");
+        await db.runAsync("DELETE FROM login_lockouts WHERE scope IN ('pin', 'requester')");
+        await db.runAsync('ALTER TABLE login_attempts DROP COLUMN requested_by');
+        await db.runAsync('ALTER TABLE login_attempts DROP COLUMN kind');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,38 @@
+// server/migrations/014_refund_tender.js - Forma de devolución y caja de cada devolución
+// Una devolución sale de la caja abierta de quien la hace, no de la caja donde se cobró la venta,
+// y solo las devoluciones en efectivo descuentan del efectivo esperado en el arqueo.
+// Las devoluciones anteriores se dejan como en efectivo y en la caja de su venta (como se calculaba antes).
+
+// Definición de sale_refunds antes de esta migración (para down)
+async function createSaleRefundsTable(db, table) {
+    await db.runAsync(`
+        CREATE TABLE ${table} (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_id INTEGER NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            reason TEXT NOT NULL,
+            approved_by INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (sale_id) REFERENCES sales(id),
+            FOREIGN KEY (approved_by) REFERENCES users(id)
+        )
+    `);
+}
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('sale_refunds', 'method', "VARCHAR(10) NOT NULL DEFAULT 'cash'");
+        await db.addColumnIfMissing('sale_refunds', 'cash_session_id', 'INTEGER REFERENCES cash_sessions(id)');
+        await db.runAsync(`
+            UPDATE sale_refunds
+            SET cash_session_id = (SELECT s.cash_session_id FROM sales s WHERE s.id = sale_refunds.sale_id)
+            WHERE cash_session_id IS NULL
+        `);
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_sale_refunds_session ON sale_refunds(cash_session_id)');
+    },
+
+    async down(db) {
+        await db.runAsync('DROP INDEX IF EXISTS idx_sale_refunds_session');
+        await db.rebuildTable('sale_refunds', (table) => createSaleRefundsTable(db, table));
+    }
+};
\ No newline at end of file
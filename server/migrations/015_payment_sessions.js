@@ -0,0 +1,56 @@
+// server/migrations/015_payment_sessions.js - Caja que cobró cada pago
+// Los pagos parciales de una cuenta de mesa pueden cobrarse en cajas distintas:
+// cada pago queda en la caja que lo recibió, también al pasar a la venta.
+// Los pagos anteriores se asignan a la caja de su venta (como se calculaba antes).
+
+// Definiciones antes de esta migración (para down)
+async function createSalePaymentsTable(db, table) {
+    await db.runAsync(`
+        CREATE TABLE ${table} (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sale_id INTEGER NOT NULL,
+            method VARCHAR(20) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            tendered DECIMAL(10,2) NOT NULL,
+            reference VARCHAR(100),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (sale_id) REFERENCES sales(id)
+        )
+    `);
+}
+
+async function createOpenTabPaymentsTable(db, table) {
+    await db.runAsync(`
+        CREATE TABLE ${table} (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tab_id INTEGER NOT NULL,
+            method VARCHAR(20) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            tendered DECIMAL(10,2) NOT NULL,
+            reference VARCHAR(100),
+            user_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (tab_id) REFERENCES open_tabs(id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+}
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('sale_payments', 'cash_session_id', 'INTEGER REFERENCES cash_sessions(id)');
+        await db.addColumnIfMissing('open_tab_payments', 'cash_session_id', 'INTEGER REFERENCES cash_sessions(id)');
+        await db.runAsync(`
+            UPDATE sale_payments
+            SET cash_session_id = (SELECT s.cash_session_id FROM sales s WHERE s.id = sale_payments.sale_id)
+            WHERE cash_session_id IS NULL
+        `);
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_sale_payments_session ON sale_payments(cash_session_id)');
+    },
+
+    async down(db) {
+        await db.runAsync('DROP INDEX IF EXISTS idx_sale_payments_session');
+        await db.rebuildTable('sale_payments', (table) => createSalePaymentsTable(db, table));
+        await db.rebuildTable('open_tab_payments', (table) => createOpenTabPaymentsTable(db, table));
+    }
+};
\ No newline at end of file
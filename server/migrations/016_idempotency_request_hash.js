@@ -0,0 +1,26 @@
+// server/migrations/016_idempotency_request_hash.js - Huella del cuerpo de cada Idempotency-Key
+// Una clave repetida con otro cuerpo es otra operación: se rechaza en lugar de responder lo guardado.
+// Las claves anteriores quedan sin huella y se comparan solo por método y ruta hasta vencer.
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('idempotency_keys', 'request_hash', 'VARCHAR(64)');
+    },
+
+    async down(db) {
+        await db.rebuildTable('idempotency_keys', (table) => db.runAsync(`
+            CREATE TABLE ${table} (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                idempotency_key VARCHAR(100) NOT NULL,
+                method VARCHAR(10) NOT NULL,
+                path VARCHAR(255) NOT NULL,
+                status_code INTEGER NOT NULL,
+                response TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, idempotency_key),
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `));
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at)');
+    }
+};
\ No newline at end of file
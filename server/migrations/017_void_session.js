@@ -0,0 +1,30 @@
+// server/migrations/017_void_session.js - Caja donde se anuló cada venta
+// Una venta anulada en su propia caja desaparece de ella (como antes). Anulada desde otra caja,
+// sigue contando en la suya (que pudo haberse cerrado) y el efectivo devuelto sale de la caja
+// de quien anula: void_cash_amount es el efectivo que entró o salió por otras cajas.
+// En las anulaciones anteriores se asume la caja de la venta.
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('sales', 'voided_cash_session_id', 'INTEGER');
+        await db.addColumnIfMissing('sales', 'void_cash_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+        await db.runAsync(`
+            UPDATE sales
+            SET voided_cash_session_id = cash_session_id,
+                void_cash_amount =
+                    COALESCE((SELECT SUM(sp.amount) FROM sale_payments sp
+                        WHERE sp.sale_id = sales.id AND sp.method = 'cash'
+                          AND sp.cash_session_id IS NOT sales.cash_session_id), 0)
+                    - COALESCE((SELECT SUM(r.amount) FROM sale_refunds r
+                        WHERE r.sale_id = sales.id AND r.method = 'cash'
+                          AND r.cash_session_id IS NOT sales.cash_session_id), 0)
+            WHERE status = 'voided' AND voided_cash_session_id IS NULL
+        `);
+        await db.runAsync('CREATE INDEX IF NOT EXISTS idx_sales_voided_session ON sales(voided_cash_session_id)');
+    },
+
+    async down(db) {
+        await db.runAsync('DROP INDEX IF EXISTS idx_sales_voided_session');
+        await db.runAsync('ALTER TABLE sales DROP COLUMN void_cash_amount');
+        await db.runAsync('ALTER TABLE sales DROP COLUMN voided_cash_session_id');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+// server/migrations/018_one_open_session.js - Una sola caja abierta por usuario
+// Índice único parcial: dos aperturas simultáneas no pueden dejar dos cajas abiertas del mismo usuario.
+// Si ya había más de una, quedan cerradas todas menos la última abierta (sin arqueo).
+module.exports = {
+    async up(db) {
+        await db.runAsync(`
+            UPDATE cash_sessions
+            SET status = 'closed', closed_at = CURRENT_TIMESTAMP,
+                closing_notes = 'Cerrada al migrar: el usuario tenía otra caja abierta'
+            WHERE status = 'open' AND id < (
+                SELECT MAX(other.id) FROM cash_sessions other
+                WHERE other.user_id = cash_sessions.user_id AND other.status = 'open'
+            )
+        `);
+        await db.runAsync(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_cash_sessions_one_open
+            ON cash_sessions(user_id) WHERE status = 'open'
+        `);
+    },
+
+    async down(db) {
+        await db.runAsync('DROP INDEX IF EXISTS idx_cash_sessions_one_open');
+    }
+};
\ No newline at end of file
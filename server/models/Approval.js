@@ -0,0 +1,86 @@
+// server/models/Approval.js - Autorizaciones de supervisor (PIN) para acciones restringidas del POS
+// Se guarda el hash SHA-256 del token: leer la base no permite usar una autorización pendiente.
+const crypto = require('crypto');
+const database = require('../config/database');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class Approval {
+    // Nueva autorización; el token solo se entrega aquí
+    static async create({ action, approved_by, requested_by, sale_id = null, minutes }) {
+        await database.ensureConnected();
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const result = await database.runAsync(
+            `INSERT INTO approvals (token_hash, action, approved_by, requested_by, sale_id, expires_at)
+             VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+            [hashToken(token), action, approved_by, requested_by, sale_id, `+${Math.round(minutes * 60)} seconds`]
+        );
+
+        const approval = await database.getAsync('SELECT * FROM approvals WHERE id = ?', [result.id]);
+        return { ...approval, token };
+    }
+
+    // Autorización vigente y sin usar para la acción, pedida por el mismo usuario.
+    // Si se dio para una venta, solo vale para esa venta.
+    static async findValid(token, action, requestedBy, saleId = null) {
+        await database.ensureConnected();
+
+        if (!token) return null;
+
+        return database.getAsync(
+            `SELECT * FROM approvals
+             WHERE token_hash = ? AND action = ? AND requested_by = ?
+               AND used_at IS NULL AND expires_at > datetime('now')
+               AND (sale_id IS NULL OR sale_id = ?)`,
+            [hashToken(token), action, requestedBy, saleId]
+        );
+    }
+
+    // Marcar como usada (una sola vez) y ligarla a la venta si existe. false si otra solicitud ya la usó o venció
+    static async consume(id, saleId = null) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `UPDATE approvals
+             SET used_at = CURRENT_TIMESTAMP, sale_id = COALESCE((SELECT id FROM sales WHERE id = ?), sale_id)
+             WHERE id = ? AND used_at IS NULL AND expires_at > datetime('now')`,
+            [saleId, id]
+        );
+        return result.changes > 0;
+    }
+
+    // Marcar usada dentro de la transacción de la acción que autoriza; si ya no vale lanza APPROVAL_INVALID
+    // para que la transacción se deshaga (error.permission es la acción a volver a autorizar)
+    static async consumeOrThrow(approval, saleId = null) {
+        if (await Approval.consume(approval.id, saleId)) return;
+
+        const error = new Error('La autorización no es válida, ya se usó o venció');
+        error.code = 'APPROVAL_INVALID';
+        error.permission = approval.action;
+        throw error;
+    }
+
+    // Autorizaciones usadas en la venta, con quién autorizó y quién lo pidió
+    static async findBySaleId(saleId) {
+        await database.ensureConnected();
+
+        return database.allAsync(
+            `SELECT a.id, a.action, a.approved_by, ua.full_name as approved_by_name,
+                    a.requested_by, ur.full_name as requested_by_name, a.used_at
+             FROM approvals a
+             LEFT JOIN users ua ON a.approved_by = ua.id
+             LEFT JOIN users ur ON a.requested_by = ur.id
+             WHERE a.sale_id = ? AND a.used_at IS NOT NULL
+             ORDER BY a.used_at, a.id`,
+            [saleId]
+        );
+    }
+}
+
+// Acciones que un supervisor puede autorizar; cada una es el permiso que debe tener quien autoriza
+Approval.ACTIONS = ['void_sale', 'refund_sale', 'approve_discount', 'override_price'];
+
+module.exports = Approval;
\ No newline at end of file
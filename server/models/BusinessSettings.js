@@ -0,0 +1,65 @@
+// server/models/BusinessSettings.js - Datos del negocio que se imprimen en los tickets (fila única)
+const database = require('../config/database');
+
+class BusinessSettings {
+    // Datos sin el logo (has_logo indica si hay uno)
+    static async get() {
+        await database.ensureConnected();
+
+        const row = await database.getAsync(
+            `SELECT id, name, address, city, phone, nit, footer, feedback_url, logo_mime, updated_at,
+                    logo IS NOT NULL as has_logo
+             FROM business_settings WHERE id = 1`
+        );
+
+        return { ...row, has_logo: Boolean(row && row.has_logo) };
+    }
+
+    static async update(data, userId) {
+        await database.ensureConnected();
+
+        const fields = BusinessSettings.FIELDS.filter(field => data[field] !== undefined);
+        if (fields.length > 0) {
+            await database.runAsync(
+                `UPDATE business_settings
+                 SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = 1`,
+                [...fields.map(field => (data[field] === null ? null : String(data[field]).trim() || null)), userId]
+            );
+        }
+
+        return BusinessSettings.get();
+    }
+
+    // { data: Buffer, mime } o null
+    static async getLogo() {
+        await database.ensureConnected();
+
+        const row = await database.getAsync('SELECT logo, logo_mime FROM business_settings WHERE id = 1');
+        return row && row.logo ? { data: row.logo, mime: row.logo_mime } : null;
+    }
+
+    static async setLogo(data, mime, userId) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE business_settings SET logo = ?, logo_mime = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1`,
+            [data, mime, userId]
+        );
+        return BusinessSettings.get();
+    }
+
+    static async clearLogo(userId) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE business_settings SET logo = NULL, logo_mime = NULL, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1`,
+            [userId]
+        );
+        return BusinessSettings.get();
+    }
+}
+
+BusinessSettings.FIELDS = ['name', 'address', 'city', 'phone', 'nit', 'footer', 'feedback_url'];
+
+module.exports = BusinessSettings;
\ No newline at end of file
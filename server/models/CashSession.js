@@ -0,0 +1,181 @@
+// server/models/CashSession.js - Apertura y cierre de caja
+const database = require('../config/database');
+
+// La venta (alias s) no fue anulada en la caja de la fila (venta, pago o devolución)
+const NOT_VOIDED_IN = (sessionColumn) => `NOT (s.status = 'voided' AND s.voided_cash_session_id IS ${sessionColumn})`;
+
+class CashSession {
+    static async open(sessionData) {
+        await database.ensureConnected();
+
+        const sql = `
+            INSERT INTO cash_sessions (user_id, opening_amount, opening_notes)
+            VALUES (?, ?, ?)
+        `;
+
+        const result = await database.runAsync(
+            sql,
+            [sessionData.user_id, sessionData.opening_amount, sessionData.opening_notes || null]
+        );
+        return { id: result.id, status: 'open', ...sessionData };
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT cs.*, u.full_name as user_name, c.full_name as closed_by_name
+            FROM cash_sessions cs
+            LEFT JOIN users u ON cs.user_id = u.id
+            LEFT JOIN users c ON cs.closed_by = c.id
+            WHERE cs.id = ?
+        `;
+
+        return database.getAsync(sql, [id]);
+    }
+
+    // Caja del usuario que estaba abierta en ese momento ('YYYY-MM-DD HH:MM:SS' UTC), aunque ya esté cerrada
+    static async findByUserAt(userId, at) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT cs.*, u.full_name as user_name
+            FROM cash_sessions cs
+            LEFT JOIN users u ON cs.user_id = u.id
+            WHERE cs.user_id = ? AND cs.opened_at <= ? AND (cs.closed_at IS NULL OR cs.closed_at >= ?)
+            ORDER BY cs.opened_at DESC
+            LIMIT 1
+        `;
+
+        return database.getAsync(sql, [userId, at, at]);
+    }
+
+    static async findOpenByUser(userId) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT cs.*, u.full_name as user_name
+            FROM cash_sessions cs
+            LEFT JOIN users u ON cs.user_id = u.id
+            WHERE cs.user_id = ? AND cs.status = 'open'
+            ORDER BY cs.opened_at DESC
+            LIMIT 1
+        `;
+
+        return database.getAsync(sql, [userId]);
+    }
+
+    static async findAll(limit = 50) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT cs.*, u.full_name as user_name
+            FROM cash_sessions cs
+            LEFT JOIN users u ON cs.user_id = u.id
+            ORDER BY cs.opened_at DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [limit]);
+    }
+
+    static async addMovement(movementData) {
+        await database.ensureConnected();
+
+        const sql = `
+            INSERT INTO cash_movements (session_id, type, amount, reason, user_id)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        const result = await database.runAsync(
+            sql,
+            [
+                movementData.session_id,
+                movementData.type,
+                movementData.amount,
+                movementData.reason,
+                movementData.user_id
+            ]
+        );
+        return { id: result.id, ...movementData };
+    }
+
+    static async findMovements(sessionId) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT cm.*, u.full_name as user_name
+            FROM cash_movements cm
+            LEFT JOIN users u ON cm.user_id = u.id
+            WHERE cm.session_id = ?
+            ORDER BY cm.created_at
+        `;
+
+        return database.allAsync(sql, [sessionId]);
+    }
+
+    // Totales de la sesión usados para el arqueo.
+    // Una venta anulada en esta caja no cuenta en ella; anulada desde otra caja, sigue contando aquí
+    // (la caja pudo haberse cerrado) y el efectivo devuelto se descuenta en la caja que la anuló.
+    // cash_sales: parte de las ventas cobrada en efectivo, ya descontado el cambio, en la caja que cobró cada pago
+    // (los pagos parciales de una cuenta de mesa pueden venir de otras cajas).
+    // Las devoluciones cuentan en la caja donde se hicieron (aunque la venta sea de otra caja);
+    // cash_refunds: las que se entregaron en efectivo.
+    // cash_voids: efectivo devuelto al anular en esta caja ventas cobradas (o devueltas) en otras.
+    static async getTotals(sessionId) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT
+                (SELECT COUNT(*) FROM sales s
+                    WHERE s.cash_session_id = ? AND ${NOT_VOIDED_IN('s.cash_session_id')}) as sales_count,
+                (SELECT COALESCE(SUM(s.total), 0) FROM sales s
+                    WHERE s.cash_session_id = ? AND ${NOT_VOIDED_IN('s.cash_session_id')}) as sales_amount,
+                (SELECT COALESCE(SUM(sp.amount), 0) FROM sale_payments sp
+                    INNER JOIN sales s ON sp.sale_id = s.id
+                    WHERE sp.cash_session_id = ? AND ${NOT_VOIDED_IN('sp.cash_session_id')} AND sp.method = 'cash') as cash_sales,
+                (SELECT COALESCE(SUM(r.amount), 0) FROM sale_refunds r
+                    INNER JOIN sales s ON r.sale_id = s.id
+                    WHERE r.cash_session_id = ? AND ${NOT_VOIDED_IN('r.cash_session_id')}) as refunded_amount,
+                (SELECT COALESCE(SUM(r.amount), 0) FROM sale_refunds r
+                    INNER JOIN sales s ON r.sale_id = s.id
+                    WHERE r.cash_session_id = ? AND ${NOT_VOIDED_IN('r.cash_session_id')} AND r.method = 'cash') as cash_refunds,
+                (SELECT COUNT(*) FROM sales
+                    WHERE voided_cash_session_id = ? AND status = 'voided') as voided_count,
+                (SELECT COALESCE(SUM(void_cash_amount), 0) FROM sales
+                    WHERE voided_cash_session_id = ? AND status = 'voided') as cash_voids,
+                (SELECT COALESCE(SUM(amount), 0) FROM cash_movements
+                    WHERE session_id = ? AND type = 'in') as cash_in,
+                (SELECT COALESCE(SUM(amount), 0) FROM cash_movements
+                    WHERE session_id = ? AND type = 'out') as cash_out
+        `;
+
+        return database.getAsync(sql, Array(9).fill(sessionId));
+    }
+
+    static async close(id, closeData) {
+        await database.ensureConnected();
+
+        const sql = `
+            UPDATE cash_sessions
+            SET status = 'closed', expected_amount = ?, counted_amount = ?, difference = ?,
+                closing_notes = ?, closed_by = ?, closed_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'open'
+        `;
+
+        const result = await database.runAsync(
+            sql,
+            [
+                closeData.expected_amount,
+                closeData.counted_amount,
+                closeData.difference,
+                closeData.closing_notes || null,
+                closeData.closed_by,
+                id
+            ]
+        );
+        return { closed: result.changes > 0 };
+    }
+}
+
+module.exports = CashSession;
\ No newline at end of file
@@ -0,0 +1,91 @@
+// server/models/Coupon.js - Cupones de descuento sobre el ticket
+const database = require('../config/database');
+
+class Coupon {
+    static async create(couponData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO coupons (code, discount_type, value, max_uses, expires_on) VALUES (?, ?, ?, ?, ?)`,
+            [
+                couponData.code,
+                couponData.discount_type,
+                couponData.value,
+                couponData.max_uses || null,
+                couponData.expires_on || null
+            ]
+        );
+
+        return Coupon.findById(result.id);
+    }
+
+    static async findAll() {
+        await database.ensureConnected();
+
+        return database.allAsync(`SELECT * FROM coupons WHERE active = 1 ORDER BY created_at DESC`);
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const sql = `SELECT * FROM coupons WHERE id = ? AND active = 1`;
+
+        return database.getAsync(sql, [id]);
+    }
+
+    // Los códigos se guardan en mayúsculas
+    static async findByCode(code) {
+        await database.ensureConnected();
+
+        const sql = `SELECT * FROM coupons WHERE code = ? AND active = 1`;
+
+        return database.getAsync(sql, [String(code).trim().toUpperCase()]);
+    }
+
+    // Motivo por el que el cupón no se puede usar hoy, o null si es válido
+    static validate(coupon, date = new Date()) {
+        if (!coupon) return 'Cupón no encontrado';
+
+        const today = date.toISOString().split('T')[0];
+        if (coupon.expires_on && today > coupon.expires_on) {
+            return 'El cupón está vencido';
+        }
+
+        if (coupon.max_uses && coupon.used_count >= coupon.max_uses) {
+            return 'El cupón ya alcanzó su límite de usos';
+        }
+
+        return null;
+    }
+
+    // Suma un uso solo si quedan usos: dos ventas simultáneas no pasan del límite.
+    // Si ya no quedan, lanza COUPON_EXHAUSTED (la transacción de la venta se revierte)
+    static async registerUse(id) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `UPDATE coupons SET used_count = used_count + 1
+             WHERE id = ? AND (max_uses IS NULL OR used_count < max_uses)`,
+            [id]
+        );
+
+        if (result.changes === 0) {
+            const error = new Error('El cupón ya alcanzó su límite de usos');
+            error.code = 'COUPON_EXHAUSTED';
+            throw error;
+        }
+    }
+
+    static async delete(id) {
+        await database.ensureConnected();
+
+        await database.runAsync(`UPDATE coupons SET active = 0 WHERE id = ?`, [id]);
+
+        return { deleted: true };
+    }
+}
+
+// Tipos de descuento de un cupón
+Coupon.DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+module.exports = Coupon;
\ No newline at end of file
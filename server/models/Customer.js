@@ -0,0 +1,99 @@
+// server/models/Customer.js - Directorio de clientes
+const database = require('../config/database');
+
+// Compras (sin anuladas) y saldo de puntos calculados al consultar
+const CUSTOMER_SELECT = `
+    SELECT
+        c.*,
+        (SELECT COUNT(*) FROM sales s WHERE s.customer_id = c.id AND s.status != 'voided') as total_purchases,
+        (SELECT COALESCE(SUM(s.total - s.refunded_amount), 0) FROM sales s WHERE s.customer_id = c.id AND s.status != 'voided') as total_spent,
+        (SELECT MAX(s.created_at) FROM sales s WHERE s.customer_id = c.id AND s.status != 'voided') as last_purchase_at,
+        (SELECT COALESCE(SUM(lm.points), 0) FROM loyalty_movements lm WHERE lm.customer_id = c.id) as points_balance
+    FROM customers c
+`;
+
+class Customer {
+    static async create(customerData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO customers (nit, name, phone, email, notes) VALUES (?, ?, ?, ?, ?)`,
+            [
+                customerData.nit || null,
+                customerData.name,
+                customerData.phone || null,
+                customerData.email || null,
+                customerData.notes || null
+            ]
+        );
+
+        return Customer.findById(result.id);
+    }
+
+    // Búsqueda para autocompletar: NIT que empieza con el texto o nombre que lo contiene
+    static async findAll(search = null, limit = 100) {
+        await database.ensureConnected();
+
+        let sql = `${CUSTOMER_SELECT} WHERE c.active = 1`;
+        const params = [];
+
+        if (search) {
+            sql += ' AND (c.nit LIKE ? OR c.name LIKE ?)';
+            params.push(`${search}%`, `%${search}%`);
+        }
+
+        sql += ' ORDER BY c.name LIMIT ?';
+        params.push(limit);
+
+        return database.allAsync(sql, params);
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const sql = `${CUSTOMER_SELECT} WHERE c.id = ? AND c.active = 1`;
+
+        return database.getAsync(sql, [id]);
+    }
+
+    static async findByNit(nit) {
+        await database.ensureConnected();
+
+        const sql = `${CUSTOMER_SELECT} WHERE c.nit = ? AND c.active = 1`;
+
+        return database.getAsync(sql, [nit]);
+    }
+
+    static async update(id, customerData) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE customers
+             SET nit = ?, name = ?, phone = ?, email = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [
+                customerData.nit || null,
+                customerData.name,
+                customerData.phone || null,
+                customerData.email || null,
+                customerData.notes || null,
+                id
+            ]
+        );
+
+        return Customer.findById(id);
+    }
+
+    // Soft delete: las ventas y el libro de puntos conservan la referencia.
+    // El NIT se libera para poder registrarlo de nuevo.
+    static async delete(id) {
+        await database.ensureConnected();
+
+        return database.runAsync(
+            `UPDATE customers SET active = 0, nit = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [id]
+        );
+    }
+}
+
+module.exports = Customer;
\ No newline at end of file
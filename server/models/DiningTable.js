@@ -0,0 +1,46 @@
+// server/models/DiningTable.js - Mesas del salón
+const database = require('../config/database');
+
+class DiningTable {
+    static async create(tableData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO dining_tables (number, seats) VALUES (?, ?)`,
+            [tableData.number, tableData.seats || null]
+        );
+
+        return DiningTable.findById(result.id);
+    }
+
+    // Orden natural: la mesa 2 antes que la 10
+    static async findAll() {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT * FROM dining_tables
+            ORDER BY CAST(number AS INTEGER), number
+        `;
+
+        return database.allAsync(sql, []);
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const sql = `SELECT * FROM dining_tables WHERE id = ?`;
+
+        return database.getAsync(sql, [id]);
+    }
+
+    // Se elimina la fila para poder volver a crear una mesa con el mismo número
+    static async delete(id) {
+        await database.ensureConnected();
+
+        await database.runAsync(`DELETE FROM dining_tables WHERE id = ?`, [id]);
+
+        return { deleted: true };
+    }
+}
+
+module.exports = DiningTable;
\ No newline at end of file
@@ -0,0 +1,42 @@
+// server/models/IdempotencyKey.js - Respuestas guardadas por Idempotency-Key
+const database = require('../config/database');
+
+class IdempotencyKey {
+    // Respuesta guardada para la clave del usuario dentro de la ventana (en horas)
+    static async find(userId, key, windowHours) {
+        await database.ensureConnected();
+
+        const row = await database.getAsync(
+            `SELECT * FROM idempotency_keys
+             WHERE user_id = ? AND idempotency_key = ? AND created_at >= datetime('now', ?)`,
+            [userId, key, `-${windowHours} hours`]
+        );
+
+        return row ? { ...row, response: JSON.parse(row.response) } : null;
+    }
+
+    // Guardar la respuesta. Una clave vencida se reemplaza.
+    // request_hash: huella del cuerpo de la solicitud (una clave repetida con otro cuerpo no se responde)
+    static async create({ user_id, idempotency_key, method, path, request_hash, status_code, response }) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `INSERT OR REPLACE INTO idempotency_keys (user_id, idempotency_key, method, path, request_hash, status_code, response)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [user_id, idempotency_key, method, path, request_hash, status_code, JSON.stringify(response)]
+        );
+    }
+
+    // Borrar las claves fuera de la ventana
+    static async purgeExpired(windowHours) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `DELETE FROM idempotency_keys WHERE created_at < datetime('now', ?)`,
+            [`-${windowHours} hours`]
+        );
+        return result.changes;
+    }
+}
+
+module.exports = IdempotencyKey;
\ No newline at end of file
@@ -0,0 +1,100 @@
+// server/models/Ingredient.js - Insumos para recetas
+const database = require('../config/database');
+
+// Stock actual calculado desde el kardex de insumos
+const STOCK_COLUMN = '(SELECT COALESCE(SUM(im.quantity), 0) FROM ingredient_movements im WHERE im.ingredient_id = i.id) as stock';
+
+class Ingredient {
+    static async create(ingredientData) {
+        await database.ensureConnected();
+
+        const sql = `
+            INSERT INTO ingredients (name, unit, cost, reorder_level)
+            VALUES (?, ?, ?, ?)
+        `;
+
+        const result = await database.runAsync(
+            sql,
+            [
+                ingredientData.name,
+                ingredientData.unit,
+                ingredientData.cost || 0,
+                ingredientData.reorder_level || 0
+            ]
+        );
+        return { id: result.id, ...ingredientData };
+    }
+
+    static async findAll() {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT i.*, ${STOCK_COLUMN}
+            FROM ingredients i
+            WHERE i.active = 1
+            ORDER BY i.name
+        `;
+
+        return database.allAsync(sql, []);
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT i.*, ${STOCK_COLUMN}
+            FROM ingredients i
+            WHERE i.id = ? AND i.active = 1
+        `;
+
+        return database.getAsync(sql, [id]);
+    }
+
+    static async update(id, ingredientData) {
+        await database.ensureConnected();
+
+        const sql = `
+            UPDATE ingredients
+            SET name = ?, unit = ?, cost = ?, reorder_level = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+
+        await database.runAsync(
+            sql,
+            [
+                ingredientData.name,
+                ingredientData.unit,
+                ingredientData.cost,
+                ingredientData.reorder_level,
+                id
+            ]
+        );
+        return { id, ...ingredientData };
+    }
+
+    static async delete(id) {
+        await database.ensureConnected();
+
+        const sql = `UPDATE ingredients SET active = 0 WHERE id = ?`;
+
+        await database.runAsync(sql, [id]);
+        return { deleted: true };
+    }
+
+    // Productos cuya receta usa el insumo
+    static async findProductsUsing(id) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT p.id, p.name, pr.quantity
+            FROM product_recipes pr
+            INNER JOIN products p ON pr.product_id = p.id
+            WHERE pr.ingredient_id = ? AND p.active = 1
+            ORDER BY p.name
+        `;
+
+        return database.allAsync(sql, [id]);
+    }
+}
+
+module.exports = Ingredient;
\ No newline at end of file
@@ -0,0 +1,201 @@
+// server/models/IngredientMovement.js - Kardex de insumos y consumo por ventas
+const database = require('../config/database');
+const ProductRecipe = require('./ProductRecipe');
+
+class IngredientMovement {
+    // Registrar un movimiento; stock_after se calcula sobre el saldo actual del insumo
+    static async create(movementData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO ingredient_movements
+                (ingredient_id, type, quantity, stock_after, sale_id, sale_detail_id, notes, user_id)
+             SELECT ?, ?, ?, COALESCE(SUM(quantity), 0) + ?, ?, ?, ?, ?
+             FROM ingredient_movements WHERE ingredient_id = ?`,
+            [
+                movementData.ingredient_id,
+                movementData.type,
+                movementData.quantity,
+                movementData.quantity,
+                movementData.sale_id || null,
+                movementData.sale_detail_id || null,
+                movementData.notes || null,
+                movementData.user_id || null,
+                movementData.ingredient_id
+            ]
+        );
+
+        return IngredientMovement.findById(result.id);
+    }
+
+    // Conteo físico: registra la diferencia entre lo contado y el saldo actual
+    static async createCount(countData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO ingredient_movements (ingredient_id, type, quantity, stock_after, notes, user_id)
+             SELECT ?, 'count', ? - COALESCE(SUM(quantity), 0), ?, ?, ?
+             FROM ingredient_movements WHERE ingredient_id = ?`,
+            [
+                countData.ingredient_id,
+                countData.counted_quantity,
+                countData.counted_quantity,
+                countData.notes || null,
+                countData.user_id || null,
+                countData.ingredient_id
+            ]
+        );
+
+        return IngredientMovement.findById(result.id);
+    }
+
+    // Consumo teórico de una venta según la receta de cada producto vendido
+    // details: [{ id, product_id, quantity }]
+    static async recordConsumption(saleId, details) {
+        const recipes = await ProductRecipe.findByProducts([...new Set(details.map(d => d.product_id))]);
+        const movements = [];
+
+        for (const detail of details) {
+            const lines = recipes.filter(recipe => recipe.product_id === detail.product_id);
+
+            for (const line of lines) {
+                movements.push(await IngredientMovement.create({
+                    ingredient_id: line.ingredient_id,
+                    type: 'consumption',
+                    quantity: -(line.quantity * detail.quantity),
+                    sale_id: saleId,
+                    sale_detail_id: detail.id,
+                    notes: `Venta #${saleId}`
+                }));
+            }
+        }
+
+        return movements;
+    }
+
+    // Revertir el consumo pendiente de una venta anulada
+    static async reverseSale(saleId, notes, userId) {
+        await database.ensureConnected();
+
+        const rows = await database.allAsync(
+            `SELECT ingredient_id, SUM(quantity) as quantity
+             FROM ingredient_movements
+             WHERE sale_id = ? AND type = 'consumption'
+             GROUP BY ingredient_id`,
+            [saleId]
+        );
+
+        const movements = [];
+        for (const row of rows) {
+            if (row.quantity === 0) continue;
+
+            movements.push(await IngredientMovement.create({
+                ingredient_id: row.ingredient_id,
+                type: 'consumption',
+                quantity: -row.quantity,
+                sale_id: saleId,
+                notes,
+                user_id: userId
+            }));
+        }
+
+        return movements;
+    }
+
+    // Revertir el consumo proporcional de items devueltos
+    // items: [{ sale_detail_id, quantity, detail_quantity }]
+    static async reverseDetails(saleId, items, notes, userId) {
+        await database.ensureConnected();
+
+        const movements = [];
+        for (const item of items) {
+            // Consumo original del item (sin reversiones previas)
+            const rows = await database.allAsync(
+                `SELECT ingredient_id, SUM(quantity) as quantity
+                 FROM ingredient_movements
+                 WHERE sale_detail_id = ? AND type = 'consumption' AND quantity < 0
+                 GROUP BY ingredient_id`,
+                [item.sale_detail_id]
+            );
+
+            for (const row of rows) {
+                movements.push(await IngredientMovement.create({
+                    ingredient_id: row.ingredient_id,
+                    type: 'consumption',
+                    quantity: -row.quantity * item.quantity / item.detail_quantity,
+                    sale_id: saleId,
+                    sale_detail_id: item.sale_detail_id,
+                    notes,
+                    user_id: userId
+                }));
+            }
+        }
+
+        return movements;
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT im.*, i.name as ingredient_name, i.unit, u.full_name as user_name
+            FROM ingredient_movements im
+            LEFT JOIN ingredients i ON im.ingredient_id = i.id
+            LEFT JOIN users u ON im.user_id = u.id
+            WHERE im.id = ?
+        `;
+
+        return database.getAsync(sql, [id]);
+    }
+
+    static async findByIngredient(ingredientId, limit = 100) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT im.*, u.full_name as user_name
+            FROM ingredient_movements im
+            LEFT JOIN users u ON im.user_id = u.id
+            WHERE im.ingredient_id = ?
+            ORDER BY im.id DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [ingredientId, limit]);
+    }
+
+    // Uso teórico (según recetas) vs. uso real (inventario inicial + compras - inventario final)
+    static async getUsage(startDate, endDate) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT
+                i.id,
+                i.name,
+                i.unit,
+                i.cost,
+                COALESCE(SUM(CASE WHEN DATE(im.created_at) < ? THEN im.quantity END), 0) as opening_stock,
+                COALESCE(SUM(CASE WHEN DATE(im.created_at) BETWEEN ? AND ? AND im.type = 'purchase'
+                    THEN im.quantity END), 0) as purchases,
+                COALESCE(-SUM(CASE WHEN DATE(im.created_at) BETWEEN ? AND ? AND im.type = 'consumption'
+                    THEN im.quantity END), 0) as theoretical_usage,
+                COALESCE(-SUM(CASE WHEN DATE(im.created_at) BETWEEN ? AND ? AND im.type = 'waste'
+                    THEN im.quantity END), 0) as waste,
+                COALESCE(SUM(CASE WHEN DATE(im.created_at) <= ? THEN im.quantity END), 0) as closing_stock
+            FROM ingredients i
+            LEFT JOIN ingredient_movements im ON im.ingredient_id = i.id
+            WHERE i.active = 1
+            GROUP BY i.id, i.name, i.unit, i.cost
+            ORDER BY i.name
+        `;
+
+        return database.allAsync(
+            sql,
+            [startDate, startDate, endDate, startDate, endDate, startDate, endDate, endDate]
+        );
+    }
+}
+
+// Tipos de movimiento del kardex de insumos
+IngredientMovement.TYPES = ['purchase', 'consumption', 'adjustment', 'waste', 'count'];
+
+module.exports = IngredientMovement;
\ No newline at end of file
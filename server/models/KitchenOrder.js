@@ -0,0 +1,329 @@
+// server/models/KitchenOrder.js - Comandas por estación de preparación
+const database = require('../config/database');
+const SaleDetail = require('./SaleDetail');
+
+// Las comandas de una cuenta abierta no tienen venta hasta que se cobra: los datos salen de la cuenta
+const ORDER_SELECT = `
+    SELECT
+        ko.*,
+        st.name as station_name,
+        st.printer_name,
+        COALESCE(s.order_type, 'dine_in') as order_type,
+        COALESCE(s.table_number, t.table_number) as table_number,
+        COALESCE(s.customer_name, t.customer_name) as customer_name,
+        COALESCE(s.observations, t.observations) as observations,
+        u.full_name as user_name
+    FROM kitchen_orders ko
+    INNER JOIN stations st ON ko.station_id = st.id
+    LEFT JOIN sales s ON ko.sale_id = s.id
+    LEFT JOIN open_tabs t ON ko.tab_id = t.id
+    LEFT JOIN users u ON COALESCE(s.user_id, t.user_id) = u.id
+`;
+
+class KitchenOrder {
+    // Genera una comanda por cada estación que prepara algún producto de la venta.
+    // Los productos cuya categoría no tiene estación no pasan por cocina.
+    static async createForSale(saleId) {
+        await database.ensureConnected();
+
+        const details = await SaleDetail.findBySaleId(saleId);
+
+        return KitchenOrder.createForLines(
+            { sale_id: saleId },
+            details.map(detail => ({ ...detail, sale_detail_id: detail.id }))
+        );
+    }
+
+    // Items agregados a una cuenta abierta: cada envío genera sus propias comandas
+    static async createForTab(tabId, tabItems) {
+        await database.ensureConnected();
+
+        return KitchenOrder.createForLines(
+            { tab_id: tabId },
+            tabItems.map(item => ({ ...item, tab_item_id: item.id }))
+        );
+    }
+
+    // lines: [{ product_id, product_name, quantity, modifiers, sale_detail_id | tab_item_id }]
+    static async createForLines(source, lines) {
+        if (lines.length === 0) return [];
+
+        const productIds = [...new Set(lines.map(line => line.product_id))];
+        const placeholders = productIds.map(() => '?').join(', ');
+        const routes = await database.allAsync(
+            `SELECT p.id as product_id, c.station_id
+             FROM products p
+             INNER JOIN categories c ON p.category_id = c.id
+             INNER JOIN stations st ON c.station_id = st.id AND st.active = 1
+             WHERE p.id IN (${placeholders})`,
+            productIds
+        );
+
+        const byStation = new Map();
+        for (const line of lines) {
+            const route = routes.find(r => r.product_id === line.product_id);
+            if (!route) continue;
+
+            if (!byStation.has(route.station_id)) byStation.set(route.station_id, []);
+            byStation.get(route.station_id).push(line);
+        }
+
+        const orderIds = [];
+        await database.transaction(async () => {
+            for (const [stationId, stationLines] of byStation) {
+                const order = await database.runAsync(
+                    `INSERT INTO kitchen_orders (sale_id, tab_id, station_id) VALUES (?, ?, ?)`,
+                    [source.sale_id || null, source.tab_id || null, stationId]
+                );
+
+                for (const line of stationLines) {
+                    const modifiers = (line.modifiers || []).map(m => m.option_name).join(', ');
+                    await database.runAsync(
+                        `INSERT INTO kitchen_order_items (order_id, sale_detail_id, tab_item_id, product_name, quantity, modifiers)
+                         VALUES (?, ?, ?, ?, ?, ?)`,
+                        [
+                            order.id,
+                            line.sale_detail_id || null,
+                            line.tab_item_id || null,
+                            line.product_name,
+                            line.quantity,
+                            modifiers || null
+                        ]
+                    );
+                }
+
+                orderIds.push(order.id);
+            }
+        });
+
+        const orders = [];
+        for (const id of orderIds) {
+            orders.push(await KitchenOrder.findById(id));
+        }
+        return orders;
+    }
+
+    // Agrega los items a cada comanda
+    static async attachItems(orders) {
+        if (orders.length === 0) return orders;
+
+        const placeholders = orders.map(() => '?').join(', ');
+        const items = await database.allAsync(
+            `SELECT * FROM kitchen_order_items WHERE order_id IN (${placeholders}) ORDER BY id`,
+            orders.map(order => order.id)
+        );
+
+        return orders.map(order => ({
+            ...order,
+            items: items.filter(item => item.order_id === order.id)
+        }));
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const orders = await database.allAsync(`${ORDER_SELECT} WHERE ko.id = ?`, [id]);
+
+        const [order] = await KitchenOrder.attachItems(orders);
+        return order;
+    }
+
+    // Comandas pendientes o en preparación, de la más antigua a la más nueva
+    static async findActive(stationId = null) {
+        await database.ensureConnected();
+
+        let sql = `${ORDER_SELECT} WHERE ko.status IN ('pending', 'in_progress')`;
+        const params = [];
+
+        if (stationId) {
+            sql += ' AND ko.station_id = ?';
+            params.push(stationId);
+        }
+
+        sql += ' ORDER BY ko.created_at, ko.id';
+
+        return KitchenOrder.attachItems(await database.allAsync(sql, params));
+    }
+
+    static async findBySaleId(saleId) {
+        await database.ensureConnected();
+
+        const orders = await database.allAsync(
+            `${ORDER_SELECT} WHERE ko.sale_id = ? ORDER BY ko.id`,
+            [saleId]
+        );
+
+        return KitchenOrder.attachItems(orders);
+    }
+
+    // Comandas activas de una cuenta (para refrescar la pantalla al mover o unir mesas)
+    static async findActiveByTab(tabId) {
+        await database.ensureConnected();
+
+        const orders = await database.allAsync(
+            `${ORDER_SELECT} WHERE ko.tab_id = ? AND ko.status IN ('pending', 'in_progress') ORDER BY ko.id`,
+            [tabId]
+        );
+
+        return KitchenOrder.attachItems(orders);
+    }
+
+    static async findItemById(itemId) {
+        await database.ensureConnected();
+
+        const sql = `SELECT * FROM kitchen_order_items WHERE id = ?`;
+
+        return database.getAsync(sql, [itemId]);
+    }
+
+    // El estado de la comanda se deriva de sus items:
+    // todos listos = ready, alguno empezado = in_progress, si no pending
+    static async refreshStatus(orderId) {
+        const items = await database.allAsync(
+            `SELECT status FROM kitchen_order_items WHERE order_id = ?`,
+            [orderId]
+        );
+
+        let status = 'pending';
+        if (items.every(item => item.status === 'ready')) {
+            status = 'ready';
+        } else if (items.some(item => item.status !== 'pending')) {
+            status = 'in_progress';
+        }
+
+        await database.runAsync(
+            `UPDATE kitchen_orders
+             SET status = ?,
+                 updated_at = CURRENT_TIMESTAMP,
+                 completed_at = CASE WHEN ? = 'ready' THEN CURRENT_TIMESTAMP ELSE NULL END
+             WHERE id = ?`,
+            [status, status, orderId]
+        );
+
+        return KitchenOrder.findById(orderId);
+    }
+
+    static async updateItemStatus(itemId, status) {
+        await database.ensureConnected();
+
+        const item = await KitchenOrder.findItemById(itemId);
+
+        await database.runAsync(
+            `UPDATE kitchen_order_items SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [status, itemId]
+        );
+
+        return KitchenOrder.refreshStatus(item.order_id);
+    }
+
+    // Marca todos los items de la comanda con el mismo estado
+    static async updateStatus(orderId, status) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE kitchen_order_items SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE order_id = ?`,
+            [status, orderId]
+        );
+
+        return KitchenOrder.refreshStatus(orderId);
+    }
+
+    // Venta anulada: se cancelan las comandas que aún no salieron de cocina
+    static async cancelBySale(saleId) {
+        await database.ensureConnected();
+
+        const pending = await database.allAsync(
+            `SELECT id FROM kitchen_orders WHERE sale_id = ? AND status IN ('pending', 'in_progress')`,
+            [saleId]
+        );
+
+        const orders = [];
+        for (const row of pending) {
+            await database.runAsync(
+                `UPDATE kitchen_orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [row.id]
+            );
+            orders.push(await KitchenOrder.findById(row.id));
+        }
+
+        return orders;
+    }
+
+    // Item que se quita de la cuenta: sale de las comandas que aún no están listas.
+    // Una comanda que se queda sin items se cancela.
+    static async removeTabItem(tabItemId) {
+        await database.ensureConnected();
+
+        const rows = await database.allAsync(
+            `SELECT koi.id, koi.order_id
+             FROM kitchen_order_items koi
+             INNER JOIN kitchen_orders ko ON koi.order_id = ko.id
+             WHERE koi.tab_item_id = ? AND ko.status IN ('pending', 'in_progress')`,
+            [tabItemId]
+        );
+
+        const orders = [];
+        for (const row of rows) {
+            await database.runAsync(`DELETE FROM kitchen_order_items WHERE id = ?`, [row.id]);
+
+            const remaining = await database.allAsync(
+                `SELECT id FROM kitchen_order_items WHERE order_id = ?`,
+                [row.order_id]
+            );
+
+            if (remaining.length === 0) {
+                await database.runAsync(
+                    `UPDATE kitchen_orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [row.order_id]
+                );
+                orders.push(await KitchenOrder.findById(row.order_id));
+            } else {
+                orders.push(await KitchenOrder.refreshStatus(row.order_id));
+            }
+        }
+
+        // Lo ya preparado queda en su comanda, sin referencia al item borrado
+        await database.runAsync(
+            `UPDATE kitchen_order_items SET tab_item_id = NULL WHERE tab_item_id = ?`,
+            [tabItemId]
+        );
+
+        return orders;
+    }
+
+    // Cuenta anulada: se cancelan las comandas que aún no salieron de cocina
+    static async cancelByTab(tabId) {
+        await database.ensureConnected();
+
+        const pending = await database.allAsync(
+            `SELECT id FROM kitchen_orders WHERE tab_id = ? AND status IN ('pending', 'in_progress')`,
+            [tabId]
+        );
+
+        const orders = [];
+        for (const row of pending) {
+            await database.runAsync(
+                `UPDATE kitchen_orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [row.id]
+            );
+            orders.push(await KitchenOrder.findById(row.id));
+        }
+
+        return orders;
+    }
+
+    // Cuenta cobrada: sus comandas quedan asociadas a la venta
+    static async linkTabToSale(tabId, saleId) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE kitchen_orders SET sale_id = ?, updated_at = CURRENT_TIMESTAMP WHERE tab_id = ?`,
+            [saleId, tabId]
+        );
+    }
+}
+
+// Estados que cocina puede asignar a un item o a la comanda completa
+KitchenOrder.ITEM_STATUSES = ['pending', 'in_progress', 'ready'];
+
+module.exports = KitchenOrder;
\ No newline at end of file
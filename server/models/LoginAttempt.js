@@ -0,0 +1,141 @@
+// server/models/LoginAttempt.js - Historial de intentos de inicio de sesión
+const database = require('../config/database');
+
+// Columna que identifica a quién se cuentan los fallos y de qué tipo de intento.
+// pin: el supervisor cuyo PIN se probó; requester: el usuario que pidió la autorización
+const SCOPE_COLUMNS = {
+    username: { column: 'username', kind: 'password' },
+    ip: { column: 'ip_address', kind: 'password' },
+    pin: { column: 'username', kind: 'pin' },
+    requester: { column: 'requested_by', kind: 'pin' }
+};
+
+class LoginAttempt {
+    // kind: password o pin. reason: success, bad_password, bad_pin, unknown_user, locked,
+    // pending (login reservado mientras se comprueba la contraseña: cuenta como fallo)
+    static async create({ kind = 'password', username, user_id, ip_address, user_agent, requested_by, success, reason }) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO login_attempts (kind, username, user_id, ip_address, user_agent, requested_by, success, reason)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                kind,
+                String(username).slice(0, 100),
+                user_id || null,
+                ip_address || null,
+                user_agent ? String(user_agent).slice(0, 255) : null,
+                requested_by ? String(requested_by).slice(0, 100) : null,
+                success ? 1 : 0,
+                reason
+            ]
+        );
+        return result.id;
+    }
+
+    // Resultado de un intento reservado (pending)
+    static async finish(id, { success, reason, user_id }) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE login_attempts SET success = ?, reason = ?, user_id = COALESCE(?, user_id) WHERE id = ?`,
+            [success ? 1 : 0, reason, user_id || null, id]
+        );
+    }
+
+    // Fallos seguidos del usuario o la IP dentro de la ventana: no cuentan los anteriores al último
+    // bloqueo ni, para un usuario o un PIN, los anteriores a su último intento exitoso
+    static async countRecentFailures(scope, value, windowMinutes) {
+        await database.ensureConnected();
+
+        const { column, kind } = SCOPE_COLUMNS[scope];
+        let sql = `
+            SELECT COUNT(*) AS count FROM login_attempts
+            WHERE ${column} = ? AND kind = ? AND success = 0 AND reason != 'locked'
+              AND created_at > datetime('now', ?)
+              AND created_at > COALESCE((SELECT MAX(created_at) FROM login_lockouts WHERE scope = ? AND value = ?), '')
+        `;
+        const params = [value, kind, `-${windowMinutes} minutes`, scope, value];
+
+        if (column === 'username') {
+            sql += ` AND id > COALESCE((SELECT MAX(id) FROM login_attempts WHERE username = ? AND kind = ? AND success = 1), 0)`;
+            params.push(value, kind);
+        }
+
+        const row = await database.getAsync(sql, params);
+        return row.count;
+    }
+
+    // Historial (filters: { kind, username, ip_address, success, startDate, endDate, limit })
+    static async findAll(filters = {}) {
+        await database.ensureConnected();
+
+        let sql = 'SELECT * FROM login_attempts WHERE 1=1';
+        const params = [];
+
+        if (filters.kind) {
+            sql += ' AND kind = ?';
+            params.push(filters.kind);
+        }
+        if (filters.username) {
+            sql += ' AND username = ?';
+            params.push(filters.username);
+        }
+        if (filters.ip_address) {
+            sql += ' AND ip_address = ?';
+            params.push(filters.ip_address);
+        }
+        if (filters.success !== undefined) {
+            sql += ' AND success = ?';
+            params.push(filters.success ? 1 : 0);
+        }
+        if (filters.startDate) {
+            sql += ' AND DATE(created_at) >= ?';
+            params.push(filters.startDate);
+        }
+        if (filters.endDate) {
+            sql += ' AND DATE(created_at) <= ?';
+            params.push(filters.endDate);
+        }
+
+        sql += ' ORDER BY id DESC LIMIT ?';
+        params.push(parseInt(filters.limit) || 100);
+
+        return database.allAsync(sql, params);
+    }
+
+    // Totales del periodo: intentos, exitosos, fallidos y rechazados por bloqueo
+    static async getTotals(startDate, endDate) {
+        await database.ensureConnected();
+
+        return database.getAsync(
+            `SELECT COUNT(*) AS total_attempts,
+                    COALESCE(SUM(success), 0) AS successful,
+                    COALESCE(SUM(CASE WHEN success = 0 AND reason != 'locked' THEN 1 ELSE 0 END), 0) AS failed,
+                    COALESCE(SUM(CASE WHEN reason = 'locked' THEN 1 ELSE 0 END), 0) AS rejected_locked
+             FROM login_attempts
+             WHERE DATE(created_at) BETWEEN ? AND ?`,
+            [startDate, endDate]
+        );
+    }
+
+    // Usuarios, IPs o PIN con más fallos en el periodo
+    static async getTopFailures(scope, startDate, endDate, limit = 10) {
+        await database.ensureConnected();
+
+        const { column, kind } = SCOPE_COLUMNS[scope];
+        return database.allAsync(
+            `SELECT ${column} AS value, COUNT(*) AS failed_attempts, MAX(created_at) AS last_attempt
+             FROM login_attempts
+             WHERE kind = ? AND success = 0 AND reason != 'locked' AND DATE(created_at) BETWEEN ? AND ?
+             GROUP BY ${column}
+             ORDER BY failed_attempts DESC
+             LIMIT ?`,
+            [kind, startDate, endDate, limit]
+        );
+    }
+}
+
+LoginAttempt.SCOPES = Object.keys(SCOPE_COLUMNS);
+
+module.exports = LoginAttempt;
\ No newline at end of file
@@ -0,0 +1,82 @@
+// server/models/LoginLockout.js - Bloqueos temporales del login por usuario o por IP
+const database = require('../config/database');
+
+const ACTIVE = `l.unlocked_at IS NULL AND l.locked_until > datetime('now')`;
+
+// seconds_left: segundos que faltan para que termine el bloqueo
+const COLUMNS = `
+    l.*, u.full_name AS unlocked_by_name,
+    MAX(0, CAST(strftime('%s', l.locked_until) AS INTEGER) - CAST(strftime('%s', 'now') AS INTEGER)) AS seconds_left
+`;
+
+class LoginLockout {
+    // scope: username o ip
+    static async create({ scope, value, failed_attempts, minutes }) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO login_lockouts (scope, value, failed_attempts, locked_until)
+             VALUES (?, ?, ?, datetime('now', ?))`,
+            [scope, value, failed_attempts, `+${minutes} minutes`]
+        );
+        return LoginLockout.findById(result.id);
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        return database.getAsync(
+            `SELECT ${COLUMNS} FROM login_lockouts l LEFT JOIN users u ON l.unlocked_by = u.id WHERE l.id = ?`,
+            [id]
+        );
+    }
+
+    // Bloqueo vigente para el usuario o la IP, o null
+    static async findActive(scope, value) {
+        await database.ensureConnected();
+
+        return database.getAsync(
+            `SELECT ${COLUMNS} FROM login_lockouts l LEFT JOIN users u ON l.unlocked_by = u.id
+             WHERE l.scope = ? AND l.value = ? AND ${ACTIVE}
+             ORDER BY l.locked_until DESC LIMIT 1`,
+            [scope, value]
+        );
+    }
+
+    static async findAllActive() {
+        await database.ensureConnected();
+
+        return database.allAsync(
+            `SELECT ${COLUMNS} FROM login_lockouts l LEFT JOIN users u ON l.unlocked_by = u.id
+             WHERE ${ACTIVE}
+             ORDER BY l.created_at DESC`
+        );
+    }
+
+    // Bloqueos que empezaron en el periodo, vigentes o no
+    static async findByDateRange(startDate, endDate) {
+        await database.ensureConnected();
+
+        return database.allAsync(
+            `SELECT ${COLUMNS}, CASE WHEN ${ACTIVE} THEN 1 ELSE 0 END AS active
+             FROM login_lockouts l LEFT JOIN users u ON l.unlocked_by = u.id
+             WHERE DATE(l.created_at) BETWEEN ? AND ?
+             ORDER BY l.created_at DESC`,
+            [startDate, endDate]
+        );
+    }
+
+    // Terminar el bloqueo antes de tiempo; false si ya no estaba vigente
+    static async unlock(id, userId) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `UPDATE login_lockouts SET unlocked_at = CURRENT_TIMESTAMP, unlocked_by = ?
+             WHERE id = ? AND unlocked_at IS NULL AND locked_until > datetime('now')`,
+            [userId, id]
+        );
+        return result.changes > 0;
+    }
+}
+
+module.exports = LoginLockout;
\ No newline at end of file
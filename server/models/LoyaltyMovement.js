@@ -0,0 +1,181 @@
+// server/models/LoyaltyMovement.js - Libro de puntos de fidelidad por cliente
+const database = require('../config/database');
+const config = require('../config/config');
+
+class LoyaltyMovement {
+    // Puntos que gana un pago en Bs (solo puntos enteros)
+    static pointsForAmount(amount) {
+        return Math.max(0, Math.floor(amount * config.LOYALTY_POINTS_PER_BS + 1e-9));
+    }
+
+    // Puntos necesarios para pagar un monto en Bs
+    static pointsToRedeem(amount) {
+        return Math.ceil(amount / config.LOYALTY_POINT_VALUE - 1e-9);
+    }
+
+    // Registrar un movimiento; balance_after se calcula sobre el saldo actual del cliente
+    static async create(movementData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO loyalty_movements (customer_id, type, points, balance_after, sale_id, notes, user_id)
+             SELECT ?, ?, ?, COALESCE(SUM(points), 0) + ?, ?, ?, ?
+             FROM loyalty_movements WHERE customer_id = ?`,
+            [
+                movementData.customer_id,
+                movementData.type,
+                movementData.points,
+                movementData.points,
+                movementData.sale_id || null,
+                movementData.notes || null,
+                movementData.user_id || null,
+                movementData.customer_id
+            ]
+        );
+
+        return LoyaltyMovement.findById(result.id);
+    }
+
+    // Canje (puntos usados como forma de pago) y acumulación de una venta.
+    // Se llama dentro de la transacción de la venta: el saldo se vuelve a leer antes del canje, así dos
+    // ventas simultáneas no gastan los mismos puntos. Sin saldo suficiente lanza POINTS_INSUFFICIENT
+    static async recordSale(saleId, customerId, { redeemed, earned }, userId) {
+        const movements = [];
+
+        if (redeemed > 0) {
+            const balance = await LoyaltyMovement.getBalance(customerId);
+            if (redeemed > balance) {
+                const error = new Error(`Puntos insuficientes: se requieren ${redeemed} y el cliente tiene ${balance}`);
+                error.code = 'POINTS_INSUFFICIENT';
+                throw error;
+            }
+
+            movements.push(await LoyaltyMovement.create({
+                customer_id: customerId,
+                type: 'redeem',
+                points: -redeemed,
+                sale_id: saleId,
+                notes: `Canje en venta #${saleId}`,
+                user_id: userId
+            }));
+        }
+
+        if (earned > 0) {
+            movements.push(await LoyaltyMovement.create({
+                customer_id: customerId,
+                type: 'earn',
+                points: earned,
+                sale_id: saleId,
+                notes: `Venta #${saleId}`,
+                user_id: userId
+            }));
+        }
+
+        return movements;
+    }
+
+    // Venta anulada: se devuelven los puntos canjeados y se quitan los ganados.
+    // Si el cliente ya gastó los puntos ganados, el saldo queda en 0 (nunca negativo).
+    static async reverseSale(saleId, notes, userId) {
+        await database.ensureConnected();
+
+        const rows = await database.allAsync(
+            `SELECT customer_id, SUM(points) as points
+             FROM loyalty_movements
+             WHERE sale_id = ?
+             GROUP BY customer_id`,
+            [saleId]
+        );
+
+        const movements = [];
+        for (const row of rows) {
+            const balance = await LoyaltyMovement.getBalance(row.customer_id);
+            const points = Math.max(-row.points, -balance);
+            if (points === 0) continue;
+
+            movements.push(await LoyaltyMovement.create({
+                customer_id: row.customer_id,
+                type: 'reversal',
+                points,
+                sale_id: saleId,
+                notes,
+                user_id: userId
+            }));
+        }
+
+        return movements;
+    }
+
+    // Devolución parcial: se quitan los puntos ganados por el monto devuelto
+    // (nunca más de lo que la venta aún tiene acumulado ni del saldo del cliente)
+    static async reverseRefund(saleId, amount, notes, userId) {
+        await database.ensureConnected();
+
+        const [row] = await database.allAsync(
+            `SELECT customer_id,
+                    SUM(CASE WHEN type = 'earn' THEN points ELSE 0 END) as earned,
+                    SUM(CASE WHEN type = 'reversal' THEN points ELSE 0 END) as reversed
+             FROM loyalty_movements
+             WHERE sale_id = ?
+             GROUP BY customer_id`,
+            [saleId]
+        );
+        if (!row) return null;
+
+        const balance = await LoyaltyMovement.getBalance(row.customer_id);
+        const points = Math.min(LoyaltyMovement.pointsForAmount(amount), row.earned + row.reversed, balance);
+        if (points <= 0) return null;
+
+        return LoyaltyMovement.create({
+            customer_id: row.customer_id,
+            type: 'reversal',
+            points: -points,
+            sale_id: saleId,
+            notes,
+            user_id: userId
+        });
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT lm.*, u.full_name as user_name
+            FROM loyalty_movements lm
+            LEFT JOIN users u ON lm.user_id = u.id
+            WHERE lm.id = ?
+        `;
+
+        return database.getAsync(sql, [id]);
+    }
+
+    // Estado de cuenta: movimientos del más reciente al más antiguo
+    static async findByCustomer(customerId, limit = 100) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT lm.*, u.full_name as user_name
+            FROM loyalty_movements lm
+            LEFT JOIN users u ON lm.user_id = u.id
+            WHERE lm.customer_id = ?
+            ORDER BY lm.id DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [customerId, limit]);
+    }
+
+    static async getBalance(customerId) {
+        await database.ensureConnected();
+
+        const sql = `SELECT COALESCE(SUM(points), 0) as balance FROM loyalty_movements WHERE customer_id = ?`;
+
+        const row = await database.getAsync(sql, [customerId]);
+        return row.balance;
+    }
+}
+
+// Tipos de movimiento del libro de puntos
+LoyaltyMovement.TYPES = ['earn', 'redeem', 'adjustment', 'reversal'];
+
+module.exports = LoyaltyMovement;
\ No newline at end of file
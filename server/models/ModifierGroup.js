@@ -0,0 +1,164 @@
+// server/models/ModifierGroup.js - Grupos de modificadores y sus opciones
+const database = require('../config/database');
+
+class ModifierGroup {
+    // groupData: { name, required, min_select, max_select, options: [{ name, price_delta }] }
+    static async create(groupData) {
+        await database.ensureConnected();
+
+        return database.transaction(async () => {
+            const group = await database.runAsync(
+                `INSERT INTO modifier_groups (name, required, min_select, max_select) VALUES (?, ?, ?, ?)`,
+                [groupData.name, groupData.required ? 1 : 0, groupData.min_select, groupData.max_select]
+            );
+
+            for (const option of groupData.options || []) {
+                await database.runAsync(
+                    `INSERT INTO modifier_options (group_id, name, price_delta) VALUES (?, ?, ?)`,
+                    [group.id, option.name, option.price_delta || 0]
+                );
+            }
+
+            return ModifierGroup.findById(group.id);
+        });
+    }
+
+    // Agrega las opciones activas a cada grupo
+    static async attachOptions(groups) {
+        if (groups.length === 0) return groups;
+
+        const placeholders = groups.map(() => '?').join(', ');
+        const options = await database.allAsync(
+            `SELECT * FROM modifier_options
+             WHERE active = 1 AND group_id IN (${placeholders})
+             ORDER BY id`,
+            groups.map(group => group.id)
+        );
+
+        return groups.map(group => ({
+            ...group,
+            options: options.filter(option => option.group_id === group.id)
+        }));
+    }
+
+    static async findAll() {
+        await database.ensureConnected();
+
+        const groups = await database.allAsync(
+            `SELECT * FROM modifier_groups WHERE active = 1 ORDER BY name`
+        );
+
+        return ModifierGroup.attachOptions(groups);
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const groups = await database.allAsync(
+            `SELECT * FROM modifier_groups WHERE id = ? AND active = 1`,
+            [id]
+        );
+
+        const [group] = await ModifierGroup.attachOptions(groups);
+        return group;
+    }
+
+    // Grupos asignados a un producto, en el orden configurado
+    static async findByProduct(productId) {
+        await database.ensureConnected();
+
+        const groups = await database.allAsync(
+            `SELECT mg.*, pmg.sort_order
+             FROM product_modifier_groups pmg
+             INNER JOIN modifier_groups mg ON pmg.group_id = mg.id
+             WHERE pmg.product_id = ? AND mg.active = 1
+             ORDER BY pmg.sort_order, mg.name`,
+            [productId]
+        );
+
+        return ModifierGroup.attachOptions(groups);
+    }
+
+    static async update(id, groupData) {
+        await database.ensureConnected();
+
+        const sql = `
+            UPDATE modifier_groups
+            SET name = ?, required = ?, min_select = ?, max_select = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+
+        await database.runAsync(
+            sql,
+            [groupData.name, groupData.required ? 1 : 0, groupData.min_select, groupData.max_select, id]
+        );
+        return { id, ...groupData };
+    }
+
+    // Soft delete del grupo; se quita de los productos que lo usaban
+    static async delete(id) {
+        await database.ensureConnected();
+
+        await database.runAsync(`UPDATE modifier_groups SET active = 0 WHERE id = ?`, [id]);
+        await database.runAsync(`DELETE FROM product_modifier_groups WHERE group_id = ?`, [id]);
+
+        return { deleted: true };
+    }
+
+    static async findOptionById(optionId) {
+        await database.ensureConnected();
+
+        const sql = `SELECT * FROM modifier_options WHERE id = ? AND active = 1`;
+
+        return database.getAsync(sql, [optionId]);
+    }
+
+    static async addOption(groupId, optionData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO modifier_options (group_id, name, price_delta) VALUES (?, ?, ?)`,
+            [groupId, optionData.name, optionData.price_delta || 0]
+        );
+
+        return ModifierGroup.findOptionById(result.id);
+    }
+
+    static async updateOption(optionId, optionData) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE modifier_options SET name = ?, price_delta = ? WHERE id = ?`,
+            [optionData.name, optionData.price_delta, optionId]
+        );
+
+        return ModifierGroup.findOptionById(optionId);
+    }
+
+    static async deleteOption(optionId) {
+        await database.ensureConnected();
+
+        await database.runAsync(`UPDATE modifier_options SET active = 0 WHERE id = ?`, [optionId]);
+        return { deleted: true };
+    }
+
+    // Reemplaza los grupos asignados a un producto (el orden de la lista es el orden en el POS)
+    static async setProductGroups(productId, groupIds) {
+        await database.ensureConnected();
+
+        await database.transaction(async () => {
+            await database.runAsync(`DELETE FROM product_modifier_groups WHERE product_id = ?`, [productId]);
+
+            for (const [index, groupId] of groupIds.entries()) {
+                await database.runAsync(
+                    `INSERT INTO product_modifier_groups (product_id, group_id, sort_order) VALUES (?, ?, ?)`,
+                    [productId, groupId, index]
+                );
+            }
+        });
+
+        return ModifierGroup.findByProduct(productId);
+    }
+}
+
+module.exports = ModifierGroup;
\ No newline at end of file
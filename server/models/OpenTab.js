@@ -0,0 +1,254 @@
+// server/models/OpenTab.js - Cuentas abiertas por mesa
+const database = require('../config/database');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// total y paid_amount se calculan de los items y pagos parciales de la cuenta
+const TAB_SELECT = `
+    SELECT
+        t.*,
+        u.full_name as user_name,
+        COALESCE((SELECT SUM(subtotal) FROM open_tab_items WHERE tab_id = t.id), 0) as total,
+        COALESCE((SELECT SUM(amount) FROM open_tab_payments WHERE tab_id = t.id), 0) as paid_amount,
+        (SELECT COUNT(*) FROM open_tab_items WHERE tab_id = t.id) as item_count,
+        CAST((julianday('now') - julianday(t.opened_at)) * 1440 AS INTEGER) as minutes_open
+    FROM open_tabs t
+    LEFT JOIN users u ON t.user_id = u.id
+`;
+
+class OpenTab {
+    static async create(tabData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO open_tabs (table_number, customer_nit, customer_name, observations, user_id)
+             VALUES (?, ?, ?, ?, ?)`,
+            [
+                tabData.table_number,
+                tabData.customer_nit || null,
+                tabData.customer_name || null,
+                tabData.observations || null,
+                tabData.user_id
+            ]
+        );
+
+        return result.id;
+    }
+
+    static parseItem(item) {
+        return {
+            ...item,
+            modifiers: item.modifiers ? JSON.parse(item.modifiers) : []
+        };
+    }
+
+    // Cuenta con sus items y pagos parciales
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const [tab] = await database.allAsync(`${TAB_SELECT} WHERE t.id = ?`, [id]);
+        if (!tab) return tab;
+
+        const items = await database.allAsync(
+            `SELECT * FROM open_tab_items WHERE tab_id = ? ORDER BY id`,
+            [id]
+        );
+        const payments = await database.allAsync(
+            `SELECT * FROM open_tab_payments WHERE tab_id = ? ORDER BY id`,
+            [id]
+        );
+
+        return {
+            ...tab,
+            items: items.map(OpenTab.parseItem),
+            payments
+        };
+    }
+
+    // Cuentas abiertas, de la más antigua a la más nueva
+    static async findOpen() {
+        await database.ensureConnected();
+
+        return database.allAsync(`${TAB_SELECT} WHERE t.status = 'open' ORDER BY t.opened_at, t.id`);
+    }
+
+    static async findItemById(itemId) {
+        await database.ensureConnected();
+
+        const sql = `SELECT * FROM open_tab_items WHERE id = ?`;
+
+        const row = await database.getAsync(sql, [itemId]);
+        return row ? OpenTab.parseItem(row) : row;
+    }
+
+    // items ya validados y cotizados: [{ product_id, product_name, quantity, unit_price, subtotal, tax_rate, tax_amount, modifiers }]
+    static async addItems(tabId, items, userId) {
+        await database.ensureConnected();
+
+        const created = [];
+        await database.transaction(async () => {
+            for (const item of items) {
+                const result = await database.runAsync(
+                    `INSERT INTO open_tab_items (tab_id, product_id, product_name, quantity, unit_price, subtotal, tax_rate, tax_amount, modifiers, user_id)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        tabId,
+                        item.product_id,
+                        item.product_name,
+                        item.quantity,
+                        item.unit_price,
+                        item.subtotal,
+                        item.tax_rate || 0,
+                        item.tax_amount || 0,
+                        item.modifiers && item.modifiers.length > 0 ? JSON.stringify(item.modifiers) : null,
+                        userId
+                    ]
+                );
+                created.push({ id: result.id, tab_id: tabId, ...item });
+            }
+
+            await database.runAsync(`UPDATE open_tabs SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [tabId]);
+        });
+
+        return created;
+    }
+
+    static async removeItem(itemId) {
+        await database.ensureConnected();
+
+        const item = await OpenTab.findItemById(itemId);
+
+        await database.runAsync(`DELETE FROM open_tab_items WHERE id = ?`, [itemId]);
+        await database.runAsync(`UPDATE open_tabs SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [item.tab_id]);
+
+        return item;
+    }
+
+    // Mover la cuenta a otra mesa
+    static async updateTable(tabId, tableNumber) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE open_tabs SET table_number = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [tableNumber, tabId]
+        );
+
+        return OpenTab.findById(tabId);
+    }
+
+    // Unir mesas: items, pagos parciales y comandas pasan a la cuenta destino
+    static async merge(sourceId, targetId) {
+        await database.ensureConnected();
+
+        await database.transaction(async () => {
+            await database.runAsync(`UPDATE open_tab_items SET tab_id = ? WHERE tab_id = ?`, [targetId, sourceId]);
+            await database.runAsync(`UPDATE open_tab_payments SET tab_id = ? WHERE tab_id = ?`, [targetId, sourceId]);
+            await database.runAsync(`UPDATE kitchen_orders SET tab_id = ? WHERE tab_id = ?`, [targetId, sourceId]);
+            await database.runAsync(
+                `UPDATE open_tabs
+                 SET status = 'merged', merged_into = ?, updated_at = CURRENT_TIMESTAMP, closed_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [targetId, sourceId]
+            );
+            await database.runAsync(`UPDATE open_tabs SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [targetId]);
+        });
+
+        return OpenTab.findById(targetId);
+    }
+
+    // Separar items en una cuenta nueva. splits: [{ item_id, quantity }]
+    // Si se separa solo parte de una línea, la línea original conserva el resto.
+    static async split(tabId, splits, tabData) {
+        await database.ensureConnected();
+
+        return database.transaction(async () => {
+            const newTabId = await OpenTab.create(tabData);
+
+            for (const split of splits) {
+                const item = await OpenTab.findItemById(split.item_id);
+
+                if (split.quantity === item.quantity) {
+                    await database.runAsync(`UPDATE open_tab_items SET tab_id = ? WHERE id = ?`, [newTabId, item.id]);
+                    continue;
+                }
+
+                // Subtotal e impuesto se reparten en proporción a la cantidad
+                const remaining = item.quantity - split.quantity;
+                const subtotal = round(item.subtotal * split.quantity / item.quantity);
+                const taxAmount = round(item.tax_amount * split.quantity / item.quantity);
+
+                await database.runAsync(
+                    `UPDATE open_tab_items SET quantity = ?, subtotal = ?, tax_amount = ? WHERE id = ?`,
+                    [remaining, round(item.subtotal - subtotal), round(item.tax_amount - taxAmount), item.id]
+                );
+                await database.runAsync(
+                    `INSERT INTO open_tab_items (tab_id, product_id, product_name, quantity, unit_price, subtotal, tax_rate, tax_amount, modifiers, user_id, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        newTabId,
+                        item.product_id,
+                        item.product_name,
+                        split.quantity,
+                        item.unit_price,
+                        subtotal,
+                        item.tax_rate,
+                        taxAmount,
+                        item.modifiers.length > 0 ? JSON.stringify(item.modifiers) : null,
+                        item.user_id,
+                        item.created_at
+                    ]
+                );
+            }
+
+            await database.runAsync(`UPDATE open_tabs SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [tabId]);
+
+            return newTabId;
+        });
+    }
+
+    // payments: [{ method, amount, tendered, reference }] ya normalizados por SaleController.buildPayments
+    // cashSessionId: caja que recibe el pago (pasa con él a la venta al cerrar la cuenta)
+    static async addPayments(tabId, payments, userId, cashSessionId) {
+        await database.ensureConnected();
+
+        for (const payment of payments) {
+            await database.runAsync(
+                `INSERT INTO open_tab_payments (tab_id, method, amount, tendered, reference, user_id, cash_session_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [tabId, payment.method, payment.amount, payment.tendered, payment.reference || null, userId, cashSessionId]
+            );
+        }
+
+        await database.runAsync(`UPDATE open_tabs SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [tabId]);
+    }
+
+    // Cuenta pagada por completo: queda asociada a la venta generada.
+    // Solo cierra una cuenta abierta: closed = false si otra solicitud ya la cerró.
+    static async close(tabId, saleId) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `UPDATE open_tabs
+             SET status = 'paid', sale_id = ?, updated_at = CURRENT_TIMESTAMP, closed_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = 'open'`,
+            [saleId, tabId]
+        );
+
+        return { closed: result.changes > 0 };
+    }
+
+    static async cancel(tabId) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE open_tabs
+             SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP, closed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [tabId]
+        );
+
+        return OpenTab.findById(tabId);
+    }
+}
+
+module.exports = OpenTab;
\ No newline at end of file
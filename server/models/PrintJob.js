@@ -0,0 +1,170 @@
+// server/models/PrintJob.js - Trabajos de la cola de impresión
+const database = require('../config/database');
+
+// Columnas del listado (sin el contenido del ticket)
+const LIST_COLUMNS = `
+    pj.id, pj.type, pj.reference_id, pj.printer_name, pj.is_copy, pj.status, pj.attempts,
+    pj.max_attempts, pj.next_attempt_at, pj.last_error, pj.user_id, pj.created_at,
+    pj.updated_at, pj.printed_at, u.full_name as user_name
+`;
+
+class PrintJob {
+    static async create(jobData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO print_jobs (type, reference_id, printer_name, content, is_copy, max_attempts, user_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                jobData.type,
+                jobData.reference_id || null,
+                jobData.printer_name || null,
+                jobData.content,
+                jobData.is_copy ? 1 : 0,
+                jobData.max_attempts,
+                jobData.user_id || null
+            ]
+        );
+
+        return PrintJob.findById(result.id);
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        return database.getAsync(
+            `SELECT pj.*, u.full_name as user_name
+             FROM print_jobs pj
+             LEFT JOIN users u ON pj.user_id = u.id
+             WHERE pj.id = ?`,
+            [id]
+        );
+    }
+
+    // Trabajos más recientes primero, opcionalmente por estado y tipo
+    static async findAll({ status, type, limit = 50 } = {}) {
+        await database.ensureConnected();
+
+        const conditions = [];
+        const params = [];
+        if (status) {
+            conditions.push('pj.status = ?');
+            params.push(status);
+        }
+        if (type) {
+            conditions.push('pj.type = ?');
+            params.push(type);
+        }
+        params.push(limit);
+
+        return database.allAsync(
+            `SELECT ${LIST_COLUMNS}
+             FROM print_jobs pj
+             LEFT JOIN users u ON pj.user_id = u.id
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY pj.id DESC
+             LIMIT ?`,
+            params
+        );
+    }
+
+    // Siguiente trabajo pendiente cuyo reintento ya venció
+    static async findDue() {
+        await database.ensureConnected();
+
+        return database.getAsync(
+            `SELECT * FROM print_jobs
+             WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+             ORDER BY next_attempt_at, id
+             LIMIT 1`
+        );
+    }
+
+    // Tomar el trabajo para imprimirlo (false si otro ya lo tomó o fue cancelado)
+    static async markPrinting(id) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `UPDATE print_jobs
+             SET status = 'printing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = 'pending'`,
+            [id]
+        );
+        return result.changes > 0;
+    }
+
+    static async markDone(id) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE print_jobs
+             SET status = 'done', last_error = NULL, printed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [id]
+        );
+    }
+
+    // Falló un intento: vuelve a la cola dentro de delaySeconds
+    static async reschedule(id, error, delaySeconds) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE print_jobs
+             SET status = 'pending', last_error = ?, next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = 'printing'`,
+            [error, `+${delaySeconds} seconds`, id]
+        );
+    }
+
+    // Se agotaron los intentos
+    static async markFailed(id, error) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE print_jobs
+             SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = 'printing'`,
+            [error, id]
+        );
+    }
+
+    // Solo se cancela lo que aún no se imprimió ni se está imprimiendo
+    static async cancel(id) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `UPDATE print_jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status IN ('pending', 'failed')`,
+            [id]
+        );
+        return result.changes > 0;
+    }
+
+    // Volver a encolar un trabajo fallido o cancelado, con los intentos desde cero
+    static async retry(id) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `UPDATE print_jobs
+             SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status IN ('failed', 'cancelled')`,
+            [id]
+        );
+        return result.changes > 0;
+    }
+
+    // Trabajos que quedaron "imprimiendo" por un reinicio del servidor vuelven a la cola
+    static async resetInterrupted() {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `UPDATE print_jobs SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'printing'`
+        );
+        return result.changes;
+    }
+}
+
+PrintJob.TYPES = ['sale', 'kitchen', 'z_report', 'daily_report', 'test'];
+PrintJob.STATUSES = ['pending', 'printing', 'done', 'failed', 'cancelled'];
+
+module.exports = PrintJob;
\ No newline at end of file
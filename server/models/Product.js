@@ -1,156 +1,163 @@
 // server/models/Product.js - Modelo completo
 const database = require('../config/database');
 
+// Stock actual calculado desde el kardex (stock_movements)
+const STOCK_COLUMN = '(SELECT COALESCE(SUM(sm.quantity), 0) FROM stock_movements sm WHERE sm.product_id = p.id) as stock';
+
 class Product {
     static async create(productData) {
         await database.ensureConnected();
-        
-        return new Promise((resolve, reject) => {
-            const sql = `
-                INSERT INTO products (name, description, price, category_id, image_url)
-                VALUES (?, ?, ?, ?, ?)
-            `;
-            
-            database.getDB().run(
-                sql,
-                [
-                    productData.name,
-                    productData.description || null,
-                    productData.price,
-                    productData.category_id,
-                    productData.image_url || null
-                ],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ id: this.lastID, ...productData });
-                }
-            );
-        });
+
+        const sql = `
+            INSERT INTO products (name, description, price, category_id, image_url, track_stock, reorder_level, tax_rate)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        const result = await database.runAsync(
+            sql,
+            [
+                productData.name,
+                productData.description || null,
+                productData.price,
+                productData.category_id,
+                productData.image_url || null,
+                productData.track_stock ? 1 : 0,
+                productData.reorder_level || 0,
+                productData.tax_rate === undefined ? null : productData.tax_rate
+            ]
+        );
+        return { id: result.id, ...productData };
     }
 
     static async findAll() {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT p.*, c.name as category_name 
-                FROM products p
-                LEFT JOIN categories c ON p.category_id = c.id
-                WHERE p.active = 1
-                ORDER BY p.name
-            `;
-            
-            database.getDB().all(sql, [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT p.*, c.name as category_name, c.tax_rate as category_tax_rate, ${STOCK_COLUMN}
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.id
+            WHERE p.active = 1
+            ORDER BY p.name
+        `;
+
+        return database.allAsync(sql, []);
     }
 
     static async findByCategory(categoryId) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT p.*, c.name as category_name
-                FROM products p
-                LEFT JOIN categories c ON p.category_id = c.id
-                WHERE p.category_id = ? AND p.active = 1
-                ORDER BY p.name
-            `;
-            
-            database.getDB().all(sql, [categoryId], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT p.*, c.name as category_name, c.tax_rate as category_tax_rate, ${STOCK_COLUMN}
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.id
+            WHERE p.category_id = ? AND p.active = 1
+            ORDER BY p.name
+        `;
+
+        return database.allAsync(sql, [categoryId]);
     }
 
     static async findById(id) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT p.*, c.name as category_name
-                FROM products p
-                LEFT JOIN categories c ON p.category_id = c.id
-                WHERE p.id = ? AND p.active = 1
-            `;
-            
-            database.getDB().get(sql, [id], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const sql = `
+            SELECT p.*, c.name as category_name, c.tax_rate as category_tax_rate, ${STOCK_COLUMN}
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.id
+            WHERE p.id = ? AND p.active = 1
+        `;
+
+        return database.getAsync(sql, [id]);
     }
 
     static async update(id, productData) {
         await database.ensureConnected();
-        
-        return new Promise((resolve, reject) => {
-            const sql = `
-                UPDATE products 
-                SET name = ?, description = ?, price = ?, category_id = ?, 
-                    image_url = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `;
-            
-            database.getDB().run(
-                sql,
-                [
-                    productData.name,
-                    productData.description,
-                    productData.price,
-                    productData.category_id,
-                    productData.image_url,
-                    id
-                ],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ id, ...productData });
-                }
-            );
-        });
+
+        const sql = `
+            UPDATE products 
+            SET name = ?, description = ?, price = ?, category_id = ?, 
+                image_url = ?, track_stock = ?, reorder_level = ?, tax_rate = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+
+        await database.runAsync(
+            sql,
+            [
+                productData.name,
+                productData.description,
+                productData.price,
+                productData.category_id,
+                productData.image_url,
+                productData.track_stock ? 1 : 0,
+                productData.reorder_level || 0,
+                productData.tax_rate === undefined ? null : productData.tax_rate,
+                id
+            ]
+        );
+        return { id, ...productData };
     }
 
     static async delete(id) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `UPDATE products SET active = 0 WHERE id = ?`;
-            
-            database.getDB().run(sql, [id], function(err) {
-                if (err) reject(err);
-                else resolve({ deleted: true });
-            });
-        });
+        const sql = `UPDATE products SET active = 0 WHERE id = ?`;
+
+        await database.runAsync(sql, [id]);
+        return { deleted: true };
     }
 
     static async search(searchTerm) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT p.*, c.name as category_name 
+        const sql = `
+            SELECT p.*, c.name as category_name, c.tax_rate as category_tax_rate, ${STOCK_COLUMN}
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.id
+            WHERE p.active = 1 AND (
+                p.name LIKE ? OR 
+                p.description LIKE ? OR 
+                c.name LIKE ?
+            )
+            ORDER BY p.name
+        `;
+        
+        const searchPattern = `%${searchTerm}%`;
+
+        return database.allAsync(sql, [searchPattern, searchPattern, searchPattern]);
+    }
+
+    // Productos con control de stock en o por debajo de su umbral de reposición
+    static async findLowStock() {
+        await database.ensureConnected();
+        
+        const sql = `
+            SELECT * FROM (
+                SELECT p.*, c.name as category_name, c.tax_rate as category_tax_rate, ${STOCK_COLUMN}
                 FROM products p
                 LEFT JOIN categories c ON p.category_id = c.id
-                WHERE p.active = 1 AND (
-                    p.name LIKE ? OR 
-                    p.description LIKE ? OR 
-                    c.name LIKE ?
-                )
-                ORDER BY p.name
-            `;
-            
-            const searchPattern = `%${searchTerm}%`;
-            
-            database.getDB().all(sql, [searchPattern, searchPattern, searchPattern], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+                WHERE p.active = 1 AND p.track_stock = 1
+            )
+            WHERE stock <= reorder_level
+            ORDER BY stock - reorder_level, name
+        `;
+
+        return database.allAsync(sql, []);
     }
 
+    // Productos con control de stock activado
+    static async findTracked() {
+        await database.ensureConnected();
+        
+        const sql = `
+            SELECT p.*, c.name as category_name, c.tax_rate as category_tax_rate, ${STOCK_COLUMN}
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.id
+            WHERE p.active = 1 AND p.track_stock = 1
+            ORDER BY p.name
+        `;
+
+        return database.allAsync(sql, []);
+    }
 }
 
 module.exports = Product;
\ No newline at end of file
@@ -0,0 +1,52 @@
+// server/models/ProductRecipe.js - Receta (BOM) de cada producto
+const database = require('../config/database');
+
+class ProductRecipe {
+    static async findByProduct(productId) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT pr.*, i.name as ingredient_name, i.unit, i.cost,
+                   (pr.quantity * i.cost) as line_cost
+            FROM product_recipes pr
+            INNER JOIN ingredients i ON pr.ingredient_id = i.id
+            WHERE pr.product_id = ?
+            ORDER BY i.name
+        `;
+
+        return database.allAsync(sql, [productId]);
+    }
+
+    static async findByProducts(productIds) {
+        await database.ensureConnected();
+
+        if (productIds.length === 0) return [];
+
+        const placeholders = productIds.map(() => '?').join(', ');
+        return database.allAsync(
+            `SELECT * FROM product_recipes WHERE product_id IN (${placeholders})`,
+            productIds
+        );
+    }
+
+    // Reemplaza la receta completa del producto
+    // items: [{ ingredient_id, quantity }]
+    static async replace(productId, items) {
+        await database.ensureConnected();
+
+        await database.transaction(async () => {
+            await database.runAsync('DELETE FROM product_recipes WHERE product_id = ?', [productId]);
+
+            for (const item of items) {
+                await database.runAsync(
+                    `INSERT INTO product_recipes (product_id, ingredient_id, quantity) VALUES (?, ?, ?)`,
+                    [productId, item.ingredient_id, item.quantity]
+                );
+            }
+        });
+
+        return ProductRecipe.findByProduct(productId);
+    }
+}
+
+module.exports = ProductRecipe;
\ No newline at end of file
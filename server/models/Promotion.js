@@ -0,0 +1,267 @@
+// server/models/Promotion.js - Promociones (2x1, combos, porcentaje por producto o categoría, happy hour)
+const database = require('../config/database');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class Promotion {
+    // promotionData: { name, type, ..., products: [{ product_id, quantity }] } (products solo para combos)
+    static async create(promotionData) {
+        await database.ensureConnected();
+
+        return database.transaction(async () => {
+            const promotion = await database.runAsync(
+                `INSERT INTO promotions (
+                    name, type, product_id, category_id, buy_quantity, pay_quantity, percentage, combo_price,
+                    days_of_week, start_time, end_time, starts_on, ends_on
+                 )
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                Promotion.toParams(promotionData)
+            );
+
+            await Promotion.saveProducts(promotion.id, promotionData.products);
+
+            return Promotion.findById(promotion.id);
+        });
+    }
+
+    static toParams(promotionData) {
+        return [
+            promotionData.name,
+            promotionData.type,
+            promotionData.product_id || null,
+            promotionData.category_id || null,
+            promotionData.buy_quantity || null,
+            promotionData.pay_quantity === undefined ? null : promotionData.pay_quantity,
+            promotionData.percentage || null,
+            promotionData.combo_price === undefined ? null : promotionData.combo_price,
+            promotionData.days_of_week || null,
+            promotionData.start_time || null,
+            promotionData.end_time || null,
+            promotionData.starts_on || null,
+            promotionData.ends_on || null
+        ];
+    }
+
+    static async saveProducts(promotionId, products = []) {
+        await database.runAsync(`DELETE FROM promotion_products WHERE promotion_id = ?`, [promotionId]);
+
+        for (const product of products) {
+            await database.runAsync(
+                `INSERT INTO promotion_products (promotion_id, product_id, quantity) VALUES (?, ?, ?)`,
+                [promotionId, product.product_id, product.quantity]
+            );
+        }
+    }
+
+    // Agrega los productos del combo a cada promoción
+    static async attachProducts(promotions) {
+        if (promotions.length === 0) return promotions;
+
+        const placeholders = promotions.map(() => '?').join(', ');
+        const products = await database.allAsync(
+            `SELECT pp.*, p.name as product_name, p.price
+             FROM promotion_products pp
+             INNER JOIN products p ON pp.product_id = p.id
+             WHERE pp.promotion_id IN (${placeholders})
+             ORDER BY pp.id`,
+            promotions.map(promotion => promotion.id)
+        );
+
+        return promotions.map(promotion => ({
+            ...promotion,
+            products: products.filter(product => product.promotion_id === promotion.id)
+        }));
+    }
+
+    static async findAll() {
+        await database.ensureConnected();
+
+        const promotions = await database.allAsync(
+            `SELECT pr.*, p.name as product_name, c.name as category_name
+             FROM promotions pr
+             LEFT JOIN products p ON pr.product_id = p.id
+             LEFT JOIN categories c ON pr.category_id = c.id
+             WHERE pr.active = 1
+             ORDER BY pr.name`
+        );
+
+        return Promotion.attachProducts(promotions);
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const promotions = await database.allAsync(
+            `SELECT pr.*, p.name as product_name, c.name as category_name
+             FROM promotions pr
+             LEFT JOIN products p ON pr.product_id = p.id
+             LEFT JOIN categories c ON pr.category_id = c.id
+             WHERE pr.id = ? AND pr.active = 1`,
+            [id]
+        );
+
+        const [promotion] = await Promotion.attachProducts(promotions);
+        return promotion;
+    }
+
+    static async update(id, promotionData) {
+        await database.ensureConnected();
+
+        return database.transaction(async () => {
+            await database.runAsync(
+                `UPDATE promotions
+                 SET name = ?, type = ?, product_id = ?, category_id = ?, buy_quantity = ?, pay_quantity = ?,
+                     percentage = ?, combo_price = ?, days_of_week = ?, start_time = ?, end_time = ?,
+                     starts_on = ?, ends_on = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [...Promotion.toParams(promotionData), id]
+            );
+
+            await Promotion.saveProducts(id, promotionData.products);
+
+            return Promotion.findById(id);
+        });
+    }
+
+    // Soft delete: las ventas conservan la referencia a la promoción aplicada
+    static async delete(id) {
+        await database.ensureConnected();
+
+        await database.runAsync(`UPDATE promotions SET active = 0 WHERE id = ?`, [id]);
+
+        return { deleted: true };
+    }
+
+    // Fecha, día de la semana y franja horaria (hora local del servidor).
+    // Una franja que cruza la medianoche (22:00 - 02:00) también es válida.
+    static isActiveAt(promotion, date = new Date()) {
+        const pad = (value) => value.toString().padStart(2, '0');
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+        if (promotion.starts_on && day < promotion.starts_on) return false;
+        if (promotion.ends_on && day > promotion.ends_on) return false;
+
+        if (promotion.days_of_week) {
+            const days = promotion.days_of_week.split(',').map(d => parseInt(d));
+            if (!days.includes(date.getDay())) return false;
+        }
+
+        if (promotion.start_time && promotion.end_time) {
+            if (promotion.start_time <= promotion.end_time) {
+                return time >= promotion.start_time && time < promotion.end_time;
+            }
+            return time >= promotion.start_time || time < promotion.end_time;
+        }
+
+        return true;
+    }
+
+    static async findActiveAt(date = new Date()) {
+        const promotions = await Promotion.findAll();
+        return promotions.filter(promotion => Promotion.isActiveAt(promotion, date));
+    }
+
+    static matchesLine(promotion, line) {
+        if (promotion.product_id) return promotion.product_id === line.product_id;
+        if (promotion.category_id) return promotion.category_id === line.category_id;
+        return false;
+    }
+
+    // Descuento de una promoción por línea (2x1 o porcentaje)
+    static lineDiscount(promotion, line) {
+        if (!Promotion.matchesLine(promotion, line)) return 0;
+
+        if (promotion.type === 'percentage') {
+            return round(line.unit_price * line.quantity * promotion.percentage / 100);
+        }
+
+        if (promotion.type === 'buy_x_pay_y') {
+            const freeUnits = Math.floor(line.quantity / promotion.buy_quantity)
+                * (promotion.buy_quantity - promotion.pay_quantity);
+            return round(freeUnits * line.unit_price);
+        }
+
+        return 0;
+    }
+
+    // Evalúa las promociones sobre las líneas de la venta.
+    // lines: [{ product_id, category_id, base_price, unit_price, quantity, excluded }]
+    // Primero se arman combos; las líneas que entran en un combo no reciben otra promoción.
+    // En el resto se aplica la promoción con mayor descuento (no se acumulan).
+    // Devuelve [{ line, promotion_id, description, amount }] con line = índice de la línea.
+    static apply(promotions, lines) {
+        const discounts = new Map();
+        const available = lines.map(line => (line.excluded ? 0 : line.quantity));
+
+        const addDiscount = (index, promotion, amount) => {
+            const current = discounts.get(index);
+            if (current && current.promotion_id === promotion.id) {
+                current.amount = round(current.amount + amount);
+            } else {
+                discounts.set(index, {
+                    line: index,
+                    promotion_id: promotion.id,
+                    description: promotion.name,
+                    amount
+                });
+            }
+        };
+
+        for (const promotion of promotions.filter(p => p.type === 'combo' && p.products.length > 0)) {
+            const unitsOf = (productId) => lines.reduce(
+                (sum, line, index) => sum + (line.product_id === productId ? available[index] : 0), 0
+            );
+            const combos = Math.min(...promotion.products.map(p => Math.floor(unitsOf(p.product_id) / p.quantity)));
+            if (combos <= 0) continue;
+
+            // Unidades que aporta cada línea al combo, valoradas a precio base (los modificadores se cobran aparte)
+            const used = [];
+            for (const component of promotion.products) {
+                let needed = component.quantity * combos;
+                lines.forEach((line, index) => {
+                    if (needed === 0 || line.product_id !== component.product_id || available[index] === 0) return;
+                    const units = Math.min(needed, available[index]);
+                    used.push({ index, units, value: units * line.base_price });
+                    needed -= units;
+                });
+            }
+
+            const regular = used.reduce((sum, u) => sum + u.value, 0);
+            const discount = round(regular - promotion.combo_price * combos);
+            if (discount <= 0) continue;
+
+            // Repartir el descuento proporcionalmente; la última línea absorbe el redondeo
+            let allocated = 0;
+            used.forEach((u, position) => {
+                const amount = position === used.length - 1
+                    ? round(discount - allocated)
+                    : round(discount * u.value / regular);
+                allocated = round(allocated + amount);
+                available[u.index] -= u.units;
+                addDiscount(u.index, promotion, amount);
+            });
+        }
+
+        lines.forEach((line, index) => {
+            if (line.excluded || discounts.has(index)) return;
+
+            let best = null;
+            for (const promotion of promotions) {
+                const amount = Promotion.lineDiscount(promotion, line);
+                if (amount > 0 && (!best || amount > best.amount)) {
+                    best = { promotion, amount };
+                }
+            }
+
+            if (best) addDiscount(index, best.promotion, best.amount);
+        });
+
+        return Array.from(discounts.values()).filter(discount => discount.amount > 0);
+    }
+}
+
+// Tipos de promoción
+Promotion.TYPES = ['buy_x_pay_y', 'combo', 'percentage'];
+
+module.exports = Promotion;
\ No newline at end of file
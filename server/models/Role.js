@@ -0,0 +1,145 @@
+// server/models/Role.js - Roles de usuario y sus permisos
+// admin es un rol del sistema con todos los permisos (no se edita ni se elimina);
+// los demás roles tienen la lista de permisos que se les asigne.
+const database = require('../config/database');
+
+class Role {
+    // Roles con su lista de permisos y cuántos usuarios activos los tienen
+    static async findAll() {
+        await database.ensureConnected();
+
+        const roles = await database.allAsync(
+            `SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.name AND u.active = 1) as user_count
+             FROM roles r
+             ORDER BY r.is_system DESC, r.name`
+        );
+
+        return Promise.all(roles.map(async role => ({
+            ...role,
+            is_system: Boolean(role.is_system),
+            permissions: await Role.permissionsFor(role.name)
+        })));
+    }
+
+    static async findByName(name) {
+        await database.ensureConnected();
+
+        const role = await database.getAsync('SELECT * FROM roles WHERE name = ?', [name]);
+        if (!role) return null;
+
+        return {
+            ...role,
+            is_system: Boolean(role.is_system),
+            permissions: await Role.permissionsFor(role.name)
+        };
+    }
+
+    // Permisos del rol; un rol que no existe no tiene ninguno
+    static async permissionsFor(name) {
+        if (name === Role.ADMIN) return Object.keys(Role.PERMISSIONS);
+
+        await database.ensureConnected();
+
+        const rows = await database.allAsync(
+            'SELECT permission FROM role_permissions WHERE role = ? ORDER BY permission',
+            [name]
+        );
+        return rows.map(row => row.permission);
+    }
+
+    static async hasPermission(name, permission) {
+        return (await Role.permissionsFor(name)).includes(permission);
+    }
+
+    static async create({ name, description, permissions = [] }) {
+        await database.ensureConnected();
+
+        await database.transaction(async () => {
+            await database.runAsync('INSERT INTO roles (name, description) VALUES (?, ?)', [name, description || null]);
+            await Role.setPermissions(name, permissions);
+        });
+
+        return Role.findByName(name);
+    }
+
+    static async update(name, { description, permissions }) {
+        await database.ensureConnected();
+
+        await database.transaction(async () => {
+            if (description !== undefined) {
+                await database.runAsync(
+                    'UPDATE roles SET description = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?',
+                    [description || null, name]
+                );
+            }
+            if (permissions !== undefined) {
+                await Role.setPermissions(name, permissions);
+                await database.runAsync('UPDATE roles SET updated_at = CURRENT_TIMESTAMP WHERE name = ?', [name]);
+            }
+        });
+
+        return Role.findByName(name);
+    }
+
+    // Reemplaza la lista de permisos (dentro de la transacción de create/update)
+    static async setPermissions(name, permissions) {
+        await database.runAsync('DELETE FROM role_permissions WHERE role = ?', [name]);
+        for (const permission of new Set(permissions)) {
+            await database.runAsync('INSERT INTO role_permissions (role, permission) VALUES (?, ?)', [name, permission]);
+        }
+    }
+
+    static async delete(name) {
+        await database.ensureConnected();
+
+        return database.transaction(async () => {
+            await database.runAsync('DELETE FROM role_permissions WHERE role = ?', [name]);
+            const result = await database.runAsync('DELETE FROM roles WHERE name = ? AND is_system = 0', [name]);
+            return result.changes > 0;
+        });
+    }
+
+    // Usuarios activos con el rol
+    static async countUsers(name) {
+        await database.ensureConnected();
+
+        const row = await database.getAsync('SELECT COUNT(*) as count FROM users WHERE role = ? AND active = 1', [name]);
+        return row.count;
+    }
+}
+
+Role.ADMIN = 'admin';
+
+// Permisos que se pueden asignar a un rol
+Role.PERMISSIONS = {
+    create_sale: 'Registrar y cotizar ventas',
+    view_sales: 'Ver las ventas de todos los usuarios',
+    void_sale: 'Anular ventas',
+    refund_sale: 'Devolver ventas',
+    apply_discount: 'Aplicar descuentos manuales',
+    approve_discount: 'Autorizar descuentos altos',
+    override_price: 'Cambiar el precio de un producto en la venta',
+    manage_tabs: 'Abrir, editar y cobrar cuentas de mesa',
+    cancel_tab: 'Anular cuentas de mesa',
+    manage_tables: 'Crear y eliminar mesas',
+    open_drawer: 'Abrir y cerrar caja, registrar ingresos y retiros',
+    view_cash_sessions: 'Ver y cerrar las cajas de otros usuarios',
+    view_catalog: 'Ver productos, categorías, modificadores, promociones e inventario',
+    manage_products: 'Administrar productos, categorías y modificadores',
+    manage_inventory: 'Administrar ingredientes y movimientos de inventario',
+    manage_promotions: 'Administrar promociones y cupones',
+    manage_customers: 'Buscar, registrar y editar clientes',
+    adjust_points: 'Ajustar puntos de clientes',
+    delete_customers: 'Eliminar clientes',
+    view_reports: 'Ver el dashboard y los reportes del día',
+    view_management_reports: 'Ver reportes mensuales, por usuario y de mejores clientes',
+    kitchen_display: 'Ver y actualizar las comandas de cocina',
+    manage_stations: 'Administrar estaciones de preparación',
+    print_tickets: 'Imprimir y reimprimir tickets',
+    manage_print_jobs: 'Ver, reintentar y cancelar trabajos de impresión',
+    manage_settings: 'Editar plantillas de tickets y datos del negocio',
+    manage_backups: 'Crear, descargar y restaurar respaldos',
+    manage_users: 'Administrar usuarios y roles'
+};
+
+module.exports = Role;
\ No newline at end of file
@@ -5,237 +5,283 @@ class Sale {
     static async create(saleData) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                INSERT INTO sales (
-                    customer_nit, customer_name, order_type, table_number, 
-                    observations, subtotal, total, paid_amount, change_amount, user_id
-                )
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `;
-            
-            database.getDB().run(
-                sql,
-                [
-                    saleData.customer_nit || null,
-                    saleData.customer_name || null,
-                    saleData.order_type,
-                    saleData.table_number || null,
-                    saleData.observations || null,
-                    saleData.subtotal,
-                    saleData.total,
-                    saleData.paid_amount,
-                    saleData.change_amount || 0,
-                    saleData.user_id
-                ],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ id: this.lastID, ...saleData });
-                }
-            );
-        });
+        const sql = `
+            INSERT INTO sales (
+                customer_nit, customer_name, order_type, table_number, 
+                observations, subtotal, total, paid_amount, change_amount, user_id,
+                cash_session_id, discount_amount, discount_approved_by,
+                taxable_base, tax_amount, prices_include_tax,
+                customer_id, client_uuid, client_created_at, invoice_authorization, invoice_number
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+                (SELECT COALESCE(MAX(invoice_number), 0) + 1 FROM sales WHERE invoice_authorization IS ?))
+        `;
+
+        const result = await database.runAsync(
+            sql,
+            [
+                saleData.customer_nit || null,
+                saleData.customer_name || null,
+                saleData.order_type,
+                saleData.table_number || null,
+                saleData.observations || null,
+                saleData.subtotal,
+                saleData.total,
+                saleData.paid_amount,
+                saleData.change_amount || 0,
+                saleData.user_id,
+                saleData.cash_session_id || null,
+                saleData.discount_amount || 0,
+                saleData.discount_approved_by || null,
+                saleData.taxable_base || 0,
+                saleData.tax_amount || 0,
+                saleData.prices_include_tax ? 1 : 0,
+                saleData.customer_id || null,
+                saleData.client_uuid || null,
+                saleData.client_created_at || null,
+                // Siguiente número de factura de la autorización, en la misma sentencia del INSERT
+                saleData.invoice_authorization || null,
+                saleData.invoice_authorization || null
+            ]
+        );
+
+        return { id: result.id, ...saleData };
     }
 
     static async findAll(limit = 100) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT s.*, u.full_name as user_name
-                FROM sales s
-                LEFT JOIN users u ON s.user_id = u.id
-                ORDER BY s.created_at DESC
-                LIMIT ?
-            `;
-            
-            database.getDB().all(sql, [limit], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT s.*, (s.total - s.refunded_amount) as net_total, u.full_name as user_name
+            FROM sales s
+            LEFT JOIN users u ON s.user_id = u.id
+            ORDER BY s.created_at DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [limit]);
     }
 
     static async findById(id) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT s.*, u.full_name as user_name
-                FROM sales s
-                LEFT JOIN users u ON s.user_id = u.id
-                WHERE s.id = ?
-            `;
-            
-            database.getDB().get(sql, [id], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const sql = `
+            SELECT s.*, (s.total - s.refunded_amount) as net_total, u.full_name as user_name
+            FROM sales s
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE s.id = ?
+        `;
+
+        return database.getAsync(sql, [id]);
+    }
+
+    // Venta registrada por el POS con ese UUID (sincronización de ventas sin conexión)
+    static async findByClientUuid(clientUuid) {
+        await database.ensureConnected();
+
+        return database.getAsync(`
+            SELECT s.*, (s.total - s.refunded_amount) as net_total, u.full_name as user_name
+            FROM sales s
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE s.client_uuid = ?
+        `, [clientUuid]);
     }
 
     static async findByDateRange(startDate, endDate) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT s.*, u.full_name as user_name
-                FROM sales s
-                LEFT JOIN users u ON s.user_id = u.id
-                WHERE DATE(s.created_at) BETWEEN ? AND ?
-                ORDER BY s.created_at DESC
-            `;
-            
-            database.getDB().all(sql, [startDate, endDate], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT s.*, (s.total - s.refunded_amount) as net_total, u.full_name as user_name
+            FROM sales s
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE DATE(s.created_at) BETWEEN ? AND ?
+            ORDER BY s.created_at DESC
+        `;
+
+        return database.allAsync(sql, [startDate, endDate]);
+    }
+
+    // Igual que findByDateRange pero sin ventas anuladas (para reportes)
+    static async findCompletedByDateRange(startDate, endDate) {
+        await database.ensureConnected();
+        
+        const sql = `
+            SELECT s.*, (s.total - s.refunded_amount) as net_total, u.full_name as user_name
+            FROM sales s
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE DATE(s.created_at) BETWEEN ? AND ? AND s.status != 'voided'
+            ORDER BY s.created_at DESC
+        `;
+
+        return database.allAsync(sql, [startDate, endDate]);
     }
 
     static async findByUser(userId, limit = 50) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT s.*, u.full_name as user_name
-                FROM sales s
-                LEFT JOIN users u ON s.user_id = u.id
-                WHERE s.user_id = ?
-                ORDER BY s.created_at DESC
-                LIMIT ?
-            `;
-            
-            database.getDB().all(sql, [userId, limit], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT s.*, (s.total - s.refunded_amount) as net_total, u.full_name as user_name
+            FROM sales s
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE s.user_id = ?
+            ORDER BY s.created_at DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [userId, limit]);
     }
 
     static async getTodaySales() {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT s.*, u.full_name as user_name
-                FROM sales s
-                LEFT JOIN users u ON s.user_id = u.id
-                WHERE DATE(s.created_at) = DATE('now')
-                ORDER BY s.created_at DESC
-            `;
-            
-            database.getDB().all(sql, [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT s.*, (s.total - s.refunded_amount) as net_total, u.full_name as user_name
+            FROM sales s
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE DATE(s.created_at) = DATE('now')
+            ORDER BY s.created_at DESC
+        `;
+
+        return database.allAsync(sql, []);
+    }
+
+    // voidData.cash_session_id: caja donde se anula (null si la venta no movió efectivo).
+    // void_cash_amount: efectivo que la venta dejó en otras cajas, que sale ahora de esta
+    static async void(id, voidData) {
+        await database.ensureConnected();
+        
+        const sql = `
+            UPDATE sales 
+            SET status = 'voided', void_reason = ?, voided_by = ?, voided_at = CURRENT_TIMESTAMP,
+                voided_cash_session_id = ?, void_cash_amount = ?
+            WHERE id = ? AND status != 'voided'
+        `;
+
+        const result = await database.runAsync(sql, [
+            voidData.reason,
+            voidData.voided_by,
+            voidData.cash_session_id || null,
+            voidData.void_cash_amount || 0,
+            id
+        ]);
+        return { voided: result.changes > 0 };
+    }
+
+    // Efectivo neto de la venta fuera de la caja sessionId: cobrado menos devuelto en efectivo
+    // en otras cajas (con sessionId null, en todas)
+    static async cashOutsideSession(id, sessionId) {
+        await database.ensureConnected();
+
+        const row = await database.getAsync(
+            `SELECT
+                COALESCE((SELECT SUM(amount) FROM sale_payments
+                    WHERE sale_id = ? AND method = 'cash' AND cash_session_id IS NOT ?), 0)
+                - COALESCE((SELECT SUM(amount) FROM sale_refunds
+                    WHERE sale_id = ? AND method = 'cash' AND cash_session_id IS NOT ?), 0) as amount`,
+            [id, sessionId, id, sessionId]
+        );
+        return Math.round(row.amount * 100) / 100;
     }
 
     static async getTodayTotals() {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    COUNT(*) as total_sales,
-                    COALESCE(SUM(total), 0) as total_amount,
-                    COALESCE(AVG(total), 0) as average_sale
-                FROM sales 
-                WHERE DATE(created_at) = DATE('now')
-            `;
-            
-            database.getDB().get(sql, [], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const sql = `
+            SELECT 
+                COUNT(*) as total_sales,
+                COALESCE(SUM(total - refunded_amount), 0) as total_amount,
+                COALESCE(AVG(total - refunded_amount), 0) as average_sale
+            FROM sales 
+            WHERE DATE(created_at) = DATE('now') AND status != 'voided'
+        `;
+
+        return database.getAsync(sql, []);
     }
 
     static async getMonthlyTotals() {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    COUNT(*) as total_sales,
-                    COALESCE(SUM(total), 0) as total_amount,
-                    COALESCE(AVG(total), 0) as average_sale
-                FROM sales 
-                WHERE strftime('%Y-%m', created_at) = strftime('%Y-%m', 'now')
-            `;
-            
-            database.getDB().get(sql, [], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const sql = `
+            SELECT 
+                COUNT(*) as total_sales,
+                COALESCE(SUM(total - refunded_amount), 0) as total_amount,
+                COALESCE(AVG(total - refunded_amount), 0) as average_sale
+            FROM sales 
+            WHERE strftime('%Y-%m', created_at) = strftime('%Y-%m', 'now') AND status != 'voided'
+        `;
+
+        return database.getAsync(sql, []);
     }
 
     static async getYearlyTotals() {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    COUNT(*) as total_sales,
-                    COALESCE(SUM(total), 0) as total_amount,
-                    COALESCE(AVG(total), 0) as average_sale
-                FROM sales 
-                WHERE strftime('%Y', created_at) = strftime('%Y', 'now')
-            `;
-            
-            database.getDB().get(sql, [], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const sql = `
+            SELECT 
+                COUNT(*) as total_sales,
+                COALESCE(SUM(total - refunded_amount), 0) as total_amount,
+                COALESCE(AVG(total - refunded_amount), 0) as average_sale
+            FROM sales 
+            WHERE strftime('%Y', created_at) = strftime('%Y', 'now') AND status != 'voided'
+        `;
+
+        return database.getAsync(sql, []);
     }
 
     static async getSalesByDateRange(startDate, endDate) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    DATE(created_at) as sale_date,
-                    COUNT(*) as daily_sales,
-                    SUM(total) as daily_amount
-                FROM sales 
-                WHERE DATE(created_at) BETWEEN ? AND ?
-                GROUP BY DATE(created_at)
-                ORDER BY sale_date
-            `;
-            
-            database.getDB().all(sql, [startDate, endDate], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT 
+                DATE(created_at) as sale_date,
+                COUNT(*) as daily_sales,
+                SUM(total - refunded_amount) as daily_amount
+            FROM sales 
+            WHERE DATE(created_at) BETWEEN ? AND ? AND status != 'voided'
+            GROUP BY DATE(created_at)
+            ORDER BY sale_date
+        `;
+
+        return database.allAsync(sql, [startDate, endDate]);
+    }
+
+    // Historial de compras de un cliente (incluye anuladas para mostrarlas como tales)
+    static async findByCustomer(customerId, limit = 100) {
+        await database.ensureConnected();
+        
+        const sql = `
+            SELECT s.*, (s.total - s.refunded_amount) as net_total, u.full_name as user_name
+            FROM sales s
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE s.customer_id = ?
+            ORDER BY s.created_at DESC, s.id DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [customerId, limit]);
     }
 
+    // Clientes que más compran (solo ventas vinculadas al directorio de clientes)
     static async getTopCustomers(limit = 10) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    customer_name,
-                    customer_nit,
-                    COUNT(*) as total_purchases,
-                    SUM(total) as total_spent,
-                    AVG(total) as average_purchase
-                FROM sales 
-                WHERE customer_name IS NOT NULL AND customer_name != ''
-                GROUP BY customer_name, customer_nit
-                ORDER BY total_spent DESC
-                LIMIT ?
-            `;
-            
-            database.getDB().all(sql, [limit], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT 
+                c.id as customer_id,
+                c.name as customer_name,
+                c.nit as customer_nit,
+                COUNT(*) as total_purchases,
+                SUM(s.total - s.refunded_amount) as total_spent,
+                AVG(s.total - s.refunded_amount) as average_purchase
+            FROM sales s
+            INNER JOIN customers c ON s.customer_id = c.id
+            WHERE s.status != 'voided'
+            GROUP BY c.id
+            ORDER BY total_spent DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [limit]);
     }
 }
 
@@ -1,456 +1,374 @@
 // server/models/SaleDetail.js - Modelo completo
 const database = require('../config/database');
+const IngredientMovement = require('./IngredientMovement');
+const SaleDetailModifier = require('./SaleDetailModifier');
+const SaleDiscount = require('./SaleDiscount');
 
 class SaleDetail {
     static async create(detailData) {
         await database.ensureConnected();
-        
-        return new Promise((resolve, reject) => {
-            const sql = `
-                INSERT INTO sale_details (
-                    sale_id, product_id, product_name, quantity, unit_price, subtotal
-                )
-                VALUES (?, ?, ?, ?, ?, ?)
-            `;
-            
-            database.getDB().run(
-                sql,
-                [
-                    detailData.sale_id,
-                    detailData.product_id,
-                    detailData.product_name,
-                    detailData.quantity,
-                    detailData.unit_price,
-                    detailData.subtotal
-                ],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ id: this.lastID, ...detailData });
-                }
-            );
-        });
+
+        const sql = `
+            INSERT INTO sale_details (
+                sale_id, product_id, product_name, quantity, unit_price, subtotal
+            )
+            VALUES (?, ?, ?, ?, ?, ?)
+        `;
+
+        const result = await database.runAsync(
+            sql,
+            [
+                detailData.sale_id,
+                detailData.product_id,
+                detailData.product_name,
+                detailData.quantity,
+                detailData.unit_price,
+                detailData.subtotal
+            ]
+        );
+        return { id: result.id, ...detailData };
     }
 
+    // Líneas, modificadores y consumo de insumos se guardan juntos: si algo falla no queda nada
     static async createMultiple(saleId, details) {
         await database.ensureConnected();
-        
-        return new Promise((resolve, reject) => {
-            const sql = `
-                INSERT INTO sale_details (
-                    sale_id, product_id, product_name, quantity, unit_price, subtotal
-                )
-                VALUES (?, ?, ?, ?, ?, ?)
-            `;
-            
-            const db = database.getDB();
-            db.serialize(() => {
-                db.run('BEGIN TRANSACTION');
-                
-                const stmt = db.prepare(sql);
-                let completed = 0;
-                let hasError = false;
-                
-                details.forEach((detail) => {
-                    stmt.run(
-                        [
-                            saleId,
-                            detail.product_id,
-                            detail.product_name,
-                            detail.quantity,
-                            detail.unit_price,
-                            detail.subtotal
-                        ],
-                        function(err) {
-                            if (err && !hasError) {
-                                hasError = true;
-                                db.run('ROLLBACK');
-                                reject(err);
-                                return;
-                            }
-                            
-                            completed++;
-                            if (completed === details.length && !hasError) {
-                                db.run('COMMIT');
-                                resolve({ created: details.length });
-                            }
-                        }
-                    );
-                });
-                
-                stmt.finalize();
-            });
+
+        return database.transaction(async () => {
+            const created = [];
+            for (const detail of details) {
+                const result = await database.runAsync(
+                    `INSERT INTO sale_details (
+                        sale_id, product_id, product_name, quantity, unit_price, subtotal,
+                        discount_amount, ticket_discount_amount, tax_rate, tax_amount
+                     )
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        saleId,
+                        detail.product_id,
+                        detail.product_name,
+                        detail.quantity,
+                        detail.unit_price,
+                        detail.subtotal,
+                        detail.discount_amount || 0,
+                        detail.ticket_discount_amount || 0,
+                        detail.tax_rate || 0,
+                        detail.tax_amount || 0
+                    ]
+                );
+                created.push({ id: result.id, ...detail });
+            }
+
+            // Guardar modificadores y descontar insumos según la receta de cada producto
+            await SaleDetailModifier.createForDetails(created);
+            await IngredientMovement.recordConsumption(saleId, created);
+
+            return { created: created.length };
         });
     }
 
     static async findBySaleId(saleId) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT sd.*, p.image_url
-                FROM sale_details sd
-                LEFT JOIN products p ON sd.product_id = p.id
-                WHERE sd.sale_id = ?
-                ORDER BY sd.id
-            `;
-            
-            database.getDB().all(sql, [saleId], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT sd.*, p.image_url
+            FROM sale_details sd
+            LEFT JOIN products p ON sd.product_id = p.id
+            WHERE sd.sale_id = ?
+            ORDER BY sd.id
+        `;
+
+        const details = await database.allAsync(sql, [saleId]);
+
+        // Modificadores y descuentos de cada línea
+        const modifiers = await SaleDetailModifier.findBySaleId(saleId);
+        const discounts = await SaleDiscount.findBySaleId(saleId);
+        return details.map(detail => ({
+            ...detail,
+            modifiers: modifiers.filter(modifier => modifier.sale_detail_id === detail.id),
+            discounts: discounts.filter(discount => discount.sale_detail_id === detail.id)
+        }));
     }
 
     static async findByProductId(productId, limit = 50) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT sd.*, s.created_at as sale_date, s.customer_name
-                FROM sale_details sd
-                LEFT JOIN sales s ON sd.sale_id = s.id
-                WHERE sd.product_id = ?
-                ORDER BY s.created_at DESC
-                LIMIT ?
-            `;
-            
-            database.getDB().all(sql, [productId, limit], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT sd.*, s.created_at as sale_date, s.customer_name
+            FROM sale_details sd
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            WHERE sd.product_id = ?
+            ORDER BY s.created_at DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [productId, limit]);
     }
 
     static async getTopProducts(limit = 10) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    sd.product_id,
-                    sd.product_name,
-                    SUM(sd.quantity) as total_quantity,
-                    SUM(sd.subtotal) as total_revenue,
-                    COUNT(DISTINCT sd.sale_id) as times_sold,
-                    AVG(sd.unit_price) as avg_price
-                FROM sale_details sd
-                GROUP BY sd.product_id, sd.product_name
-                ORDER BY total_quantity DESC
-                LIMIT ?
-            `;
-            
-            database.getDB().all(sql, [limit], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT 
+                sd.product_id,
+                sd.product_name,
+                SUM(sd.quantity - sd.refunded_quantity) as total_quantity,
+                SUM(sd.subtotal - sd.refunded_amount) as total_revenue,
+                COUNT(DISTINCT sd.sale_id) as times_sold,
+                AVG(sd.unit_price) as avg_price
+            FROM sale_details sd
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            WHERE s.status != 'voided'
+            GROUP BY sd.product_id, sd.product_name
+            ORDER BY total_quantity DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [limit]);
     }
 
     static async getTodayTopProducts(limit = 5) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    sd.product_id,
-                    sd.product_name,
-                    SUM(sd.quantity) as total_quantity,
-                    SUM(sd.subtotal) as total_revenue
-                FROM sale_details sd
-                LEFT JOIN sales s ON sd.sale_id = s.id
-                WHERE DATE(s.created_at) = DATE('now')
-                GROUP BY sd.product_id, sd.product_name
-                ORDER BY total_quantity DESC
-                LIMIT ?
-            `;
-            
-            database.getDB().all(sql, [limit], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT 
+                sd.product_id,
+                sd.product_name,
+                SUM(sd.quantity - sd.refunded_quantity) as total_quantity,
+                SUM(sd.subtotal - sd.refunded_amount) as total_revenue
+            FROM sale_details sd
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            WHERE DATE(s.created_at) = DATE('now') AND s.status != 'voided'
+            GROUP BY sd.product_id, sd.product_name
+            ORDER BY total_quantity DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [limit]);
     }
 
     static async getMonthlyTopProducts(limit = 10) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    sd.product_id,
-                    sd.product_name,
-                    SUM(sd.quantity) as total_quantity,
-                    SUM(sd.subtotal) as total_revenue,
-                    COUNT(DISTINCT sd.sale_id) as times_sold
-                FROM sale_details sd
-                LEFT JOIN sales s ON sd.sale_id = s.id
-                WHERE strftime('%Y-%m', s.created_at) = strftime('%Y-%m', 'now')
-                GROUP BY sd.product_id, sd.product_name
-                ORDER BY total_revenue DESC
-                LIMIT ?
-            `;
-            
-            database.getDB().all(sql, [limit], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT 
+                sd.product_id,
+                sd.product_name,
+                SUM(sd.quantity - sd.refunded_quantity) as total_quantity,
+                SUM(sd.subtotal - sd.refunded_amount) as total_revenue,
+                COUNT(DISTINCT sd.sale_id) as times_sold
+            FROM sale_details sd
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            WHERE strftime('%Y-%m', s.created_at) = strftime('%Y-%m', 'now') AND s.status != 'voided'
+            GROUP BY sd.product_id, sd.product_name
+            ORDER BY total_revenue DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [limit]);
     }
 
     static async getProductSalesByDateRange(productId, startDate, endDate) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    DATE(s.created_at) as sale_date,
-                    SUM(sd.quantity) as daily_quantity,
-                    SUM(sd.subtotal) as daily_revenue
-                FROM sale_details sd
-                LEFT JOIN sales s ON sd.sale_id = s.id
-                WHERE sd.product_id = ? AND DATE(s.created_at) BETWEEN ? AND ?
-                GROUP BY DATE(s.created_at)
-                ORDER BY sale_date
-            `;
-            
-            database.getDB().all(sql, [productId, startDate, endDate], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT 
+                DATE(s.created_at) as sale_date,
+                SUM(sd.quantity - sd.refunded_quantity) as daily_quantity,
+                SUM(sd.subtotal - sd.refunded_amount) as daily_revenue
+            FROM sale_details sd
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            WHERE sd.product_id = ? AND DATE(s.created_at) BETWEEN ? AND ? AND s.status != 'voided'
+            GROUP BY DATE(s.created_at)
+            ORDER BY sale_date
+        `;
+
+        return database.allAsync(sql, [productId, startDate, endDate]);
     }
 
     static async getCategorySales(limit = 10) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    c.name as category_name,
-                    c.id as category_id,
-                    SUM(sd.quantity) as total_quantity,
-                    SUM(sd.subtotal) as total_revenue,
-                    COUNT(DISTINCT sd.sale_id) as total_sales
-                FROM sale_details sd
-                LEFT JOIN products p ON sd.product_id = p.id
-                LEFT JOIN categories c ON p.category_id = c.id
-                WHERE c.id IS NOT NULL
-                GROUP BY c.id, c.name
-                ORDER BY total_revenue DESC
-                LIMIT ?
-            `;
-            
-            database.getDB().all(sql, [limit], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT 
+                c.name as category_name,
+                c.id as category_id,
+                SUM(sd.quantity - sd.refunded_quantity) as total_quantity,
+                SUM(sd.subtotal - sd.refunded_amount) as total_revenue,
+                COUNT(DISTINCT sd.sale_id) as total_sales
+            FROM sale_details sd
+            LEFT JOIN products p ON sd.product_id = p.id
+            LEFT JOIN categories c ON p.category_id = c.id
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            WHERE c.id IS NOT NULL AND s.status != 'voided'
+            GROUP BY c.id, c.name
+            ORDER BY total_revenue DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [limit]);
     }
 
     static async getProductsByCategory(categoryId) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    sd.product_id,
-                    sd.product_name,
-                    SUM(sd.quantity) as total_quantity,
-                    SUM(sd.subtotal) as total_revenue,
-                    COUNT(DISTINCT sd.sale_id) as times_sold
-                FROM sale_details sd
-                LEFT JOIN products p ON sd.product_id = p.id
-                WHERE p.category_id = ?
-                GROUP BY sd.product_id, sd.product_name
-                ORDER BY total_quantity DESC
-            `;
-            
-            database.getDB().all(sql, [categoryId], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT 
+                sd.product_id,
+                sd.product_name,
+                SUM(sd.quantity - sd.refunded_quantity) as total_quantity,
+                SUM(sd.subtotal - sd.refunded_amount) as total_revenue,
+                COUNT(DISTINCT sd.sale_id) as times_sold
+            FROM sale_details sd
+            LEFT JOIN products p ON sd.product_id = p.id
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            WHERE p.category_id = ? AND s.status != 'voided'
+            GROUP BY sd.product_id, sd.product_name
+            ORDER BY total_quantity DESC
+        `;
+
+        return database.allAsync(sql, [categoryId]);
     }
 
     static async delete(id) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `DELETE FROM sale_details WHERE id = ?`;
-            
-            database.getDB().run(sql, [id], function(err) {
-                if (err) reject(err);
-                else resolve({ deleted: true, changes: this.changes });
-            });
-        });
+        const sql = `DELETE FROM sale_details WHERE id = ?`;
+
+        const result = await database.runAsync(sql, [id]);
+        return { deleted: true, changes: result.changes };
     }
 
     static async deleteBySaleId(saleId) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `DELETE FROM sale_details WHERE sale_id = ?`;
-            
-            database.getDB().run(sql, [saleId], function(err) {
-                if (err) reject(err);
-                else resolve({ deleted: true, changes: this.changes });
-            });
-        });
+        const sql = `DELETE FROM sale_details WHERE sale_id = ?`;
+
+        const result = await database.runAsync(sql, [saleId]);
+        return { deleted: true, changes: result.changes };
     }
 
     static async getTotalRevenue() {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    COUNT(*) as total_items_sold,
-                    SUM(quantity) as total_quantity,
-                    SUM(subtotal) as total_revenue
-                FROM sale_details
-            `;
-            
-            database.getDB().get(sql, [], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const sql = `
+            SELECT 
+                COUNT(*) as total_items_sold,
+                SUM(sd.quantity - sd.refunded_quantity) as total_quantity,
+                SUM(sd.subtotal - sd.refunded_amount) as total_revenue
+            FROM sale_details sd
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            WHERE s.status != 'voided'
+        `;
+
+        return database.getAsync(sql, []);
     }
 
     static async getRevenueByDateRange(startDate, endDate) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    DATE(s.created_at) as sale_date,
-                    COUNT(*) as items_sold,
-                    SUM(sd.quantity) as total_quantity,
-                    SUM(sd.subtotal) as daily_revenue
-                FROM sale_details sd
-                LEFT JOIN sales s ON sd.sale_id = s.id
-                WHERE DATE(s.created_at) BETWEEN ? AND ?
-                GROUP BY DATE(s.created_at)
-                ORDER BY sale_date
-            `;
-            
-            database.getDB().all(sql, [startDate, endDate], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT 
+                DATE(s.created_at) as sale_date,
+                COUNT(*) as items_sold,
+                SUM(sd.quantity - sd.refunded_quantity) as total_quantity,
+                SUM(sd.subtotal - sd.refunded_amount) as daily_revenue
+            FROM sale_details sd
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            WHERE DATE(s.created_at) BETWEEN ? AND ? AND s.status != 'voided'
+            GROUP BY DATE(s.created_at)
+            ORDER BY sale_date
+        `;
+
+        return database.allAsync(sql, [startDate, endDate]);
     }
 
     static async getHourlyRevenueToday() {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    strftime('%H', s.created_at) as hour,
-                    COUNT(*) as items_sold,
-                    SUM(sd.quantity) as total_quantity,
-                    SUM(sd.subtotal) as hourly_revenue
-                FROM sale_details sd
-                LEFT JOIN sales s ON sd.sale_id = s.id
-                WHERE DATE(s.created_at) = DATE('now')
-                GROUP BY strftime('%H', s.created_at)
-                ORDER BY hour
-            `;
-            
-            database.getDB().all(sql, [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT 
+                strftime('%H', s.created_at) as hour,
+                COUNT(*) as items_sold,
+                SUM(sd.quantity - sd.refunded_quantity) as total_quantity,
+                SUM(sd.subtotal - sd.refunded_amount) as hourly_revenue
+            FROM sale_details sd
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            WHERE DATE(s.created_at) = DATE('now') AND s.status != 'voided'
+            GROUP BY strftime('%H', s.created_at)
+            ORDER BY hour
+        `;
+
+        return database.allAsync(sql, []);
     }
 
     static async getWeeklyTopProducts(limit = 10) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT 
-                    sd.product_id,
-                    sd.product_name,
-                    SUM(sd.quantity) as total_quantity,
-                    SUM(sd.subtotal) as total_revenue,
-                    COUNT(DISTINCT sd.sale_id) as times_sold
-                FROM sale_details sd
-                LEFT JOIN sales s ON sd.sale_id = s.id
-                WHERE DATE(s.created_at) >= DATE('now', '-7 days')
-                GROUP BY sd.product_id, sd.product_name
-                ORDER BY total_revenue DESC
-                LIMIT ?
-            `;
-            
-            database.getDB().all(sql, [limit], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT 
+                sd.product_id,
+                sd.product_name,
+                SUM(sd.quantity - sd.refunded_quantity) as total_quantity,
+                SUM(sd.subtotal - sd.refunded_amount) as total_revenue,
+                COUNT(DISTINCT sd.sale_id) as times_sold
+            FROM sale_details sd
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            WHERE DATE(s.created_at) >= DATE('now', '-7 days') AND s.status != 'voided'
+            GROUP BY sd.product_id, sd.product_name
+            ORDER BY total_revenue DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [limit]);
     }
 
     static async getAverageOrderValue() {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
+        const sql = `
+            SELECT 
+                AVG(sale_total) as average_order_value,
+                COUNT(DISTINCT sale_id) as total_orders
+            FROM (
                 SELECT 
-                    AVG(sale_total) as average_order_value,
-                    COUNT(DISTINCT sale_id) as total_orders
-                FROM (
-                    SELECT 
-                        sale_id,
-                        SUM(subtotal) as sale_total
-                    FROM sale_details
-                    GROUP BY sale_id
-                ) as order_totals
-            `;
-            
-            database.getDB().get(sql, [], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+                    sd.sale_id,
+                    SUM(sd.subtotal - sd.refunded_amount) as sale_total
+                FROM sale_details sd
+                LEFT JOIN sales s ON sd.sale_id = s.id
+                WHERE s.status != 'voided'
+                GROUP BY sd.sale_id
+            ) as order_totals
+        `;
+
+        return database.getAsync(sql, []);
     }
 
     static async findAll(limit = 100) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT sd.*, s.created_at as sale_date, s.customer_name
-                FROM sale_details sd
-                LEFT JOIN sales s ON sd.sale_id = s.id
-                ORDER BY s.created_at DESC
-                LIMIT ?
-            `;
-            
-            database.getDB().all(sql, [limit], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        const sql = `
+            SELECT sd.*, s.created_at as sale_date, s.customer_name
+            FROM sale_details sd
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            ORDER BY s.created_at DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [limit]);
     }
 
     static async findById(id) {
         await database.ensureConnected();
         
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT sd.*, s.created_at as sale_date, s.customer_name, p.image_url
-                FROM sale_details sd
-                LEFT JOIN sales s ON sd.sale_id = s.id
-                LEFT JOIN products p ON sd.product_id = p.id
-                WHERE sd.id = ?
-            `;
-            
-            database.getDB().get(sql, [id], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        const sql = `
+            SELECT sd.*, s.created_at as sale_date, s.customer_name, p.image_url
+            FROM sale_details sd
+            LEFT JOIN sales s ON sd.sale_id = s.id
+            LEFT JOIN products p ON sd.product_id = p.id
+            WHERE sd.id = ?
+        `;
+
+        return database.getAsync(sql, [id]);
     }
 }
 
@@ -0,0 +1,35 @@
+// server/models/SaleDetailModifier.js - Modificadores elegidos en cada línea de venta
+const database = require('../config/database');
+
+class SaleDetailModifier {
+    // details: [{ id, modifiers: [{ option_id, group_name, option_name, price_delta }] }]
+    static async createForDetails(details) {
+        await database.ensureConnected();
+
+        for (const detail of details) {
+            for (const modifier of detail.modifiers || []) {
+                await database.runAsync(
+                    `INSERT INTO sale_detail_modifiers (sale_detail_id, option_id, group_name, option_name, price_delta)
+                     VALUES (?, ?, ?, ?, ?)`,
+                    [detail.id, modifier.option_id, modifier.group_name, modifier.option_name, modifier.price_delta]
+                );
+            }
+        }
+    }
+
+    static async findBySaleId(saleId) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT sdm.*
+            FROM sale_detail_modifiers sdm
+            INNER JOIN sale_details sd ON sdm.sale_detail_id = sd.id
+            WHERE sd.sale_id = ?
+            ORDER BY sdm.id
+        `;
+
+        return database.allAsync(sql, [saleId]);
+    }
+}
+
+module.exports = SaleDetailModifier;
\ No newline at end of file
@@ -0,0 +1,63 @@
+// server/models/SaleDiscount.js - Descuentos aplicados por venta (promociones, manuales y cupones)
+const database = require('../config/database');
+
+class SaleDiscount {
+    // discounts: [{ sale_detail_id, source, promotion_id, coupon_id, description, amount, approved_by }]
+    static async createMultiple(saleId, discounts) {
+        await database.ensureConnected();
+
+        const created = [];
+        for (const discount of discounts) {
+            const result = await database.runAsync(
+                `INSERT INTO sale_discounts (sale_id, sale_detail_id, source, promotion_id, coupon_id, description, amount, approved_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    saleId,
+                    discount.sale_detail_id || null,
+                    discount.source,
+                    discount.promotion_id || null,
+                    discount.coupon_id || null,
+                    discount.description,
+                    discount.amount,
+                    discount.approved_by || null
+                ]
+            );
+            created.push({ id: result.id, sale_id: saleId, ...discount });
+        }
+
+        return created;
+    }
+
+    static async findBySaleId(saleId) {
+        await database.ensureConnected();
+
+        const sql = `SELECT * FROM sale_discounts WHERE sale_id = ? ORDER BY id`;
+
+        return database.allAsync(sql, [saleId]);
+    }
+
+    // Totales por origen y descripción en un rango de fechas (sin ventas anuladas)
+    static async getTotalsByDateRange(startDate, endDate) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT
+                sd.source,
+                sd.description,
+                COUNT(DISTINCT sd.sale_id) as sales_count,
+                SUM(sd.amount) as total_amount
+            FROM sale_discounts sd
+            INNER JOIN sales s ON sd.sale_id = s.id
+            WHERE DATE(s.created_at) BETWEEN ? AND ? AND s.status != 'voided'
+            GROUP BY sd.source, sd.description
+            ORDER BY total_amount DESC
+        `;
+
+        return database.allAsync(sql, [startDate, endDate]);
+    }
+}
+
+// Origen del descuento
+SaleDiscount.SOURCES = ['promotion', 'manual', 'coupon'];
+
+module.exports = SaleDiscount;
\ No newline at end of file
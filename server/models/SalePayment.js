@@ -0,0 +1,117 @@
+// server/models/SalePayment.js - Formas de pago por venta (pagos mixtos)
+const database = require('../config/database');
+
+class SalePayment {
+    // Totales por forma de pago, incluyendo las formas sin movimiento
+    static summarizeByMethod(rows) {
+        const totals = {};
+        SalePayment.METHODS.forEach(method => {
+            totals[method] = { label: SalePayment.METHOD_LABELS[method], sales_count: 0, total_amount: 0 };
+        });
+
+        rows.forEach(row => {
+            if (!totals[row.method]) {
+                totals[row.method] = { label: row.method, sales_count: 0, total_amount: 0 };
+            }
+            totals[row.method].sales_count += row.sales_count;
+            totals[row.method].total_amount += row.total_amount;
+        });
+
+        return totals;
+    }
+
+    // cashSessionId: caja de la venta; un pago que trae su propia caja (pagos parciales de cuentas) la conserva
+    static async createMultiple(saleId, payments, cashSessionId = null) {
+        await database.ensureConnected();
+
+        const created = [];
+        for (const payment of payments) {
+            const sessionId = payment.cash_session_id || cashSessionId;
+            const result = await database.runAsync(
+                `INSERT INTO sale_payments (sale_id, method, amount, tendered, reference, cash_session_id) VALUES (?, ?, ?, ?, ?, ?)`,
+                [saleId, payment.method, payment.amount, payment.tendered, payment.reference || null, sessionId]
+            );
+            created.push({ id: result.id, sale_id: saleId, ...payment, cash_session_id: sessionId });
+        }
+
+        return created;
+    }
+
+    static async findBySaleId(saleId) {
+        await database.ensureConnected();
+
+        const sql = `SELECT * FROM sale_payments WHERE sale_id = ? ORDER BY id`;
+
+        return database.allAsync(sql, [saleId]);
+    }
+
+    // Totales por forma de pago en un rango de fechas (sin ventas anuladas)
+    static async getTotalsByMethod(startDate, endDate) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT
+                sp.method,
+                COUNT(DISTINCT sp.sale_id) as sales_count,
+                SUM(sp.amount) as total_amount
+            FROM sale_payments sp
+            LEFT JOIN sales s ON sp.sale_id = s.id
+            WHERE DATE(s.created_at) BETWEEN ? AND ? AND s.status != 'voided'
+            GROUP BY sp.method
+            ORDER BY total_amount DESC
+        `;
+
+        return database.allAsync(sql, [startDate, endDate]);
+    }
+
+    // Totales por usuario y forma de pago en un rango de fechas
+    static async getTotalsByUserAndMethod(startDate, endDate) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT
+                s.user_id,
+                u.full_name as user_name,
+                sp.method,
+                COUNT(DISTINCT sp.sale_id) as sales_count,
+                SUM(sp.amount) as total_amount
+            FROM sale_payments sp
+            LEFT JOIN sales s ON sp.sale_id = s.id
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE DATE(s.created_at) BETWEEN ? AND ? AND s.status != 'voided'
+            GROUP BY s.user_id, u.full_name, sp.method
+        `;
+
+        return database.allAsync(sql, [startDate, endDate]);
+    }
+
+    // Totales por forma de pago de una caja (según la caja que cobró cada pago; sin las ventas anuladas en ella)
+    static async getTotalsBySession(sessionId) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT
+                sp.method,
+                COUNT(DISTINCT sp.sale_id) as sales_count,
+                SUM(sp.amount) as total_amount
+            FROM sale_payments sp
+            LEFT JOIN sales s ON sp.sale_id = s.id
+            WHERE sp.cash_session_id = ? AND NOT (s.status = 'voided' AND s.voided_cash_session_id IS sp.cash_session_id)
+            GROUP BY sp.method
+        `;
+
+        return database.allAsync(sql, [sessionId]);
+    }
+}
+
+// Formas de pago aceptadas (points = canje de puntos de fidelidad del cliente)
+SalePayment.METHODS = ['cash', 'qr', 'card', 'points'];
+
+SalePayment.METHOD_LABELS = {
+    cash: 'Efectivo',
+    qr: 'QR',
+    card: 'Tarjeta',
+    points: 'Puntos'
+};
+
+module.exports = SalePayment;
\ No newline at end of file
@@ -0,0 +1,89 @@
+// server/models/SaleRefund.js - Devoluciones parciales con registro de auditoría
+const database = require('../config/database');
+
+class SaleRefund {
+    // refundData: { sale_id, reason, approved_by, method, cash_session_id, items: [{ sale_detail_id, quantity, amount }] }
+    // method: forma en que se devuelve el dinero; cash_session_id: caja abierta de quien hace la devolución
+    static async create(refundData) {
+        await database.ensureConnected();
+
+        const amount = refundData.items.reduce((sum, item) => sum + item.amount, 0);
+
+        return database.transaction(async () => {
+            const refund = await database.runAsync(
+                `INSERT INTO sale_refunds (sale_id, amount, reason, approved_by, method, cash_session_id)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    refundData.sale_id,
+                    amount,
+                    refundData.reason,
+                    refundData.approved_by,
+                    refundData.method || 'cash',
+                    refundData.cash_session_id || null
+                ]
+            );
+
+            for (const item of refundData.items) {
+                await database.runAsync(
+                    `INSERT INTO sale_refund_details (refund_id, sale_detail_id, quantity, amount) VALUES (?, ?, ?, ?)`,
+                    [refund.id, item.sale_detail_id, item.quantity, item.amount]
+                );
+
+                await database.runAsync(
+                    `UPDATE sale_details
+                     SET refunded_quantity = refunded_quantity + ?, refunded_amount = refunded_amount + ?
+                     WHERE id = ? AND sale_id = ?`,
+                    [item.quantity, item.amount, item.sale_detail_id, refundData.sale_id]
+                );
+            }
+
+            // Marcar la venta como devuelta total o parcialmente
+            await database.runAsync(
+                `UPDATE sales
+                 SET refunded_amount = refunded_amount + ?,
+                     status = CASE WHEN refunded_amount + ? >= total THEN 'refunded' ELSE 'partially_refunded' END
+                 WHERE id = ?`,
+                [amount, amount, refundData.sale_id]
+            );
+
+            return {
+                id: refund.id,
+                sale_id: refundData.sale_id,
+                amount,
+                reason: refundData.reason,
+                method: refundData.method || 'cash',
+                cash_session_id: refundData.cash_session_id || null
+            };
+        });
+    }
+
+    static async findBySaleId(saleId) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT r.*, u.full_name as approved_by_name
+            FROM sale_refunds r
+            LEFT JOIN users u ON r.approved_by = u.id
+            WHERE r.sale_id = ?
+            ORDER BY r.created_at
+        `;
+
+        return database.allAsync(sql, [saleId]);
+    }
+
+    static async findDetailsByRefundId(refundId) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT rd.*, sd.product_id, sd.product_name
+            FROM sale_refund_details rd
+            LEFT JOIN sale_details sd ON rd.sale_detail_id = sd.id
+            WHERE rd.refund_id = ?
+            ORDER BY rd.id
+        `;
+
+        return database.allAsync(sql, [refundId]);
+    }
+}
+
+module.exports = SaleRefund;
\ No newline at end of file
@@ -0,0 +1,130 @@
+// server/models/Session.js - Sesiones de usuario y refresh tokens
+// Se guarda el hash SHA-256 del refresh token; el token solo se entrega al crear o rotar la sesión.
+const crypto = require('crypto');
+const database = require('../config/database');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+const ACTIVE = `revoked_at IS NULL AND expires_at > datetime('now')`;
+
+class Session {
+    // Abrir sesión: { session, refresh_token }
+    static async create({ user_id, user_agent, ip_address, days }) {
+        await database.ensureConnected();
+
+        const refreshToken = newToken();
+        const result = await database.runAsync(
+            `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+             VALUES (?, ?, ?, ?, datetime('now', ?))`,
+            [user_id, hashToken(refreshToken), user_agent ? String(user_agent).slice(0, 255) : null, ip_address || null, `+${days} days`]
+        );
+
+        return { session: await Session.findById(result.id), refresh_token: refreshToken };
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        return database.getAsync('SELECT * FROM sessions WHERE id = ?', [id]);
+    }
+
+    // Sesión abierta y vigente, o null
+    static async findActive(id) {
+        await database.ensureConnected();
+
+        return database.getAsync(`SELECT * FROM sessions WHERE id = ? AND ${ACTIVE}`, [id]);
+    }
+
+    // Cambiar el refresh token por uno nuevo y extender la sesión.
+    // { session, refresh_token }; { reused: session } si se presentó un token ya reemplazado
+    // (la sesión se cierra: alguien más pudo copiarlo); null si no es válido.
+    static async rotate(refreshToken, days) {
+        await database.ensureConnected();
+
+        const tokenHash = hashToken(refreshToken);
+        const session = await database.getAsync(
+            `SELECT * FROM sessions WHERE refresh_token_hash = ? AND ${ACTIVE}`,
+            [tokenHash]
+        );
+
+        if (!session) {
+            const reused = await database.getAsync(
+                `SELECT * FROM sessions WHERE previous_token_hash = ? AND ${ACTIVE}`,
+                [tokenHash]
+            );
+            if (reused) {
+                await Session.revoke(reused.id, 'reuse');
+                return { reused };
+            }
+            return null;
+        }
+
+        const nextToken = newToken();
+        const result = await database.runAsync(
+            `UPDATE sessions
+             SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = CURRENT_TIMESTAMP,
+                 expires_at = datetime('now', ?)
+             WHERE id = ? AND refresh_token_hash = ? AND ${ACTIVE}`,
+            [hashToken(nextToken), tokenHash, `+${days} days`, session.id, tokenHash]
+        );
+
+        // Otra solicitud lo rotó primero
+        if (result.changes === 0) return null;
+
+        return { session: await Session.findById(session.id), refresh_token: nextToken };
+    }
+
+    // reason: logout, admin, user_disabled, reuse, password_reset, password_changed
+    static async revoke(id, reason) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+            [reason, id]
+        );
+        return result.changes > 0;
+    }
+
+    // Cerrar todas las sesiones abiertas del usuario, salvo exceptId; devuelve cuántas
+    static async revokeAllForUser(userId, reason, exceptId = null) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+             WHERE user_id = ? AND revoked_at IS NULL AND id != COALESCE(?, 0)`,
+            [reason, userId, exceptId]
+        );
+        return result.changes;
+    }
+
+    // Sesiones abiertas con su usuario (filters: { user_id })
+    static async findAllActive(filters = {}) {
+        await database.ensureConnected();
+
+        let sql = `
+            SELECT s.id, s.user_id, u.username, u.full_name, u.role, s.user_agent, s.ip_address,
+                   s.created_at, s.last_used_at, s.expires_at
+            FROM sessions s
+            JOIN users u ON s.user_id = u.id
+            WHERE s.revoked_at IS NULL AND s.expires_at > datetime('now')
+        `;
+        const params = [];
+
+        if (filters.user_id) {
+            sql += ' AND s.user_id = ?';
+            params.push(filters.user_id);
+        }
+
+        sql += ' ORDER BY s.last_used_at DESC';
+
+        return database.allAsync(sql, params);
+    }
+}
+
+module.exports = Session;
\ No newline at end of file
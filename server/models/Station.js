@@ -0,0 +1,61 @@
+// server/models/Station.js - Estaciones de preparación (cocina, bar)
+const database = require('../config/database');
+
+class Station {
+    static async create(stationData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO stations (name, printer_name) VALUES (?, ?)`,
+            [stationData.name, stationData.printer_name || null]
+        );
+
+        return Station.findById(result.id);
+    }
+
+    static async findAll() {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT s.*, COUNT(c.id) as category_count
+            FROM stations s
+            LEFT JOIN categories c ON c.station_id = s.id AND c.active = 1
+            WHERE s.active = 1
+            GROUP BY s.id
+            ORDER BY s.name
+        `;
+
+        return database.allAsync(sql, []);
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const sql = `SELECT * FROM stations WHERE id = ? AND active = 1`;
+
+        return database.getAsync(sql, [id]);
+    }
+
+    static async update(id, stationData) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `UPDATE stations SET name = ?, printer_name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [stationData.name, stationData.printer_name || null, id]
+        );
+
+        return Station.findById(id);
+    }
+
+    // Soft delete; las categorías asignadas quedan sin estación
+    static async delete(id) {
+        await database.ensureConnected();
+
+        await database.runAsync(`UPDATE stations SET active = 0 WHERE id = ?`, [id]);
+        await database.runAsync(`UPDATE categories SET station_id = NULL WHERE station_id = ?`, [id]);
+
+        return { deleted: true };
+    }
+}
+
+module.exports = Station;
\ No newline at end of file
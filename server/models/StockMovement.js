@@ -0,0 +1,139 @@
+// server/models/StockMovement.js - Kardex de inventario por producto
+const database = require('../config/database');
+
+class StockMovement {
+    // Registrar un movimiento; stock_after se calcula sobre el saldo actual del producto
+    static async create(movementData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO stock_movements (product_id, type, quantity, stock_after, sale_id, notes, user_id)
+             SELECT ?, ?, ?, COALESCE(SUM(quantity), 0) + ?, ?, ?, ?
+             FROM stock_movements WHERE product_id = ?`,
+            [
+                movementData.product_id,
+                movementData.type,
+                movementData.quantity,
+                movementData.quantity,
+                movementData.sale_id || null,
+                movementData.notes || null,
+                movementData.user_id || null,
+                movementData.product_id
+            ]
+        );
+
+        return StockMovement.findById(result.id);
+    }
+
+    // Conteo físico: registra la diferencia entre lo contado y el saldo actual
+    static async createCount(countData) {
+        await database.ensureConnected();
+
+        const result = await database.runAsync(
+            `INSERT INTO stock_movements (product_id, type, quantity, stock_after, notes, user_id)
+             SELECT ?, 'count', ? - COALESCE(SUM(quantity), 0), ?, ?, ?
+             FROM stock_movements WHERE product_id = ?`,
+            [
+                countData.product_id,
+                countData.counted_quantity,
+                countData.counted_quantity,
+                countData.notes || null,
+                countData.user_id || null,
+                countData.product_id
+            ]
+        );
+
+        return StockMovement.findById(result.id);
+    }
+
+    // Descontar del stock los productos vendidos (solo productos con control de stock)
+    static async recordSale(saleId, items, userId) {
+        return StockMovement.createForTrackedProducts(
+            items.map(item => ({ product_id: item.product_id, quantity: -item.quantity })),
+            { sale_id: saleId, notes: `Venta #${saleId}`, user_id: userId }
+        );
+    }
+
+    // Reingresar al stock los productos de una venta anulada o devuelta
+    static async returnSale(saleId, items, notes, userId) {
+        return StockMovement.createForTrackedProducts(
+            items.map(item => ({ product_id: item.product_id, quantity: item.quantity })),
+            { sale_id: saleId, notes, user_id: userId }
+        );
+    }
+
+    static async createForTrackedProducts(items, movementData) {
+        const tracked = await StockMovement.findTrackedProductIds(items.map(item => item.product_id));
+        const movements = [];
+
+        for (const item of items) {
+            if (!tracked.includes(item.product_id) || item.quantity === 0) continue;
+
+            movements.push(await StockMovement.create({
+                ...movementData,
+                product_id: item.product_id,
+                type: 'sale',
+                quantity: item.quantity
+            }));
+        }
+
+        return movements;
+    }
+
+    static async findTrackedProductIds(productIds) {
+        await database.ensureConnected();
+
+        if (productIds.length === 0) return [];
+
+        const placeholders = productIds.map(() => '?').join(', ');
+        const rows = await database.allAsync(
+            `SELECT id FROM products WHERE track_stock = 1 AND id IN (${placeholders})`,
+            productIds
+        );
+
+        return rows.map(row => row.id);
+    }
+
+    static async findById(id) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT sm.*, p.name as product_name, u.full_name as user_name
+            FROM stock_movements sm
+            LEFT JOIN products p ON sm.product_id = p.id
+            LEFT JOIN users u ON sm.user_id = u.id
+            WHERE sm.id = ?
+        `;
+
+        return database.getAsync(sql, [id]);
+    }
+
+    static async findByProduct(productId, limit = 100) {
+        await database.ensureConnected();
+
+        const sql = `
+            SELECT sm.*, u.full_name as user_name
+            FROM stock_movements sm
+            LEFT JOIN users u ON sm.user_id = u.id
+            WHERE sm.product_id = ?
+            ORDER BY sm.id DESC
+            LIMIT ?
+        `;
+
+        return database.allAsync(sql, [productId, limit]);
+    }
+
+    static async getStock(productId) {
+        await database.ensureConnected();
+
+        const sql = `SELECT COALESCE(SUM(quantity), 0) as stock FROM stock_movements WHERE product_id = ?`;
+
+        const row = await database.getAsync(sql, [productId]);
+        return row.stock;
+    }
+}
+
+// Tipos de movimiento del kardex
+StockMovement.TYPES = ['purchase', 'sale', 'adjustment', 'waste', 'count'];
+
+module.exports = StockMovement;
\ No newline at end of file
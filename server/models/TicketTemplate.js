@@ -0,0 +1,68 @@
+// server/models/TicketTemplate.js - Plantillas de tickets editables
+// Sin plantilla guardada se usa la predeterminada de server/templates/tickets/<tipo>.txt
+const fs = require('fs');
+const path = require('path');
+const database = require('../config/database');
+
+const DEFAULTS_DIR = path.join(__dirname, '../templates/tickets');
+const DEFAULT_PAPER_WIDTH = '80mm';
+
+class TicketTemplate {
+    static defaultContent(type) {
+        return fs.readFileSync(path.join(DEFAULTS_DIR, `${type}.txt`), 'utf8');
+    }
+
+    static async findByType(type) {
+        await database.ensureConnected();
+
+        const row = await database.getAsync(
+            `SELECT t.*, u.full_name as updated_by_name
+             FROM ticket_templates t
+             LEFT JOIN users u ON t.updated_by = u.id
+             WHERE t.type = ?`,
+            [type]
+        );
+
+        if (row) return { ...row, is_default: false };
+
+        return {
+            type,
+            content: TicketTemplate.defaultContent(type),
+            paper_width: DEFAULT_PAPER_WIDTH,
+            is_default: true
+        };
+    }
+
+    static async findAll() {
+        return Promise.all(TicketTemplate.TYPES.map(type => TicketTemplate.findByType(type)));
+    }
+
+    static async save(type, { content, paper_width }, userId) {
+        await database.ensureConnected();
+
+        await database.runAsync(
+            `INSERT INTO ticket_templates (type, content, paper_width, updated_by)
+             VALUES (?, ?, ?, ?)
+             ON CONFLICT(type) DO UPDATE SET
+                content = excluded.content,
+                paper_width = excluded.paper_width,
+                updated_by = excluded.updated_by,
+                updated_at = CURRENT_TIMESTAMP`,
+            [type, content, paper_width || DEFAULT_PAPER_WIDTH, userId]
+        );
+
+        return TicketTemplate.findByType(type);
+    }
+
+    // Volver a la plantilla predeterminada
+    static async reset(type) {
+        await database.ensureConnected();
+
+        await database.runAsync('DELETE FROM ticket_templates WHERE type = ?', [type]);
+        return TicketTemplate.findByType(type);
+    }
+}
+
+TicketTemplate.TYPES = ['sale', 'kitchen', 'daily_report', 'test'];
+
+module.exports = TicketTemplate;
\ No newline at end of file
@@ -1,117 +1,183 @@
 // server/models/User.js - Modelo completo
 const database = require('../config/database');
 const bcrypt = require('bcryptjs');
+const Role = require('./Role');
+const Session = require('./Session');
+
+// Hash de relleno: un usuario inexistente cuesta lo mismo que una contraseña incorrecta
+let dummyHash = null;
 
 class User {
     static async create(userData) {
         await database.ensureConnected();
         const hashedPassword = await bcrypt.hash(userData.password, 10);
-        return new Promise((resolve, reject) => {
-            const sql = `
-                INSERT INTO users (username, password, full_name, role)
-                VALUES (?, ?, ?, ?)
-            `;
 
-            database.getDB().run(
-                sql,
-                [userData.username, hashedPassword, userData.full_name, userData.role || 'user'],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve({ id: this.lastID, ...userData });
-                }
-            );
-        });
+        const sql = `
+            INSERT INTO users (username, password, full_name, role)
+            VALUES (?, ?, ?, ?)
+        `;
+
+        const result = await database.runAsync(
+            sql,
+            [userData.username, hashedPassword, userData.full_name, userData.role || 'cashier']
+        );
+        return { id: result.id, ...userData };
     }
 
     static async findByUsername(username) {
         await database.ensureConnected();
 
-        return new Promise((resolve, reject) => {
-            const sql = `SELECT * FROM users WHERE username = ? AND active = 1`;
+        const sql = `SELECT * FROM users WHERE username = ? AND active = 1`;
 
-            database.getDB().get(sql, [username], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        return database.getAsync(sql, [username]);
     }
 
     static async findById(id) {
         await database.ensureConnected();
 
-        return new Promise((resolve, reject) => {
-            const sql = `SELECT * FROM users WHERE id = ? AND active = 1`;
+        const sql = `SELECT * FROM users WHERE id = ? AND active = 1`;
 
-            database.getDB().get(sql, [id], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+        return database.getAsync(sql, [id]);
+    }
+
+    // El nombre de usuario es único también entre los desactivados
+    static async usernameExists(username) {
+        await database.ensureConnected();
+
+        return Boolean(await database.getAsync('SELECT id FROM users WHERE username = ?', [username]));
+    }
+
+    // Usuario activo o inactivo (administración)
+    static async findAnyById(id) {
+        await database.ensureConnected();
+
+        return database.getAsync('SELECT * FROM users WHERE id = ?', [id]);
     }
 
+    // Incluye cuántas ventas registró cada usuario y su último login exitoso
     static async findAll() {
         await database.ensureConnected();
 
-        return new Promise((resolve, reject) => {
-            const sql = `
-                SELECT id, username, full_name, role, active, created_at
-                FROM users
-                ORDER BY created_at DESC
-            `;
+        const sql = `
+            SELECT id, username, full_name, role, active, must_change_password, password_changed_at, created_at,
+                   (SELECT COUNT(*) FROM sales s WHERE s.user_id = users.id) as sales_count,
+                   (SELECT MAX(created_at) FROM login_attempts la WHERE la.user_id = users.id AND la.success = 1) as last_login_at
+            FROM users
+            ORDER BY created_at DESC
+        `;
 
-            database.getDB().all(sql, [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
+        return database.allAsync(sql, []);
     }
 
     static async update(id, userData) {
         await database.ensureConnected();
 
-        return new Promise(async (resolve, reject) => {
-            let sql = `
+        let sql = `
+            UPDATE users
+            SET username = ?, full_name = ?, role = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+        let params = [userData.username, userData.full_name, userData.role, id];
+
+        if (userData.password) {
+            const hashedPassword = await bcrypt.hash(userData.password, 10);
+            sql = `
                 UPDATE users
-                SET username = ?, full_name = ?, role = ?, updated_at = CURRENT_TIMESTAMP
+                SET username = ?, password = ?, full_name = ?, role = ?, updated_at = CURRENT_TIMESTAMP
                 WHERE id = ?
             `;
-            let params = [userData.username, userData.full_name, userData.role, id];
-
-            if (userData.password) {
-                const hashedPassword = await bcrypt.hash(userData.password, 10);
-                sql = `
-                    UPDATE users
-                    SET username = ?, password = ?, full_name = ?, role = ?, updated_at = CURRENT_TIMESTAMP
-                    WHERE id = ?
-                `;
-                params = [userData.username, hashedPassword, userData.full_name, userData.role, id];
-            }
-
-            database.getDB().run(sql, params, function(err) {
-                if (err) reject(err);
-                else resolve({ id, ...userData });
-            });
-        });
+            params = [userData.username, hashedPassword, userData.full_name, userData.role, id];
+        }
+
+        await database.runAsync(sql, params);
+        return { id, ...userData };
     }
 
+    // Desactivar el usuario y cerrar sus sesiones: sus tokens dejan de valer al instante
     static async delete(id) {
         await database.ensureConnected();
 
-        return new Promise((resolve, reject) => {
-            const sql = `UPDATE users SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+        await database.transaction(async () => {
+            await database.runAsync('UPDATE users SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+            await Session.revokeAllForUser(id, 'user_disabled');
+        });
+        return { deleted: true };
+    }
+
+    static async activate(id) {
+        await database.ensureConnected();
+
+        await database.runAsync('UPDATE users SET active = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+        return { activated: true };
+    }
+
+    // Eliminar el usuario. Sus sesiones y claves de idempotencia se borran y su historial de login
+    // queda sin usuario; si tiene otros registros (ventas, cajas, movimientos) falla por la clave foránea.
+    static async destroy(id) {
+        await database.ensureConnected();
+
+        await database.transaction(async () => {
+            await database.runAsync('DELETE FROM sessions WHERE user_id = ?', [id]);
+            await database.runAsync('DELETE FROM idempotency_keys WHERE user_id = ?', [id]);
+            await database.runAsync('UPDATE login_attempts SET user_id = NULL WHERE user_id = ?', [id]);
+            await database.runAsync('DELETE FROM users WHERE id = ?', [id]);
+        });
+        return { deleted: true };
+    }
+
+    static async countSales(id) {
+        await database.ensureConnected();
+
+        const row = await database.getAsync('SELECT COUNT(*) as count FROM sales WHERE user_id = ?', [id]);
+        return row.count;
+    }
+
+    // Usuarios activos con el permiso, sin contar excludeId (admin tiene todos los permisos)
+    static async countActiveWithPermission(permission, excludeId = null) {
+        await database.ensureConnected();
+
+        const row = await database.getAsync(
+            `SELECT COUNT(*) as count FROM users
+             WHERE active = 1 AND id != COALESCE(?, 0)
+               AND (role = ? OR role IN (SELECT role FROM role_permissions WHERE permission = ?))`,
+            [excludeId, Role.ADMIN, permission]
+        );
+        return row.count;
+    }
+
+    // Obligar a cambiar la contraseña en el próximo login; con password se reemplaza por una temporal.
+    // Sus sesiones se cierran.
+    static async resetPassword(id, password = null) {
+        await database.ensureConnected();
 
-            database.getDB().run(sql, [id], function(err) {
-                if (err) reject(err);
-                else resolve({ deleted: true });
-            });
+        const hashedPassword = password ? await bcrypt.hash(password, 10) : null;
+        await database.transaction(async () => {
+            await database.runAsync(
+                `UPDATE users SET password = COALESCE(?, password), must_change_password = 1, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [hashedPassword, id]
+            );
+            await Session.revokeAllForUser(id, 'password_reset');
         });
+        return { passwordReset: true };
     }
 
+    // Sin hash (usuario inexistente) se compara igual contra uno de relleno para no delatarlo por el tiempo
     static async verifyPassword(plainPassword, hashedPassword) {
+        if (!hashedPassword) {
+            return User.compareDummy(plainPassword);
+        }
         return await bcrypt.compare(plainPassword, hashedPassword);
     }
 
-    static async changePassword(id, oldPassword, newPassword) {
+    static async compareDummy(plain) {
+        dummyHash = dummyHash || await bcrypt.hash('posale-dummy-password', 10);
+        await bcrypt.compare(String(plain), dummyHash);
+        return false;
+    }
+
+    // Las demás sesiones del usuario se cierran: solo sigue abierta keepSessionId (la de quien la cambia)
+    static async changePassword(id, oldPassword, newPassword, keepSessionId = null) {
         await database.ensureConnected();
 
         const user = await this.findById(id);
@@ -124,18 +190,36 @@ class User {
         }
 
         const hashedPassword = await bcrypt.hash(newPassword, 10);
-        return new Promise((resolve, reject) => {
-            const sql = `
-                UPDATE users
-                SET password = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `;
-
-            database.getDB().run(sql, [hashedPassword, id], function(err) {
-                if (err) reject(err);
-                else resolve({ passwordChanged: true });
-            });
+        const sql = `
+            UPDATE users
+            SET password = ?, must_change_password = 0, password_changed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `;
+
+        let revokedSessions = 0;
+        await database.transaction(async () => {
+            await database.runAsync(sql, [hashedPassword, id]);
+            revokedSessions = await Session.revokeAllForUser(id, 'password_changed', keepSessionId);
         });
+        return { passwordChanged: true, revokedSessions };
+    }
+
+    // PIN para autorizar acciones en el POS, con bcrypt como la contraseña; sin PIN se quita
+    static async setPin(id, pin) {
+        await database.ensureConnected();
+
+        const pinHash = pin ? await bcrypt.hash(String(pin), 10) : null;
+        await database.runAsync(
+            'UPDATE users SET pin_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [pinHash, id]
+        );
+        return { pinChanged: true };
+    }
+
+    static async verifyPin(plainPin, pinHash) {
+        if (!pinHash) return User.compareDummy(plainPin);
+        return await bcrypt.compare(String(plainPin), pinHash);
     }
 }
 
@@ -0,0 +1,15 @@
+// server/routes/approvals.js - Autorizaciones de supervisor con PIN
+const express = require('express');
+const router = express.Router();
+const ApprovalController = require('../controllers/approvalController');
+const { authenticateToken } = require('../middleware/auth');
+
+// Cualquier usuario con sesión pide la autorización; quien autoriza debe tener el permiso de la acción
+router.use(authenticateToken);
+
+// Autorizar una acción con el usuario y PIN de un supervisor (token de un solo uso)
+// POST /api/approvals
+// Body: { username, pin, action: 'void_sale' | 'refund_sale' | 'approve_discount' | 'override_price', sale_id }
+router.post('/', ApprovalController.create);
+
+module.exports = router;
\ No newline at end of file
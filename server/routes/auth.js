@@ -2,18 +2,29 @@
 const express = require('express');
 const router = express.Router();
 const AuthController = require('../controllers/authController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const UserController = require('../controllers/userController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 // Rutas públicas (no requieren autenticación)
 router.post('/login', AuthController.login);
 router.post('/verify-token', AuthController.verifyToken);
+router.get('/password-policy', AuthController.getPasswordPolicy);
+
+// Nuevo token de acceso (el refresh token cambia en cada uso)
+// Body: { refresh_token }
+router.post('/refresh', AuthController.refresh);
 
 // Rutas protegidas (requieren autenticación)
+router.post('/logout', authenticateToken, AuthController.logout);
 router.get('/profile', authenticateToken, AuthController.getProfile);
 router.put('/change-password', authenticateToken, AuthController.changePassword);
 
-// Rutas de administrador
-router.post('/register', authenticateToken, requireAdmin, AuthController.register);
-router.get('/users', authenticateToken, requireAdmin, AuthController.getUsers);
+// PIN para autorizar acciones en el POS (null lo elimina)
+// Body: { pin, password }
+router.put('/pin', authenticateToken, AuthController.setPin);
+
+// Administración de usuarios (ruta anterior a /api/users: crea el usuario con las mismas reglas que POST /api/users)
+router.post('/register', authenticateToken, requirePermission('manage_users'), UserController.create);
+router.get('/users', authenticateToken, requirePermission('manage_users'), AuthController.getUsers);
 
 module.exports = router;
\ No newline at end of file
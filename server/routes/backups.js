@@ -0,0 +1,30 @@
+// server/routes/backups.js - Respaldos de la base de datos
+const express = require('express');
+const router = express.Router();
+const BackupController = require('../controllers/backupController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+router.use(authenticateToken, requirePermission('manage_backups'));
+
+// Listar respaldos
+// GET /api/backups
+router.get('/', BackupController.getAll);
+
+// Crear respaldo manual
+// POST /api/backups
+router.post('/', BackupController.create);
+
+// Descargar respaldo
+// GET /api/backups/pos-20240101-120000000-auto.db/download
+router.get('/:file/download', BackupController.download);
+
+// Verificar suma de verificación e integridad
+// GET /api/backups/pos-20240101-120000000-auto.db/verify
+router.get('/:file/verify', BackupController.verify);
+
+// Restaurar la base desde un respaldo
+// POST /api/backups/pos-20240101-120000000-auto.db/restore
+// Body: { confirm: true }
+router.post('/:file/restore', BackupController.restore);
+
+module.exports = router;
\ No newline at end of file
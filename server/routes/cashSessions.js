@@ -0,0 +1,31 @@
+// server/routes/cashSessions.js
+const express = require('express');
+const router = express.Router();
+const CashSessionController = require('../controllers/cashSessionController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas de caja requieren autenticación
+router.use(authenticateToken);
+
+// Abrir caja del usuario actual
+router.post('/open', requirePermission('open_drawer'), CashSessionController.open);
+
+// Caja abierta del usuario actual con su arqueo parcial
+router.get('/current', requirePermission('open_drawer'), CashSessionController.getCurrent);
+
+// Listar cajas
+router.get('/', requirePermission('view_cash_sessions'), CashSessionController.getAll);
+
+// Arqueo de una caja específica
+router.get('/:id', requirePermission('open_drawer'), CashSessionController.getById);
+
+// Ingresos y retiros de efectivo
+router.post('/:id/movements', requirePermission('open_drawer'), CashSessionController.addMovement);
+
+// Cerrar caja con el monto contado
+router.post('/:id/close', requirePermission('open_drawer'), CashSessionController.close);
+
+// Imprimir reporte Z
+router.post('/:id/print', requirePermission('print_tickets'), CashSessionController.printZReport);
+
+module.exports = router;
\ No newline at end of file
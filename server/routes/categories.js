@@ -2,19 +2,19 @@
 const express = require('express');
 const router = express.Router();
 const CategoryController = require('../controllers/categoryController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 // Todas las rutas de categorías requieren autenticación
 router.use(authenticateToken);
 
-// Rutas de lectura (todos los usuarios autenticados)
-router.get('/', CategoryController.getAll);
-router.get('/stats', CategoryController.getStats);
-router.get('/:id', CategoryController.getById);
+// Rutas de lectura
+router.get('/', requirePermission('view_catalog'), CategoryController.getAll);
+router.get('/stats', requirePermission('view_catalog'), CategoryController.getStats);
+router.get('/:id', requirePermission('view_catalog'), CategoryController.getById);
 
-// Rutas de escritura (solo administradores)
-router.post('/', requireAdmin, CategoryController.create);
-router.put('/:id', requireAdmin, CategoryController.update);
-router.delete('/:id', requireAdmin, CategoryController.delete);
+// Rutas de escritura
+router.post('/', requirePermission('manage_products'), CategoryController.create);
+router.put('/:id', requirePermission('manage_products'), CategoryController.update);
+router.delete('/:id', requirePermission('manage_products'), CategoryController.delete);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,52 @@
+// server/routes/customers.js - Directorio de clientes y puntos de fidelidad
+const express = require('express');
+const router = express.Router();
+const CustomerController = require('../controllers/customerController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas de clientes requieren autenticación
+router.use(authenticateToken);
+
+// Obtener clientes (búsqueda por NIT/CI o nombre para autocompletar)
+// GET /api/customers?search=123
+router.get('/', requirePermission('manage_customers'), CustomerController.getAll);
+
+// Clientes que más compran
+// GET /api/customers/top?limit=10
+router.get('/top', requirePermission('view_management_reports'), CustomerController.getTop);
+
+// Buscar cliente por NIT/CI exacto
+// GET /api/customers/nit/1234567
+router.get('/nit/:nit', requirePermission('manage_customers'), CustomerController.getByNit);
+
+// Obtener cliente por ID
+// GET /api/customers/1
+router.get('/:id', requirePermission('manage_customers'), CustomerController.getById);
+
+// Historial de compras del cliente
+// GET /api/customers/1/sales
+router.get('/:id/sales', requirePermission('manage_customers'), CustomerController.getSales);
+
+// Estado de cuenta de puntos
+// GET /api/customers/1/points
+router.get('/:id/points', requirePermission('manage_customers'), CustomerController.getPoints);
+
+// Ajustar puntos manualmente
+// POST /api/customers/1/points
+// Body: { points: 50 | -20, notes: 'Motivo del ajuste' }
+router.post('/:id/points', requirePermission('adjust_points'), CustomerController.adjustPoints);
+
+// Crear cliente
+// POST /api/customers
+// Body: { nit: '1234567', name: 'Juan Pérez', phone, email, notes }
+router.post('/', requirePermission('manage_customers'), CustomerController.create);
+
+// Actualizar cliente
+// PUT /api/customers/1
+router.put('/:id', requirePermission('manage_customers'), CustomerController.update);
+
+// Eliminar cliente
+// DELETE /api/customers/1
+router.delete('/:id', requirePermission('delete_customers'), CustomerController.delete);
+
+module.exports = router;
\ No newline at end of file
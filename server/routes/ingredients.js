@@ -0,0 +1,40 @@
+// server/routes/ingredients.js - Insumos y su kardex
+const express = require('express');
+const router = express.Router();
+const IngredientController = require('../controllers/ingredientController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas de insumos requieren autenticación
+router.use(authenticateToken);
+
+// Obtener todos los insumos con stock
+// GET /api/ingredients
+router.get('/', requirePermission('view_catalog'), IngredientController.getAll);
+
+// Obtener insumo por ID (incluye productos que lo usan)
+// GET /api/ingredients/3
+router.get('/:id', requirePermission('view_catalog'), IngredientController.getById);
+
+// Kardex del insumo
+// GET /api/ingredients/3/movements?limit=100
+router.get('/:id/movements', requirePermission('view_catalog'), IngredientController.getMovements);
+
+// Crear insumo
+// POST /api/ingredients
+// Body: { name, unit, cost, reorder_level }
+router.post('/', requirePermission('manage_inventory'), IngredientController.create);
+
+// Actualizar insumo
+// PUT /api/ingredients/3
+router.put('/:id', requirePermission('manage_inventory'), IngredientController.update);
+
+// Eliminar insumo
+// DELETE /api/ingredients/3
+router.delete('/:id', requirePermission('manage_inventory'), IngredientController.delete);
+
+// Registrar compra, ajuste, merma o conteo
+// POST /api/ingredients/3/movements
+// Body: { type: 'purchase' | 'adjustment' | 'waste' | 'count', quantity, notes }
+router.post('/:id/movements', requirePermission('manage_inventory'), IngredientController.createMovement);
+
+module.exports = router;
\ No newline at end of file
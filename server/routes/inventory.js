@@ -0,0 +1,27 @@
+// server/routes/inventory.js - Kardex y alertas de stock
+const express = require('express');
+const router = express.Router();
+const InventoryController = require('../controllers/inventoryController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas de inventario requieren autenticación
+router.use(authenticateToken);
+
+// Stock actual de productos con control de inventario
+// GET /api/inventory
+router.get('/', requirePermission('view_catalog'), InventoryController.getStock);
+
+// Productos con stock bajo
+// GET /api/inventory/low-stock
+router.get('/low-stock', requirePermission('view_catalog'), InventoryController.getLowStock);
+
+// Kardex de un producto
+// GET /api/inventory/products/5/movements?limit=100
+router.get('/products/:id/movements', requirePermission('view_catalog'), InventoryController.getMovements);
+
+// Registrar compra, ajuste, merma o conteo
+// POST /api/inventory/movements
+// Body: { product_id, type: 'purchase' | 'adjustment' | 'waste' | 'count', quantity, notes }
+router.post('/movements', requirePermission('manage_inventory'), InventoryController.createMovement);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,53 @@
+// server/routes/kitchen.js - Estaciones de preparación y pantalla de cocina
+const express = require('express');
+const router = express.Router();
+const KitchenController = require('../controllers/kitchenController');
+const { authenticateToken, authenticateStreamTicket, requirePermission } = require('../middleware/auth');
+
+// Flujo de comandas en tiempo real (Server-Sent Events)
+// GET /api/kitchen/stream?ticket=...&station_id=1 (ticket de POST /api/kitchen/stream-ticket)
+router.get('/stream', authenticateStreamTicket, requirePermission('kitchen_display'), KitchenController.stream);
+
+// El resto de rutas de cocina requieren autenticación
+router.use(authenticateToken);
+
+// Ticket de corta duración para abrir el stream (EventSource no envía cabeceras)
+// POST /api/kitchen/stream-ticket
+router.post('/stream-ticket', requirePermission('kitchen_display'), KitchenController.streamTicket);
+
+// Obtener estaciones
+// GET /api/kitchen/stations
+router.get('/stations', requirePermission('kitchen_display'), KitchenController.getStations);
+
+// Crear estación
+// POST /api/kitchen/stations
+// Body: { name, printer_name } (sin printer_name la comanda solo va a pantalla)
+router.post('/stations', requirePermission('manage_stations'), KitchenController.createStation);
+
+// Actualizar estación
+// PUT /api/kitchen/stations/1
+router.put('/stations/:id', requirePermission('manage_stations'), KitchenController.updateStation);
+
+// Eliminar estación
+// DELETE /api/kitchen/stations/1
+router.delete('/stations/:id', requirePermission('manage_stations'), KitchenController.deleteStation);
+
+// Comandas pendientes o en preparación
+// GET /api/kitchen/orders?station_id=1
+router.get('/orders', requirePermission('kitchen_display'), KitchenController.getOrders);
+
+// Cambiar estado de toda la comanda
+// PATCH /api/kitchen/orders/5
+// Body: { status: 'pending' | 'in_progress' | 'ready' }
+router.patch('/orders/:id', requirePermission('kitchen_display'), KitchenController.updateOrderStatus);
+
+// Reimprimir comanda
+// POST /api/kitchen/orders/5/print
+router.post('/orders/:id/print', requirePermission('print_tickets'), KitchenController.printOrder);
+
+// Cambiar estado de un item de la comanda
+// PATCH /api/kitchen/items/12
+// Body: { status: 'pending' | 'in_progress' | 'ready' }
+router.patch('/items/:id', requirePermission('kitchen_display'), KitchenController.updateItemStatus);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,44 @@
+// server/routes/modifiers.js - Grupos de modificadores y opciones
+const express = require('express');
+const router = express.Router();
+const ModifierController = require('../controllers/modifierController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas de modificadores requieren autenticación
+router.use(authenticateToken);
+
+// Obtener todos los grupos con sus opciones
+// GET /api/modifiers
+router.get('/', requirePermission('view_catalog'), ModifierController.getAll);
+
+// Obtener grupo por ID
+// GET /api/modifiers/2
+router.get('/:id', requirePermission('view_catalog'), ModifierController.getById);
+
+// Crear grupo con opciones
+// POST /api/modifiers
+// Body: { name, required, min_select, max_select, options: [{ name, price_delta }] }
+router.post('/', requirePermission('manage_products'), ModifierController.create);
+
+// Actualizar grupo
+// PUT /api/modifiers/2
+router.put('/:id', requirePermission('manage_products'), ModifierController.update);
+
+// Eliminar grupo
+// DELETE /api/modifiers/2
+router.delete('/:id', requirePermission('manage_products'), ModifierController.delete);
+
+// Agregar opción al grupo
+// POST /api/modifiers/2/options
+// Body: { name, price_delta }
+router.post('/:id/options', requirePermission('manage_products'), ModifierController.addOption);
+
+// Actualizar opción
+// PUT /api/modifiers/options/7
+router.put('/options/:optionId', requirePermission('manage_products'), ModifierController.updateOption);
+
+// Eliminar opción
+// DELETE /api/modifiers/options/7
+router.delete('/options/:optionId', requirePermission('manage_products'), ModifierController.deleteOption);
+
+module.exports = router;
\ No newline at end of file
@@ -2,30 +2,17 @@
 const express = require('express');
 const router = express.Router();
 const printer = require('../utils/printer');
+const printQueue = require('../utils/printQueue');
+const PrintJob = require('../models/PrintJob');
+const Sale = require('../models/Sale');
+const SaleDetail = require('../models/SaleDetail');
+const SalePayment = require('../models/SalePayment');
 const logger = require('../utils/logger');
-
-// Importar middleware de autenticación - CORREGIDO
-// Cambiar según tu estructura de archivos:
-let authenticateToken;
-
-try {
-    // Opción 1: Si es un objeto con la función
-    const auth = require('../middleware/auth');
-    authenticateToken = auth.authenticateToken || auth;
-} catch (error1) {
-    try {
-        // Opción 2: Si está en routes/auth.js
-        const auth = require('./auth');
-        authenticateToken = auth.authenticateToken || auth;
-    } catch (error2) {
-        // Opción 3: Middleware simple si no existe
-        logger.warn('⚠️ Middleware de autenticación no encontrado, usando middleware básico');
-        authenticateToken = (req, res, next) => next(); // Middleware que permite pasar
-    }
-}
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 // Ruta: GET /api/printer/status
-router.get('/status', authenticateToken, async (req, res) => {
+router.get('/status', authenticateToken, requirePermission('print_tickets'), async (req, res) => {
     try {
         const status = await printer.checkPrinterStatus();
         res.json({
@@ -42,12 +29,15 @@ router.get('/status', authenticateToken, async (req, res) => {
 });
 
 // Ruta: POST /api/printer/test
-router.post('/test', authenticateToken, async (req, res) => {
+router.post('/test', authenticateToken, requirePermission('print_tickets'), async (req, res) => {
     try {
         logger.info('🧪 Iniciando test de impresora...');
-        const result = await printer.printTestTicket();
-        logger.info('✅ Test de impresora completado');
-        res.json(result);
+        const job = await printQueue.enqueueAndWait({
+            type: 'test',
+            content: await printer.createTestTicket(),
+            user_id: req.user.id
+        });
+        printQueue.sendJobResult(res, job, 'Test impreso');
     } catch (error) {
         logger.error(`❌ Error en test de impresora: ${error}`);
         res.status(500).json({
@@ -58,7 +48,9 @@ router.post('/test', authenticateToken, async (req, res) => {
 });
 
 // NUEVA RUTA: POST /api/printer/print-sale (IMPRESIÓN AUTOMÁTICA)
-router.post('/print-sale', authenticateToken, async (req, res) => {
+// Header opcional: Idempotency-Key (un reintento con la misma clave no imprime otro ticket)
+// El ticket pasa por la cola: 200 si ya se imprimió, 202 si quedó pendiente de reintento
+router.post('/print-sale', authenticateToken, requirePermission('print_tickets'), idempotency, async (req, res) => {
     try {
         const { sale_data } = req.body;
         
@@ -71,16 +63,14 @@ router.post('/print-sale', authenticateToken, async (req, res) => {
 
         logger.info(`🖨️ Iniciando impresión automática de venta #${sale_data.id}`);
 
-        // Imprimir usando el printer.js modificado
-        const result = await printer.printSaleTicket(sale_data);
-        
-        logger.info(`✅ Impresión automática exitosa para venta #${sale_data.id}`);
-        
-        res.json({
-            success: true,
-            message: 'Ticket de venta impreso automáticamente',
-            printer_status: result
+        const job = await printQueue.enqueueAndWait({
+            type: 'sale',
+            reference_id: sale_data.id,
+            content: await printer.createSaleTicket(sale_data),
+            user_id: req.user.id
         });
+
+        printQueue.sendJobResult(res, job, 'Ticket de venta impreso automáticamente');
         
     } catch (error) {
         logger.error(`❌ Error en impresión automática: ${error}`);
@@ -91,15 +81,66 @@ router.post('/print-sale', authenticateToken, async (req, res) => {
     }
 });
 
-// Ruta: POST /api/printer/reprint-last
-router.post('/reprint-last', authenticateToken, async (req, res) => {
+// Venta completa para el ticket (detalles con modificadores y descuentos, y pagos)
+async function loadSaleForTicket(saleId) {
+    const sale = await Sale.findById(saleId);
+    if (!sale) return null;
+
+    return {
+        ...sale,
+        details: await SaleDetail.findBySaleId(saleId),
+        payments: await SalePayment.findBySaleId(saleId)
+    };
+}
+
+// Encolar la COPIA de una venta y esperar el primer intento
+async function reprintSale(req, res, saleId) {
+    const sale = await loadSaleForTicket(saleId);
+    if (!sale) {
+        return res.status(404).json({
+            success: false,
+            message: 'Venta no encontrada'
+        });
+    }
+
+    logger.info(`🔄 Reimpresión de venta #${sale.id} solicitada por ${req.user.username}`);
+
+    const job = await printQueue.enqueueAndWait({
+        type: 'sale',
+        reference_id: sale.id,
+        content: await printer.createSaleTicket(sale, { copy: true }),
+        is_copy: true,
+        user_id: req.user.id
+    });
+
+    printQueue.sendJobResult(res, job, `Copia de la venta #${sale.id} impresa`);
+}
+
+// Ruta: POST /api/printer/reprint-last (última venta del usuario, como COPIA)
+router.post('/reprint-last', authenticateToken, requirePermission('print_tickets'), async (req, res) => {
     try {
-        // Por ahora respuesta básica - puedes implementar lógica para última venta
-        logger.info('🔄 Solicitud de reimpresión de último ticket');
-        res.json({
+        const [lastSale] = await Sale.findByUser(req.user.id, 1);
+        if (!lastSale) {
+            return res.status(404).json({
+                success: false,
+                message: 'No tiene ventas para reimprimir'
+            });
+        }
+
+        await reprintSale(req, res, lastSale.id);
+    } catch (error) {
+        logger.error(`❌ Error en reimpresión: ${error}`);
+        res.status(500).json({
             success: false,
-            message: 'Función de reimpresión no implementada aún'
+            message: error.message
         });
+    }
+});
+
+// Ruta: POST /api/printer/sales/:id/reprint (cualquier venta anterior, como COPIA)
+router.post('/sales/:id/reprint', authenticateToken, requirePermission('print_tickets'), async (req, res) => {
+    try {
+        await reprintSale(req, res, req.params.id);
     } catch (error) {
         logger.error(`❌ Error en reimpresión: ${error}`);
         res.status(500).json({
@@ -109,8 +150,132 @@ router.post('/reprint-last', authenticateToken, async (req, res) => {
     }
 });
 
+// Ruta: GET /api/printer/jobs?status=failed&type=sale&limit=50
+router.get('/jobs', authenticateToken, requirePermission('manage_print_jobs'), async (req, res) => {
+    try {
+        const { status, type } = req.query;
+
+        if (status && !PrintJob.STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Estado inválido. Use: ${PrintJob.STATUSES.join(', ')}`
+            });
+        }
+        if (type && !PrintJob.TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Tipo inválido. Use: ${PrintJob.TYPES.join(', ')}`
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const jobs = await PrintJob.findAll({ status, type, limit });
+
+        res.json({
+            success: true,
+            jobs
+        });
+    } catch (error) {
+        logger.error(`Error obteniendo trabajos de impresión: ${error}`);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// Ruta: GET /api/printer/jobs/:id (incluye el contenido del ticket)
+router.get('/jobs/:id', authenticateToken, requirePermission('manage_print_jobs'), async (req, res) => {
+    try {
+        const job = await PrintJob.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trabajo de impresión no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        logger.error(`Error obteniendo trabajo de impresión: ${error}`);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// Ruta: POST /api/printer/jobs/:id/retry (trabajo fallido o cancelado)
+router.post('/jobs/:id/retry', authenticateToken, requirePermission('manage_print_jobs'), async (req, res) => {
+    try {
+        const job = await PrintJob.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trabajo de impresión no encontrado'
+            });
+        }
+
+        if (!await PrintJob.retry(job.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Solo se reintentan trabajos fallidos o cancelados'
+            });
+        }
+
+        logger.info(`🔄 Trabajo de impresión #${job.id} reintentado por ${req.user.username}`);
+
+        printQueue.processDue();
+        const updated = await printQueue.waitForAttempt(job.id);
+        printQueue.sendJobResult(res, updated, 'Trabajo impreso');
+    } catch (error) {
+        logger.error(`Error reintentando trabajo de impresión: ${error}`);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// Ruta: POST /api/printer/jobs/:id/cancel (pendiente o fallido)
+router.post('/jobs/:id/cancel', authenticateToken, requirePermission('manage_print_jobs'), async (req, res) => {
+    try {
+        const job = await PrintJob.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trabajo de impresión no encontrado'
+            });
+        }
+
+        if (!await PrintJob.cancel(job.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Solo se cancelan trabajos pendientes o fallidos'
+            });
+        }
+
+        logger.info(`🚫 Trabajo de impresión #${job.id} cancelado por ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Trabajo de impresión cancelado',
+            job: await PrintJob.findById(job.id)
+        });
+    } catch (error) {
+        logger.error(`Error cancelando trabajo de impresión: ${error}`);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
 // Ruta: POST /api/printer/configure
-router.post('/configure', authenticateToken, async (req, res) => {
+router.post('/configure', authenticateToken, requirePermission('manage_settings'), async (req, res) => {
     try {
         const { printerName, thermalWidth } = req.body;
         
@@ -1,56 +1,74 @@
-// server/routes/products.js - Rutas completas sin stock
+// server/routes/products.js - Rutas completas de productos
 const express = require('express');
 const router = express.Router();
 const ProductController = require('../controllers/productController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 // Todas las rutas de productos requieren autenticación
 router.use(authenticateToken);
 
 // ============================
-// RUTAS DE LECTURA (todos los usuarios autenticados)
+// RUTAS DE LECTURA
 // ============================
 
 // Obtener todos los productos
 // GET /api/products
-router.get('/', ProductController.getAll);
+router.get('/', requirePermission('view_catalog'), ProductController.getAll);
 
 // Buscar productos por término
 // GET /api/products/search?q=hamburguesa
-router.get('/search', ProductController.search);
+router.get('/search', requirePermission('view_catalog'), ProductController.search);
 
 // Obtener productos por categoría
 // GET /api/products/category/1
-router.get('/category/:categoryId', ProductController.getByCategory);
+router.get('/category/:categoryId', requirePermission('view_catalog'), ProductController.getByCategory);
 
 // Obtener producto específico por ID
 // GET /api/products/5
-router.get('/:id', ProductController.getById);
+router.get('/:id', requirePermission('view_catalog'), ProductController.getById);
+
+// Obtener receta (insumos) del producto
+// GET /api/products/5/recipe
+router.get('/:id/recipe', requirePermission('view_catalog'), ProductController.getRecipe);
+
+// Obtener grupos de modificadores del producto
+// GET /api/products/5/modifiers
+router.get('/:id/modifiers', requirePermission('view_catalog'), ProductController.getModifiers);
 
 // ============================
-// RUTAS DE ESCRITURA (solo administradores)
+// RUTAS DE ESCRITURA
 // ============================
 
 // Crear nuevo producto
 // POST /api/products
-// Body: { name, description, price, category_id, image_url }
-router.post('/', requireAdmin, ProductController.create);
+// Body: { name, description, price, category_id, image_url, track_stock, stock, reorder_level }
+router.post('/', requirePermission('manage_products'), ProductController.create);
 
 // Actualizar producto existente
 // PUT /api/products/5
-// Body: { name, description, price, category_id, image_url }
-router.put('/:id', requireAdmin, ProductController.update);
+// Body: { name, description, price, category_id, image_url, track_stock, stock, reorder_level }
+router.put('/:id', requirePermission('manage_products'), ProductController.update);
 
 // Eliminar producto (soft delete)
 // DELETE /api/products/5
-router.delete('/:id', requireAdmin, ProductController.delete);
+router.delete('/:id', requirePermission('manage_products'), ProductController.delete);
+
+// Reemplazar receta del producto
+// PUT /api/products/5/recipe
+// Body: { items: [{ ingredient_id, quantity }] }
+router.put('/:id/recipe', requirePermission('manage_products'), ProductController.updateRecipe);
+
+// Asignar grupos de modificadores al producto
+// PUT /api/products/5/modifiers
+// Body: { group_ids: [1, 2] }
+router.put('/:id/modifiers', requirePermission('manage_products'), ProductController.updateModifiers);
 
 // ============================
 // RUTA DE AYUDA
 // ============================
 
 // Obtener información sobre las rutas disponibles
-router.get('/help', (req, res) => {
+router.get('/help', requirePermission('view_catalog'), (req, res) => {
     res.json({
         success: true,
         message: 'Rutas de productos disponibles',
@@ -60,25 +78,25 @@ router.get('/help', (req, res) => {
                     method: 'GET',
                     path: '/api/products',
                     description: 'Obtener todos los productos',
-                    auth: 'Usuario autenticado'
+                    auth: 'Permiso view_catalog'
                 },
                 {
                     method: 'GET',
                     path: '/api/products/search?q=término',
                     description: 'Buscar productos por nombre o descripción',
-                    auth: 'Usuario autenticado'
+                    auth: 'Permiso view_catalog'
                 },
                 {
                     method: 'GET',
                     path: '/api/products/category/:categoryId',
                     description: 'Obtener productos de una categoría específica',
-                    auth: 'Usuario autenticado'
+                    auth: 'Permiso view_catalog'
                 },
                 {
                     method: 'GET',
                     path: '/api/products/:id',
                     description: 'Obtener producto específico por ID',
-                    auth: 'Usuario autenticado'
+                    auth: 'Permiso view_catalog'
                 }
             ],
             write: [
@@ -86,7 +104,7 @@ router.get('/help', (req, res) => {
                     method: 'POST',
                     path: '/api/products',
                     description: 'Crear nuevo producto',
-                    auth: 'Solo administradores',
+                    auth: 'Permiso manage_products',
                     body: {
                         name: 'string (requerido)',
                         description: 'string (opcional)',
@@ -99,7 +117,7 @@ router.get('/help', (req, res) => {
                     method: 'PUT',
                     path: '/api/products/:id',
                     description: 'Actualizar producto existente',
-                    auth: 'Solo administradores',
+                    auth: 'Permiso manage_products',
                     body: {
                         name: 'string (requerido)',
                         description: 'string (opcional)',
@@ -112,7 +130,7 @@ router.get('/help', (req, res) => {
                     method: 'DELETE',
                     path: '/api/products/:id',
                     description: 'Eliminar producto (soft delete)',
-                    auth: 'Solo administradores'
+                    auth: 'Permiso manage_products'
                 }
             ]
         },
@@ -128,6 +146,9 @@ router.get('/help', (req, res) => {
                     description: 'Pizza con tomate, mozzarella y albahaca',
                     price: 35.50,
                     category_id: 1,
+                    track_stock: true,
+                    stock: 20,
+                    reorder_level: 5,
                     image_url: 'https://ejemplo.com/pizza.jpg'
                 }
             },
@@ -142,7 +163,7 @@ router.get('/help', (req, res) => {
             'Todos los precios deben ser números positivos',
             'Las categorías deben existir antes de crear productos',
             'Las imágenes son opcionales',
-            'El stock fue removido del sistema',
+            'El stock es opcional por producto (track_stock) y se lleva en el kardex: /api/inventory',
             'Los productos eliminados se marcan como inactivos (soft delete)'
         ]
     });
@@ -0,0 +1,46 @@
+// server/routes/promotions.js - Promociones y cupones
+const express = require('express');
+const router = express.Router();
+const PromotionController = require('../controllers/promotionController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas de promociones requieren autenticación
+router.use(authenticateToken);
+
+// Obtener cupones
+// GET /api/promotions/coupons
+router.get('/coupons', requirePermission('manage_promotions'), PromotionController.getCoupons);
+
+// Crear cupón
+// POST /api/promotions/coupons
+// Body: { code: 'VERANO10', discount_type: 'percentage' | 'fixed', value: 10, max_uses: 100, expires_on: '2025-12-31' }
+router.post('/coupons', requirePermission('manage_promotions'), PromotionController.createCoupon);
+
+// Desactivar cupón
+// DELETE /api/promotions/coupons/1
+router.delete('/coupons/:id', requirePermission('manage_promotions'), PromotionController.deleteCoupon);
+
+// Obtener promociones
+// GET /api/promotions
+router.get('/', requirePermission('view_catalog'), PromotionController.getAll);
+
+// Obtener promoción por ID
+// GET /api/promotions/1
+router.get('/:id', requirePermission('view_catalog'), PromotionController.getById);
+
+// Crear promoción
+// POST /api/promotions
+// Body 2x1: { name, type: 'buy_x_pay_y', product_id | category_id, buy_quantity: 2, pay_quantity: 1 }
+// Body combo: { name, type: 'combo', combo_price: 30, products: [{ product_id, quantity }] }
+// Body porcentaje: { name, type: 'percentage', category_id, percentage: 20, days_of_week: '1,2,3,4,5', start_time: '17:00', end_time: '19:00' }
+router.post('/', requirePermission('manage_promotions'), PromotionController.create);
+
+// Actualizar promoción
+// PUT /api/promotions/1
+router.put('/:id', requirePermission('manage_promotions'), PromotionController.update);
+
+// Eliminar promoción
+// DELETE /api/promotions/1
+router.delete('/:id', requirePermission('manage_promotions'), PromotionController.delete);
+
+module.exports = router;
\ No newline at end of file
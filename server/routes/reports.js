@@ -2,20 +2,24 @@
 const express = require('express');
 const router = express.Router();
 const ReportController = require('../controllers/reportController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 // Todas las rutas de reportes requieren autenticación
 router.use(authenticateToken);
 
-// Dashboard principal (todos los usuarios autenticados)
-router.get('/dashboard', ReportController.dashboard);
+// Dashboard principal
+router.get('/dashboard', requirePermission('view_reports'), ReportController.dashboard);
 
-// Reportes básicos (todos los usuarios autenticados)
-router.get('/daily', ReportController.dailyReport);
-router.get('/products', ReportController.productReport);
+// Reportes básicos
+router.get('/daily', requirePermission('view_reports'), ReportController.dailyReport);
+router.get('/products', requirePermission('view_reports'), ReportController.productReport);
+router.get('/ingredients', requirePermission('view_reports'), ReportController.ingredientUsageReport);
 
-// Reportes avanzados (solo administradores)
-router.get('/monthly', requireAdmin, ReportController.monthlyReport);
-router.get('/users', requireAdmin, ReportController.userReport);
+// Reportes avanzados
+router.get('/monthly', requirePermission('view_management_reports'), ReportController.monthlyReport);
+router.get('/users', requirePermission('view_management_reports'), ReportController.userReport);
+
+// Seguridad: intentos de login y bloqueos del periodo
+router.get('/security', requirePermission('manage_users'), ReportController.securityReport);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+// server/routes/roles.js - Roles y permisos
+const express = require('express');
+const router = express.Router();
+const RoleController = require('../controllers/roleController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+router.use(authenticateToken, requirePermission('manage_users'));
+
+// Listar roles y permisos disponibles
+// GET /api/roles
+router.get('/', RoleController.getAll);
+
+// Crear rol
+// POST /api/roles
+// Body: { name, description, permissions: ['create_sale', 'apply_discount'] }
+router.post('/', RoleController.create);
+
+// Actualizar rol (la lista de permisos se reemplaza completa)
+// PUT /api/roles/supervisor
+// Body: { description, permissions }
+router.put('/:name', RoleController.update);
+
+// Eliminar rol sin usuarios
+// DELETE /api/roles/supervisor
+router.delete('/:name', RoleController.delete);
+
+module.exports = router;
\ No newline at end of file
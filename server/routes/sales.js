@@ -2,30 +2,49 @@
 const express = require('express');
 const router = express.Router();
 const SaleController = require('../controllers/saleController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requirePermissionOrApproval } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 // Todas las rutas de ventas requieren autenticación
 router.use(authenticateToken);
 
-// Crear nueva venta (todos los usuarios autenticados)
-router.post('/', SaleController.create);
+// Crear nueva venta
+// Header opcional: Idempotency-Key (un reintento con la misma clave devuelve la misma venta)
+// Body: { order_type, items: [{ product_id, quantity, modifiers, discount, price_override }], discount, coupon_code,
+//         approval_tokens, payments, client_uuid }
+router.post('/', requirePermission('create_sale'), idempotency, SaleController.create);
+
+// Sincronizar venta cobrada sin conexión (idempotente por client_uuid; duplicada = 409)
+// Body: { client_uuid, client_created_at, ...mismo cuerpo que POST /api/sales }
+router.post('/sync', requirePermission('create_sale'), SaleController.sync);
+
+// Cotizar venta con promociones y descuentos, sin registrarla
+router.post('/quote', requirePermission('create_sale'), SaleController.quote);
 
 // Obtener resumen de ventas
-router.get('/summary', SaleController.getSummary);
+router.get('/summary', requirePermission('view_reports'), SaleController.getSummary);
 
 // Obtener ventas de hoy
-router.get('/today', SaleController.getTodaySales);
+router.get('/today', requirePermission('view_reports'), SaleController.getTodaySales);
 
 // Obtener ventas por rango de fechas
-router.get('/date-range', SaleController.getByDateRange);
+router.get('/date-range', requirePermission('view_reports'), SaleController.getByDateRange);
 
 // Obtener ventas por usuario
-router.get('/user/:userId', SaleController.getByUser);
+router.get('/user/:userId', requirePermission('create_sale'), SaleController.getByUser);
+
+// Obtener todas las ventas
+router.get('/', requirePermission('view_sales'), SaleController.getAll);
+
+// Anular venta (sin el permiso void_sale, con la autorización de un supervisor)
+// Body: { reason, approval_token }
+router.post('/:id/void', requirePermissionOrApproval('void_sale'), SaleController.voidSale);
 
-// Obtener todas las ventas (solo administradores)
-router.get('/', requireAdmin, SaleController.getAll);
+// Devolución parcial de items (sin el permiso refund_sale, con la autorización de un supervisor)
+// Body: { reason, items: [{ sale_detail_id, quantity }], method, approval_token }
+router.post('/:id/refund', requirePermissionOrApproval('refund_sale'), SaleController.refund);
 
 // Obtener venta específica por ID
-router.get('/:id', SaleController.getById);
+router.get('/:id', requirePermission('create_sale'), SaleController.getById);
 
 module.exports = router;
\ No newline at end of file
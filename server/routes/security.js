@@ -0,0 +1,21 @@
+// server/routes/security.js - Bloqueos de login e historial de intentos
+const express = require('express');
+const router = express.Router();
+const SecurityController = require('../controllers/securityController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+router.use(authenticateToken, requirePermission('manage_users'));
+
+// Bloqueos vigentes por usuario o por IP
+// GET /api/security/lockouts
+router.get('/lockouts', SecurityController.getLockouts);
+
+// Desbloquear
+// DELETE /api/security/lockouts/3
+router.delete('/lockouts/:id', SecurityController.unlock);
+
+// Historial de intentos de login
+// GET /api/security/login-attempts?username=cajero&ip_address=&success=false&startDate=2024-01-01&endDate=2024-01-31&limit=100
+router.get('/login-attempts', SecurityController.getLoginAttempts);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+// server/routes/sessions.js - Sesiones abiertas de los usuarios
+const express = require('express');
+const router = express.Router();
+const SessionController = require('../controllers/sessionController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+router.use(authenticateToken, requirePermission('manage_users'));
+
+// Listar sesiones abiertas
+// GET /api/sessions?user_id=2
+router.get('/', SessionController.getAll);
+
+// Cerrar todas las sesiones de un usuario
+// DELETE /api/sessions/user/2
+router.delete('/user/:userId', SessionController.revokeUser);
+
+// Cerrar una sesión
+// DELETE /api/sessions/15
+router.delete('/:id', SessionController.revoke);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,73 @@
+// server/routes/tabs.js - Mesas y cuentas abiertas
+const express = require('express');
+const router = express.Router();
+const TabController = require('../controllers/tabController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+// Todas las rutas de mesas requieren autenticación
+router.use(authenticateToken);
+
+// Mapa de mesas con sus cuentas abiertas
+// GET /api/tabs/tables
+router.get('/tables', requirePermission('manage_tabs'), TabController.getTables);
+
+// Registrar mesa
+// POST /api/tabs/tables
+// Body: { number: '5', seats: 4 }
+router.post('/tables', requirePermission('manage_tables'), TabController.createTable);
+
+// Eliminar mesa
+// DELETE /api/tabs/tables/1
+router.delete('/tables/:id', requirePermission('manage_tables'), TabController.deleteTable);
+
+// Cuentas abiertas
+// GET /api/tabs
+router.get('/', requirePermission('manage_tabs'), TabController.getAll);
+
+// Abrir cuenta en una mesa
+// POST /api/tabs
+// Body: { table_number, customer_nit, customer_name, observations, items: [{ product_id, quantity, modifiers }] }
+router.post('/', requirePermission('manage_tabs'), TabController.create);
+
+// Cuenta con items y pagos
+// GET /api/tabs/1
+router.get('/:id', requirePermission('manage_tabs'), TabController.getById);
+
+// Agregar items (se envían a cocina)
+// POST /api/tabs/1/items
+// Body: { items: [{ product_id, quantity, modifiers }] }
+router.post('/:id/items', requirePermission('manage_tabs'), TabController.addItems);
+
+// Quitar item
+// DELETE /api/tabs/1/items/3
+router.delete('/:id/items/:itemId', requirePermission('manage_tabs'), TabController.removeItem);
+
+// Mover cuenta a otra mesa
+// PATCH /api/tabs/1/table
+// Body: { table_number: '7' }
+router.patch('/:id/table', requirePermission('manage_tabs'), TabController.moveTable);
+
+// Unir esta cuenta a otra
+// POST /api/tabs/1/merge
+// Body: { target_tab_id: 2 }
+router.post('/:id/merge', requirePermission('manage_tabs'), TabController.merge);
+
+// Separar items en una cuenta nueva
+// POST /api/tabs/1/split
+// Body: { items: [{ item_id, quantity }], table_number }
+router.post('/:id/split', requirePermission('manage_tabs'), TabController.split);
+
+// Dividir el saldo en partes iguales
+// GET /api/tabs/1/split-equal?parts=3
+router.get('/:id/split-equal', requirePermission('manage_tabs'), TabController.splitEqual);
+
+// Registrar pago parcial o total (al completar el pago se genera la venta)
+// POST /api/tabs/1/payments
+// Body: { payments: [{ method, amount, reference }] } o { paid_amount, payment_type }
+router.post('/:id/payments', requirePermission('manage_tabs'), TabController.addPayment);
+
+// Anular cuenta sin pagos
+// DELETE /api/tabs/1
+router.delete('/:id', requirePermission('cancel_tab'), TabController.cancel);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,53 @@
+// server/routes/ticketTemplates.js - Plantillas de tickets y datos del negocio
+const express = require('express');
+const router = express.Router();
+const TicketTemplateController = require('../controllers/ticketTemplateController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+router.use(authenticateToken, requirePermission('manage_settings'));
+
+// Listar plantillas
+// GET /api/ticket-templates
+router.get('/', TicketTemplateController.getAll);
+
+// Datos del negocio
+// GET /api/ticket-templates/business
+router.get('/business', TicketTemplateController.getBusiness);
+
+// Actualizar datos del negocio
+// PUT /api/ticket-templates/business
+// Body: { name, address, city, phone, nit, footer, feedback_url }
+router.put('/business', TicketTemplateController.updateBusiness);
+
+// Descargar el logo
+// GET /api/ticket-templates/business/logo
+router.get('/business/logo', TicketTemplateController.getLogo);
+
+// Subir el logo
+// PUT /api/ticket-templates/business/logo
+// Body: { image: "data:image/png;base64,..." }
+router.put('/business/logo', TicketTemplateController.uploadLogo);
+
+// Quitar el logo
+// DELETE /api/ticket-templates/business/logo
+router.delete('/business/logo', TicketTemplateController.deleteLogo);
+
+// Plantilla de un tipo (sale, kitchen, daily_report, test)
+// GET /api/ticket-templates/sale
+router.get('/:type', TicketTemplateController.getByType);
+
+// Guardar plantilla
+// PUT /api/ticket-templates/sale
+// Body: { content, paper_width: '58mm' | '80mm' }
+router.put('/:type', TicketTemplateController.update);
+
+// Volver a la plantilla predeterminada
+// DELETE /api/ticket-templates/sale
+router.delete('/:type', TicketTemplateController.reset);
+
+// Vista previa con datos de ejemplo (sin guardar)
+// POST /api/ticket-templates/sale/preview
+// Body: { content?, paper_width? }
+router.post('/:type/preview', TicketTemplateController.renderPreview);
+
+module.exports = router;
\ No newline at end of file
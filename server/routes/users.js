@@ -0,0 +1,39 @@
+// server/routes/users.js - Administración de usuarios
+const express = require('express');
+const router = express.Router();
+const UserController = require('../controllers/userController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+router.use(authenticateToken, requirePermission('manage_users'));
+
+// Listar usuarios (activos e inactivos)
+// GET /api/users?active=true
+router.get('/', UserController.getAll);
+
+// Usuario con sus ventas y sesiones abiertas
+// GET /api/users/2
+router.get('/:id', UserController.getById);
+
+// Crear usuario
+// Body: { username, password, full_name, role, must_change_password }
+router.post('/', UserController.create);
+
+// Editar nombre y rol
+// Body: { full_name, role }
+router.put('/:id', UserController.update);
+
+// Desactivar (cierra sus sesiones) y reactivar
+// POST /api/users/2/deactivate
+router.post('/:id/deactivate', UserController.deactivate);
+// POST /api/users/2/activate
+router.post('/:id/activate', UserController.activate);
+
+// Obligar a cambiar la contraseña en el próximo login (password: temporal, opcional)
+// Body: { password }
+router.post('/:id/reset-password', UserController.resetPassword);
+
+// Eliminar (solo si no tiene ventas)
+// DELETE /api/users/2
+router.delete('/:id', UserController.delete);
+
+module.exports = router;
\ No newline at end of file
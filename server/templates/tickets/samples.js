@@ -0,0 +1,75 @@
+// server/templates/tickets/samples.js - Datos de ejemplo para previsualizar las plantillas
+module.exports = {
+    sale: {
+        id: 123,
+        invoice_number: 45,
+        invoice_authorization: '29040011007',
+        order_type: 'dine_in',
+        customer_name: 'María González',
+        customer_nit: '1234567',
+        total: 63.50,
+        discount_amount: 0,
+        tax_amount: 7.31,
+        taxable_base: 56.19,
+        change_amount: 6.50,
+        observations: 'Sin picante',
+        user_name: 'Cajero de ejemplo',
+        created_at: '2024-01-15 18:30:00',
+        details: [
+            {
+                product_name: 'Hamburguesa clásica',
+                quantity: 2,
+                unit_price: 25.00,
+                discount_amount: 5.00,
+                modifiers: [{ option_name: 'Extra queso', price_delta: 3.00 }],
+                discounts: [{ description: 'Promoción 2x1 en bebidas', amount: 5.00 }]
+            },
+            {
+                product_name: 'Coca Cola 500ml',
+                quantity: 1,
+                unit_price: 8.00,
+                modifiers: [],
+                discounts: []
+            }
+        ],
+        payments: [
+            { method: 'qr', tendered: 20.00 },
+            { method: 'cash', tendered: 50.00 }
+        ],
+        loyalty: { earned: 63, balance: 250 }
+    },
+
+    kitchen: {
+        id: 12,
+        sale_id: 123,
+        station_name: 'Cocina',
+        order_type: 'dine_in',
+        table_number: '5',
+        customer_name: 'María González',
+        observations: 'Sin picante',
+        user_name: 'Cajero de ejemplo',
+        items: [
+            { quantity: 2, product_name: 'Hamburguesa clásica', modifiers: 'Extra queso, Sin cebolla' },
+            { quantity: 1, product_name: 'Papas fritas', modifiers: null }
+        ]
+    },
+
+    daily_report: {
+        date: '2024-01-15',
+        total_sales: 42,
+        total_amount: 1875.50,
+        average_sale: 44.65,
+        total_refunded: 25.00,
+        payment_methods: {
+            cash: { label: 'Efectivo', sales_count: 30, total_amount: 1200.00 },
+            qr: { label: 'QR', sales_count: 12, total_amount: 675.50 }
+        },
+        top_products: [
+            { name: 'Hamburguesa clásica', quantity: 35 },
+            { name: 'Coca Cola 500ml', quantity: 28 }
+        ],
+        sales_by_user: {
+            'Cajero de ejemplo': { count: 42, amount: 1875.50 }
+        }
+    }
+};
\ No newline at end of file
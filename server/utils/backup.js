@@ -0,0 +1,256 @@
+// server/utils/backup.js - Respaldos de la base de datos: programados, retención, verificación y restauración
+// Cada copia database/backups/pos-AAAAMMDD-HHMMSSmmm-<motivo>.db tiene al lado un .sha256
+// (formato de sha256sum) con el que se comprueba que el archivo no cambió.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite3 = require('sqlite3');
+const database = require('../config/database');
+const config = require('../config/config');
+const logger = require('./logger');
+
+const FILE_PATTERN = /^pos-(\d{8})-(\d{6})(\d{3})-(auto|manual|pre-restore)\.db$/;
+
+let scheduleTimer = null;
+
+function backupDir() {
+    if (!fs.existsSync(config.BACKUP_DIR)) {
+        fs.mkdirSync(config.BACKUP_DIR, { recursive: true });
+    }
+    return config.BACKUP_DIR;
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+function buildFileName(reason, date = new Date()) {
+    const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}${pad(date.getMilliseconds(), 3)}`;
+    return `pos-${day}-${time}-${reason}.db`;
+}
+
+// Datos de una copia a partir de su nombre (null si no es un archivo de respaldo)
+function describe(file) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) return null;
+
+    const [, day, time, , reason] = match;
+    const fullPath = path.join(backupDir(), file);
+    if (!fs.existsSync(fullPath)) return null;
+
+    const stats = fs.statSync(fullPath);
+    return {
+        file,
+        reason,
+        size: stats.size,
+        created_at: `${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6)} ${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4)}`,
+        has_checksum: fs.existsSync(`${fullPath}.sha256`)
+    };
+}
+
+function hashFile(fullPath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(fullPath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Ruta de una copia existente; el nombre debe tener el formato de respaldo (evita rutas arbitrarias)
+function resolveBackup(file) {
+    if (!FILE_PATTERN.test(String(file))) return null;
+
+    const fullPath = path.join(backupDir(), file);
+    return fs.existsSync(fullPath) ? fullPath : null;
+}
+
+// Copias de la más nueva a la más antigua
+function listBackups() {
+    return fs.readdirSync(backupDir())
+        .map(describe)
+        .filter(Boolean)
+        .sort((a, b) => b.file.slice(4, 22).localeCompare(a.file.slice(4, 22)));
+}
+
+// PRAGMA integrity_check sobre un archivo, abierto aparte en solo lectura
+function checkIntegrity(fullPath) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(fullPath, sqlite3.OPEN_READONLY, (openErr) => {
+            if (openErr) return reject(openErr);
+
+            db.all('PRAGMA integrity_check', (err, rows) => {
+                db.get("SELECT COUNT(*) AS total FROM sqlite_master WHERE type = 'table' AND name = 'sales'", (tableErr, row) => {
+                    db.close(() => {
+                        if (err) return reject(err);
+                        if (tableErr) return reject(tableErr);
+
+                        const messages = rows.map(r => r.integrity_check);
+                        if (messages.length !== 1 || messages[0] !== 'ok') {
+                            return resolve({ ok: false, message: messages.slice(0, 5).join('; ') });
+                        }
+                        if (row.total === 0) {
+                            return resolve({ ok: false, message: 'El archivo no contiene la base de datos del POS' });
+                        }
+                        resolve({ ok: true, message: 'ok' });
+                    });
+                });
+            });
+        });
+    });
+}
+
+// Suma de verificación e integridad de una copia
+async function verifyBackup(file) {
+    const fullPath = resolveBackup(file);
+    if (!fullPath) {
+        return { valid: false, message: 'Respaldo no encontrado' };
+    }
+
+    const checksumPath = `${fullPath}.sha256`;
+    if (!fs.existsSync(checksumPath)) {
+        return { valid: false, message: 'El respaldo no tiene suma de verificación' };
+    }
+
+    const expected = fs.readFileSync(checksumPath, 'utf8').split(/\s+/)[0];
+    const actual = await hashFile(fullPath);
+    if (expected !== actual) {
+        return { valid: false, sha256: actual, message: 'La suma de verificación no coincide: el archivo fue modificado o está dañado' };
+    }
+
+    const integrity = await checkIntegrity(fullPath);
+    if (!integrity.ok) {
+        return { valid: false, sha256: actual, message: `Falló la verificación de integridad: ${integrity.message}` };
+    }
+
+    return { valid: true, sha256: actual, message: 'Respaldo verificado' };
+}
+
+// Borra las copias más antiguas que excedan el límite: BACKUP_RETENTION para las automáticas y manuales,
+// BACKUP_PRE_RESTORE_RETENTION para las pre-restore (una racha de restauraciones no se lleva las demás).
+// keep: copia que no se borra aunque exceda el límite (la que se está restaurando)
+function applyRetention({ keep = null } = {}) {
+    const backups = listBackups().filter(backup => backup.file !== keep);
+    const removed = [
+        ...backups.filter(backup => backup.reason !== 'pre-restore').slice(config.BACKUP_RETENTION),
+        ...backups.filter(backup => backup.reason === 'pre-restore').slice(config.BACKUP_PRE_RESTORE_RETENTION)
+    ];
+
+    removed.forEach(backup => {
+        const fullPath = path.join(backupDir(), backup.file);
+        fs.unlinkSync(fullPath);
+        if (fs.existsSync(`${fullPath}.sha256`)) fs.unlinkSync(`${fullPath}.sha256`);
+    });
+
+    if (removed.length > 0) {
+        logger.info(`🗑️ ${removed.length} respaldos antiguos eliminados (se conservan ${config.BACKUP_RETENTION} y ${config.BACKUP_PRE_RESTORE_RETENTION} pre-restore)`);
+    }
+
+    return removed.map(backup => backup.file);
+}
+
+// Copia en línea de la base, con su suma de verificación.
+// Se escribe primero con extensión .tmp para que una copia a medias nunca parezca válida.
+// keep: copia que la retención no debe borrar (ver applyRetention)
+async function createBackup(reason = 'manual', { keep = null } = {}) {
+    const file = buildFileName(reason);
+    const fullPath = path.join(backupDir(), file);
+    const tempPath = `${fullPath}.tmp`;
+
+    try {
+        await database.backupTo(tempPath);
+
+        const integrity = await checkIntegrity(tempPath);
+        if (!integrity.ok) {
+            throw new Error(`La copia no pasó la verificación de integridad: ${integrity.message}`);
+        }
+
+        const sha256 = await hashFile(tempPath);
+        fs.renameSync(tempPath, fullPath);
+        fs.writeFileSync(`${fullPath}.sha256`, `${sha256}  ${file}\n`);
+    } finally {
+        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    }
+
+    logger.info(`💾 Respaldo creado: ${file}`);
+    applyRetention({ keep });
+
+    return describe(file);
+}
+
+// Restaurar una copia: se verifica, se respalda el estado actual (pre-restore)
+// y recién entonces se reemplaza la base en uso
+async function restoreBackup(file) {
+    const verification = await verifyBackup(file);
+    if (!verification.valid) {
+        const error = new Error(verification.message);
+        error.code = 'BACKUP_INVALID';
+        throw error;
+    }
+
+    const fullPath = resolveBackup(file);
+
+    // Se restaura desde una copia temporal: la verificada no se toca
+    const stagingPath = path.join(backupDir(), `restore-${Date.now()}.tmp`);
+    fs.copyFileSync(fullPath, stagingPath);
+
+    try {
+        const integrity = await checkIntegrity(stagingPath);
+        if (!integrity.ok) {
+            const error = new Error(`Falló la verificación de integridad: ${integrity.message}`);
+            error.code = 'BACKUP_INVALID';
+            throw error;
+        }
+
+        const snapshot = await createBackup('pre-restore', { keep: file });
+        await database.restoreFrom(stagingPath);
+
+        logger.warn(`♻️ Base de datos restaurada desde ${file} (estado anterior en ${snapshot.file})`);
+
+        return { restored: file, snapshot: snapshot.file };
+    } finally {
+        if (fs.existsSync(stagingPath)) fs.unlinkSync(stagingPath);
+    }
+}
+
+// Respaldo automático cada BACKUP_INTERVAL_HOURS (0 = desactivado).
+// Al iniciar se respalda de inmediato si la última copia automática ya venció.
+function startSchedule() {
+    const intervalMs = config.BACKUP_INTERVAL_HOURS * 60 * 60 * 1000;
+    if (intervalMs <= 0 || scheduleTimer) return;
+
+    const runScheduled = () => createBackup('auto')
+        .catch(error => logger.error(`Error en respaldo automático: ${error}`));
+
+    const lastAuto = listBackups().find(backup => backup.reason === 'auto');
+    const lastTime = lastAuto ? new Date(lastAuto.created_at.replace(' ', 'T')).getTime() : 0;
+    if (Date.now() - lastTime >= intervalMs) {
+        runScheduled();
+    }
+
+    scheduleTimer = setInterval(runScheduled, intervalMs);
+    // El temporizador no impide que el proceso termine
+    scheduleTimer.unref();
+
+    logger.info(`💾 Respaldos automáticos cada ${config.BACKUP_INTERVAL_HOURS} h (se conservan ${config.BACKUP_RETENTION}) en ${config.BACKUP_DIR}`);
+}
+
+function stopSchedule() {
+    if (scheduleTimer) {
+        clearInterval(scheduleTimer);
+        scheduleTimer = null;
+    }
+}
+
+module.exports = {
+    createBackup,
+    listBackups,
+    verifyBackup,
+    restoreBackup,
+    resolveBackup,
+    applyRetention,
+    startSchedule,
+    stopSchedule
+};
\ No newline at end of file
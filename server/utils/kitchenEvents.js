@@ -0,0 +1,9 @@
+// server/utils/kitchenEvents.js - Bus de eventos de comandas para las pantallas de cocina (SSE)
+const { EventEmitter } = require('events');
+
+const kitchenEvents = new EventEmitter();
+
+// Cada pantalla conectada agrega su propio listener
+kitchenEvents.setMaxListeners(0);
+
+module.exports = kitchenEvents;
\ No newline at end of file
@@ -0,0 +1,156 @@
+// server/utils/loginGuard.js - Protección del login contra fuerza bruta
+// Los fallos se cuentan por usuario y por IP dentro de LOGIN_ATTEMPT_WINDOW_MINUTES; un login exitoso
+// reinicia la cuenta del usuario. Cada fallo seguido demora la respuesta el doble que el anterior
+// (desde LOGIN_DELAY_MS hasta MAX_DELAY_MS). Al llegar al límite el usuario o la IP quedan bloqueados
+// LOGIN_LOCKOUT_MINUTES; durante el bloqueo la contraseña no se comprueba.
+// El intento de login se reserva (queda como fallo pendiente) antes de comprobar la contraseña, así una
+// ráfaga de intentos simultáneos no pasa del límite mientras se comprueban.
+// Los PIN de las autorizaciones de supervisor siguen las mismas reglas con sus propios límites.
+const database = require('../config/database');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginLockout = require('../models/LoginLockout');
+const config = require('../config/config');
+const logger = require('./logger');
+
+const MAX_DELAY_MS = 8000;
+
+// Para los mensajes del log
+const SCOPE_LABELS = {
+    username: 'el usuario',
+    ip: 'la IP',
+    pin: 'el PIN de',
+    requester: 'las autorizaciones pedidas por'
+};
+
+// Bloqueo vigente del usuario o de la IP, o null
+async function findLockout(username, ipAddress) {
+    return (await LoginLockout.findActive('username', username))
+        || (ipAddress ? await LoginLockout.findActive('ip', ipAddress) : null);
+}
+
+// Intento rechazado sin comprobar la contraseña
+async function recordLocked({ username, ip_address, user_agent }) {
+    await LoginAttempt.create({ username, ip_address, user_agent, success: false, reason: 'locked' });
+}
+
+// Límites del login por usuario y por IP
+function passwordLimits({ username, ip_address }) {
+    return [
+        { scope: 'username', value: username, max: config.LOGIN_MAX_ATTEMPTS },
+        { scope: 'ip', value: ip_address, max: config.LOGIN_MAX_ATTEMPTS_PER_IP }
+    ];
+}
+
+// Bloquear cada alcance que haya llegado a su límite: se evalúan por separado. Devuelve { lockout, failures }
+// con el primer bloqueo y los fallos seguidos del primer alcance (el que define la demora).
+// reserved: la cuenta incluye un intento reservado que aún puede salir bien; se bloquea solo si lo supera
+async function applyLimits(limits, { reserved = false } = {}) {
+    let lockout = null;
+    let failures = null;
+    for (const { scope, value, max } of limits) {
+        if (!value) continue;
+
+        const count = await LoginAttempt.countRecentFailures(scope, value, config.LOGIN_ATTEMPT_WINDOW_MINUTES);
+        if (failures === null) failures = count;
+
+        if (reserved ? count > max : count >= max) {
+            // Otro intento simultáneo pudo bloquear el mismo alcance
+            let current = await LoginLockout.findActive(scope, value);
+            if (!current) {
+                current = await LoginLockout.create({
+                    scope,
+                    value,
+                    failed_attempts: count,
+                    minutes: config.LOGIN_LOCKOUT_MINUTES
+                });
+                logger.warn(`🔒 Bloqueado ${SCOPE_LABELS[scope]} ${value} tras ${count} intentos fallidos (hasta ${current.locked_until})`);
+            }
+            lockout = lockout || current;
+        }
+    }
+    return { lockout, failures: failures || 0 };
+}
+
+// Reservar el intento antes de comprobar la contraseña: en una sola transacción se revisa el bloqueo,
+// se registra el intento como fallo pendiente y se vuelven a contar los fallos con él incluido.
+// Devuelve { lockout } si no se debe comprobar la contraseña, o { attempt_id }
+async function reserveAttempt(attempt) {
+    await database.ensureConnected();
+
+    return database.transaction(async () => {
+        const current = await findLockout(attempt.username, attempt.ip_address);
+        if (current) {
+            await recordLocked(attempt);
+            return { lockout: current };
+        }
+
+        const attemptId = await LoginAttempt.create({ ...attempt, success: false, reason: 'pending' });
+
+        const { lockout } = await applyLimits(passwordLimits(attempt), { reserved: true });
+        if (lockout) {
+            await LoginAttempt.finish(attemptId, { success: false, reason: 'locked' });
+            return { lockout };
+        }
+        return { attempt_id: attemptId };
+    });
+}
+
+async function recordSuccess({ attempt_id, user_id }) {
+    await LoginAttempt.finish(attempt_id, { success: true, reason: 'success', user_id });
+}
+
+function delayFor(failures) {
+    return failures > 0 ? Math.min(config.LOGIN_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS) : 0;
+}
+
+// Registrar el fallo del intento reservado y bloquear el usuario y/o la IP si llegaron al límite: { lockout, delay }
+async function recordFailure({ attempt_id, username, user_id, ip_address, reason }) {
+    return database.transaction(async () => {
+        await LoginAttempt.finish(attempt_id, { success: false, reason, user_id });
+
+        const { lockout, failures } = await applyLimits(passwordLimits({ username, ip_address }));
+        return { lockout, delay: delayFor(failures) };
+    });
+}
+
+// PIN de supervisor: se bloquea el PIN del supervisor (username) y, aparte, al usuario que pide
+// la autorización (requested_by), que podría ir probando PIN de distintos supervisores
+async function findPinLockout(username, requestedBy) {
+    return (await LoginLockout.findActive('pin', username))
+        || await LoginLockout.findActive('requester', requestedBy);
+}
+
+async function recordPinLocked({ username, ip_address, user_agent, requested_by }) {
+    await LoginAttempt.create({ kind: 'pin', username, ip_address, user_agent, requested_by, success: false, reason: 'locked' });
+}
+
+async function recordPinSuccess({ username, user_id, ip_address, user_agent, requested_by }) {
+    await LoginAttempt.create({ kind: 'pin', username, user_id, ip_address, user_agent, requested_by, success: true, reason: 'success' });
+}
+
+// Registrar el PIN incorrecto y bloquear el PIN y/o al solicitante si llegaron al límite: { lockout, delay }
+async function recordPinFailure({ username, user_id, ip_address, user_agent, requested_by, reason }) {
+    await LoginAttempt.create({ kind: 'pin', username, user_id, ip_address, user_agent, requested_by, success: false, reason });
+
+    const { lockout, failures } = await applyLimits([
+        { scope: 'pin', value: username, max: config.PIN_MAX_ATTEMPTS },
+        { scope: 'requester', value: requested_by, max: config.PIN_MAX_ATTEMPTS_PER_REQUESTER }
+    ]);
+    return { lockout, delay: delayFor(failures) };
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    findLockout,
+    reserveAttempt,
+    recordSuccess,
+    recordFailure,
+    findPinLockout,
+    recordPinLocked,
+    recordPinSuccess,
+    recordPinFailure,
+    wait
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+// server/utils/passwordPolicy.js - Reglas para las contraseñas nuevas
+// Se configuran con PASSWORD_MIN_LENGTH y PASSWORD_REQUIRE_* (ver config.js). Se aplican al crear
+// usuarios y al cambiar o restablecer una contraseña; las contraseñas ya guardadas no se revisan.
+const config = require('../config/config');
+
+// bcrypt solo usa los primeros 72 bytes (en UTF-8 una letra con tilde ocupa 2)
+const MAX_BYTES = 72;
+
+function rules() {
+    return {
+        min_length: config.PASSWORD_MIN_LENGTH,
+        max_bytes: MAX_BYTES,
+        require_uppercase: config.PASSWORD_REQUIRE_UPPERCASE,
+        require_number: config.PASSWORD_REQUIRE_NUMBER,
+        require_symbol: config.PASSWORD_REQUIRE_SYMBOL
+    };
+}
+
+// Requisitos que la contraseña no cumple (lista vacía si es válida)
+function check(password, { username } = {}) {
+    const value = typeof password === 'string' ? password : '';
+    const policy = rules();
+    const missing = [];
+
+    if (value.length < policy.min_length) missing.push(`tener al menos ${policy.min_length} caracteres`);
+    if (Buffer.byteLength(value, 'utf8') > policy.max_bytes) {
+        missing.push(`ocupar como máximo ${policy.max_bytes} bytes (las letras con tilde y algunos símbolos ocupan más de uno)`);
+    }
+    if (policy.require_uppercase && !/[A-ZÁÉÍÓÚÑ]/.test(value)) missing.push('incluir una mayúscula');
+    if (policy.require_number && !/\d/.test(value)) missing.push('incluir un número');
+    if (policy.require_symbol && !/[^A-Za-z0-9ÁÉÍÓÚÑáéíóúñ]/.test(value)) missing.push('incluir un símbolo');
+    if (username && value.toLowerCase() === String(username).toLowerCase()) missing.push('ser distinta del usuario');
+
+    return missing;
+}
+
+// Mensaje de error para la respuesta, o null si la contraseña es válida
+function validate(password, options) {
+    const missing = check(password, options);
+    return missing.length > 0 ? `La contraseña debe ${missing.join(', ')}` : null;
+}
+
+module.exports = {
+    rules,
+    check,
+    validate
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+// server/utils/printQueue.js - Cola persistente de impresión (tabla print_jobs + proceso en segundo plano)
+// Los tickets se guardan ya armados y se envían a la impresora de a uno. Si un intento falla
+// el trabajo vuelve a la cola con espera creciente (10 s, 20 s, 40 s... hasta 5 min);
+// tras PRINT_MAX_ATTEMPTS intentos queda 'failed' y puede reintentarse a mano.
+const PrintJob = require('../models/PrintJob');
+const printer = require('./printer');
+const config = require('../config/config');
+const logger = require('./logger');
+
+const POLL_INTERVAL = 5000;
+const RETRY_BASE_SECONDS = 10;
+const RETRY_MAX_SECONDS = 300;
+// Tiempo que una solicitud espera el primer intento antes de responder
+const WAIT_TIMEOUT = 15000;
+
+let pollTimer = null;
+let running = false;
+let runAgain = false;
+// Solicitudes esperando el resultado del intento en curso de cada trabajo
+const waiters = new Map();
+
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+function notifyWaiters(jobId) {
+    const pending = waiters.get(jobId);
+    if (!pending) return;
+
+    waiters.delete(jobId);
+    pending.forEach(resolve => resolve());
+}
+
+// Un intento de impresión
+async function runJob(job) {
+    if (!await PrintJob.markPrinting(job.id)) return;
+
+    const attempts = job.attempts + 1;
+    try {
+        await printer.printTicket(job.content, `job_${job.id}`, job.printer_name || printer.printerName);
+        await PrintJob.markDone(job.id);
+        logger.info(`✅ Trabajo de impresión #${job.id} (${job.type}) impreso`);
+    } catch (error) {
+        if (attempts >= job.max_attempts) {
+            await PrintJob.markFailed(job.id, error.message);
+            logger.error(`❌ Trabajo de impresión #${job.id} (${job.type}) falló tras ${attempts} intentos: ${error.message}`);
+        } else {
+            const delay = retryDelay(attempts);
+            await PrintJob.reschedule(job.id, error.message, delay);
+            logger.warn(`🖨️ Trabajo de impresión #${job.id} (${job.type}) falló (intento ${attempts}/${job.max_attempts}), se reintenta en ${delay} s: ${error.message}`);
+        }
+    } finally {
+        notifyWaiters(job.id);
+    }
+}
+
+// Imprimir todo lo pendiente cuyo reintento ya venció, de a un trabajo
+async function processDue() {
+    if (running) {
+        runAgain = true;
+        return;
+    }
+    running = true;
+
+    try {
+        do {
+            runAgain = false;
+            let job;
+            while ((job = await PrintJob.findDue())) {
+                await runJob(job);
+            }
+        } while (runAgain);
+    } catch (error) {
+        logger.error(`Error procesando la cola de impresión: ${error}`);
+    } finally {
+        running = false;
+    }
+}
+
+function kick() {
+    setImmediate(processDue);
+}
+
+// Agregar un ticket a la cola: { type, content, reference_id, printer_name, is_copy, user_id }
+async function enqueue(jobData) {
+    const job = await PrintJob.create({ ...jobData, max_attempts: config.PRINT_MAX_ATTEMPTS });
+    logger.info(`🖨️ Trabajo de impresión #${job.id} (${job.type}) en cola`);
+    kick();
+    return job;
+}
+
+// Esperar el resultado del próximo intento del trabajo (como máximo WAIT_TIMEOUT)
+async function waitForAttempt(jobId, timeout = WAIT_TIMEOUT) {
+    await new Promise(resolve => {
+        const timer = setTimeout(resolve, timeout);
+        if (!waiters.has(jobId)) waiters.set(jobId, []);
+        waiters.get(jobId).push(() => {
+            clearTimeout(timer);
+            resolve();
+        });
+    });
+
+    return PrintJob.findById(jobId);
+}
+
+// Encolar y esperar el primer intento: la respuesta dice si ya salió el ticket
+async function enqueueAndWait(jobData) {
+    const job = await enqueue(jobData);
+    return waitForAttempt(job.id);
+}
+
+// Respuesta HTTP para un trabajo recién encolado o reintentado:
+// 200 si ya se imprimió; 202 si quedó en la cola (se reintentará) o falló.
+// extra: datos adicionales para la respuesta
+function sendJobResult(res, job, printedMessage, extra = {}) {
+    if (job.status === 'done') {
+        return res.json({ success: true, message: printedMessage, ...extra, job });
+    }
+
+    const message = job.status === 'failed'
+        ? `No se pudo imprimir: ${job.last_error}`
+        : `No se pudo imprimir todavía${job.last_error ? ` (${job.last_error})` : ''}. Se reintentará automáticamente`;
+
+    return res.status(202).json({ success: false, queued: job.status !== 'failed', message, ...extra, job });
+}
+
+// Proceso en segundo plano: revisa la cola cada POLL_INTERVAL
+async function start() {
+    if (pollTimer) return;
+
+    const interrupted = await PrintJob.resetInterrupted();
+    if (interrupted > 0) {
+        logger.warn(`🖨️ ${interrupted} trabajos de impresión interrumpidos vuelven a la cola`);
+    }
+
+    pollTimer = setInterval(processDue, POLL_INTERVAL);
+    // El temporizador no impide que el proceso termine
+    pollTimer.unref();
+    kick();
+
+    logger.info(`🖨️ Cola de impresión iniciada (hasta ${config.PRINT_MAX_ATTEMPTS} intentos por trabajo)`);
+}
+
+function stop() {
+    if (pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+module.exports = {
+    enqueue,
+    enqueueAndWait,
+    waitForAttempt,
+    sendJobResult,
+    processDue,
+    start,
+    stop
+};
\ No newline at end of file
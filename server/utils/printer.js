@@ -1,63 +1,42 @@
 // server/utils/printer.js - Versión que estaba bien, solo sin acentos
-const { exec } = require('child_process');
-const fs = require('fs');
-const path = require('path');
+// Arma los tickets desde las plantillas editables (ticketTemplate); el envío a la impresora
+// lo hace el controlador de printerDrivers
 const moment = require('moment');
+const config = require('../config/config');
+const TicketTemplate = require('../models/TicketTemplate');
+const BusinessSettings = require('../models/BusinessSettings');
+const { createDriver } = require('./printerDrivers');
+const { render, LOGO_MARKER } = require('./ticketTemplate');
 const logger = require('./logger');
 
 class POSPrinter {
     constructor() {
-        this.printerName = process.env.PRINTER_NAME || 'EPSON TM-T20III Receipt';
+        this.printerName = config.PRINTER_NAME;
         this.isConnected = false;
-        this.tempDir = path.join(__dirname, '../../temp');
-        // Ancho que funcionaba bien
-        this.thermalWidth = 36;
+        this.driver = createDriver(config.PRINTER_DRIVER);
+        // Ancho del papel de 80mm (reporte Z)
+        this.thermalWidth = this.driver.columns['80mm'];
         this.initPrinter();
     }
 
     async initPrinter() {
         try {
-            // Crear directorio temporal si no existe
-            if (!fs.existsSync(this.tempDir)) {
-                fs.mkdirSync(this.tempDir, { recursive: true });
-            }
-
-            // Verificar que la impresora esté instalada en Windows
-            const printers = this.getWindowsPrinters();
-            const found = printers.some(printer => 
-                printer.toLowerCase().includes('epson') || 
-                printer.toLowerCase().includes('tm-t20')
-            );
+            const status = await this.driver.status(this.printerName);
+            this.isConnected = status.connected;
 
-            if (found) {
-                this.isConnected = true;
-                logger.info('✅ Impresora EPSON detectada en Windows');
+            if (status.connected) {
+                logger.info(`✅ Impresora disponible (${this.driver.name})`);
                 logger.info(`📋 Usando: ${this.printerName}`);
             } else {
-                logger.info('⚠️ Impresora EPSON no encontrada en la lista de Windows');
-                this.isConnected = false;
+                logger.info(`⚠️ Impresora no disponible (${this.driver.name}): ${status.message}`);
             }
             
         } catch (error) {
-            logger.error('❌ Error verificando impresoras de Windows:', error.message);
+            logger.error('❌ Error verificando la impresora:', error.message);
             this.isConnected = false;
         }
     }
 
-    getWindowsPrinters() {
-        try {
-            const { execSync } = require('child_process');
-            const result = execSync('wmic printer get name', { encoding: 'utf8' });
-            return result.split('\n')
-                .map(line => line.trim())
-                .filter(line => line && line !== 'Name')
-                .filter(line => line.length > 0);
-        } catch (error) {
-            logger.warn('No se pueden obtener impresoras de Windows');
-            return [];
-        }
-    }
-
     // FUNCIÓN PARA QUITAR ACENTOS (SOLO ESTO ES NUEVO)
     removeAccents(text) {
         const accents = {
@@ -88,230 +67,233 @@ class POSPrinter {
         return ' '.repeat(spaces) + cleanText;
     }
 
-    // TICKET DE PRUEBA CON FORMATO QUE FUNCIONABA BIEN
-    createTestTicket() {
-        const now = new Date();
-        const ticketNumber = Math.floor(Math.random() * 999999).toString().padStart(6, '0');
-        const separator = '-'.repeat(this.thermalWidth);
-        
-        return `${this.centerText(`No ${ticketNumber}`)}
-${this.centerText('EN MESA')}
-FECHA: ${now.toLocaleDateString('es-ES')} ${now.toLocaleTimeString('es-ES')}
-SENOR(ES): SIN NOMBRE
-${separator}
-CANT  DESCRIPCION      P.U.  TOTAL
-${separator}
- 1 PIZZA MARGHERITA   25.00  25.00
- 2 COCA COLA 350ML     8.00  16.00
- 1 ENSALADA CAESAR    15.00  15.00
-${separator}
-${this.alignRight('TOTAL Bs: 56.00')}
-
-OBS.: TICKET DE PRUEBA
-
-CAJERO: ADMINISTRADOR
-GRACIAS POR SU PREFERENCIA...!!!`;
+    // Columnas de texto del papel con el controlador en uso
+    columnsFor(paperWidth) {
+        return this.driver.columns[paperWidth] || this.thermalWidth;
+    }
+
+    // Ticket desde la plantilla editable del tipo, con los datos del negocio.
+    // template: { content, paper_width } para previsualizar una plantilla sin guardarla
+    async renderTicket(type, context, template = null) {
+        const ticketTemplate = template || await TicketTemplate.findByType(type);
+        const business = await BusinessSettings.get();
+        const width = this.columnsFor(ticketTemplate.paper_width);
+
+        const content = render(ticketTemplate.content, {
+            ...context,
+            business,
+            paper_width: ticketTemplate.paper_width,
+            columns: width
+        }, { width, logo: business.has_logo });
+
+        return this.removeAccents(content);
+    }
+
+    // Datos del ticket de prueba
+    testTicketContext() {
+        const items = [
+            { quantity: 1, name: 'PIZZA MARGHERITA', price: 25 },
+            { quantity: 2, name: 'COCA COLA 350ML', price: 8 },
+            { quantity: 1, name: 'ENSALADA CAESAR', price: 15 }
+        ].map(item => ({ ...item, total: item.quantity * item.price }));
+
+        return {
+            date: moment().format('DD/MM/YYYY HH:mm:ss'),
+            items,
+            total: items.reduce((sum, item) => sum + item.total, 0),
+            printer: this.printerName,
+            driver: this.driver.name
+        };
+    }
+
+    // Datos del ticket de venta: totales calculados y etiquetas listas para la plantilla.
+    // copy: reimpresión marcada como COPIA, con la fecha original de la venta
+    saleTicketContext(saleData, { copy = false } = {}) {
+        const labels = { cash: 'EFECTIVO', qr: 'QR', card: 'TARJETA', points: 'PUNTOS' };
+
+        // Cada línea trae sus propias listas (si no, la plantilla vería las de la venta)
+        const details = (saleData.details || []).map(item => ({
+            ...item,
+            gross: parseFloat(item.unit_price) * item.quantity, // Antes de descuentos
+            modifiers: (item.modifiers || []).map(modifier => {
+                const delta = parseFloat(modifier.price_delta) || 0;
+                return { ...modifier, price_delta: delta, price_delta_label: `${delta > 0 ? '+' : ''}${delta.toFixed(2)}` };
+            }),
+            discounts: item.discounts || []
+        }));
+
+        // Subtotal, descuentos (de línea + del ticket) e impuesto
+        const totalDiscount = details.reduce((sum, item) => sum + parseFloat(item.discount_amount || 0), 0)
+            + parseFloat(saleData.discount_amount || 0);
+        const taxAmount = parseFloat(saleData.tax_amount || 0);
+        const taxIncluded = saleData.prices_include_tax === undefined || Boolean(saleData.prices_include_tax);
+        const saleDate = copy && saleData.created_at ? moment.utc(saleData.created_at).local() : moment();
+
+        return {
+            ...saleData,
+            copy,
+            date: saleDate.format('DD/MM/YYYY HH:mm:ss'),
+            invoice_date: saleDate.format('DD/MM/YYYY'),
+            reprinted_at: moment().format('DD/MM/YYYY HH:mm:ss'),
+            order_type_label: saleData.order_type === 'takeaway' ? 'PARA LLEVAR' : 'EN MESA',
+            customer_name: saleData.customer_name || 'SIN NOMBRE',
+            details,
+            subtotal: details.reduce((sum, item) => sum + item.gross, 0),
+            total_discount: totalDiscount,
+            show_subtotal: totalDiscount > 0 || (!taxIncluded && taxAmount > 0),
+            tax_added: !taxIncluded && taxAmount > 0,
+            tax_included: taxIncluded && taxAmount > 0,
+            // Formas de pago (solo el efectivo genera cambio)
+            payments: (saleData.payments || []).map(payment => ({
+                ...payment,
+                label: labels[payment.method] || payment.method.toUpperCase()
+            })),
+            change_amount: parseFloat(saleData.change_amount) || 0,
+            loyalty: saleData.loyalty && saleData.loyalty.earned > 0 ? saleData.loyalty : null,
+            cashier: saleData.user_name || 'SISTEMA'
+        };
+    }
+
+    // Datos de la comanda (sin precios)
+    kitchenTicketContext(order) {
+        return {
+            ...order,
+            // Las comandas de cuentas abiertas aún no tienen venta
+            ticket_label: order.sale_id
+                ? `No ${order.sale_id.toString().padStart(6, '0')}`
+                : `CUENTA ${order.tab_id}`,
+            order_type_label: order.order_type === 'takeaway'
+                ? 'PARA LLEVAR'
+                : `EN MESA${order.table_number ? ` ${order.table_number}` : ''}`,
+            date: moment().format('DD/MM/YYYY HH:mm:ss'),
+            items: (order.items || []).map(item => ({
+                ...item,
+                modifiers: item.modifiers ? item.modifiers.split(', ') : []
+            })),
+            cashier: order.user_name || 'SISTEMA'
+        };
+    }
+
+    // Datos del reporte del día: formas de pago y usuarios como listas
+    dailyReportContext(reportData) {
+        return {
+            ...reportData,
+            date: moment(reportData.date).format('DD/MM/YYYY'),
+            payment_methods: Object.values(reportData.payment_methods || {}),
+            top_products: reportData.top_products || [],
+            sales_by_user: Object.entries(reportData.sales_by_user || {})
+                .map(([name, data]) => ({ name, ...data })),
+            printed_at: moment().format('DD/MM/YYYY HH:mm:ss')
+        };
     }
 
-    // TICKET DE VENTA CON FORMATO QUE FUNCIONABA BIEN
-    createSaleTicket(saleData) {
-        const ticketNumber = saleData.id.toString().padStart(6, '0');
-        const orderType = saleData.order_type === 'takeaway' ? 'PARA LLEVAR' : 'EN MESA';
+    // TICKET DE PRUEBA
+    async createTestTicket() {
+        return this.renderTicket('test', this.testTicketContext());
+    }
+
+    // TICKET DE VENTA
+    async createSaleTicket(saleData, { copy = false } = {}) {
+        return this.renderTicket('sale', this.saleTicketContext(saleData, { copy }));
+    }
+
+    // COMANDA PARA LA ESTACION DE PREPARACION
+    async createKitchenTicket(order) {
+        return this.renderTicket('kitchen', this.kitchenTicketContext(order));
+    }
+
+    // REPORTE DEL DIA
+    async createDailyReport(reportData) {
+        return this.renderTicket('daily_report', this.dailyReportContext(reportData));
+    }
+
+    // REPORTE Z (CIERRE DE CAJA) CON EL MISMO FORMATO DE TICKET
+    createZReport(reportData) {
+        const { session, totals, movements, reconciliation } = reportData;
         const separator = '-'.repeat(this.thermalWidth);
-        
-        let content = `${this.centerText(`No ${ticketNumber}`)}
-${this.centerText(orderType)}
-FECHA: ${moment().format('DD/MM/YYYY HH:mm:ss')}`;
-
-        // Información del cliente SIN ACENTOS
-        if (saleData.customer_name && saleData.customer_name !== 'SIN NOMBRE') {
-            const cleanName = this.removeAccents(saleData.customer_name.toUpperCase());
-            content += `\nSENOR(ES): ${cleanName}`;
-        } else {
-            content += `\nSENOR(ES): SIN NOMBRE`;
-        }
+        const money = (value) => parseFloat(value || 0).toFixed(2);
+        const line = (label, value) => {
+            const cleanLabel = this.removeAccents(label);
+            const spaces = Math.max(1, this.thermalWidth - cleanLabel.length - value.length);
+            return cleanLabel + ' '.repeat(spaces) + value;
+        };
 
-        // Separador y cabecera SIN ACENTOS
-        content += `\n${separator}`;
-        content += `\nCANT  DESCRIPCION      P.U.  TOTAL`;
-        content += `\n${separator}`;
+        let content = `${this.centerText('REPORTE Z')}
+${this.centerText(`CAJA No ${session.id.toString().padStart(6, '0')}`)}
+CAJERO: ${this.removeAccents((session.user_name || 'SISTEMA').toUpperCase())}
+APERTURA: ${moment(session.opened_at).format('DD/MM/YYYY HH:mm')}
+CIERRE: ${moment(session.closed_at).format('DD/MM/YYYY HH:mm')}
+${separator}`;
+
+        content += `\n${line('MONTO INICIAL', money(totals.opening_amount))}`;
+        content += `\n${line(`VENTAS (${totals.sales_count})`, money(totals.sales_amount))}`;
+        if (totals.payment_methods) {
+            Object.values(totals.payment_methods).forEach(method => {
+                content += `\n${line(`  ${method.label.toUpperCase()}`, money(method.total_amount))}`;
+            });
+        }
+        if (totals.refunded_amount > 0) {
+            content += `\n${line('DEVOLUCIONES', `-${money(totals.refunded_amount)}`)}`;
+            content += `\n${line('  EN EFECTIVO', `-${money(totals.cash_refunds || 0)}`)}`;
+        }
+        content += `\n${line('INGRESOS', money(totals.cash_in))}`;
+        content += `\n${line('RETIROS', `-${money(totals.cash_out)}`)}`;
+        if (totals.voided_count > 0) {
+            content += `\n${line('VENTAS ANULADAS', totals.voided_count.toString())}`;
+        }
+        if (totals.cash_voids > 0) {
+            content += `\n${line('  EFECTIVO DEVUELTO', `-${money(totals.cash_voids)}`)}`;
+        }
 
-        // Productos con formato que funcionaba bien
-        if (saleData.details && saleData.details.length > 0) {
-            saleData.details.forEach(item => {
-                const qty = item.quantity;
-                const description = this.removeAccents(item.product_name.toUpperCase()); // QUITAR ACENTOS AQUÍ
-                const unitPrice = parseFloat(item.unit_price);
-                const total = parseFloat(item.subtotal);
-                
-                // Formato que funcionaba bien PERO sin acentos
-                const qtyStr = qty.toString().padStart(2);
-                const descStr = description.length > 15 ? 
-                    description.substring(0, 12) + '...' : 
-                    description.padEnd(15);
-                const priceStr = unitPrice.toFixed(2).padStart(6);
-                const totalStr = total.toFixed(2).padStart(6);
-                
-                content += `\n${qtyStr}    ${descStr} ${priceStr} ${totalStr}`;
+        if (movements && movements.length > 0) {
+            content += `\n${separator}`;
+            content += `\nMOVIMIENTOS DE CAJA`;
+            movements.forEach(movement => {
+                const sign = movement.type === 'in' ? '+' : '-';
+                const reason = this.removeAccents(movement.reason.toUpperCase());
+                const label = reason.length > 22 ? reason.substring(0, 19) + '...' : reason;
+                content += `\n${line(label, `${sign}${money(movement.amount)}`)}`;
             });
         }
 
         content += `\n${separator}`;
-        
-        // Total
-        const total = parseFloat(saleData.total || 0);
-        content += `\n${this.alignRight(`TOTAL Bs:${total.toFixed(2)}`,35)}`;
-        
-        // Observaciones SIN ACENTOS
-        if (saleData.observations) {
-            const cleanObs = this.removeAccents(saleData.observations.toUpperCase());
-            content += `\nOBS.: ${cleanObs}`;
-            content += `\n`;
+        content += `\n${line('ESPERADO Bs', money(reconciliation.expected_amount))}`;
+        content += `\n${line('CONTADO Bs', money(reconciliation.counted_amount))}`;
+        content += `\n${line('DIFERENCIA Bs', money(reconciliation.difference))}`;
+        content += `\n${separator}`;
+
+        if (session.closing_notes) {
+            content += `\nOBS.: ${this.removeAccents(session.closing_notes.toUpperCase())}`;
         }
 
-        // Información del cajero SIN ACENTOS
-        const cajero = saleData.user_name || 'SISTEMA';
-        const cleanCajero = this.removeAccents(cajero.toUpperCase());
-        content += `\nCAJERO: ${cleanCajero}`;
-        content += `\nGRACIAS POR SU PREFERENCIA...!!!`;
+        content += `\nCERRADO POR: ${this.removeAccents((session.closed_by_name || session.user_name || 'SISTEMA').toUpperCase())}`;
+        content += `\nIMPRESO: ${moment().format('DD/MM/YYYY HH:mm:ss')}`;
 
         return content;
     }
 
-    // PowerShell que funcionaba bien + encoding para acentos
-    async printTicket(content, filename = 'ticket') {
-        return new Promise((resolve, reject) => {
-            try {
-                const filePath = path.join(this.tempDir, `${filename}.txt`);
-                
-                // Guardar con encoding que funciona bien para impresoras térmicas
-                fs.writeFileSync(filePath, content, 'latin1');
-
-                logger.info(`🖨️ Enviando ticket a impresora: ${this.printerName}`);
-                
-                // Script PowerShell que funcionaba bien
-                const psScript = `
-Add-Type -AssemblyName System.Drawing
-Add-Type -AssemblyName System.Windows.Forms
-
-$content = Get-Content "${filePath}" -Raw
-
-# Configurar impresión para formato profesional
-$printDocument = New-Object System.Drawing.Printing.PrintDocument
-$printDocument.PrinterSettings.PrinterName = "${this.printerName}"
-
-# Márgenes que funcionaban bien
-$printDocument.DefaultPageSettings.Margins = New-Object System.Drawing.Printing.Margins(3, 3, 3, 3)
-
-# Configurar papel térmico
-$paperSizes = $printDocument.PrinterSettings.PaperSizes
-$thermalPaper = $null
-foreach ($size in $paperSizes) {
-    if ($size.PaperName -like "*80*" -or $size.PaperName -like "*Thermal*" -or $size.Width -eq 315) {
-        $thermalPaper = $size
-        break
-    }
-}
-
-if ($thermalPaper -ne $null) {
-    $printDocument.DefaultPageSettings.PaperSize = $thermalPaper
-} else {
-    $customPaper = New-Object System.Drawing.Printing.PaperSize("Thermal80mm", 315, 3150)
-    $printDocument.DefaultPageSettings.PaperSize = $customPaper
-}
+    // Enviar el ticket con el controlador configurado (PRINTER_DRIVER)
+    async printTicket(content, filename = 'ticket', printerName = this.printerName) {
+        logger.info(`🖨️ Enviando ticket a impresora: ${printerName} (${this.driver.name})`);
 
-$printDocument.add_PrintPage({
-    param($sender, $e)
-    
-    # Fuente que funcionaba bien
-    $font = New-Object System.Drawing.Font("Courier New", 8, [System.Drawing.FontStyle]::Bold)
-    $brush = New-Object System.Drawing.SolidBrush([System.Drawing.Color]::Black)
-    
-    # Posicionamiento que funcionaba bien
-    $x = 8   # Margen izquierdo
-    $y = 5   # Margen superior
-    $lineHeight = $font.GetHeight($e.Graphics) * 0.95
-    
-    $lines = $content -split "\\r?\\n"
-    foreach ($line in $lines) {
-        if ($line.Trim() -ne "") {
-            $e.Graphics.DrawString($line, $font, $brush, $x, $y)
-        }
-        $y += $lineHeight
-        
-        if ($y -gt $e.MarginBounds.Bottom) {
-            break
-        }
-    }
-    
-    $font.Dispose()
-    $brush.Dispose()
-})
-
-try {
-    $printDocument.Print()
-    Write-Host "✅ Ticket impreso correctamente sin acentos raros"
-} catch {
-    Write-Error "❌ Error en impresión: $_"
-    throw $_
-} finally {
-    $printDocument.Dispose()
-}
-`;
-                
-                const psFilePath = path.join(this.tempDir, `${filename}.ps1`);
-                fs.writeFileSync(psFilePath, psScript, 'utf8');
-                
-                const command = `powershell.exe -ExecutionPolicy Bypass -File "${psFilePath}"`;
-                
-                exec(command, { encoding: 'utf8' }, (error, stdout, stderr) => {
-                    // Limpiar archivos temporales
-                    try {
-                        fs.unlinkSync(filePath);
-                        fs.unlinkSync(psFilePath);
-                    } catch (e) {
-                        logger.warn('No se pudieron eliminar archivos temporales');
-                    }
-
-                    if (error) {
-                        logger.error('❌ Error con PowerShell:', error.message);
-                        reject(new Error(`Error en PowerShell: ${error.message}`));
-                        return;
-                    }
-
-                    logger.info('✅ Ticket impreso - formato que funcionaba bien pero sin acentos');
-                    resolve({
-                        success: true,
-                        message: 'Ticket impreso - versión buena sin acentos',
-                        method: 'PowerShell Good Version No Accents'
-                    });
-                });
-
-            } catch (error) {
-                reject(new Error(`Error preparando impresión: ${error.message}`));
-            }
-        });
+        const logo = content.includes(LOGO_MARKER) ? await BusinessSettings.getLogo() : null;
+        const result = await this.driver.print(content, { name: filename, printerName, logo });
+        this.isConnected = true;
+        return result;
     }
 
     // Métodos principales
     async checkPrinterStatus() {
         try {
-            const printers = this.getWindowsPrinters();
-            const epsonPrinters = printers.filter(p => 
-                p.toLowerCase().includes('epson') || 
-                p.toLowerCase().includes('tm-t20')
-            );
+            const status = await this.driver.status(this.printerName);
+            this.isConnected = status.connected;
 
             return {
-                connected: epsonPrinters.length > 0,
-                message: epsonPrinters.length > 0 ? 
-                    `✅ Impresora EPSON encontrada: ${epsonPrinters[0]}` : 
-                    '❌ Impresora EPSON no encontrada en Windows',
+                ...status,
                 model: 'EPSON TM-T20III Receipt',
-                interface: 'Windows PowerShell Good Version',
+                driver: this.driver.name,
+                interface: this.driver.interface,
                 thermal_width: this.thermalWidth,
-                available_printers: printers,
-                epson_printers: epsonPrinters,
                 using_printer: this.printerName
             };
             
@@ -324,12 +306,8 @@ try {
     }
 
     async printTestTicket() {
-        if (!this.isConnected) {
-            throw new Error('Impresora no encontrada en Windows. Verifica que esté instalada.');
-        }
-
         try {
-            const content = this.createTestTicket();
+            const content = await this.createTestTicket();
             const result = await this.printTicket(content, 'test_ticket');
             
             logger.info('✅ Ticket de prueba - versión buena enviado');
@@ -346,12 +324,8 @@ try {
     }
 
     async printSaleTicket(saleData) {
-        if (!this.isConnected) {
-            throw new Error('Impresora no encontrada en Windows.');
-        }
-
         try {
-            const content = this.createSaleTicket(saleData);
+            const content = await this.createSaleTicket(saleData);
             const result = await this.printTicket(content, `sale_${saleData.id}`);
             
             logger.info('✅ Ticket de venta - versión buena impreso');
@@ -366,11 +340,56 @@ try {
         }
     }
 
+    // Comanda a la impresora de la estación
+    async printKitchenTicket(order) {
+        try {
+            const content = await this.createKitchenTicket(order);
+            await this.printTicket(content, `kitchen_${order.id}`, order.printer_name || this.printerName);
+
+            logger.info(`✅ Comanda #${order.id} impresa en ${order.station_name}`);
+            return {
+                success: true,
+                message: 'Comanda impresa correctamente'
+            };
+
+        } catch (error) {
+            logger.error('❌ Error imprimiendo comanda:', error);
+            throw new Error(`Error en impresión: ${error.message}`);
+        }
+    }
+
     async printDailyReport(reportData) {
-        if (!this.isConnected) {
-            throw new Error('Impresora no conectada');
+        try {
+            const content = await this.createDailyReport(reportData);
+            await this.printTicket(content, `daily_${reportData.date}`);
+
+            logger.info(`✅ Reporte del día ${reportData.date} impreso`);
+            return {
+                success: true,
+                message: 'Reporte del día impreso correctamente'
+            };
+
+        } catch (error) {
+            logger.error('❌ Error imprimiendo reporte del día:', error);
+            throw new Error(`Error en impresión: ${error.message}`);
+        }
+    }
+
+    async printZReport(reportData) {
+        try {
+            const content = this.createZReport(reportData);
+            await this.printTicket(content, `zreport_${reportData.session.id}`);
+
+            logger.info(`✅ Reporte Z de caja #${reportData.session.id} impreso`);
+            return {
+                success: true,
+                message: 'Reporte Z impreso correctamente'
+            };
+
+        } catch (error) {
+            logger.error('❌ Error imprimiendo reporte Z:', error);
+            throw new Error(`Error en impresión: ${error.message}`);
         }
-        // Implementación del reporte diario...
     }
 
     async configurePrinter(config) {
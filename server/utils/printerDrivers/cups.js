@@ -0,0 +1,68 @@
+// server/utils/printerDrivers/cups.js - Impresora de CUPS en Linux/macOS (comandos lp y lpstat)
+// El ticket se envía como ESC/POS crudo (-o raw), igual que a una impresora de red.
+const { execFile } = require('child_process');
+const { encodeTicket } = require('./escpos');
+
+function run(command, args, input = null) {
+    return new Promise((resolve, reject) => {
+        const child = execFile(command, args, { encoding: 'utf8', timeout: 15000 }, (error, stdout, stderr) => {
+            if (error) {
+                return reject(new Error(stderr.trim() || error.message));
+            }
+            resolve(stdout);
+        });
+
+        if (input) child.stdin.end(input);
+    });
+}
+
+class CupsDriver {
+    constructor() {
+        this.name = 'cups';
+        this.interface = 'CUPS (lp)';
+        // Columnas por ancho de papel (fuente A)
+        this.columns = { '58mm': 32, '80mm': 48 };
+    }
+
+    // Impresoras de CUPS: { name, enabled }
+    async listPrinters() {
+        const output = await run('lpstat', ['-p']);
+
+        return output.split('\n')
+            .map(line => /^printer (\S+) (.*)$/.exec(line.trim()))
+            .filter(Boolean)
+            .map(([, name, state]) => ({ name, enabled: !state.includes('disabled') }));
+    }
+
+    async status(printerName) {
+        try {
+            const printers = await this.listPrinters();
+            const printer = printers.find(p => p.name === printerName);
+
+            return {
+                connected: Boolean(printer && printer.enabled),
+                message: !printer ? `❌ La impresora ${printerName} no existe en CUPS` :
+                    printer.enabled ? `✅ Impresora de CUPS disponible: ${printerName}` :
+                        `❌ La impresora ${printerName} está deshabilitada en CUPS`,
+                available_printers: printers.map(p => p.name)
+            };
+        } catch (error) {
+            return {
+                connected: false,
+                message: `Error consultando CUPS: ${error.message}`
+            };
+        }
+    }
+
+    async print(content, { name = 'ticket', printerName, logo = null }) {
+        const output = await run('lp', ['-d', printerName, '-t', name, '-o', 'raw'], encodeTicket(content, logo));
+
+        return {
+            success: true,
+            message: output.trim() || `Ticket enviado a ${printerName}`,
+            driver: this.name
+        };
+    }
+}
+
+module.exports = CupsDriver;
\ No newline at end of file
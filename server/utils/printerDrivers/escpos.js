@@ -0,0 +1,73 @@
+// server/utils/printerDrivers/escpos.js - Ticket de texto a bytes ESC/POS
+// Inicializa la impresora, selecciona la tabla de caracteres Windows-1252 (acentos y Ñ),
+// avanza el papel y corta. Lo usan los controladores que envían datos crudos (TCP y CUPS).
+// La línea del logo (LOGO_MARKER) se imprime como imagen centrada, o se omite si no hay logo.
+// Los códigos QR y de barras usan los comandos propios de la impresora.
+const { LOGO_MARKER, parseCode } = require('../ticketTemplate');
+const { decodePng, toRaster } = require('./logo');
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const INIT = Buffer.from([ESC, 0x40]);
+const CODE_PAGE_1252 = Buffer.from([ESC, 0x74, 16]);
+const ALIGN_CENTER = Buffer.from([ESC, 0x61, 1]);
+const ALIGN_LEFT = Buffer.from([ESC, 0x61, 0]);
+const FEED_LINES = Buffer.from([ESC, 0x64, 4]);
+const PARTIAL_CUT = Buffer.from([GS, 0x56, 66, 0]);
+const LINE_FEED = Buffer.from([0x0a]);
+
+// Función de QR (GS ( k): parámetros + datos
+function qrCommand(fn, data) {
+    const length = data.length + 2;
+    return Buffer.concat([Buffer.from([GS, 0x28, 0x6b, length & 0xff, length >> 8, 49, fn]), data]);
+}
+
+// QR modelo 2, módulo de 6 puntos, corrección de errores M
+function qrCode(data) {
+    return Buffer.concat([
+        qrCommand(65, Buffer.from([50, 0])),
+        qrCommand(67, Buffer.from([6])),
+        qrCommand(69, Buffer.from([49])),
+        qrCommand(80, Buffer.concat([Buffer.from([48]), Buffer.from(data, 'latin1')])),
+        qrCommand(81, Buffer.from([48])),
+        LINE_FEED
+    ]);
+}
+
+// CODE128 (juego B) de 80 puntos de alto con el texto debajo; "{" se escribe "{{"
+function barcode(data) {
+    const bytes = Buffer.from(`{B${data.replace(/\{/g, '{{')}`, 'ascii');
+    return Buffer.concat([
+        Buffer.from([GS, 0x68, 80]),
+        Buffer.from([GS, 0x77, 2]),
+        Buffer.from([GS, 0x48, 2]),
+        Buffer.from([GS, 0x6b, 73, bytes.length]),
+        bytes,
+        LINE_FEED
+    ]);
+}
+
+function encodeTicket(content, logo = null) {
+    const raster = logo ? toRaster(decodePng(logo.data)) : null;
+    const parts = [INIT, CODE_PAGE_1252];
+
+    content.replace(/\r?\n/g, '\n').split('\n').forEach(line => {
+        if (line === LOGO_MARKER) {
+            if (raster) parts.push(ALIGN_CENTER, raster, ALIGN_LEFT);
+            return;
+        }
+
+        const code = parseCode(line);
+        if (code) {
+            parts.push(ALIGN_CENTER, code.type === 'qr' ? qrCode(code.data) : barcode(code.data), ALIGN_LEFT);
+            return;
+        }
+        parts.push(Buffer.from(`${line}\n`, 'latin1'));
+    });
+
+    parts.push(FEED_LINES, PARTIAL_CUT);
+    return Buffer.concat(parts);
+}
+
+module.exports = { encodeTicket };
\ No newline at end of file
@@ -0,0 +1,92 @@
+// server/utils/printerDrivers/escposTcp.js - Impresora de red ESC/POS (puerto 9100, "raw")
+// El nombre de impresora puede ser una dirección, con o sin puerto (estaciones con su propia
+// impresora); cualquier otro nombre usa PRINTER_HOST:PRINTER_PORT.
+const net = require('net');
+const { encodeTicket } = require('./escpos');
+
+const TIMEOUT = 10000;
+// "impresora-bar:9100", "192.168.1.50" o "bar.local"
+const HOST_PORT_PATTERN = /^([\w.-]+):(\d+)$/;
+const HOST_PATTERN = /^[\w-]+(\.[\w-]+)+$/;
+
+class EscposTcpDriver {
+    constructor({ host, port }) {
+        this.name = 'escpos-tcp';
+        this.interface = 'ESC/POS TCP';
+        // Columnas por ancho de papel (fuente A)
+        this.columns = { '58mm': 32, '80mm': 48 };
+        this.host = host;
+        this.port = port;
+    }
+
+    // Dirección de la impresora para el nombre dado
+    target(printerName) {
+        const name = (printerName || '').trim();
+
+        const match = HOST_PORT_PATTERN.exec(name);
+        if (match) return { host: match[1], port: parseInt(match[2]) };
+        if (HOST_PATTERN.test(name)) return { host: name, port: this.port };
+
+        return { host: this.host, port: this.port };
+    }
+
+    // Abrir la conexión, enviar los datos (si hay) y cerrarla
+    send(target, data = null) {
+        return new Promise((resolve, reject) => {
+            if (!target.host) {
+                return reject(new Error('PRINTER_HOST no está configurado'));
+            }
+
+            const socket = net.createConnection(target);
+            socket.setTimeout(TIMEOUT);
+
+            socket.on('connect', () => {
+                if (data) socket.write(data);
+                socket.end();
+            });
+            socket.on('timeout', () => {
+                socket.destroy(new Error(`Sin respuesta de la impresora ${target.host}:${target.port}`));
+            });
+            socket.on('error', reject);
+            socket.on('close', hadError => {
+                if (!hadError) resolve();
+            });
+        });
+    }
+
+    async status(printerName) {
+        const target = this.target(printerName);
+        if (!target.host) {
+            return {
+                connected: false,
+                message: '❌ PRINTER_HOST no está configurado'
+            };
+        }
+
+        try {
+            await this.send(target);
+            return {
+                connected: true,
+                message: `✅ Impresora de red disponible en ${target.host}:${target.port}`
+            };
+        } catch (error) {
+            return {
+                connected: false,
+                message: `❌ No se pudo conectar a ${target.host}:${target.port}: ${error.message}`
+            };
+        }
+    }
+
+    async print(content, { printerName, logo = null }) {
+        const target = this.target(printerName);
+        await this.send(target, encodeTicket(content, logo));
+
+        return {
+            success: true,
+            message: `Ticket enviado a ${target.host}:${target.port}`,
+            driver: this.name
+        };
+    }
+}
+
+module.exports = EscposTcpDriver;
\ No newline at end of file
@@ -0,0 +1,55 @@
+// server/utils/printerDrivers/file.js - Impresora virtual: guarda cada ticket como archivo de texto
+// Para pruebas y equipos sin impresora. Los tickets quedan en PRINTER_FILE_DIR
+// como AAAAMMDD-HHMMSSmmm-<impresora>-<trabajo>.txt
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+
+class FileDriver {
+    constructor({ dir }) {
+        this.name = 'file';
+        this.interface = 'Archivo';
+        this.columns = { '58mm': 32, '80mm': 48 };
+        this.dir = dir;
+    }
+
+    ensureDir() {
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    async status() {
+        try {
+            this.ensureDir();
+            fs.accessSync(this.dir, fs.constants.W_OK);
+            return {
+                connected: true,
+                message: `✅ Tickets guardados en ${this.dir}`
+            };
+        } catch (error) {
+            return {
+                connected: false,
+                message: `❌ No se puede escribir en ${this.dir}: ${error.message}`
+            };
+        }
+    }
+
+    async print(content, { name = 'ticket', printerName }) {
+        this.ensureDir();
+
+        const safe = text => String(text || 'impresora').replace(/[^\w.-]+/g, '_');
+        const file = `${moment().format('YYYYMMDD-HHmmssSSS')}-${safe(printerName)}-${safe(name)}.txt`;
+        const fullPath = path.join(this.dir, file);
+        fs.writeFileSync(fullPath, `${content}\n`, 'utf8');
+
+        return {
+            success: true,
+            message: `Ticket guardado en ${file}`,
+            driver: this.name,
+            file: fullPath
+        };
+    }
+}
+
+module.exports = FileDriver;
\ No newline at end of file
@@ -0,0 +1,33 @@
+// server/utils/printerDrivers/index.js - Controladores de impresora
+// Todos exponen la misma interfaz:
+//   columns -> { '58mm': n, '80mm': n } columnas de texto por ancho de papel
+//   status(printerName) -> { connected, message, available_printers? }
+//   print(content, { name, printerName, logo }) -> { success, message, driver }
+//     logo: { data, mime } para la línea LOGO_MARKER del ticket (o null)
+// PRINTER_DRIVER elige cuál usa el servidor.
+const path = require('path');
+const config = require('../../config/config');
+const WindowsDriver = require('./windows');
+const EscposTcpDriver = require('./escposTcp');
+const CupsDriver = require('./cups');
+const FileDriver = require('./file');
+
+const DRIVERS = {
+    windows: () => new WindowsDriver({ tempDir: path.join(__dirname, '../../../temp') }),
+    'escpos-tcp': () => new EscposTcpDriver({ host: config.PRINTER_HOST, port: config.PRINTER_PORT }),
+    cups: () => new CupsDriver(),
+    file: () => new FileDriver({ dir: config.PRINTER_FILE_DIR })
+};
+
+function createDriver(name = config.PRINTER_DRIVER) {
+    const factory = DRIVERS[name];
+    if (!factory) {
+        throw new Error(`Controlador de impresora desconocido: ${name}. Use: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    createDriver,
+    DRIVER_NAMES: Object.keys(DRIVERS)
+};
\ No newline at end of file
@@ -0,0 +1,179 @@
+// server/utils/printerDrivers/logo.js - Logo PNG a imagen de puntos (raster) para ESC/POS
+// Se decodifica el PNG (escala de grises, RGB, paleta, con o sin transparencia; hasta 8 bits),
+// se compone sobre fondo blanco y cada píxel oscuro se imprime como un punto.
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Ancho imprimible del papel de 58mm (en 80mm el logo queda centrado)
+const MAX_DOTS = 384;
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function logoError(message) {
+    const error = new Error(message);
+    error.code = 'LOGO_INVALID';
+    return error;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// Quitar el filtro de cada fila (PNG usa un filtro por fila)
+function unfilter(raw, height, stride, bytesPerPixel) {
+    const rows = [];
+    let previous = Buffer.alloc(stride);
+
+    for (let y = 0; y < height; y++) {
+        const start = y * (stride + 1);
+        const filter = raw[start];
+        const row = Buffer.from(raw.subarray(start + 1, start + 1 + stride));
+
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+            const up = previous[i];
+            const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+
+            switch (filter) {
+            case 0: break;
+            case 1: row[i] = (row[i] + left) & 0xff; break;
+            case 2: row[i] = (row[i] + up) & 0xff; break;
+            case 3: row[i] = (row[i] + ((left + up) >> 1)) & 0xff; break;
+            case 4: row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff; break;
+            default: throw logoError('El PNG está dañado (filtro desconocido)');
+            }
+        }
+
+        rows.push(row);
+        previous = row;
+    }
+
+    return rows;
+}
+
+// { width, height, luminance } con un valor 0-255 por píxel, ya sobre fondo blanco
+function decodePng(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw logoError('El logo debe ser una imagen PNG');
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const data = [];
+
+    for (let offset = 8; offset + 8 <= buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            transparency = chunk;
+        } else if (type === 'IDAT') {
+            data.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || data.length === 0) throw logoError('El PNG está dañado');
+
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = CHANNELS[colorType];
+    if (!channels || bitDepth > 8 || (bitDepth < 8 && colorType !== 0 && colorType !== 3)) {
+        throw logoError('Formato de PNG no soportado (use PNG de 8 bits)');
+    }
+    if (interlace) throw logoError('PNG entrelazado no soportado');
+    if (colorType === 3 && !palette) throw logoError('El PNG está dañado (falta la paleta)');
+
+    let raw;
+    try {
+        raw = zlib.inflateSync(Buffer.concat(data));
+    } catch (error) {
+        throw logoError('El PNG está dañado');
+    }
+
+    const bitsPerPixel = channels * bitDepth;
+    const stride = Math.ceil(width * bitsPerPixel / 8);
+    if (raw.length < height * (stride + 1)) throw logoError('El PNG está dañado');
+
+    const rows = unfilter(raw, height, stride, Math.max(1, bitsPerPixel / 8));
+    const maxSample = (1 << bitDepth) - 1;
+    const luminance = Buffer.alloc(width * height);
+
+    rows.forEach((row, y) => {
+        for (let x = 0; x < width; x++) {
+            let r, g, b, alpha = 255;
+
+            if (bitDepth < 8) {
+                const bit = x * bitDepth;
+                const sample = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+                if (colorType === 3) {
+                    [r, g, b] = palette.subarray(sample * 3, sample * 3 + 3);
+                    if (transparency && sample < transparency.length) alpha = transparency[sample];
+                } else {
+                    r = g = b = Math.round(sample * 255 / maxSample);
+                }
+            } else {
+                const i = x * channels;
+                switch (colorType) {
+                case 0: r = g = b = row[i]; break;
+                case 2: [r, g, b] = [row[i], row[i + 1], row[i + 2]]; break;
+                case 3:
+                    [r, g, b] = palette.subarray(row[i] * 3, row[i] * 3 + 3);
+                    if (transparency && row[i] < transparency.length) alpha = transparency[row[i]];
+                    break;
+                case 4: r = g = b = row[i]; alpha = row[i + 1]; break;
+                case 6: [r, g, b, alpha] = [row[i], row[i + 1], row[i + 2], row[i + 3]]; break;
+                }
+            }
+
+            const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+            luminance[y * width + x] = Math.round((gray * alpha + 255 * (255 - alpha)) / 255);
+        }
+    });
+
+    return { width, height, luminance };
+}
+
+// Comando GS v 0 (imagen de puntos), reducida a maxDots de ancho
+function toRaster(image, maxDots = MAX_DOTS) {
+    const scale = Math.min(1, maxDots / image.width);
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const widthBytes = Math.ceil(width / 8);
+    const dots = Buffer.alloc(widthBytes * height);
+
+    for (let y = 0; y < height; y++) {
+        const sourceY = Math.min(image.height - 1, Math.floor(y / scale));
+        for (let x = 0; x < width; x++) {
+            const sourceX = Math.min(image.width - 1, Math.floor(x / scale));
+            if (image.luminance[sourceY * image.width + sourceX] < 128) {
+                dots[y * widthBytes + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+    }
+
+    const header = Buffer.from([0x1d, 0x76, 0x30, 0, widthBytes & 0xff, widthBytes >> 8, height & 0xff, height >> 8]);
+    return Buffer.concat([header, dots]);
+}
+
+module.exports = {
+    decodePng,
+    toRaster
+};
\ No newline at end of file
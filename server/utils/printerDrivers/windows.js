@@ -0,0 +1,247 @@
+// server/utils/printerDrivers/windows.js - Cola de impresión de Windows (PowerShell + System.Drawing)
+// El ticket se dibuja como texto en la impresora instalada en Windows con ese nombre.
+// El logo y los códigos QR y de barras se dibujan como imágenes PNG.
+const { execFile, execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const bwipjs = require('bwip-js');
+const { LOGO_MARKER, parseCode } = require('../ticketTemplate');
+const logger = require('../logger');
+
+// Tiempo máximo de PowerShell por ticket (arranca lento: carga System.Drawing) y de la consulta de impresoras.
+// Vencido, se termina el proceso y el trabajo vuelve a la cola de impresión
+const PRINT_TIMEOUT = 30000;
+const LIST_TIMEOUT = 15000;
+
+// Línea del ticket que PowerShell reemplaza por la imagen con ese número ("[IMAGE]0")
+const IMAGE_MARKER = '[IMAGE]';
+
+// Código QR o de barras como PNG
+function codeImage({ type, data }) {
+    if (type === 'qr') {
+        return bwipjs.toBuffer({ bcid: 'qrcode', text: data, scale: 3, eclevel: 'M' });
+    }
+    return bwipjs.toBuffer({ bcid: 'code128', text: data, scale: 2, height: 10, includetext: true, textxalign: 'center' });
+}
+
+// Reemplaza el logo y los códigos por líneas IMAGE_MARKER; sin logo, su línea se omite
+async function withImages(content, logo) {
+    const images = [];
+    const lines = [];
+
+    for (const line of content.split(/\r?\n/)) {
+        const code = parseCode(line);
+        if (line === LOGO_MARKER) {
+            if (!logo) continue;
+            images.push(logo.data);
+        } else if (code) {
+            images.push(await codeImage(code));
+        } else {
+            lines.push(line);
+            continue;
+        }
+        lines.push(`${IMAGE_MARKER}${images.length - 1}`);
+    }
+
+    return { content: lines.join('\n'), images };
+}
+
+class WindowsDriver {
+    constructor({ tempDir }) {
+        this.name = 'windows';
+        this.interface = 'Windows PowerShell Good Version';
+        // Columnas por ancho de papel con Courier New 8 (36 es el ancho que funcionaba bien en 80mm)
+        this.columns = { '58mm': 26, '80mm': 36 };
+        this.tempDir = tempDir;
+    }
+
+    listPrinters() {
+        try {
+            const result = execSync('wmic printer get name', { encoding: 'utf8', timeout: LIST_TIMEOUT, killSignal: 'SIGKILL' });
+            return result.split('\n')
+                .map(line => line.trim())
+                .filter(line => line && line !== 'Name')
+                .filter(line => line.length > 0);
+        } catch (error) {
+            logger.warn('No se pueden obtener impresoras de Windows');
+            return [];
+        }
+    }
+
+    // La impresora configurada (o una EPSON) debe estar instalada en Windows
+    async status(printerName) {
+        const printers = this.listPrinters();
+        const found = printers.filter(printer =>
+            printer.toLowerCase() === printerName.toLowerCase() ||
+            printer.toLowerCase().includes('epson') ||
+            printer.toLowerCase().includes('tm-t20')
+        );
+
+        return {
+            connected: found.length > 0,
+            message: found.length > 0 ?
+                `✅ Impresora encontrada en Windows: ${found[0]}` :
+                '❌ Impresora no encontrada en Windows',
+            available_printers: printers
+        };
+    }
+
+    // PowerShell que funcionaba bien + encoding para acentos
+    async print(ticket, { name = 'ticket', printerName, logo = null }) {
+        const { content, images } = await withImages(ticket, logo);
+
+        return new Promise((resolve, reject) => {
+            try {
+                // Crear directorio temporal si no existe
+                if (!fs.existsSync(this.tempDir)) {
+                    fs.mkdirSync(this.tempDir, { recursive: true });
+                }
+
+                const filePath = path.join(this.tempDir, `${name}.txt`);
+                const imagePaths = images.map((image, index) => {
+                    const imagePath = path.join(this.tempDir, `${name}_image${index}.png`);
+                    fs.writeFileSync(imagePath, image);
+                    return imagePath;
+                });
+                
+                // Guardar con encoding que funciona bien para impresoras térmicas
+                fs.writeFileSync(filePath, content, 'latin1');
+
+                logger.info(`🖨️ Enviando ticket a impresora: ${printerName}`);
+                
+                // Script PowerShell que funcionaba bien. La impresora y los archivos llegan como
+                // parámetros: nada configurable se escribe dentro del script
+                const psScript = `
+param(
+    [string]$PrinterName,
+    [string]$ContentPath,
+    [string]$ImageList = ""
+)
+
+Add-Type -AssemblyName System.Drawing
+Add-Type -AssemblyName System.Windows.Forms
+
+$content = Get-Content -LiteralPath $ContentPath -Raw
+$images = @($ImageList -split '\\|' | Where-Object { $_ })
+
+# Configurar impresión para formato profesional
+$printDocument = New-Object System.Drawing.Printing.PrintDocument
+$printDocument.PrinterSettings.PrinterName = $PrinterName
+
+# Márgenes que funcionaban bien
+$printDocument.DefaultPageSettings.Margins = New-Object System.Drawing.Printing.Margins(3, 3, 3, 3)
+
+# Configurar papel térmico
+$paperSizes = $printDocument.PrinterSettings.PaperSizes
+$thermalPaper = $null
+foreach ($size in $paperSizes) {
+    if ($size.PaperName -like "*80*" -or $size.PaperName -like "*Thermal*" -or $size.Width -eq 315) {
+        $thermalPaper = $size
+        break
+    }
+}
+
+if ($thermalPaper -ne $null) {
+    $printDocument.DefaultPageSettings.PaperSize = $thermalPaper
+} else {
+    $customPaper = New-Object System.Drawing.Printing.PaperSize("Thermal80mm", 315, 3150)
+    $printDocument.DefaultPageSettings.PaperSize = $customPaper
+}
+
+$printDocument.add_PrintPage({
+    param($sender, $e)
+    
+    # Fuente que funcionaba bien
+    $font = New-Object System.Drawing.Font("Courier New", 8, [System.Drawing.FontStyle]::Bold)
+    $brush = New-Object System.Drawing.SolidBrush([System.Drawing.Color]::Black)
+    
+    # Posicionamiento que funcionaba bien
+    $x = 8   # Margen izquierdo
+    $y = 5   # Margen superior
+    $lineHeight = $font.GetHeight($e.Graphics) * 0.95
+    
+    $lines = $content -split "\\r?\\n"
+    foreach ($line in $lines) {
+        if ($line -match '^\\[IMAGE\\](\\d+)$') {
+            $image = [System.Drawing.Image]::FromFile($images[[int]$matches[1]])
+            $imageWidth = [Math]::Min($image.Width, $e.MarginBounds.Width - 2 * $x)
+            $imageHeight = $image.Height * $imageWidth / $image.Width
+            $imageX = ($e.PageBounds.Width - $imageWidth) / 2
+            $e.Graphics.DrawImage($image, $imageX, $y, $imageWidth, $imageHeight)
+            $y += $imageHeight
+            $image.Dispose()
+            continue
+        }
+
+        if ($line.Trim() -ne "") {
+            $e.Graphics.DrawString($line, $font, $brush, $x, $y)
+        }
+        $y += $lineHeight
+        
+        if ($y -gt $e.MarginBounds.Bottom) {
+            break
+        }
+    }
+    
+    $font.Dispose()
+    $brush.Dispose()
+})
+
+try {
+    $printDocument.Print()
+    Write-Host "✅ Ticket impreso correctamente sin acentos raros"
+} catch {
+    Write-Error "❌ Error en impresión: $_"
+    throw $_
+} finally {
+    $printDocument.Dispose()
+}
+`;
+                
+                const psFilePath = path.join(this.tempDir, `${name}.ps1`);
+                fs.writeFileSync(psFilePath, psScript, 'utf8');
+                
+                // execFile no pasa por la consola: cada argumento llega tal cual al script
+                // (las rutas de Windows no pueden contener "|")
+                const args = ['-ExecutionPolicy', 'Bypass', '-File', psFilePath, '-PrinterName', printerName, '-ContentPath', filePath];
+                if (imagePaths.length > 0) {
+                    args.push('-ImageList', imagePaths.join('|'));
+                }
+                
+                const options = { encoding: 'utf8', timeout: PRINT_TIMEOUT, killSignal: 'SIGKILL' };
+                execFile('powershell.exe', args, options, (error, stdout, stderr) => {
+                    // Limpiar archivos temporales
+                    try {
+                        fs.unlinkSync(filePath);
+                        fs.unlinkSync(psFilePath);
+                        imagePaths.forEach(imagePath => fs.unlinkSync(imagePath));
+                    } catch (e) {
+                        logger.warn('No se pudieron eliminar archivos temporales');
+                    }
+
+                    if (error) {
+                        const message = error.killed
+                            ? `PowerShell no terminó en ${PRINT_TIMEOUT / 1000} s`
+                            : error.message;
+                        logger.error('❌ Error con PowerShell:', message);
+                        reject(new Error(`Error en PowerShell: ${message}`));
+                        return;
+                    }
+
+                    logger.info('✅ Ticket impreso - formato que funcionaba bien pero sin acentos');
+                    resolve({
+                        success: true,
+                        message: 'Ticket impreso - versión buena sin acentos',
+                        method: 'PowerShell Good Version No Accents',
+                        driver: this.name
+                    });
+                });
+
+            } catch (error) {
+                reject(new Error(`Error preparando impresión: ${error.message}`));
+            }
+        });
+    }
+}
+
+module.exports = WindowsDriver;
\ No newline at end of file
@@ -0,0 +1,58 @@
+// server/utils/tax.js - Cálculo de impuestos (IVA) por línea de venta
+const config = require('../config/config');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// tax_rate de un producto o categoría: vacío = hereda la tasa superior
+function parseTaxRate(value) {
+    if (value === undefined || value === null || value === '') {
+        return { tax_rate: null };
+    }
+
+    const rate = parseFloat(value);
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+        return { error: 'La tasa de impuesto debe estar entre 0 y 100' };
+    }
+
+    return { tax_rate: rate };
+}
+
+// Tasa del producto, si no la de su categoría, si no la general
+function resolveTaxRate(product) {
+    if (product.tax_rate !== null && product.tax_rate !== undefined) return product.tax_rate;
+    if (product.category_tax_rate !== null && product.category_tax_rate !== undefined) return product.category_tax_rate;
+    return config.TAX_RATE;
+}
+
+// Base imponible e impuesto de líneas ya calculadas
+function summarizeTaxes(lines) {
+    return {
+        taxable_base: round(lines.reduce((sum, line) => sum + line.subtotal - line.tax_amount, 0)),
+        tax_amount: round(lines.reduce((sum, line) => sum + line.tax_amount, 0))
+    };
+}
+
+// Impuesto de cada línea sobre su importe neto (después de descuentos).
+// Precios con impuesto incluido: se desglosa del subtotal.
+// Precios sin impuesto: se suma al subtotal, que siempre es lo cobrado por la línea.
+function applyTaxes(lines) {
+    lines.forEach(line => {
+        const rate = line.tax_rate || 0;
+
+        if (config.PRICES_INCLUDE_TAX) {
+            line.tax_amount = round(line.subtotal - line.subtotal / (1 + rate / 100));
+        } else {
+            line.tax_amount = round(line.subtotal * rate / 100);
+            line.subtotal = round(line.subtotal + line.tax_amount);
+        }
+    });
+
+    return summarizeTaxes(lines);
+}
+
+module.exports = {
+    parseTaxRate,
+    resolveTaxRate,
+    summarizeTaxes,
+    applyTaxes
+};
\ No newline at end of file
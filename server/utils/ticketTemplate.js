@@ -0,0 +1,293 @@
+// server/utils/ticketTemplate.js - Motor de plantillas de tickets
+// Sintaxis:
+//   {{customer_name}}              valor (ruta con puntos: {{business.name}}; {{.}} es el elemento actual)
+//   {{total|money}}                filtros: money (2 decimales), upper, lower, pad:N (ceros a la izquierda)
+//   {{#details}}...{{/details}}    sección: se repite por cada elemento de una lista, o se muestra una vez
+//                                  si el valor es verdadero (una lista vacía, 0 o "" no se muestran)
+//   {{^customer_nit}}...{{/customer_nit}}  sección inversa: se muestra si el valor es falso o vacío
+// Directivas al inicio de la línea:
+//   @center texto | @right texto | @line [carácter] | @logo
+//   @qr texto (código QR) | @barcode texto (código de barras CODE128: ASCII, hasta 40 caracteres)
+//     si el texto está vacío no se imprime nada; si no cabe en el código se imprime como texto
+//   @cols 4:{{quantity}} | *:{{product_name}} | 7>:{{total|money}}
+//     columnas separadas por "|": ancho fijo o * (reparte el resto de la línea);
+//     alineación < (izquierda, por defecto), > (derecha) o ^ (centro)
+// Las líneas más anchas que el papel se parten; las columnas se recortan con "...".
+const LOGO_MARKER = '[LOGO]';
+// Líneas de código: el marcador seguido de los datos ("[QR]https://...")
+const QR_MARKER = '[QR]';
+const BARCODE_MARKER = '[BARCODE]';
+const MAX_QR_LENGTH = 500;
+const BARCODE_DATA = /^[\x20-\x7e]{1,40}$/;
+const PAPER_WIDTHS = ['58mm', '80mm'];
+
+const TAG = /\{\{\s*([#^/]?)\s*([^{}]*?)\s*\}\}/g;
+// Etiquetas de sección solas en su línea: no dejan una línea vacía
+const STANDALONE_SECTION = /^[ \t]*(\{\{\s*[#^/][^{}]*\}\})[ \t]*\n/gm;
+const DIRECTIVE = /^@(center|right|line|logo|cols|qr|barcode)(?:\s(.*))?$/;
+const COLUMN = /^\s*(\d+|\*)([<>^]?):(.*)$/;
+
+// Los valores insertados no pueden formar directivas ni separar columnas
+const ESCAPED_AT = '\u0001';
+const ESCAPED_PIPE = '\u0002';
+
+const FILTERS = {
+    money: value => (parseFloat(value) || 0).toFixed(2),
+    upper: value => String(value).toUpperCase(),
+    lower: value => String(value).toLowerCase(),
+    pad: (value, length) => String(value).padStart(parseInt(length) || 0, '0')
+};
+
+function templateError(message) {
+    const error = new Error(message);
+    error.code = 'TEMPLATE_INVALID';
+    return error;
+}
+
+// Árbol de texto, valores y secciones
+function parse(template) {
+    const source = String(template).replace(/\r\n/g, '\n').replace(STANDALONE_SECTION, '$1');
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+
+    for (const match of source.matchAll(TAG)) {
+        const current = stack[stack.length - 1];
+        if (match.index > last) {
+            current.children.push({ type: 'text', value: source.slice(last, match.index) });
+        }
+        last = match.index + match[0].length;
+
+        const [, kind, expression] = match;
+        if (!expression) {
+            throw templateError('Etiqueta vacía: {{}}');
+        }
+
+        if (kind === '#' || kind === '^') {
+            const section = { type: 'section', name: expression, inverted: kind === '^', children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (kind === '/') {
+            if (stack.length === 1 || current.name !== expression) {
+                throw templateError(`Cierre de sección inesperado: {{/${expression}}}`);
+            }
+            stack.pop();
+        } else {
+            const [path, ...filters] = expression.split('|').map(part => part.trim());
+            filters.forEach(filter => {
+                if (!FILTERS[filter.split(':')[0]]) {
+                    throw templateError(`Filtro desconocido: ${filter}`);
+                }
+            });
+            current.children.push({ type: 'value', path, filters });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw templateError(`Sección sin cerrar: {{#${stack[stack.length - 1].name}}}`);
+    }
+    if (last < source.length) {
+        root.children.push({ type: 'text', value: source.slice(last) });
+    }
+
+    return root.children;
+}
+
+// Busca la ruta desde el contexto más interno hacia afuera
+function lookup(stack, path) {
+    if (path === '.') return stack[stack.length - 1];
+
+    const [first, ...rest] = path.split('.');
+    for (let i = stack.length - 1; i >= 0; i--) {
+        const context = stack[i];
+        if (context !== null && typeof context === 'object' && first in context) {
+            return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[first]);
+        }
+    }
+    return undefined;
+}
+
+function formatValue(value, filters) {
+    let result = value === null || value === undefined ? '' : value;
+
+    filters.forEach(filter => {
+        const [name, argument] = filter.split(':');
+        result = FILTERS[name](result, argument);
+    });
+
+    return String(result)
+        .replace(/[\r\n]+/g, ' ')
+        .replace(/[\u0001\u0002]/g, '')
+        .replace(/@/g, ESCAPED_AT)
+        .replace(/\|/g, ESCAPED_PIPE);
+}
+
+function evaluate(nodes, stack) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+
+        if (node.type === 'value') {
+            return formatValue(lookup(stack, node.path), node.filters);
+        }
+
+        const value = lookup(stack, node.name);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+        if (node.inverted) return truthy ? '' : evaluate(node.children, stack);
+        if (!truthy) return '';
+
+        if (Array.isArray(value)) {
+            return value.map(item => evaluate(node.children, [...stack, item])).join('');
+        }
+        return evaluate(node.children, typeof value === 'object' ? [...stack, value] : stack);
+    }).join('');
+}
+
+// Partir una línea en palabras sin pasar el ancho
+function wrap(text, width) {
+    if (text.length <= width) return [text];
+
+    const lines = [];
+    let current = '';
+    text.split(' ').forEach(word => {
+        while (word.length > width) {
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+            lines.push(word.slice(0, width));
+            word = word.slice(width);
+        }
+
+        if (!current) {
+            current = word;
+        } else if (current.length + 1 + word.length <= width) {
+            current += ` ${word}`;
+        } else {
+            lines.push(current);
+            current = word;
+        }
+    });
+    if (current) lines.push(current);
+
+    return lines;
+}
+
+function fit(text, width, align) {
+    const value = text.length > width
+        ? (width > 3 ? `${text.slice(0, width - 3)}...` : text.slice(0, width))
+        : text;
+
+    if (align === '>') return value.padStart(width);
+    if (align === '^') {
+        const left = Math.floor((width - value.length) / 2);
+        return `${' '.repeat(left)}${value}`.padEnd(width);
+    }
+    return value.padEnd(width);
+}
+
+function columns(spec, width) {
+    const cells = spec.split('|').map(cell => {
+        const match = COLUMN.exec(cell);
+        if (!match) {
+            throw templateError(`Columna inválida en @cols: "${cell.trim()}" (use ancho:texto, por ejemplo 6>:{{total|money}})`);
+        }
+        return { width: match[1], align: match[2] || '<', text: match[3].trim() };
+    });
+
+    const fixed = cells.reduce((sum, cell) => sum + (cell.width === '*' ? 0 : parseInt(cell.width)), 0) + cells.length - 1;
+    const stars = cells.filter(cell => cell.width === '*').length;
+    const remaining = Math.max(0, width - fixed);
+    let extra = stars > 0 ? remaining % stars : 0;
+
+    return cells.map(cell => {
+        let cellWidth = parseInt(cell.width);
+        if (cell.width === '*') {
+            cellWidth = Math.floor(remaining / stars) + extra;
+            extra = 0;
+        }
+        return fit(cell.text, cellWidth, cell.align);
+    }).join(' ').replace(/\s+$/, '');
+}
+
+function unescapeValues(text) {
+    return text
+        .replace(new RegExp(ESCAPED_AT, 'g'), '@')
+        .replace(new RegExp(ESCAPED_PIPE, 'g'), '|');
+}
+
+// Línea de código QR o de barras; los datos que no caben en el código quedan como texto
+function code(marker, data, valid, width) {
+    const value = unescapeValues(data.trim());
+    if (!value) return [];
+    return valid(value) ? [`${marker}${value}`] : wrap(value, width);
+}
+
+// Directivas y ancho de papel, línea por línea
+function layout(text, width, logo) {
+    const lines = [];
+
+    text.split('\n').forEach(line => {
+        const directive = DIRECTIVE.exec(line);
+        if (!directive) {
+            // Un texto que empiece como marcador no debe imprimirse como logo o código
+            const marked = line === LOGO_MARKER || parseCode(line);
+            lines.push(...wrap(marked ? ` ${line}` : line, width));
+            return;
+        }
+
+        const [, name, argument = ''] = directive;
+        switch (name) {
+        case 'center':
+            wrap(argument.trim(), width).forEach(part => {
+                lines.push(`${' '.repeat(Math.floor((width - part.length) / 2))}${part}`);
+            });
+            break;
+        case 'right':
+            wrap(argument.trim(), width).forEach(part => lines.push(part.padStart(width)));
+            break;
+        case 'line':
+            lines.push((argument.trim()[0] || '-').repeat(width));
+            break;
+        case 'logo':
+            if (logo) lines.push(LOGO_MARKER);
+            break;
+        case 'cols':
+            lines.push(columns(argument, width));
+            break;
+        case 'qr':
+            lines.push(...code(QR_MARKER, argument, value => value.length <= MAX_QR_LENGTH, width));
+            break;
+        case 'barcode':
+            lines.push(...code(BARCODE_MARKER, argument, value => BARCODE_DATA.test(value), width));
+            break;
+        }
+    });
+
+    return unescapeValues(lines.join('\n'));
+}
+
+// Texto del ticket. width: columnas del papel; logo: si hay logo para @logo
+function render(template, context, { width, logo = false }) {
+    return layout(evaluate(parse(template), [context]).replace(/\n+$/, ''), width, logo);
+}
+
+// { type: 'qr' | 'barcode', data } si la línea del ticket es un código, o null
+function parseCode(line) {
+    if (line.startsWith(QR_MARKER)) return { type: 'qr', data: line.slice(QR_MARKER.length) };
+    if (line.startsWith(BARCODE_MARKER)) return { type: 'barcode', data: line.slice(BARCODE_MARKER.length) };
+    return null;
+}
+
+// Error de sintaxis (TEMPLATE_INVALID) o nada si la plantilla es válida
+function validate(template) {
+    parse(template);
+}
+
+module.exports = {
+    render,
+    validate,
+    parseCode,
+    LOGO_MARKER,
+    PAPER_WIDTHS
+};
\ No newline at end of file
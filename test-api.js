@@ -1,17 +1,19 @@
 // test-api.js - Guarda este archivo en la raíz del proyecto D:\POS_VENTA\test-api.js
 const config = require('./server/config/config');
+const { v4: uuidv4 } = require('uuid');
 
 const BASE_URL = `http://localhost:${config.PORT}`;
 let authToken = '';
 
 // Función helper para hacer requests
-async function makeRequest(method, endpoint, data = null, useAuth = false) {
+async function makeRequest(method, endpoint, data = null, useAuth = false, headers = {}) {
     const url = `${BASE_URL}${endpoint}`;
     
     const options = {
         method,
         headers: {
             'Content-Type': 'application/json',
+            ...headers
         }
     };
 
@@ -41,6 +43,21 @@ async function makeRequest(method, endpoint, data = null, useAuth = false) {
     }
 }
 
+// Servidor de las pruebas: el que ya esté escuchando en PORT (npm run dev) o, si no hay ninguno,
+// la app en este mismo proceso. Devuelve el servidor iniciado aquí, o null
+async function ensureServer() {
+    try {
+        await fetch(`${BASE_URL}/login`);
+        return null;
+    } catch (error) {
+        const app = require('./server/app');
+        return new Promise((resolve, reject) => {
+            const server = app.listen(config.PORT, () => resolve(server));
+            server.on('error', reject);
+        });
+    }
+}
+
 async function testAPIs() {
     console.log('🧪 Iniciando pruebas completas de APIs del sistema POS...\n');
     console.log(`📍 URL Base: ${BASE_URL}\n`);
@@ -49,12 +66,11 @@ async function testAPIs() {
         // 1. Probar conexión del servidor
         console.log('1️⃣ PROBANDO CONEXIÓN DEL SERVIDOR...');
         console.log('=' .repeat(50));
-        const serverTest = await makeRequest('GET', '/api/test');
-        if (!serverTest.success) {
-            throw new Error('❌ Servidor no está funcionando');
+        const serverTest = await fetch(`${BASE_URL}/login`);
+        if (!serverTest.ok) {
+            throw new Error(`❌ Servidor no está funcionando (${serverTest.status})`);
         }
         console.log('✅ Servidor funcionando correctamente');
-        console.log('📄 Mensaje:', serverTest.data.message);
         console.log('');
 
         // 2. Probar autenticación
@@ -126,12 +142,33 @@ async function testAPIs() {
             description: 'Pizza con tomate, mozzarella y albahaca fresca',
             price: 35.50,
             category_id: 1,
-            stock: 20
+            track_stock: true,
+            stock: 20,
+            reorder_level: 5
         }, true);
         
         if (newProductResult.success) {
             console.log('✅ Producto creado:', newProductResult.data.product.name);
             console.log('💰 Precio:', newProductResult.data.product.price);
+            console.log('📦 Stock:', newProductResult.data.product.stock);
+
+            // Registrar compra en el kardex
+            console.log('🚚 Registrando compra de stock...');
+            const purchaseResult = await makeRequest('POST', '/api/inventory/movements', {
+                product_id: newProductResult.data.product.id,
+                type: 'purchase',
+                quantity: 10,
+                notes: 'Compra de prueba'
+            }, true);
+            if (purchaseResult.success) {
+                console.log('📦 Stock después de la compra:', purchaseResult.data.movement.stock_after);
+            }
+        }
+
+        // Alertas de stock bajo
+        const lowStockResult = await makeRequest('GET', '/api/inventory/low-stock', null, true);
+        if (lowStockResult.success) {
+            console.log(`⚠️ Productos con stock bajo: ${lowStockResult.data.count}`);
         }
 
         // Buscar productos
@@ -143,6 +180,20 @@ async function testAPIs() {
         console.log('6️⃣ PROBANDO APIs DE VENTAS...');
         console.log('=' .repeat(50));
         
+        // Abrir caja (requerida para registrar ventas)
+        console.log('🔓 Abriendo caja...');
+        const currentSessionResult = await makeRequest('GET', '/api/cash-sessions/current', null, true);
+        let cashSession = currentSessionResult.success ? currentSessionResult.data.session : null;
+        if (!cashSession) {
+            const openResult = await makeRequest('POST', '/api/cash-sessions/open', {
+                opening_amount: 100
+            }, true);
+            cashSession = openResult.data.session;
+        }
+        if (cashSession) {
+            console.log('✅ Caja abierta con ID:', cashSession.id);
+        }
+
         // Crear nueva venta
         console.log('💰 Creando nueva venta...');
         const newSaleResult = await makeRequest('POST', '/api/sales', {
@@ -168,8 +219,306 @@ async function testAPIs() {
             console.log('✅ Venta creada con ID:', newSaleResult.data.sale.id);
             console.log('💵 Total:', newSaleResult.data.sale.total);
             console.log('💸 Cambio:', newSaleResult.data.sale.change_amount);
+            console.log('🧾 Factura No:', newSaleResult.data.sale.invoice_number);
+            console.log('🧾 Impuesto:', newSaleResult.data.sale.tax_amount);
+        }
+
+        // Venta con pago mixto (QR + efectivo, solo el efectivo da cambio)
+        console.log('💳 Creando venta con pago mixto...');
+        const splitSaleResult = await makeRequest('POST', '/api/sales', {
+            order_type: 'takeaway',
+            items: [
+                {
+                    product_id: 1,
+                    quantity: 1
+                }
+            ],
+            payments: [
+                { method: 'qr', amount: 5.00, reference: 'QR-PRUEBA' },
+                { method: 'cash', amount: 50.00 }
+            ]
+        }, true);
+
+        if (splitSaleResult.success) {
+            console.log('✅ Venta mixta creada con ID:', splitSaleResult.data.sale.id);
+            splitSaleResult.data.sale.payments.forEach(payment => {
+                console.log(`   ${payment.method}: $${payment.tendered}`);
+            });
+            console.log('💸 Cambio:', splitSaleResult.data.sale.change_amount);
+        }
+
+        // Doble envío con la misma Idempotency-Key: una sola venta
+        console.log('🔁 Enviando venta dos veces con Idempotency-Key...');
+        const idempotencyKey = uuidv4();
+        const idempotentSale = {
+            order_type: 'takeaway',
+            items: [{ product_id: 1, quantity: 1 }],
+            payments: [{ method: 'cash', amount: 50.00 }]
+        };
+        const firstResult = await makeRequest('POST', '/api/sales', idempotentSale, true, { 'Idempotency-Key': idempotencyKey });
+        const repeatResult = await makeRequest('POST', '/api/sales', idempotentSale, true, { 'Idempotency-Key': idempotencyKey });
+        if (firstResult.success && repeatResult.success && firstResult.data.sale.id === repeatResult.data.sale.id) {
+            console.log('✅ Reintento devolvió la misma venta ID:', repeatResult.data.sale.id);
+        }
+
+        // La misma clave con otro cuerpo es otra operación: se rechaza
+        const otherBodyResult = await makeRequest('POST', '/api/sales', {
+            ...idempotentSale,
+            items: [{ product_id: 1, quantity: 2 }]
+        }, true, { 'Idempotency-Key': idempotencyKey });
+        if (otherBodyResult.status === 422) {
+            console.log('✅ Idempotency-Key con otro cuerpo rechazada');
+        }
+
+        // Venta cobrada sin conexión: se sincroniza una sola vez aunque se reenvíe
+        console.log('📴 Sincronizando venta sin conexión...');
+        const offlineSale = {
+            order_type: 'takeaway',
+            items: [{ product_id: 1, quantity: 1 }],
+            payments: [{ method: 'cash', amount: 50.00 }],
+            client_uuid: uuidv4(),
+            client_created_at: new Date().toISOString()
+        };
+        const syncResult = await makeRequest('POST', '/api/sales/sync', offlineSale, true);
+        if (syncResult.success) {
+            console.log('✅ Venta sincronizada con ID:', syncResult.data.sale.id);
+
+            const resyncResult = await makeRequest('POST', '/api/sales/sync', offlineSale, true);
+            if (resyncResult.status === 409 && resyncResult.data.sale.id === syncResult.data.sale.id) {
+                console.log('✅ Reenvío rechazado como duplicado');
+            }
+        }
+
+        // Venta sin conexión cobrada durante una promoción que ya terminó: se cotiza a la hora de cobro
+        const minutesAgo = (seconds) => {
+            const date = new Date(Date.now() - seconds * 1000);
+            return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+        };
+        const expiredPromotion = await makeRequest('POST', '/api/promotions', {
+            name: 'Promoción ya terminada', type: 'percentage', product_id: 1, percentage: 50,
+            start_time: minutesAgo(180), end_time: minutesAgo(60)
+        }, true);
+        if (expiredPromotion.success) {
+            const lateSync = await makeRequest('POST', '/api/sales/sync', {
+                order_type: 'takeaway',
+                items: [{ product_id: 1, quantity: 2 }],
+                payments: [{ method: 'cash', amount: 50.00 }],
+                client_uuid: uuidv4(),
+                client_created_at: new Date(Date.now() - 150 * 1000).toISOString()
+            }, true);
+            const promotionDiscount = lateSync.success && lateSync.data.sale.discounts.find(d => d.source === 'promotion');
+            if (promotionDiscount) {
+                console.log(`✅ Promoción vencida aplicada a la hora de cobro: -$${promotionDiscount.amount}`);
+            }
+            await makeRequest('DELETE', `/api/promotions/${expiredPromotion.data.promotion.id}`, null, true);
+        }
+
+        // Venta sin conexión de una caja que se cerró antes de sincronizar: queda en esa caja
+        const offlineCashier = await makeRequest('POST', '/api/auth/login', { username: 'cajero', password: '123456' });
+        if (offlineCashier.success) {
+            const adminToken = authToken;
+            authToken = offlineCashier.data.token;
+
+            const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+            // Dos aperturas simultáneas: el cajero queda con una sola caja abierta
+            const openResults = await Promise.all([1, 2].map(() =>
+                makeRequest('POST', '/api/cash-sessions/open', { opening_amount: 0 }, true)
+            ));
+            const cashierSession = openResults.find(result => result.success) || openResults[0];
+            if (openResults.filter(result => result.success).length === 1) {
+                console.log('✅ Aperturas simultáneas: una sola caja abierta');
+            }
+            await wait(1100);
+            const soldAt = new Date().toISOString();
+            await wait(1100);
+            if (cashierSession.success) {
+                const sessionId = cashierSession.data.session.id;
+                await makeRequest('POST', `/api/cash-sessions/${sessionId}/close`, { counted_amount: 0 }, true);
+
+                const closedSync = await makeRequest('POST', '/api/sales/sync', {
+                    order_type: 'takeaway',
+                    items: [{ product_id: 1, quantity: 1 }],
+                    payments: [{ method: 'cash', amount: 50.00 }],
+                    client_uuid: uuidv4(),
+                    client_created_at: soldAt
+                }, true);
+                if (closedSync.success && closedSync.data.sale.cash_session_id === sessionId) {
+                    console.log(`✅ Venta sincronizada en la caja cerrada #${sessionId}`);
+                }
+            }
+
+            authToken = adminToken;
         }
         
+        // Cuenta de mesa: se pide por partes y se cobra al final (pago dividido)
+        console.log('🍽️ Abriendo cuenta en mesa 3...');
+        const tabResult = await makeRequest('POST', '/api/tabs', {
+            table_number: '3',
+            items: [
+                {
+                    product_id: 1,
+                    quantity: 2
+                }
+            ]
+        }, true);
+
+        if (tabResult.success) {
+            const tabId = tabResult.data.tab.id;
+            console.log(`✅ Cuenta #${tabId} abierta - Total: $${tabResult.data.tab.total}`);
+
+            const partsResult = await makeRequest('GET', `/api/tabs/${tabId}/split-equal?parts=2`, null, true);
+            for (const amount of partsResult.data.parts) {
+                const paymentResult = await makeRequest('POST', `/api/tabs/${tabId}/payments`, {
+                    payments: [{ method: 'cash', amount }]
+                }, true);
+                console.log(`   ${paymentResult.data.message}: $${amount}`);
+                if (paymentResult.data.sale) {
+                    console.log('✅ Cuenta convertida en venta ID:', paymentResult.data.sale.id);
+                }
+            }
+        }
+
+        // Dos pagos finales simultáneos: solo uno cierra la cuenta y genera la venta
+        const raceTab = await makeRequest('POST', '/api/tabs', {
+            table_number: '4',
+            items: [{ product_id: 1, quantity: 1 }]
+        }, true);
+
+        if (raceTab.success) {
+            const { id, total } = raceTab.data.tab;
+            const results = await Promise.all([1, 2].map(() => makeRequest('POST', `/api/tabs/${id}/payments`, {
+                payments: [{ method: 'cash', amount: total }]
+            }, true)));
+            const sales = results.filter(result => result.data.sale);
+            if (sales.length === 1) {
+                console.log('✅ Pagos simultáneos: una sola venta para la cuenta #' + id);
+            }
+        }
+
+        // Quitar un item mientras llega un pago parcial: lo pagado nunca queda por encima del total
+        const removeTab = await makeRequest('POST', '/api/tabs', {
+            table_number: '5',
+            items: [{ product_id: 1, quantity: 1 }, { product_id: 1, quantity: 1 }]
+        }, true);
+
+        if (removeTab.success) {
+            const { id, total, items } = removeTab.data.tab;
+            await Promise.all([
+                makeRequest('POST', `/api/tabs/${id}/payments`, {
+                    payments: [{ method: 'cash', amount: Math.round((total - 1) * 100) / 100 }]
+                }, true),
+                makeRequest('DELETE', `/api/tabs/${id}/items/${items[0].id}`, null, true)
+            ]);
+            const afterRemove = await makeRequest('GET', `/api/tabs/${id}`, null, true);
+            if (afterRemove.success && afterRemove.data.tab.paid_amount <= afterRemove.data.tab.total) {
+                console.log(`✅ Item y pago simultáneos: pagado $${afterRemove.data.tab.paid_amount} de $${afterRemove.data.tab.total}`);
+            }
+        }
+
+        // Cupón y descuento manual del ticket
+        console.log('🏷️ Creando cupón y venta con descuento...');
+        const couponCode = `PRUEBA${Date.now()}`;
+        const couponResult = await makeRequest('POST', '/api/promotions/coupons', {
+            code: couponCode,
+            discount_type: 'fixed',
+            value: 2,
+            max_uses: 1
+        }, true);
+
+        if (couponResult.success) {
+            console.log('✅ Cupón creado:', couponResult.data.coupon.code);
+
+            // Dos ventas a la vez con un cupón de un solo uso: solo una lo usa
+            const couponSale = {
+                order_type: 'takeaway',
+                items: [
+                    {
+                        product_id: 1,
+                        quantity: 2,
+                        discount: { type: 'percentage', value: 5 }
+                    }
+                ],
+                coupon_code: couponCode,
+                payments: [{ method: 'cash', amount: 100.00 }]
+            };
+            const couponSales = await Promise.all([
+                makeRequest('POST', '/api/sales', couponSale, true),
+                makeRequest('POST', '/api/sales', couponSale, true)
+            ]);
+            const discountSaleResult = couponSales.find(result => result.success) || couponSales[0];
+
+            if (couponSales.filter(result => result.success).length === 1) {
+                console.log('✅ El cupón de un solo uso se aplicó en una sola de dos ventas simultáneas');
+            }
+
+            if (discountSaleResult.success) {
+                console.log('✅ Venta con descuento ID:', discountSaleResult.data.sale.id);
+                discountSaleResult.data.sale.discounts.forEach(discount => {
+                    console.log(`   ${discount.description}: -$${discount.amount}`);
+                });
+                console.log('💵 Total:', discountSaleResult.data.sale.total);
+            }
+        }
+
+        // Cliente registrado y puntos de fidelidad
+        console.log('👤 Registrando cliente y venta con puntos...');
+        const customerResult = await makeRequest('POST', '/api/customers', {
+            nit: `${Date.now()}`.slice(-9),
+            name: 'Cliente de Prueba',
+            phone: '70000000'
+        }, true);
+
+        if (customerResult.success) {
+            const customer = customerResult.data.customer;
+            console.log('✅ Cliente creado:', customer.name, `(NIT ${customer.nit})`);
+
+            const customerSaleResult = await makeRequest('POST', '/api/sales', {
+                customer_id: customer.id,
+                order_type: 'takeaway',
+                items: [{ product_id: 1, quantity: 1 }],
+                payments: [{ method: 'cash', amount: 50.00 }]
+            }, true);
+
+            if (customerSaleResult.success) {
+                const loyalty = customerSaleResult.data.sale.loyalty;
+                console.log('✅ Venta con cliente ID:', customerSaleResult.data.sale.id);
+                console.log(`⭐ Puntos ganados: ${loyalty.earned} (saldo ${loyalty.balance})`);
+
+                // Dos ventas a la vez pagadas con puntos que alcanzan para una sola: solo una se registra
+                const total = customerSaleResult.data.sale.total;
+                const adjustResult = await makeRequest('POST', `/api/customers/${customer.id}/points`, {
+                    points: Math.round(total / 0.05), notes: 'Prueba de canje simultáneo'
+                }, true);
+                if (adjustResult.success) {
+                    const pointsSale = {
+                        customer_id: customer.id,
+                        order_type: 'takeaway',
+                        items: [{ product_id: 1, quantity: 1 }],
+                        payments: [{ method: 'points', amount: total }]
+                    };
+                    const pointsSales = await Promise.all([
+                        makeRequest('POST', '/api/sales', pointsSale, true),
+                        makeRequest('POST', '/api/sales', pointsSale, true)
+                    ]);
+                    if (pointsSales.filter(result => result.success).length === 1) {
+                        console.log('✅ Los mismos puntos no se canjean en dos ventas simultáneas');
+                    }
+                }
+            }
+
+            const pointsResult = await makeRequest('GET', `/api/customers/${customer.id}/points`, null, true);
+            if (pointsResult.success) {
+                console.log('✅ Estado de cuenta:', pointsResult.data.points.movements.length, 'movimientos');
+            }
+        }
+
+        // Arqueo parcial de la caja
+        console.log('🧮 Obteniendo arqueo de caja...');
+        const reconciliationResult = await makeRequest('GET', '/api/cash-sessions/current', null, true);
+        if (reconciliationResult.success) {
+            console.log(`💵 Esperado en caja: $${reconciliationResult.data.reconciliation.expected_amount}`);
+        }
+
         // Obtener ventas de hoy
         console.log('📅 Obteniendo ventas de hoy...');
         const todaySalesResult = await makeRequest('GET', '/api/sales/today', null, true);
@@ -177,6 +526,13 @@ async function testAPIs() {
             console.log(`📊 Ventas de hoy: ${todaySalesResult.data.totals.count}`);
             console.log(`💵 Total del día: $${todaySalesResult.data.totals.amount}`);
         }
+
+        // Comandas enviadas a cocina/bar
+        console.log('🍳 Obteniendo comandas pendientes...');
+        const kitchenOrdersResult = await makeRequest('GET', '/api/kitchen/orders', null, true);
+        if (kitchenOrdersResult.success) {
+            console.log(`📋 Comandas pendientes: ${kitchenOrdersResult.data.orders.length}`);
+        }
         console.log('');
 
         // 7. Probar reportes
@@ -200,15 +556,311 @@ async function testAPIs() {
         }
         console.log('');
 
+        // Cola de impresión: reimpresión como COPIA (sin impresora queda pendiente de reintento)
+        if (newSaleResult.success) {
+            console.log('🖨️ Reimprimiendo venta...');
+            const reprintResult = await makeRequest('POST', `/api/printer/sales/${newSaleResult.data.sale.id}/reprint`, {}, true);
+            if (reprintResult.success && reprintResult.data.job.is_copy && reprintResult.data.job.content.includes('COPIA')) {
+                console.log(`✅ Copia en cola: trabajo #${reprintResult.data.job.id} (${reprintResult.data.job.status})`);
+
+                const jobsResult = await makeRequest('GET', '/api/printer/jobs', null, true);
+                if (jobsResult.success) {
+                    console.log(`📋 Trabajos de impresión: ${jobsResult.data.jobs.length}`);
+                }
+
+                if (reprintResult.data.job.status !== 'done') {
+                    const cancelResult = await makeRequest('POST', `/api/printer/jobs/${reprintResult.data.job.id}/cancel`, {}, true);
+                    if (cancelResult.success) {
+                        console.log('✅ Trabajo de impresión cancelado');
+                    }
+                }
+            }
+        }
+        console.log('');
+
+        // Plantillas de tickets: vista previa sin guardar y rechazo de plantillas con errores
+        console.log('🧾 Probando plantillas de tickets...');
+        const previewResult = await makeRequest('POST', '/api/ticket-templates/sale/preview', {
+            content: '@center {{business.footer}}\n@line\n@cols *:TOTAL | 10>:{{total|money}}',
+            paper_width: '58mm'
+        }, true);
+        if (previewResult.success && previewResult.data.columns === previewResult.data.preview.split('\n')[1].length) {
+            console.log(`✅ Vista previa de ${previewResult.data.paper_width} (${previewResult.data.columns} columnas)`);
+        }
+
+        const codesResult = await makeRequest('POST', '/api/ticket-templates/sale/preview', {
+            content: '@qr {{id}}|{{total|money}}\n@barcode {{id|pad:6}}'
+        }, true);
+        if (codesResult.success && codesResult.data.preview.includes('[QR]') && codesResult.data.preview.includes('[BARCODE]')) {
+            console.log('✅ Códigos QR y de barras en la plantilla');
+        }
+
+        const invalidTemplateResult = await makeRequest('PUT', '/api/ticket-templates/sale', { content: '{{#details}}sin cerrar' }, true);
+        if (invalidTemplateResult.status === 400) {
+            console.log('✅ Plantilla inválida rechazada:', invalidTemplateResult.data.message);
+        }
+        console.log('');
+
+        // Respaldo de la base de datos
+        console.log('💾 Creando respaldo...');
+        const backupResult = await makeRequest('POST', '/api/backups', {}, true);
+        if (backupResult.success) {
+            const backupFile = backupResult.data.backup.file;
+            console.log('✅ Respaldo creado:', backupFile);
+
+            const verifyResult = await makeRequest('GET', `/api/backups/${backupFile}/verify`, null, true);
+            if (verifyResult.success && verifyResult.data.valid) {
+                console.log('✅ Respaldo verificado (suma de verificación + integridad)');
+            }
+
+            const backupsResult = await makeRequest('GET', '/api/backups', null, true);
+            if (backupsResult.success) {
+                console.log(`📋 Respaldos disponibles: ${backupsResult.data.backups.length}`);
+            }
+        }
+        console.log('');
+
+        // Roles y permisos: el cajero no puede anular ventas
+        console.log('🔑 Probando roles y permisos...');
+        const rolesResult = await makeRequest('GET', '/api/roles', null, true);
+        if (rolesResult.success) {
+            console.log('✅ Roles:', rolesResult.data.roles.map(role => role.name).join(', '));
+        }
+
+        const cashierLogin = await makeRequest('POST', '/api/auth/login', { username: 'cajero', password: '123456' });
+        if (cashierLogin.success) {
+            const adminToken = authToken;
+            authToken = cashierLogin.data.token;
+
+            const profileResult = await makeRequest('GET', '/api/auth/profile', null, true);
+            if (profileResult.success && profileResult.data.user.permissions.includes('create_sale')) {
+                console.log(`✅ Permisos del cajero: ${profileResult.data.user.permissions.length}`);
+            }
+
+            if (newSaleResult.success) {
+                const voidResult = await makeRequest('POST', `/api/sales/${newSaleResult.data.sale.id}/void`, { reason: 'Prueba de permisos' }, true);
+                if (voidResult.status === 403) {
+                    console.log('✅ Anulación rechazada sin el permiso void_sale');
+                }
+            }
+
+            authToken = adminToken;
+        }
+        console.log('');
+
+        // Autorización de supervisor: el administrador anula la venta del cajero con su PIN
+        console.log('🔢 Probando autorización con PIN...');
+        const pinResult = await makeRequest('PUT', '/api/auth/pin', { pin: '1234', password: '123456' }, true);
+        if (pinResult.success && cashierLogin.success && newSaleResult.success) {
+            console.log('✅ PIN del supervisor guardado');
+            const adminToken = authToken;
+            authToken = cashierLogin.data.token;
+
+            const saleId = newSaleResult.data.sale.id;
+            const approvalResult = await makeRequest('POST', '/api/approvals', {
+                username: 'admin', pin: '1234', action: 'void_sale', sale_id: saleId
+            }, true);
+            if (approvalResult.success) {
+                const approvedVoid = await makeRequest('POST', `/api/sales/${saleId}/void`, {
+                    reason: 'Prueba de autorización', approval_token: approvalResult.data.approval.token
+                }, true);
+                if (approvedVoid.success) {
+                    console.log(`✅ Venta #${saleId} anulada con autorización de ${approvalResult.data.approval.approved_by.full_name}`);
+                    console.log(`✅ Anulación registrada en la caja #${approvedVoid.data.sale.voided_cash_session_id}`);
+                }
+
+                const reusedResult = await makeRequest('POST', `/api/sales/${saleId}/void`, {
+                    reason: 'Reuso', approval_token: approvalResult.data.approval.token
+                }, true);
+                if (reusedResult.status === 403) {
+                    console.log('✅ La autorización no se puede usar dos veces');
+                }
+            }
+
+            // PIN incorrectos seguidos: el PIN queda bloqueado, incluso para el PIN correcto
+            let wrongPin;
+            for (let i = 0; i < 5; i++) {
+                wrongPin = await makeRequest('POST', '/api/approvals', {
+                    username: 'admin', pin: '0000', action: 'void_sale'
+                }, true);
+                if (wrongPin.status === 429) break;
+            }
+            const lockedPin = await makeRequest('POST', '/api/approvals', {
+                username: 'admin', pin: '1234', action: 'void_sale'
+            }, true);
+            if (wrongPin.status === 429 && lockedPin.status === 429) {
+                console.log('✅ PIN bloqueado tras varios intentos fallidos');
+            }
+
+            authToken = adminToken;
+
+            const pinLockouts = await makeRequest('GET', '/api/security/lockouts', null, true);
+            const pinLockout = pinLockouts.success && pinLockouts.data.lockouts.find(lockout => lockout.scope === 'pin' && lockout.value === 'admin');
+            if (pinLockout) {
+                const unlockResult = await makeRequest('DELETE', `/api/security/lockouts/${pinLockout.id}`, null, true);
+                if (unlockResult.success) {
+                    console.log('✅ PIN desbloqueado por el administrador');
+                }
+            }
+        }
+        console.log('');
+
+        // Sesiones: refresh token con rotación y logout en el servidor
+        console.log('🔐 Probando sesiones...');
+        const sessionLogin = await makeRequest('POST', '/api/auth/login', { username: 'cajero', password: '123456' });
+        if (sessionLogin.success && sessionLogin.data.refresh_token) {
+            const adminToken = authToken;
+
+            const refreshResult = await makeRequest('POST', '/api/auth/refresh', { refresh_token: sessionLogin.data.refresh_token });
+            if (refreshResult.success && refreshResult.data.refresh_token !== sessionLogin.data.refresh_token) {
+                console.log('✅ Token refrescado con un refresh token nuevo');
+            }
+
+            const sessionsResult = await makeRequest('GET', `/api/sessions?user_id=${sessionLogin.data.user.id}`, null, true);
+            if (sessionsResult.success) {
+                console.log(`✅ Sesiones abiertas del cajero: ${sessionsResult.data.sessions.length}`);
+            }
+
+            authToken = refreshResult.data.token;
+            const logoutResult = await makeRequest('POST', '/api/auth/logout', null, true);
+            const afterLogout = await makeRequest('GET', '/api/auth/profile', null, true);
+            if (logoutResult.success && afterLogout.status === 401) {
+                console.log('✅ Logout: el token deja de valer');
+            }
+
+            authToken = adminToken;
+        }
+
+        // Cambiar la contraseña cierra las demás sesiones del usuario
+        const passwordUser = await makeRequest('POST', '/api/users', {
+            username: `clave${Date.now()}`,
+            password: 'clave123',
+            full_name: 'Cambio de Contraseña',
+            role: 'cashier'
+        }, true);
+        if (passwordUser.success) {
+            const adminToken = authToken;
+            const credentials = { username: passwordUser.data.user.username, password: 'clave123' };
+            const firstLogin = await makeRequest('POST', '/api/auth/login', credentials);
+            const secondLogin = await makeRequest('POST', '/api/auth/login', credentials);
+
+            authToken = firstLogin.data.token;
+            const changed = await makeRequest('PUT', '/api/auth/change-password', { oldPassword: 'clave123', newPassword: 'clave456' }, true);
+            const sameSession = await makeRequest('GET', '/api/auth/profile', null, true);
+            authToken = secondLogin.data.token;
+            const otherSession = await makeRequest('GET', '/api/auth/profile', null, true);
+            if (changed.success && sameSession.success && otherSession.status === 401) {
+                console.log('✅ Cambio de contraseña: la otra sesión se cerró');
+            }
+
+            authToken = adminToken;
+        }
+        console.log('');
+
+        // Intentos de login: se registran y aparecen en el reporte de seguridad
+        console.log('🛡️ Probando registro de intentos de login...');
+        const failedLogin = await makeRequest('POST', '/api/auth/login', { username: 'cajero', password: 'incorrecta' });
+        if (failedLogin.status === 401) {
+            const attemptsResult = await makeRequest('GET', '/api/security/login-attempts?username=cajero&success=false', null, true);
+            if (attemptsResult.success && attemptsResult.data.attempts.length > 0) {
+                console.log(`✅ Intento fallido registrado (${attemptsResult.data.attempts[0].reason})`);
+            }
+
+            const securityReport = await makeRequest('GET', '/api/reports/security', null, true);
+            if (securityReport.success) {
+                const summary = securityReport.data.report.summary;
+                console.log(`✅ Reporte de seguridad: ${summary.failed} fallidos, ${summary.lockouts} bloqueos`);
+            }
+        }
+
+        // Ráfaga de intentos simultáneos: solo se comprueban hasta LOGIN_MAX_ATTEMPTS (5) contraseñas
+        const burstUsername = `rafaga${Date.now()}`;
+        const burstResults = await Promise.all(Array.from({ length: 8 }, () =>
+            makeRequest('POST', '/api/auth/login', { username: burstUsername, password: 'incorrecta' })
+        ));
+        const verifiedCount = burstResults.filter(result => result.status === 401).length;
+        if (verifiedCount <= 5 && burstResults.some(result => result.status === 429)) {
+            console.log(`✅ Ráfaga de logins: ${verifiedCount} contraseñas comprobadas, el resto bloqueado`);
+        }
+        console.log('');
+
+        // Administración de usuarios
+        console.log('👥 Probando administración de usuarios...');
+        const newUser = await makeRequest('POST', '/api/users', {
+            username: `prueba${Date.now()}`,
+            password: 'clave123',
+            full_name: 'Usuario de Prueba',
+            role: 'cashier'
+        }, true);
+        if (newUser.success) {
+            const userId = newUser.data.user.id;
+            console.log(`✅ Usuario creado: ${newUser.data.user.username}`);
+
+            const updatedUser = await makeRequest('PUT', `/api/users/${userId}`, { full_name: 'Usuario Editado', role: 'supervisor' }, true);
+            if (updatedUser.success) {
+                console.log(`✅ Usuario editado: ${updatedUser.data.user.full_name} (${updatedUser.data.user.role})`);
+            }
+
+            const deactivated = await makeRequest('POST', `/api/users/${userId}/deactivate`, null, true);
+            const reactivated = await makeRequest('POST', `/api/users/${userId}/activate`, null, true);
+            if (deactivated.success && reactivated.success) {
+                console.log('✅ Usuario desactivado y reactivado');
+            }
+
+            const resetResult = await makeRequest('POST', `/api/users/${userId}/reset-password`, {}, true);
+            if (resetResult.success) {
+                console.log('✅ Cambio de contraseña obligatorio');
+            }
+
+            const deletedUser = await makeRequest('DELETE', `/api/users/${userId}`, null, true);
+            if (deletedUser.success) {
+                console.log('✅ Usuario sin ventas eliminado');
+            }
+        }
+
+        // Nadie cambia su propio rol
+        const profileResult = await makeRequest('GET', '/api/auth/profile', null, true);
+        const ownRole = await makeRequest('PUT', `/api/users/${profileResult.data.user.id}`, { role: 'cashier' }, true);
+        if (ownRole.status === 403) {
+            console.log('✅ Cambio del propio rol rechazado');
+        }
+
+        // bcrypt usa solo 72 bytes: 40 letras con tilde (80 bytes) no se aceptan
+        const longPassword = await makeRequest('POST', '/api/users', {
+            username: `largo${Date.now()}`,
+            password: 'ñ'.repeat(40),
+            full_name: 'Contraseña Larga',
+            role: 'cashier'
+        }, true);
+        if (longPassword.status === 400) {
+            console.log('✅ Contraseña de más de 72 bytes rechazada');
+        }
+        console.log('');
+
         // 8. Resumen final
         console.log('🎉 ¡TODAS LAS PRUEBAS COMPLETADAS EXITOSAMENTE!');
         console.log('=' .repeat(60));
         console.log('✅ Servidor funcionando');
         console.log('✅ Autenticación (Login/Token)');
         console.log('✅ Categorías (CRUD)');
-        console.log('✅ Productos (CRUD + Búsqueda)');
-        console.log('✅ Ventas (Crear + Consultar)');
+        console.log('✅ Productos (CRUD + Búsqueda + Inventario)');
+        console.log('✅ Caja (Apertura + Arqueo)');
+        console.log('✅ Ventas (Crear + Pago mixto + Consultar)');
+        console.log('✅ Ventas sin conexión (Sincronización idempotente + Caja y precios de la hora de cobro)');
+        console.log('✅ Idempotency-Key (Reintento sin duplicar + Otro cuerpo rechazado)');
+        console.log('✅ Descuentos (Cupón + Descuento manual)');
+        console.log('✅ Clientes (Directorio + Puntos)');
+        console.log('✅ Mesas (Cuenta abierta + Pago dividido + Pagos simultáneos)');
+        console.log('✅ Cocina (Comandas pendientes)');
         console.log('✅ Reportes (Dashboard + Diario)');
+        console.log('✅ Cola de impresión (Reimpresión COPIA + Trabajos)');
+        console.log('✅ Plantillas de tickets (Vista previa + Validación + QR/Código de barras)');
+        console.log('✅ Respaldos (Crear + Verificar)');
+        console.log('✅ Roles y permisos (Perfil + Acceso denegado)');
+        console.log('✅ Autorización de supervisor (PIN + Token de un solo uso + Bloqueo del PIN)');
+        console.log('✅ Sesiones (Refresh token + Logout + Cambio de contraseña)');
+        console.log('✅ Protección del login (Intentos + Bloqueos)');
+        console.log('✅ Administración de usuarios (Editar + Desactivar + Eliminar + Propio rol + Largo en bytes)');
         console.log('');
         console.log('🚀 El sistema está listo para usar!');
         console.log('💡 Puedes acceder al sistema en:', BASE_URL);
@@ -216,9 +868,9 @@ async function testAPIs() {
     } catch (error) {
         console.error('\n❌ ERROR EN LAS PRUEBAS:', error.message);
         console.log('\n🔧 SOLUCIONES POSIBLES:');
-        console.log('1. Verifica que el servidor esté ejecutándose: npm run dev');
-        console.log('2. Verifica que la base de datos esté inicializada: node test-models.js');
-        console.log('3. Verifica que el puerto 3000 esté libre');
+        console.log('1. Verifica que la base de datos esté inicializada: node test-models.js');
+        console.log(`2. Verifica que el puerto ${config.PORT} esté libre o que el servidor que lo usa sea el del POS`);
+        process.exitCode = 1;
     }
 }
 
@@ -231,10 +883,26 @@ async function runTests() {
     try {
         const fetch = (await import('node-fetch')).default;
         global.fetch = fetch;
-        await testAPIs();
     } catch (importError) {
         console.log('❌ Error: node-fetch no está instalado');
         console.log('💡 Ejecuta: npm install node-fetch');
+        process.exitCode = 1;
+        return;
+    }
+
+    let server = null;
+    try {
+        server = await ensureServer();
+        await testAPIs();
+    } catch (error) {
+        console.error('\n❌ No se pudo iniciar el servidor:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (server) {
+            server.close();
+            server.closeAllConnections();
+            await require('./server/config/database').close();
+        }
     }
 }
 
@@ -5,14 +5,22 @@ const Category = require('./server/models/Category');
 const Product = require('./server/models/Product');
 const Sale = require('./server/models/Sale');
 const SaleDetail = require('./server/models/SaleDetail');
+const Migrator = require('./server/config/migrator');
+const SaleController = require('./server/controllers/saleController');
 
 async function testModels() {
     console.log('🧪 Iniciando pruebas de modelos...\n');
     
     // Primero asegurar que la base de datos esté conectada
     console.log('🔌 Conectando a la base de datos...');
-    await database.ensureConnected();
-    console.log('✅ Base de datos conectada y tablas creadas\n');
+    // Varios módulos conectan a la vez al arrancar: debe abrirse una sola conexión y migrar una vez
+    const connections = await Promise.all([database.ensureConnected(), database.ensureConnected(), database.connect()]);
+    if (connections.some(connection => connection !== connections[0])) {
+        throw new Error('Conexiones simultáneas abrieron más de una base de datos');
+    }
+    console.log('✅ Base de datos conectada y tablas creadas');
+    const migrations = await new Migrator(database).status();
+    console.log(`📋 Migraciones aplicadas: ${migrations.filter(m => m.applied_at).length}/${migrations.length}\n`);
 
     try {
         // 1. Probar modelo User
@@ -47,7 +55,7 @@ async function testModels() {
                 username: 'cajero',
                 password: '123456',
                 full_name: 'Cajero Principal',
-                role: 'cajero'
+                role: 'cashier'
             });
             console.log('✅ Usuario cajero creado:', cajeroUser.username);
         } else {
@@ -166,6 +174,42 @@ async function testModels() {
             monto: todayTotals.total_amount
         });
 
+        // 7. Probar que una venta que falla a mitad no deja registros
+        console.log('\n7️⃣ Probando venta atómica...');
+        const countRows = async () => ({
+            sales: (await database.getAsync('SELECT COUNT(*) AS total FROM sales')).total,
+            details: (await database.getAsync('SELECT COUNT(*) AS total FROM sale_details')).total,
+            payments: (await database.getAsync('SELECT COUNT(*) AS total FROM sale_payments')).total
+        });
+        const before = await countRows();
+
+        try {
+            await SaleController.recordSale({
+                order_type: 'takeaway',
+                subtotal: 20.00,
+                total: 20.00,
+                user_id: adminUser.id
+            }, [
+                { product_id: product1.id, product_name: product1.name, quantity: 1, unit_price: 10.00, subtotal: 10.00 },
+                // Producto inexistente: la clave foránea falla en la segunda línea
+                { product_id: 999999, product_name: 'No existe', quantity: 1, unit_price: 10.00, subtotal: 10.00 }
+            ], {
+                payments: [{ method: 'cash', amount: 20.00, tendered: 20.00 }],
+                paid_amount: 20.00,
+                change_amount: 0
+            }, { sendToKitchen: false });
+
+            throw new Error('La venta con un producto inexistente no debió guardarse');
+        } catch (error) {
+            if (!error.message.includes('FOREIGN KEY constraint failed')) throw error;
+        }
+
+        const after = await countRows();
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            throw new Error(`La venta fallida dejó registros: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`);
+        }
+        console.log('✅ Venta fallida revertida sin dejar registros:', after);
+
         console.log('\n🎉 ¡Todos los modelos funcionan correctamente!');
         console.log('\n📁 Base de datos creada en: database/pos.db');
         console.log('🔧 Puedes usar un visor de SQLite para ver las tablas y datos');
@@ -173,6 +217,7 @@ async function testModels() {
     } catch (error) {
         console.error('❌ Error en las pruebas:', error.message);
         console.error('Stack:', error.stack);
+        process.exitCode = 1;
     } finally {
         // Cerrar la conexión a la base de datos
         await database.close();